@@ -6,15 +6,18 @@
  * Usage:
  *   npx @agent-analytics/cli login                — Start browser-based agent session login
  *   npx @agent-analytics/cli login --detached     — Detached approval handoff
+ *   npx @agent-analytics/cli login --scopes read-only — Session limited to read scopes
  *   npx @agent-analytics/cli logout               — Clear local auth and revoke the stored agent session when possible
  *   npx @agent-analytics/cli upgrade-link --detached — Print a human payment handoff link
  *   npx @agent-analytics/cli scan <url>           — Preview what your agent should track first
  *   npx @agent-analytics/cli create <name>         — Create a project and get your snippet
  *   npx @agent-analytics/cli projects             — List your projects
  *   npx @agent-analytics/cli all-sites            — Historical summary across all projects
+ *   npx @agent-analytics/cli compare <a> <b>      — Side-by-side stats, insights, and funnel
  *   npx @agent-analytics/cli bot-traffic <name>   — Automated traffic filtered from tracking
  *   npx @agent-analytics/cli stats <name>         — Get stats for a project
  *   npx @agent-analytics/cli events <name>        — Get recent events
+ *   npx @agent-analytics/cli events <name> --follow — Tail new events as they arrive
  *   npx @agent-analytics/cli journey <name>       — Show one user's chronological journey
  *   npx @agent-analytics/cli query <name>         — Flexible analytics query
  *   npx @agent-analytics/cli properties <name>    — Discover event names & property keys
@@ -25,19 +28,23 @@
  *   npx @agent-analytics/cli pages <name>         — Entry/exit page stats
  *   npx @agent-analytics/cli paths <name>         — Session journey paths from entry to goal/drop-off
  *   npx @agent-analytics/cli sessions-dist <name> — Session duration distribution
- *   npx @agent-analytics/cli heatmap <name>       — Peak hours & busiest days
+ *   npx @agent-analytics/cli anomalies <name>     — Spikes and drops in daily event counts
+ *   npx @agent-analytics/cli heatmap <name>       — Day × hour activity grid
  *   npx @agent-analytics/cli funnel <name>        — Funnel analysis: where users drop off
  *   npx @agent-analytics/cli retention <name>     — Cohort retention: % of users who return
  *   npx @agent-analytics/cli init <name>          — Alias for create
  *   npx @agent-analytics/cli project <name-or-id>  — Get single project details
  *   npx @agent-analytics/cli context get <project> — Get stored project analytics context
- *   npx @agent-analytics/cli context set <project> --json '{...}' — Set goals, activation events, glossary
+ *   npx @agent-analytics/cli context set <project> --data '{...}' — Set goals, activation events, glossary
  *   npx @agent-analytics/cli portfolio-context get — Get stored account portfolio context
- *   npx @agent-analytics/cli portfolio-context set --json '{...}' — Set goals, surface roles, milestones, glossary
+ *   npx @agent-analytics/cli portfolio-context set --data '{...}' — Set goals, surface roles, milestones, glossary
  *   npx @agent-analytics/cli portfolios list — List identity lookup portfolios
  *   npx @agent-analytics/cli portfolios create <slug> --name "Portfolio" --projects app,docs [--move]
  *   npx @agent-analytics/cli update <name-or-id>   — Update a project
  *   npx @agent-analytics/cli delete <name-or-id>   — Delete a project
+ *   npx @agent-analytics/cli plan [file]          — Diff a workspace file against the account
+ *   npx @agent-analytics/cli apply [file]         — Apply a workspace file after confirmation
+ *   npx @agent-analytics/cli export-config [--out file] — Write the account as a workspace file
  *   npx @agent-analytics/cli live [name]          — Real-time live view
  *   npx @agent-analytics/cli experiments list <project>   — List experiments
  *   npx @agent-analytics/cli experiments create <p> ...  — Create experiment
@@ -50,23 +57,64 @@
  *   npx @agent-analytics/cli feedback --message "..." — Send product/process feedback
  *   npx @agent-analytics/cli whoami               — Show current account
  *   npx @agent-analytics/cli auth status          — Show local auth path and expiry metadata
+ *   npx @agent-analytics/cli auth sessions list   — List agent sessions on the account
+ *   npx @agent-analytics/cli auth sessions revoke <id|--all-except-current>
+ *   npx @agent-analytics/cli profiles list        — List named profiles (accounts/base URLs)
+ *   npx @agent-analytics/cli profiles use <name>  — Switch the active profile
+ *   npx @agent-analytics/cli profiles remove <name> — Remove a profile and its stored session
+ *   npx @agent-analytics/cli mcp                  — Run an MCP server on stdio exposing the API as tools
+ *   npx @agent-analytics/cli shell                — Interactive prompt with completion and a sticky project
+ *   npx @agent-analytics/cli completion <shell>   — Print a bash, zsh, or fish completion script
+ *   npx @agent-analytics/cli <command> --help     — Options for one command (also: help <command>)
+ *   npx @agent-analytics/cli track <name> <event> — Send one event with the project token
+ *   npx @agent-analytics/cli import <name> --file events.ndjson — Batch-import events from NDJSON or CSV
+ *   npx @agent-analytics/cli export <name> --from 2026-01-01 --out events.ndjson.gz — Export raw events
  */
 
 import { AgentAnalyticsAPI } from '../lib/api.mjs';
 import { finishManualExchange, loginDetached, loginInteractive, startDetachedLogin } from '../lib/auth-flow.mjs';
-import { readFileSync } from 'node:fs';
+import { missingScopes, requiredScopesForCommand, resolveScopes } from '../lib/scopes.mjs';
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { createInterface } from 'node:readline/promises';
+import { normalizeOutputFormat, OUTPUT_FORMATS, renderOutput } from '../lib/output.mjs';
 import {
   clearStoredAuth,
   getAuthSource,
+  getEnvironmentAuth,
   getBaseUrl,
   getConfig,
   getConfigFile,
   getConfigLocation,
+  getActiveProfile,
   getStoredAuth,
+  isValidProfileName,
+  listProfiles,
+  removeProfile,
   setAgentSession,
   setConfigDirOverride,
+  setProfileOverride,
   updateStoredAccount,
+  useProfile,
+  withStoredAuthLock,
 } from '../lib/config.mjs';
+import { credentialKeyFile } from '../lib/credential-store.mjs';
+import { createMcpServer, serveStdio } from '../lib/mcp-server.mjs';
+import { detectInputFormat, MAX_BATCH_SIZE, normalizeEvent, prepareImport, sendBatches } from '../lib/ingest.mjs';
+import { createImporter, IMPORT_SOURCES, parseFieldMap } from '../lib/importers.mjs';
+import { createEventFollower, matchesPropertyFilter, parsePropertyFilter } from '../lib/follow.mjs';
+import { checkpointFileFor, DEFAULT_EXPORT_PAGE_SIZE, parseExportDate, reconcileWithStats, runExport } from '../lib/export.mjs';
+import { horizontalBar, lineChart, sparkline, terminalWidth } from '../lib/charts.mjs';
+import { buildComparison, comparisonTableRows, formatComparisonValue } from '../lib/compare.mjs';
+import { comparePeriods, parseCompareSpec, resolveWindow } from '../lib/period-compare.mjs';
+import { ALL_EVENTS, dateRange, DEFAULT_ANOMALY_THRESHOLD, detectAnomalies, seriesFromQueryRows, seriesFromStats } from '../lib/anomalies.mjs';
+import { applyWorkspacePlan, buildWorkspaceDocument, DEFAULT_WORKSPACE_FILE, parseWorkspace, planWorkspace, readAccount, readWorkspaceState } from '../lib/workspace.mjs';
+import { stringifyYaml } from '../lib/yaml.mjs';
+import { completeLine, splitCommandLine, withStickyProject } from '../lib/shell.mjs';
+import { COMPLETION_SHELLS, completionScript, readProjectCache, writeProjectCache } from '../lib/completion.mjs';
+import { closestMatch, parseCommandArgs, UsageError } from '../lib/args.mjs';
+import { commandNames, COMMANDS } from '../lib/command-spec.mjs';
+import { buildHeatmapGrid, heatmapLevel, heatmapTableRows, timezoneOffsetMinutes } from '../lib/heatmap.mjs';
 
 const BOLD = '\x1b[1m';
 const DIM = '\x1b[2m';
@@ -85,7 +133,30 @@ function logStderr(msg = '') { process.stderr.write(`${msg}\n`); }
 function success(msg) { log(`${GREEN}✓${RESET} ${msg}`); }
 function warn(msg) { log(`${YELLOW}⚠${RESET} ${msg}`); }
 function warnStderr(msg) { logStderr(`${YELLOW}⚠${RESET} ${msg}`); }
-function error(msg) { log(`${RED}✗${RESET} ${msg}`); process.exit(1); }
+function error(msg) {
+  // A catch block around the first error() may call error() again; the
+  // command already failed, so keep unwinding without a second message.
+  if (shellSession?.failure) throw shellSession.failure;
+  log(`${RED}✗${RESET} ${msg}`);
+  exitCommand(1);
+}
+
+// Inside `shell` a failed command must not end the session, so exiting
+// throws a CommandExit that the prompt loop catches instead.
+class CommandExit extends Error {
+  constructor(code) {
+    super(`Command exited with code ${code}`);
+    this.code = code;
+  }
+}
+
+let shellSession = null;
+
+function exitCommand(code) {
+  if (!shellSession) process.exit(code);
+  shellSession.failure = new CommandExit(code);
+  throw shellSession.failure;
+}
 function heading(msg) { log(`\n${BOLD}${msg}${RESET}`); }
 function parseFiniteNumber(value) {
   if (value == null || String(value).trim() === '') return null;
@@ -149,9 +220,21 @@ function startWaitingIndicator(message, { interruptMessage = 'Stopped waiting fo
   return stop;
 }
 
-function createApiClient(auth = null) {
+function apiClientOptions() {
+  return requestTimeoutMs == null ? {} : { timeoutMs: requestTimeoutMs };
+}
+
+function createApiClient(auth = null, options = {}) {
   const baseUrl = getBaseUrl();
+  if (getEnvironmentAuth()) {
+    // Environment credentials are never saved: refreshed tokens stay in this process.
+    return new AgentAnalyticsAPI(auth, baseUrl, { ...apiClientOptions(), ...options });
+  }
   return new AgentAnalyticsAPI(auth, baseUrl, {
+    ...apiClientOptions(),
+    ...options,
+    withAuthLock: withStoredAuthLock,
+    loadStoredAuth: getStoredAuth,
     async onAuthUpdate(nextAuth) {
       const saved = await setAgentSession(nextAuth);
       warnCredentialStorageFallback(saved);
@@ -184,13 +267,13 @@ function loginTimingOptions() {
 }
 
 async function createDemoApiClient() {
-  const bootstrap = new AgentAnalyticsAPI(null, getDemoBaseUrl());
+  const bootstrap = new AgentAnalyticsAPI(null, getDemoBaseUrl(), apiClientOptions());
   const demo = await bootstrap.startDemoSession();
   const accessToken = demo?.agent_session?.access_token;
   if (!accessToken) {
     throw new Error('Demo session response did not include an access token');
   }
-  return new AgentAnalyticsAPI({ access_token: accessToken }, getDemoBaseUrl());
+  return new AgentAnalyticsAPI({ access_token: accessToken }, getDemoBaseUrl(), apiClientOptions());
 }
 
 function accountDisplayName(account = {}) {
@@ -205,13 +288,16 @@ function shellQuote(value) {
 
 function cliInvocationWithConfig() {
   const location = getConfigLocation();
+  const profile = getActiveProfile();
+  const profileFlag = profile.source === 'flag' ? ` --profile ${shellQuote(profile.name)}` : '';
+  const profileEnv = profile.source === 'env' ? `AGENT_ANALYTICS_PROFILE=${shellQuote(profile.name)} ` : '';
   if (location.source === 'flag') {
-    return `npx @agent-analytics/cli --config-dir ${shellQuote(location.dir)}`;
+    return `${profileEnv}npx @agent-analytics/cli --config-dir ${shellQuote(location.dir)}${profileFlag}`;
   }
   if (location.source === 'env') {
-    return `AGENT_ANALYTICS_CONFIG_DIR=${shellQuote(location.dir)} npx @agent-analytics/cli`;
+    return `${profileEnv}AGENT_ANALYTICS_CONFIG_DIR=${shellQuote(location.dir)} npx @agent-analytics/cli${profileFlag}`;
   }
-  return 'npx @agent-analytics/cli';
+  return `${profileEnv}npx @agent-analytics/cli${profileFlag}`;
 }
 
 function logConnected(account, savedMessage = `Agent session saved to ${getConfigFile()}`) {
@@ -223,6 +309,10 @@ function savedAgentSessionMessage(saved, label = 'Agent session') {
   if (saved?.storage === 'native') {
     return `${label} saved to native keyring; metadata saved to ${getConfigFile()}`;
   }
+  if (saved?.storage === 'encrypted-file') {
+    const key = saved.keySource === 'passphrase' ? 'your passphrase' : `key ${saved.keyFile}`;
+    return `${label} encrypted in ${getConfigFile()} with ${key}`;
+  }
   return `${label} saved to ${getConfigFile()}`;
 }
 
@@ -264,11 +354,12 @@ function logDetachedApproval(started) {
 
 function loginUsageMessage() {
   return [
-    'Usage: npx @agent-analytics/cli login [--detached [--wait]]',
+    'Usage: npx @agent-analytics/cli login [--detached [--wait]] [--scopes <preset|scope,...>]',
     '   or: npx @agent-analytics/cli login --auth-request <id> --exchange-code <code>',
     '',
     'Login uses browser-approved agent sessions.',
     'For remote or issue-based agent work, use: npx @agent-analytics/cli login --detached',
+    'For CI, set AGENT_ANALYTICS_ACCESS_TOKEN / AGENT_ANALYTICS_REFRESH_TOKEN or AGENT_ANALYTICS_SESSION_FILE instead.',
   ].join('\n');
 }
 
@@ -298,6 +389,8 @@ function printUpgradeLinkHint(err) {
 }
 
 async function requireClient() {
+  // The shell keeps one client so token refreshes and demo sessions carry over.
+  if (shellSession?.api) return shellSession.api;
   if (demoMode) {
     return createDemoApiClient();
   }
@@ -308,6 +401,13 @@ async function requireClient() {
   return createApiClient(auth);
 }
 
+function requestErrorMessage(err) {
+  if (err?.code === 'REQUEST_TIMEOUT') {
+    return `${err.message}. The API did not respond in time; retry, or raise the limit with --timeout <seconds> or AGENT_ANALYTICS_TIMEOUT_MS.`;
+  }
+  return err?.message;
+}
+
 function withApi(fn) {
   return async (...args) => {
     try {
@@ -315,7 +415,7 @@ function withApi(fn) {
       return await fn(api, ...args);
     } catch (err) {
       printUpgradeLinkHint(err);
-      error(err.message);
+      error(requestErrorMessage(err));
     }
   };
 }
@@ -325,6 +425,22 @@ function ifEmpty(arr, label) {
   return false;
 }
 
+// Daily series: a line chart when there is a trend to draw, then one scaled
+// bar per day with its count.
+function printDailySeries(rows, { date, value }) {
+  const values = rows.map((row) => value(row) || 0);
+  if (rows.length > 1) {
+    for (const line of lineChart(values, { labels: rows.map(date), paint: (text) => `${GREEN}${text}${RESET}` })) log(`  ${line}`);
+    log('');
+  }
+  const max = Math.max(...values, 0);
+  const barWidth = Math.max(10, Math.min(40, terminalWidth() - 36));
+  rows.forEach((row, index) => {
+    const bar = horizontalBar(values[index], max, barWidth).padEnd(barWidth);
+    log(`  ${date(row)}  ${GREEN}${bar}${RESET}  ${values[index]} events`);
+  });
+}
+
 function websiteAnalysisWebPreviewUrl() {
   return 'https://agentanalytics.sh/analysis/';
 }
@@ -370,9 +486,14 @@ async function resolveProject(api, target) {
 
 // ==================== COMMANDS ====================
 
-async function cmdLogin({ invalidShape, detached, exchangeCode, authRequestId, waitForDetached }) {
-  if (invalidShape) {
-    error(loginUsageMessage());
+async function cmdLogin({ detached, exchangeCode, authRequestId, waitForDetached, scopeSpec }) {
+  let scopes;
+  if (scopeSpec) {
+    try {
+      scopes = resolveScopes(scopeSpec);
+    } catch (err) {
+      error(err.message);
+    }
   }
 
   const api = createApiClient(null);
@@ -406,7 +527,7 @@ async function cmdLogin({ invalidShape, detached, exchangeCode, authRequestId, w
     let stopWaiting = () => {};
     try {
       if (!waitForDetached) {
-        const started = await startDetachedLogin(api);
+        const started = await startDetachedLogin(api, { scopes });
         logDetachedApproval(started);
         log('');
         success(`Detached approval request created: ${started.auth_request_id}`);
@@ -415,6 +536,7 @@ async function cmdLogin({ invalidShape, detached, exchangeCode, authRequestId, w
 
       const { started, exchanged } = await loginDetached(api, {
         ...loginTimingOptions(),
+        scopes,
         onPending(started) {
           logDetachedApproval(started);
           log(`${DIM}Polling is enabled because --wait/--poll was passed.${RESET}`);
@@ -450,6 +572,7 @@ async function cmdLogin({ invalidShape, detached, exchangeCode, authRequestId, w
   try {
     const result = await loginInteractive(api, {
       ...loginTimingOptions(),
+      scopes,
       onPending(started) {
         log(`Approval URL: ${CYAN}${started.authorize_url}${RESET}`);
         log(`${DIM}The browser should open automatically. If it does not, open the URL above.${RESET}`);
@@ -499,7 +622,7 @@ async function revokeStoredAgentSessionBeforeLocalClear(auth) {
 async function cmdLogout() {
   let storedAuth = null;
   try {
-    storedAuth = await getStoredAuth();
+    storedAuth = await getStoredAuth({ includeEnvironment: false });
   } catch {
     storedAuth = null;
   }
@@ -515,6 +638,10 @@ async function cmdLogout() {
   }
 
   log(`${DIM}Cleared saved auth from ${getConfigFile()}${RESET}`);
+  const envAuth = getEnvironmentAuth();
+  if (envAuth) {
+    warn(`Credentials from ${envAuth.source} are still active. Unset it to stop using them.`);
+  }
 }
 
 function cmdDemo() {
@@ -610,8 +737,16 @@ async function cmdUpgradeLink({ detached, wait, reason, blockedCommand }) {
   error(`Return to the agent after the browser says Pro is active, then rerun: ${blockedCommand || 'the blocked command'}`);
 }
 
-function printJson(data) {
-  process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+function commandOutputFormat(jsonFlag = false) {
+  return jsonFlag ? 'json' : outputFormat;
+}
+
+// Returns true when the command's result was printed in a machine-readable
+// format and the human renderer should be skipped.
+function printFormatted(data, { rows, format = outputFormat } = {}) {
+  if (format === 'text') return false;
+  process.stdout.write(renderOutput(data, format, { rows }));
+  return true;
 }
 
 function printScanResult(data, { full = false } = {}) {
@@ -680,15 +815,13 @@ async function cmdScan({ url, resumeId, resumeToken, full = false, project, json
       } else {
         error('Usage: npx @agent-analytics/cli scan <url> --full [--project <name>] [--json]\n   or: npx @agent-analytics/cli scan --resume <id> --resume-token <token> --full [--project <name>] [--json]');
       }
-      if (jsonOutput) {
-        printJson(data);
-      } else {
+      if (!printFormatted(data, { format: commandOutputFormat(jsonOutput) })) {
         printScanResult(data, { full: true });
       }
       return;
     } catch (err) {
       printProjectRequiredScanHint(err, url);
-      error(err.message);
+      error(requestErrorMessage(err));
     }
   }
 
@@ -703,9 +836,7 @@ async function cmdScan({ url, resumeId, resumeToken, full = false, project, json
     if (resumeId) {
       const api = createApiClient(null);
       const data = await api.getWebsiteScan(resumeId, { resumeToken });
-      if (jsonOutput) {
-        printJson(data);
-      } else {
+      if (!printFormatted(data, { format: commandOutputFormat(jsonOutput) })) {
         printScanResult(data);
       }
       return;
@@ -718,9 +849,7 @@ async function cmdScan({ url, resumeId, resumeToken, full = false, project, json
 
     const api = createApiClient(auth);
     const data = await api.createWebsiteScan(url, { project });
-    if (jsonOutput) {
-      printJson(data);
-    } else {
+    if (!printFormatted(data, { format: commandOutputFormat(jsonOutput) })) {
       printScanResult(data);
     }
   } catch (err) {
@@ -729,7 +858,7 @@ async function cmdScan({ url, resumeId, resumeToken, full = false, project, json
       error(`The free analyzer is busy. Try again in ${retry} seconds.`);
     }
     printProjectRequiredScanHint(err, url);
-    error(err.message);
+    error(requestErrorMessage(err));
   }
 }
 
@@ -760,6 +889,8 @@ const cmdCreate = withApi(async (api, name, domain, opts = {}) => {
     throw err;
   }
 
+  if (printFormatted(data)) return;
+
   success(data.existing
     ? `Found existing project with primary surface ${BOLD}${domain}${RESET}!\n`
     : `Project created with primary surface ${BOLD}${domain}${RESET}!\n`);
@@ -782,6 +913,8 @@ const cmdProjects = withApi(async (api) => {
   const data = await api.listProjects();
   const projects = data.projects;
 
+  if (printFormatted(data, { rows: projects || [] })) return;
+
   if (!projects || projects.length === 0) {
     log('No projects yet. Create one:');
     log(`  ${CYAN}npx @agent-analytics/cli create my-site${RESET}`);
@@ -805,6 +938,7 @@ const cmdAllSites = withApi(async (api, opts = {}) => {
   const period = opts.period || '7d';
   const limit = parseInt(opts.limit || '10', 10);
   const data = await api.getAllSitesOverview({ period, limit });
+  if (printFormatted(data, { rows: data.projects || [] })) return;
 
   heading(`All Sites (${data.period?.label || period} vs previous)`);
   log('');
@@ -826,12 +960,7 @@ const cmdAllSites = withApi(async (api, opts = {}) => {
   if (data.time_series && data.time_series.length > 0) {
     log('');
     heading('Daily:');
-    const maxEvents = Math.max(...data.time_series.map((row) => row.events || 0), 0);
-    for (const row of data.time_series) {
-      const barLen = maxEvents > 0 ? Math.min(Math.max(Math.ceil((row.events / maxEvents) * 24), row.events > 0 ? 1 : 0), 24) : 0;
-      const bar = '█'.repeat(barLen);
-      log(`  ${row.date}  ${GREEN}${bar}${RESET}  ${row.events} events`);
-    }
+    printDailySeries(data.time_series, { date: (row) => row.date, value: (row) => row.events });
   }
 
   log('');
@@ -852,6 +981,73 @@ const cmdAllSites = withApi(async (api, opts = {}) => {
   log('');
 });
 
+const COMPARE_SECTIONS = { stats: 'Stats', insights: 'Insights', funnel: 'Funnel', per_user: 'Per user' };
+
+const cmdCompare = withApi(async (api, projectArgs, opts = {}) => {
+  const usage = 'Usage: npx @agent-analytics/cli compare <project-a> <project-b> [...] [--portfolio <slug>] [--period 7d] [--steps a,b,c | --steps-json <json|@file>]';
+  const period = opts.period || '7d';
+  if (!/^[1-9]\d*d$/.test(period)) error('--period must be a number of days like 7d or 30d');
+  if (opts.steps && opts.steps_json) error('--steps and --steps-json are mutually exclusive. Choose one funnel step source.');
+
+  const projects = [...projectArgs];
+  if (opts.portfolio) {
+    const portfolio = await api.getPortfolio(opts.portfolio);
+    for (const member of (portfolio?.portfolio || portfolio || {}).members || []) {
+      const name = member.project || member.project_id;
+      if (name && !projects.includes(name)) projects.push(name);
+    }
+  }
+  if (projects.length < 2) error(opts.portfolio ? `Portfolio ${opts.portfolio} needs at least 2 projects to compare` : usage);
+
+  let steps;
+  if (opts.steps_json) {
+    steps = normalizeCliStepsJson(opts.steps_json);
+  } else if (opts.steps) {
+    steps = opts.steps.split(',').map((s) => ({ event: s.trim() })).filter((s) => s.event);
+    if (steps.length < 2) error('At least 2 steps required');
+  }
+
+  const results = await Promise.all(projects.map(async (project) => {
+    const [stats, insights, funnel] = await Promise.all([
+      api.getStats(project, parseInt(period, 10)),
+      api.getInsights(project, { period }),
+      steps ? api.getFunnel(project, { steps, since: period }) : null,
+    ]);
+    return { project, stats, insights, funnel };
+  }));
+  const comparison = buildComparison(results);
+
+  if (printFormatted({ period, ...comparison, results }, { rows: comparisonTableRows(comparison) })) return;
+
+  heading(`Compare: ${projects.join(' vs ')} (${period})`);
+  log(`  ${DIM}Deltas are relative to ${comparison.baseline}; per-user rows divide by each project's unique users.${RESET}`);
+
+  const cells = comparison.rows.map((item) => projects.map((project, index) => {
+    const value = formatComparisonValue(item.values[project], item.kind);
+    const delta = index === 0 ? null : item.delta_pct[project];
+    if (delta == null) return { text: value, plain: value };
+    const sign = delta > 0 ? '+' : '';
+    const color = delta > 0 ? GREEN : delta < 0 ? RED : DIM;
+    return { text: `${value} ${color}${sign}${delta}%${RESET}`, plain: `${value} ${sign}${delta}%` };
+  }));
+  const labelWidth = Math.max(6, ...comparison.rows.map((item) => item.metric.length));
+  const widths = projects.map((project, index) => Math.max(project.length, ...cells.map((row) => row[index].plain.length)));
+  const pad = (cell, width) => cell.text + ' '.repeat(width - cell.plain.length);
+
+  for (const [section, title] of Object.entries(COMPARE_SECTIONS)) {
+    const indexes = comparison.rows.map((item, index) => (item.section === section ? index : -1)).filter((index) => index !== -1);
+    if (indexes.length === 0) continue;
+    log('');
+    heading(`${title}:`);
+    log(`  ${DIM}${''.padEnd(labelWidth)}  ${projects.map((project, index) => project.padEnd(widths[index])).join('  ').trimEnd()}${RESET}`);
+    for (const index of indexes) {
+      log(`  ${comparison.rows[index].metric.padEnd(labelWidth)}  ${cells[index].map((cell, column) => pad(cell, widths[column])).join('  ').trimEnd()}`);
+    }
+  }
+
+  log('');
+});
+
 const cmdBotTraffic = withApi(async (api, target, opts = {}) => {
   const period = opts.period || '7d';
   const limit = parseInt(opts.limit || '10', 10);
@@ -862,6 +1058,8 @@ const cmdBotTraffic = withApi(async (api, target, opts = {}) => {
     ? await api.getAllSitesBotTraffic({ period, limit })
     : await api.getBotTraffic(target, { period, limit });
 
+  if (printFormatted(data, { rows: (target === '--all' ? data.projects : data.actors) || [] })) return;
+
   if (target === '--all') {
     heading(`All Sites Bot Traffic (${data.period?.label || period})`);
     log('');
@@ -912,6 +1110,8 @@ const cmdStats = withApi(async (api, project, days = 7) => {
   const data = result.data;
   const headers = result.headers;
 
+  if (printFormatted(data, { rows: data.events || [] })) return;
+
   heading(`Stats: ${project} (last ${days} days)`);
   log('');
 
@@ -931,10 +1131,7 @@ const cmdStats = withApi(async (api, project, days = 7) => {
   if (data.timeSeries && data.timeSeries.length > 0) {
     log('');
     heading('Daily:');
-    for (const d of data.timeSeries) {
-      const bar = '█'.repeat(Math.min(Math.ceil(d.total_events / 5), 40));
-      log(`  ${d.bucket || d.date}  ${GREEN}${bar}${RESET}  ${d.total_events} events`);
-    }
+    printDailySeries(data.timeSeries, { date: (d) => d.bucket || d.date, value: (d) => d.total_events });
   }
 
   // Monthly usage summary from response headers
@@ -963,23 +1160,96 @@ const cmdStats = withApi(async (api, project, days = 7) => {
   log('');
 });
 
+function printEventLine(e) {
+  const time = new Date(e.timestamp).toLocaleString();
+  log(`  ${DIM}${time}${RESET}  ${BOLD}${e.event}${RESET}  ${DIM}${e.user_id || ''}${RESET}`);
+  if (e.properties) {
+    log(`    ${DIM}${JSON.stringify(e.properties)}${RESET}`);
+  }
+}
+
+function followPollInterval(seconds) {
+  const fromEnv = Number(process.env.AGENT_ANALYTICS_FOLLOW_POLL_INTERVAL_MS);
+  if (Number.isFinite(fromEnv) && fromEnv > 0) return fromEnv;
+  const interval = Number(seconds ?? 5);
+  if (!Number.isFinite(interval) || interval <= 0) error('--interval must be a positive number of seconds');
+  return interval * 1000;
+}
+
+async function followEvents(api, project, opts, filter) {
+  if (!['text', 'ndjson'].includes(outputFormat)) error('--follow prints text or --format ndjson');
+  const interval = followPollInterval(opts.interval);
+  const follower = createEventFollower({
+    fetchEvents: (since) => api.getEvents(project, { ...opts, since, ...identityOptions(opts) }),
+    since: opts.since || `${opts.days}d`,
+    limit: opts.limit,
+    filter,
+  });
+
+  const stop = () => process.exit(0);
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  if (outputFormat === 'text') {
+    heading(`Following events: ${project}`);
+    logStderr(`${DIM}Polling every ${interval / 1000}s. Press Ctrl+C to stop.${RESET}`);
+    log('');
+  }
+
+  while (true) {
+    let result;
+    try {
+      result = await follower.poll();
+    } catch (err) {
+      // Keep tailing through network blips and server errors; auth and
+      // request errors will not fix themselves.
+      if (err?.status && err.status < 500 && err.status !== 429) throw err;
+      warnStderr(`Poll failed: ${requestErrorMessage(err)}. Retrying.`);
+      await sleep(interval);
+      continue;
+    }
+    for (const event of result.events) {
+      if (outputFormat === 'ndjson') process.stdout.write(`${JSON.stringify(event)}\n`);
+      else printEventLine(event);
+    }
+    if (result.truncated && follower.cursor != null) {
+      warnStderr(`More than ${opts.limit} events arrived between polls; some may be missing. Raise --limit or lower --interval.`);
+    }
+    await sleep(interval);
+  }
+}
+
 const cmdEvents = withApi(async (api, project, opts = {}) => {
-  if (!project) error('Usage: npx @agent-analytics/cli events <project-name> [--days N] [--limit N] [--user-id id] [--email email]');
+  if (!project) error('Usage: npx @agent-analytics/cli events <project-name> [--days N] [--limit N] [--event name] [--user-id id] [--email email] [--where key=value,...] [--follow [--interval S]]');
+
+  let filter;
+  try {
+    filter = parsePropertyFilter(opts.where);
+  } catch (err) {
+    error(err.message);
+  }
+  if (opts.follow) {
+    await followEvents(api, project, opts, filter);
+    return;
+  }
 
   const data = await api.getEvents(project, { ...opts, ...identityOptions(opts) });
+  if (opts.where) {
+    // /events has no property filter, so this only searches the page fetched.
+    const fetched = (data.events || []).length;
+    data.events = (data.events || []).filter((event) => matchesPropertyFilter(event, filter));
+    if (fetched >= opts.limit) {
+      warnStderr(`--where matched ${data.events.length} of the latest ${fetched} events; raise --limit to search further back.`);
+    }
+  }
+  if (printFormatted(data, { rows: data.events || [] })) return;
 
   heading(`Events: ${project}`);
   log('');
 
   if (ifEmpty(data.events, 'events')) return;
 
-  for (const e of data.events) {
-    const time = new Date(e.timestamp).toLocaleString();
-    log(`  ${DIM}${time}${RESET}  ${BOLD}${e.event}${RESET}  ${DIM}${e.user_id || ''}${RESET}`);
-    if (e.properties) {
-      log(`    ${DIM}${JSON.stringify(e.properties)}${RESET}`);
-    }
-  }
+  for (const e of data.events) printEventLine(e);
   log('');
 });
 
@@ -988,6 +1258,7 @@ const cmdJourney = withApi(async (api, project, opts = {}) => {
   if (!opts.user_id && !opts.email) error('journey requires --user-id or --email');
 
   const data = await api.getJourney(project, { ...opts, ...identityOptions(opts) });
+  if (printFormatted(data, { rows: data.events || [] })) return;
 
   heading(`Journey: ${project}`);
   log('');
@@ -1027,6 +1298,7 @@ const cmdPropertiesReceived = withApi(async (api, project, opts = {}) => {
   if (!project) error('Usage: npx @agent-analytics/cli properties-received <project-name> [--since DATE] [--sample N]');
 
   const data = await api.getPropertiesReceived(project, opts);
+  if (printFormatted(data, { rows: data.properties || [] })) return;
 
   heading(`Received Properties: ${project}`);
   log('');
@@ -1055,6 +1327,8 @@ const cmdInsights = withApi(async (api, project, period = '7d') => {
   if (!project) error('Usage: npx @agent-analytics/cli insights <project-name> [--period 7d]');
 
   const data = await api.getInsights(project, { period });
+  const metricRows = Object.entries(data.metrics || {}).map(([metric, values]) => ({ metric, ...values }));
+  if (printFormatted(data, { rows: metricRows })) return;
 
   heading(`Insights: ${project} (${period} vs previous)`);
   log('');
@@ -1067,15 +1341,215 @@ const cmdInsights = withApi(async (api, project, period = '7d') => {
     log(`  ${BOLD}${label}:${RESET}  ${metric.current} ${arrow}${pct}${RESET}  ${DIM}was ${metric.previous}${RESET}`);
   }
 
+  // Each metric has its own scale, so bars compare a period with the one before.
+  const entries = Object.entries(m);
+  if (entries.length > 0) {
+    log('');
+    heading('Previous vs current:');
+    const labelWidth = Math.max(...entries.map(([key]) => key.length));
+    const barWidth = Math.max(10, Math.min(30, terminalWidth() - labelWidth - 24));
+    for (const [key, metric] of entries) {
+      const max = Math.max(Number(metric.previous) || 0, Number(metric.current) || 0);
+      const color = metric.change > 0 ? GREEN : metric.change < 0 ? RED : DIM;
+      log(`  ${key.replace(/_/g, ' ').padEnd(labelWidth)}  ${DIM}was ${horizontalBar(metric.previous, max, barWidth).padEnd(barWidth)} ${metric.previous}${RESET}`);
+      log(`  ${' '.repeat(labelWidth)}  now ${color}${horizontalBar(metric.current, max, barWidth).padEnd(barWidth)}${RESET} ${metric.current}`);
+    }
+  }
+
   log('');
   log(`  ${BOLD}Trend:${RESET} ${data.trend}`);
   log('');
 });
 
+const ANOMALY_QUERY_LIMIT = 1000;
+
+/**
+ * Daily counts per event over `dates`, complete. /query caps rows at
+ * ANOMALY_QUERY_LIMIT and has no offset, and a missing day would score as a
+ * drop, so the event names are counted first and the days are split into
+ * runs short enough that every run's date × event rows fit in one response.
+ * Incomplete counts stop the command rather than being scored.
+ */
+async function dailyEventRows(api, project, dates, event) {
+  const filters = event ? [{ field: 'event', op: 'eq', value: event }] : undefined;
+  const range = { date_from: dates[0], date_to: dates.at(-1), count_mode: 'raw' };
+  let eventCount = 1;
+  if (!event) {
+    const names = await api.query(project, { metrics: ['event_count'], group_by: ['event'], ...range, limit: ANOMALY_QUERY_LIMIT });
+    eventCount = Math.max(1, (names.rows || []).length);
+    if (eventCount >= ANOMALY_QUERY_LIMIT) {
+      error(`${project} has ${ANOMALY_QUERY_LIMIT} or more event names in this window; check one with --event.`);
+    }
+  }
+
+  // One row short of the cap, so a full response always means rows were cut.
+  const daysPerQuery = Math.max(1, Math.floor((ANOMALY_QUERY_LIMIT - 1) / eventCount));
+  const rows = [];
+  for (let i = 0; i < dates.length; i += daysPerQuery) {
+    const run = dates.slice(i, i + daysPerQuery);
+    const data = await api.query(project, {
+      metrics: ['event_count'],
+      group_by: ['date', 'event'],
+      filters,
+      date_from: run[0],
+      date_to: run.at(-1),
+      count_mode: 'raw',
+      order_by: 'date',
+      order: 'asc',
+      limit: ANOMALY_QUERY_LIMIT,
+    });
+    // Events first seen after the names were counted can still overflow a run.
+    if ((data.rows || []).length >= ANOMALY_QUERY_LIMIT) {
+      error(`/query returned ${ANOMALY_QUERY_LIMIT} rows for ${run[0]} → ${run.at(-1)}, so the daily counts are incomplete. Check one event with --event.`);
+    }
+    rows.push(...(data.rows || []));
+  }
+  return rows;
+}
+
+const cmdAnomalies = withApi(async (api, project, opts = {}) => {
+  if (!project) error('Usage: npx @agent-analytics/cli anomalies <project-name> [--days 56] [--event name] [--threshold 3.5] [--min-count 5] [--limit 20] [--source query|stats]');
+
+  const days = opts.days ?? 56;
+  const threshold = opts.threshold ?? DEFAULT_ANOMALY_THRESHOLD;
+  const minCount = opts.min_count ?? 5;
+  const limit = opts.limit ?? 20;
+  const source = opts.source || 'query';
+  if (days < 14) error('--days must be at least 14 so each weekday has a baseline');
+  if (!(threshold > 0)) error('--threshold must be a positive number');
+  if (source === 'stats' && opts.event) error('--event needs --source query; /stats only has the daily total');
+
+  // Today is still filling up, so the window ends yesterday.
+  const yesterday = Date.now() - 24 * 60 * 60 * 1000;
+  const to = new Date(yesterday).toISOString().slice(0, 10);
+  const from = new Date(yesterday - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const dates = dateRange(from, to);
+
+  let series;
+  if (source === 'stats') {
+    const stats = await api.getStats(project, days + 1);
+    series = seriesFromStats(stats.timeSeries, dates);
+  } else {
+    series = seriesFromQueryRows(await dailyEventRows(api, project, dates, opts.event), dates);
+  }
+
+  const found = detectAnomalies(series, dates, { threshold, minCount });
+  const anomalies = found.slice(0, limit);
+  const result = { project, from, to, source, threshold, series_checked: series.size, total: found.length, anomalies };
+  if (printFormatted(result, { rows: anomalies })) return;
+
+  heading(`Anomalies: ${project} (${from} → ${to})`);
+  log(`  ${DIM}${series.size} series over ${days} days, flagged at |score| ≥ ${threshold} against same-weekday medians${RESET}`);
+  log('');
+
+  if (anomalies.length === 0) {
+    log('  No spikes or drops beyond the threshold.');
+    log('');
+    return;
+  }
+
+  const eventWidth = Math.max(...anomalies.map((a) => a.event.length));
+  for (const a of anomalies) {
+    const marker = a.direction === 'spike' ? `${GREEN}▲ spike${RESET}` : `${RED}▼ drop ${RESET}`;
+    const pct = a.change_pct == null ? '' : ` ${a.change_pct > 0 ? '+' : ''}${a.change_pct}%`;
+    const name = a.event === ALL_EVENTS ? `${DIM}${a.event.padEnd(eventWidth)}${RESET}` : `${BOLD}${a.event.padEnd(eventWidth)}${RESET}`;
+    log(`  ${marker}  ${a.date} ${a.weekday}  ${name}  ${a.value} vs ~${a.expected} expected${pct}  ${DIM}score ${a.score}${RESET}`);
+  }
+  if (found.length > anomalies.length) log(`\n${DIM}${found.length - anomalies.length} more below these; raise --limit to see them${RESET}`);
+  log('');
+});
+
+const formatRate = (value) => `${Math.round(value * 1000) / 10}%`;
+// Fields /query groups by directly; other breakdown keys are properties.
+const QUERY_FIELDS = new Set(['event', 'date', 'user_id', 'session_id', 'country']);
+// Rows /query returns when no --limit is given.
+const QUERY_DEFAULT_LIMIT = 100;
+
+/**
+ * `--compare` for query, breakdown, and pages: pins the current window, runs
+ * the same /query request for the comparison window, and prints each row's
+ * change, marking rows that only one window has and rows that fell outside
+ * one window's top `limit`.
+ */
+async function printPeriodComparison({ title, compare, window, fetchWindow, rowsOf, keys, metrics, limit, label, display = {}, format = outputFormat }) {
+  let spec;
+  let current;
+  try {
+    spec = parseCompareSpec(compare);
+    current = resolveWindow(window);
+  } catch (err) {
+    error(err.message);
+  }
+
+  const result = await comparePeriods({ spec, current, fetchWindow, rowsOf, keys, metrics, limit });
+  if (printFormatted(result, { rows: result.rows, format })) return;
+
+  heading(`${title} (${result.current.from} → ${result.current.to} vs ${result.previous.from} → ${result.previous.to})`);
+  log('');
+  if (result.rows.length === 0) {
+    log('  No data in either window.');
+    log('');
+    return;
+  }
+
+  const outside = `outside top ${limit}`;
+  for (const row of result.rows) {
+    const tag = row.present_in === 'current' ? `  ${GREEN}new${RESET}`
+      : row.present_in === 'previous' ? `  ${RED}gone${RESET}`
+        : row.present_in === 'outside_limit' ? `  ${DIM}${outside} in one window${RESET}` : '';
+    const parts = result.metrics.map((metric) => {
+      const show = (value) => (value == null ? outside : (display[metric] || String)(value));
+      const diff = row[`${metric}_change`];
+      const pct = row[`${metric}_change_pct`];
+      const arrow = diff > 0 ? `${GREEN}↑` : diff < 0 ? `${RED}↓` : `${DIM}—`;
+      const pctLabel = pct != null ? ` (${pct > 0 ? '+' : ''}${pct}%)` : '';
+      return `${metric.replace(/_/g, ' ')} ${show(row[metric])} ${arrow}${pctLabel}${RESET} ${DIM}was ${show(row[`${metric}_previous`])}${RESET}`;
+    });
+    log(`  ${BOLD}${label(row)}${RESET}${tag}  ${parts.join('  ')}`);
+  }
+
+  const added = result.rows.filter((row) => row.present_in === 'current').length;
+  const removed = result.rows.filter((row) => row.present_in === 'previous').length;
+  const ranked = result.rows.filter((row) => row.present_in === 'outside_limit').length;
+  if (added || removed) log(`\n${DIM}${added} new, ${removed} gone since the comparison window${RESET}`);
+  if (ranked) log(`${DIM}${ranked} only ranked in one window's top ${limit}; raise --limit to compare them${RESET}`);
+  log('');
+}
+
 const cmdBreakdown = withApi(async (api, project, property, opts = {}) => {
-  if (!project || !property) error('Usage: npx @agent-analytics/cli breakdown <project-name> --property <key> [--event page_view] [--days N] [--since 7d|YYYY-MM-DD] [--limit 20]');
+  if (!project || !property) error('Usage: npx @agent-analytics/cli breakdown <project-name> --property <key> [--event page_view] [--days N] [--since 7d|YYYY-MM-DD] [--limit 20] [--compare previous|yoy|<from>..<to>]');
+
+  const { compare, ...query } = opts;
+  if (compare) {
+    // Built-in fields group as they are; anything else is an event property.
+    const field = QUERY_FIELDS.has(property) ? property : `properties.${property.replace(/^properties\./, '')}`;
+    const limit = query.limit ?? 20;
+    await printPeriodComparison({
+      title: `Breakdown: ${project} — ${property}`,
+      compare,
+      window: { since: query.since },
+      fetchWindow: (window) => api.query(project, {
+        metrics: ['event_count', 'unique_users'],
+        group_by: [field],
+        filters: query.event ? [{ field: 'event', op: 'eq', value: query.event }] : undefined,
+        date_from: window.from,
+        date_to: window.to,
+        count_mode: 'raw',
+        order_by: 'event_count',
+        order: 'desc',
+        limit,
+      }),
+      rowsOf: (data) => (data.rows || []).map((row) => ({ value: row[field], count: row.event_count, unique_users: row.unique_users })),
+      keys: ['value'],
+      metrics: ['count', 'unique_users'],
+      limit,
+      label: (row) => row.value,
+    });
+    return;
+  }
 
-  const data = await api.getBreakdown(project, { property, ...opts });
+  const data = await api.getBreakdown(project, { property, ...query });
+  if (printFormatted(data, { rows: data.values || [] })) return;
 
   heading(`Breakdown: ${project} — ${property}${data.event ? ` (${data.event})` : ''}`);
   log('');
@@ -1090,9 +1564,50 @@ const cmdBreakdown = withApi(async (api, project, property, opts = {}) => {
 });
 
 const cmdPages = withApi(async (api, project, type = 'entry', opts = {}) => {
-  if (!project) error('Usage: npx @agent-analytics/cli pages <project-name> [--type entry|exit|both] [--limit 20]');
+  if (!project) error('Usage: npx @agent-analytics/cli pages <project-name> [--type entry|exit|both] [--days N] [--since 7d|YYYY-MM-DD] [--limit 20] [--compare previous|yoy|<from>..<to>]');
+
+  const { compare, ...query } = opts;
+  if (compare) {
+    // /pages has no closed date range, so the comparison ranks viewed pages
+    // through /query; entry and exit pages cannot be told apart there.
+    if (type !== 'entry') error('--compare ranks viewed pages by sessions and cannot split entry and exit pages; drop --type.');
+    const limit = query.limit ?? 20;
+    await printPeriodComparison({
+      title: `Pages: ${project} (page views by path)`,
+      compare,
+      window: { since: query.since },
+      fetchWindow: (window) => api.query(project, {
+        metrics: ['session_count', 'bounce_rate', 'avg_duration'],
+        group_by: ['properties.path'],
+        filters: [{ field: 'event', op: 'eq', value: 'page_view' }],
+        date_from: window.from,
+        date_to: window.to,
+        count_mode: 'raw',
+        order_by: 'session_count',
+        order: 'desc',
+        limit,
+      }),
+      rowsOf: (data) => (data.rows || []).map((row) => ({
+        page: row['properties.path'],
+        sessions: row.session_count,
+        bounce_rate: row.bounce_rate,
+        avg_duration: row.avg_duration,
+      })),
+      keys: ['page'],
+      metrics: ['sessions', 'bounce_rate', 'avg_duration'],
+      limit,
+      label: (row) => row.page,
+      display: { bounce_rate: formatRate, avg_duration: (ms) => `${Math.round(ms / 1000)}s` },
+    });
+    return;
+  }
 
-  const data = await api.getPages(project, { type, ...opts });
+  const data = await api.getPages(project, { type, ...query });
+  const pageRows = [
+    ...(data.entry_pages || []).map((page) => ({ type: 'entry', ...page })),
+    ...(data.exit_pages || []).map((page) => ({ type: 'exit', ...page })),
+  ];
+  if (printFormatted(data, { rows: pageRows })) return;
 
   heading(`Pages: ${project} (${type})`);
   log('');
@@ -1137,6 +1652,7 @@ const cmdPaths = withApi(async (api, project, opts = {}) => {
   }
 
   const data = await api.getPaths(project, opts);
+  if (printFormatted(data, { rows: data.entry_paths || [] })) return;
 
   heading(`Paths: ${project}`);
   log('');
@@ -1167,6 +1683,7 @@ const cmdSessionsDist = withApi(async (api, project) => {
   if (!project) error('Usage: npx @agent-analytics/cli sessions-dist <project-name>');
 
   const data = await api.getSessionDistribution(project);
+  if (printFormatted(data, { rows: data.distribution || [] })) return;
 
   heading(`Session Distribution: ${project}`);
   log('');
@@ -1183,30 +1700,79 @@ const cmdSessionsDist = withApi(async (api, project) => {
   log('');
 });
 
-const cmdHeatmap = withApi(async (api, project) => {
-  if (!project) error('Usage: npx @agent-analytics/cli heatmap <project-name>');
+const HEATMAP_CELLS = [['·', DIM], ['░', CYAN], ['▒', GREEN], ['▓', YELLOW], ['█', RED]];
+
+function formatUtcOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `UTC${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+const cmdHeatmap = withApi(async (api, project, opts = {}) => {
+  if (!project) error('Usage: npx @agent-analytics/cli heatmap <project-name> [--metric events|users] [--tz <zone>|local]');
+
+  const metric = opts.metric || 'events';
+  const timezone = opts.tz === 'local' ? Intl.DateTimeFormat().resolvedOptions().timeZone : (opts.tz || 'UTC');
+  let offsetMinutes;
+  try {
+    offsetMinutes = timezoneOffsetMinutes(timezone);
+  } catch {
+    error(`Unknown timezone "${opts.tz}". Use an IANA name like Europe/Berlin, UTC, or local`);
+  }
 
   const data = await api.getHeatmap(project);
+  const grid = buildHeatmapGrid(data.heatmap, { metric, offsetMinutes });
+  const { rounded, ...gridData } = grid;
+  if (printFormatted({ ...data, grid: { ...gridData, timezone } }, { rows: heatmapTableRows(grid) })) return;
 
-  heading(`Heatmap: ${project}`);
+  heading(`Heatmap: ${project} ${DIM}(${metric}, ${timezone})${RESET}`);
   log('');
 
   if (ifEmpty(data.heatmap, 'heatmap data')) return;
 
+  const hourHeader = grid.hours.map((hour) => (hour % 3 === 0 ? String(hour).padStart(2, '0') : '  ')).join('');
+  log(`  ${DIM}     ${hourHeader}${RESET}`);
+  grid.days.forEach((day, d) => {
+    const cells = grid.values[d].map((value) => {
+      const [char, color] = HEATMAP_CELLS[heatmapLevel(value, grid.max)];
+      return `${color}${char}${char}${RESET}`;
+    }).join('');
+    const total = grid.values[d].reduce((sum, value) => sum + value, 0);
+    log(`  ${day}  ${cells}  ${DIM}${total}${RESET}`);
+  });
+  log('');
+  const legend = ['0', '≤25%', '≤50%', '≤75%', '≤100%']
+    .map((label, level) => `${HEATMAP_CELLS[level][1]}${HEATMAP_CELLS[level][0]}${RESET} ${label}`)
+    .join('  ');
+  log(`  ${legend}  ${DIM}of ${grid.max} ${metric} per hour${RESET}`);
+  log('');
+
+  // The API's peak and busiest day/hour are UTC hours ranked by events; the
+  // grid's differ once --tz moves hours across midnight or --metric users
+  // reranks them, so the API's stay as reported and the grid's are labelled.
+  const hh = (hour) => `${String(hour).padStart(2, '0')}:00`;
   if (data.peak) {
-    log(`  ${BOLD}Peak:${RESET} ${data.peak.day_name} at ${data.peak.hour}:00 (${data.peak.events} events, ${data.peak.users} users)`);
+    log(`  ${BOLD}Peak:${RESET} ${data.peak.day_name} at ${hh(data.peak.hour)} UTC (${data.peak.events} events, ${data.peak.users} users)`);
+  }
+  if (data.busiest_day != null) log(`  ${BOLD}Busiest day:${RESET} ${data.busiest_day} (UTC)`);
+  if (data.busiest_hour != null) log(`  ${BOLD}Busiest hour:${RESET} ${hh(data.busiest_hour)} UTC`);
+  if (grid.peak && (offsetMinutes !== 0 || metric !== 'events' || !data.peak)) {
+    log(`  ${BOLD}In ${timezone} by ${metric}:${RESET} peak ${grid.peak.day} at ${hh(grid.peak.hour)} (${grid.peak.value} ${metric}), busiest day ${grid.busiest_day}, busiest hour ${hh(grid.busiest_hour)}`);
+  }
+  if (offsetMinutes !== 0) {
+    const shift = rounded ? `, shifted ${Math.round(offsetMinutes / 60)}h because hourly buckets cannot be split` : '';
+    log(`  ${DIM}Hours are ${timezone} at its current offset (${formatUtcOffset(offsetMinutes)}${shift}).${RESET}`);
   }
-  log(`  ${BOLD}Busiest day:${RESET} ${data.busiest_day}`);
-  log(`  ${BOLD}Busiest hour:${RESET} ${data.busiest_hour}:00`);
   log('');
 });
 
+// Inline JSON, or a path to a JSON file; `@path` (as in curl) is a path too.
 function parseJsonArgOrFile(value, flagName) {
   if (!value) error(`Missing value for ${flagName}`);
   let text = value;
   if (!value.trim().startsWith('{') && !value.trim().startsWith('[')) {
     try {
-      text = readFileSync(value, 'utf8');
+      text = readFileSync(value.startsWith('@') ? value.slice(1) : value, 'utf8');
     } catch (err) {
       error(`Could not read ${flagName} file: ${err.message}`);
     }
@@ -1225,48 +1791,21 @@ function normalizeCliStepsJson(value) {
   return steps;
 }
 
-function printFunnelHelp() {
-  log(`
-${BOLD}Usage${RESET}
-  npx @agent-analytics/cli funnel <project> [--steps-json <json-or-file> | --steps a,b | --from-context] [--json]
-
-${BOLD}Structured funnels${RESET} ${DIM}(canonical precision path)${RESET}
-  npx @agent-analytics/cli funnel shop --steps-json ./funnel.json --json
-  npx @agent-analytics/cli funnel shop --steps-json '[{"event":"page_view","filters":[{"field":"properties.path","op":"prefix","value":"/products"}]},{"event":"signup"}]' --json
-
-${BOLD}Quick modes${RESET}
-  npx @agent-analytics/cli funnel shop --steps page_view,signup,purchase --json
-  npx @agent-analytics/cli funnel shop --from-context --json
-  npx @agent-analytics/cli funnel shop --json   ${DIM}# uses project context activation_events when present${RESET}
-
-${BOLD}Options${RESET}
-  --steps <list>       Comma-separated event names; kept for compatibility
-  --steps-json <arg>   Inline JSON or path to JSON file. Use fields like properties.path with eq, in, contains, prefix
-  --from-context       Use project_context.activation_events as bare event steps
-  --json               Print the full structured API response
-  --window <hours>     Conversion window in hours (default: 168)
-  --since <value>      Lookback window, e.g. 1d, 7d, 30d
-  --count-by <basis>   user_id or session_id
-  --breakdown <key>    Property key to break down from step 1
-
-Structured funnel output includes raw_activity, strict_survivors, identity_basis, warnings, and caveats.
-Use funnel for sequential conversion, query for aggregate slicing/grouping, and paths for bounded session-local journey exploration.
-`);
-}
-
 const cmdFunnel = withApi(async (api, project, stepsStr, opts = {}) => {
-  if (project === '--help' || opts.help) {
-    printFunnelHelp();
-    return;
-  }
   if (!project) {
-    printFunnelHelp();
+    printCommandHelp('funnel');
     return;
   }
 
   const sourceCount = [!!stepsStr, !!opts.steps_json, !!opts.from_context].filter(Boolean).length;
   if (sourceCount > 1) error('--steps, --steps-json, and --from-context are mutually exclusive. Choose one funnel step source.');
 
+  // /funnel takes a lookback through now and no end date, so the comparison
+  // window of --compare cannot be run; say so instead of comparing wrong ranges.
+  if (opts.compare) {
+    error('funnel does not support --compare: /funnel only runs from --since through now, so a past window cannot be run.');
+  }
+
   const payload = {
     conversion_window_hours: opts.window ? parseInt(opts.window, 10) : undefined,
     since: opts.since,
@@ -1287,10 +1826,7 @@ const cmdFunnel = withApi(async (api, project, stepsStr, opts = {}) => {
 
   const data = await api.getFunnel(project, payload);
 
-  if (opts.jsonOutput) {
-    console.log(JSON.stringify(data, null, 2));
-    return;
-  }
+  if (printFormatted(data, { rows: data.steps || [], format: commandOutputFormat(opts.jsonOutput) })) return;
 
   heading(`Funnel: ${project}`);
   log('');
@@ -1362,6 +1898,14 @@ const cmdRetention = withApi(async (api, project, opts = {}) => {
     returning_event: opts.returning_event,
   });
 
+  const retentionPrefix = data.period === 'day' ? 'D' : data.period === 'month' ? 'M' : 'W';
+  const cohortRows = (data.cohorts || []).map((cohort) => {
+    const row = { cohort: cohort.date, users: cohort.users };
+    (cohort.rates || []).forEach((rate, index) => { row[`${retentionPrefix}${index}`] = rate; });
+    return row;
+  });
+  if (printFormatted(data, { rows: cohortRows })) return;
+
   const periodLabel = data.period === 'day' ? 'daily' : data.period + 'ly';
   heading(`Retention: ${project} (${periodLabel} cohorts)`);
   log('');
@@ -1388,7 +1932,7 @@ const cmdRetention = withApi(async (api, project, opts = {}) => {
         row += '      ';
       }
     }
-    log(row);
+    log(`${row}  ${DIM}${sparkline(c.rates, { min: 0, max: 1 })}${RESET}`);
   }
 
   if (data.average_rates && data.average_rates.length > 0) {
@@ -1401,6 +1945,20 @@ const cmdRetention = withApi(async (api, project, opts = {}) => {
     log(avgRow);
   }
 
+  if (data.average_rates?.length > 1) {
+    log('');
+    heading('Average retention curve:');
+    const curve = lineChart(data.average_rates.map((rate) => rate * 100), {
+      labels: data.average_rates.map((_, i) => `${prefix}${i}`),
+      min: 0,
+      max: 100,
+      height: 7,
+      format: (value) => `${Math.round(value)}%`,
+      paint: (text) => `${CYAN}${text}${RESET}`,
+    });
+    for (const line of curve) log(`  ${line}`);
+  }
+
   log('');
   log(`  ${DIM}${data.users_analyzed} users analyzed${RESET}`);
   log('');
@@ -1410,6 +1968,7 @@ const cmdProperties = withApi(async (api, project, days = 30) => {
   if (!project) error('Usage: npx @agent-analytics/cli properties <project-name> [--days N]');
 
   const data = await api.getProperties(project, days);
+  if (printFormatted(data, { rows: data.events || [] })) return;
 
   heading(`Properties: ${project}`);
   log('');
@@ -1433,6 +1992,7 @@ const cmdSessions = withApi(async (api, project, opts = {}) => {
   if (!project) error('Usage: npx @agent-analytics/cli sessions <project-name> [--days N] [--limit N]');
 
   const data = await api.getSessions(project, opts);
+  if (printFormatted(data, { rows: data.sessions || [] })) return;
 
   heading(`Sessions: ${project}`);
   log('');
@@ -1457,6 +2017,7 @@ const cmdQuery = withApi(async (api, project, opts = {}) => {
   --from      Start date (ISO, e.g. 2026-01-01)
   --to        End date (ISO)
   --days      Shorthand for --from (e.g. --days 30)
+  --compare   Also run the window previous, yoy, or <from>..<to> and show per-row changes
   --count-mode raw or session_then_user (default: raw event rows)
   --order-by  event_count, unique_users, session_count, date, event
   --order     asc or desc
@@ -1487,7 +2048,7 @@ ${BOLD}Examples:${RESET}
     }
   }
 
-  const data = await api.query(project, {
+  const request = {
     metrics,
     group_by,
     filters,
@@ -1498,7 +2059,32 @@ ${BOLD}Examples:${RESET}
     order: opts.order || undefined,
     limit: opts.limit,
     ...identityOptions(opts),
-  });
+  };
+
+  if (opts.compare) {
+    const keys = group_by || [];
+    // Dates never repeat across windows, so every row would be new or gone.
+    if (keys.includes('date')) error('--compare cannot group by date; each window has its own dates. Drop date from --group-by.');
+    await printPeriodComparison({
+      title: `Query: ${project}`,
+      compare: opts.compare,
+      window: { since: request.date_from, to: request.date_to },
+      fetchWindow: (window) => api.query(project, { ...request, date_from: window.from, date_to: window.to }),
+      rowsOf: (data) => data.rows || [],
+      keys,
+      // Without --metrics, compare every numeric column the API returned.
+      metrics: metrics || ((rows) => [...new Set(rows.flatMap((row) => Object.keys(row)
+        .filter((key) => !keys.includes(key) && typeof row[key] === 'number')))]),
+      limit: request.limit ?? QUERY_DEFAULT_LIMIT,
+      label: (row) => (keys.length ? keys.map((key) => row[key] ?? '(none)').join(' · ') : 'all'),
+      display: { bounce_rate: formatRate },
+    });
+    return;
+  }
+
+  const data = await api.query(project, request);
+
+  if (printFormatted(data, { rows: data.rows || [] })) return;
 
   heading(`Query: ${project}`);
   log('');
@@ -1525,6 +2111,7 @@ const cmdProject = withApi(async (api, target) => {
   if (!target) error('Usage: npx @agent-analytics/cli project <project-name-or-id>');
   const project = await resolveProject(api, target);
   const data = await api.getProject(project.id);
+  if (printFormatted(data)) return;
 
   heading(`Project: ${data.name}`);
   log('');
@@ -1597,7 +2184,7 @@ function logPortfolioContext(data) {
 
   if (goals.length === 0 && surfaceRoles.length === 0 && sharedMilestones.length === 0 && glossary.length === 0) {
     log('  No portfolio context stored.');
-    log(`${DIM}Use portfolio-context set --json '{...}' to define your shared growth system.${RESET}`);
+    log(`${DIM}Use portfolio-context set --data '{...}' to define your shared growth system.${RESET}`);
     log('');
     return;
   }
@@ -1633,57 +2220,65 @@ function logPortfolioContext(data) {
 
 const cmdContext = withApi(async (api, subcommand, project, opts = {}) => {
   if (!subcommand || !['get', 'set'].includes(subcommand)) {
-    error('Usage: npx @agent-analytics/cli context <get|set> <project> [--json \'{...}\']');
+    error('Usage: npx @agent-analytics/cli context <get|set> <project> [--data <json|file>] [--json]');
   }
   if (!project) {
     error(`Usage: npx @agent-analytics/cli context ${subcommand} <project>`);
   }
 
+  const format = commandOutputFormat(opts.jsonOutput);
   if (subcommand === 'get') {
     const data = await api.getProjectContext(project);
+    if (printFormatted(data, { format })) return;
     logProjectContext(data);
     return;
   }
 
-  if (!opts.json) {
-    error('Usage: npx @agent-analytics/cli context set <project> --json \'{"goals":[],"activation_events":[],"glossary":[]}\'');
-  }
-
-  let context;
-  try {
-    context = JSON.parse(opts.json);
-  } catch {
-    error('--json must be valid JSON');
+  const context = contextData('context set', opts);
+  if (!context) {
+    error('Usage: npx @agent-analytics/cli context set <project> --data \'{"goals":[],"activation_events":[],"glossary":[]}\'');
   }
 
   const data = await api.setProjectContext(project, context);
+  if (printFormatted(data, { format })) return;
   success(`Project context updated for ${data.project || project}`);
   logProjectContext(data);
 });
 
+/**
+ * The JSON body for `context set` and `portfolio-context set`, from `--data`
+ * (inline JSON or a file, like `--steps-json`). `--json` is the print-JSON
+ * switch here as everywhere else, so a JSON value after it is an old
+ * `--json '{...}'` call and gets pointed at `--data`.
+ */
+function contextData(command, opts) {
+  if (opts.jsonOutput && opts.extra?.length) {
+    error(`--json no longer takes the context for ${command}; it prints JSON like on other commands. Pass the context with --data '{...}' or --data <file>.`);
+  }
+  if (!opts.data) return null;
+  return parseJsonArgOrFile(opts.data, '--data');
+}
+
 const cmdPortfolioContext = withApi(async (subcommandApi, subcommand, opts = {}) => {
   if (!subcommand || !['get', 'set'].includes(subcommand)) {
-    error('Usage: npx @agent-analytics/cli portfolio-context <get|set> [--json \'{...}\']');
+    error('Usage: npx @agent-analytics/cli portfolio-context <get|set> [--data <json|file>] [--json]');
   }
 
+  const format = commandOutputFormat(opts.jsonOutput);
   if (subcommand === 'get') {
     const data = await subcommandApi.getPortfolioContext();
+    if (printFormatted(data, { format })) return;
     logPortfolioContext(data);
     return;
   }
 
-  if (!opts.json) {
-    error('Usage: npx @agent-analytics/cli portfolio-context set --json \'{"goals":[],"surface_roles":[],"shared_milestones":[],"glossary":[]}\'');
-  }
-
-  let context;
-  try {
-    context = JSON.parse(opts.json);
-  } catch {
-    error('--json must be valid JSON');
+  const context = contextData('portfolio-context set', opts);
+  if (!context) {
+    error('Usage: npx @agent-analytics/cli portfolio-context set --data \'{"goals":[],"surface_roles":[],"shared_milestones":[],"glossary":[]}\'');
   }
 
   const data = await subcommandApi.setPortfolioContext(context);
+  if (printFormatted(data, { format })) return;
   success('Portfolio context updated');
   logPortfolioContext(data);
 });
@@ -1693,6 +2288,14 @@ function parseProjectList(value) {
   return String(value).split(',').map((item) => item.trim()).filter(Boolean);
 }
 
+function portfolioMemberRows(data) {
+  const portfolio = data?.portfolio || data || {};
+  return (portfolio.members || []).map((member) => ({
+    portfolio: portfolio.slug || portfolio.id,
+    ...member,
+  }));
+}
+
 function logPortfolio(data) {
   const portfolio = data?.portfolio || data;
   if (!portfolio) {
@@ -1719,6 +2322,7 @@ const cmdPortfolios = withApi(async (api, subcommand = 'list', target, opts = {}
   if (subcommand === 'list') {
     const data = await api.listPortfolios();
     const portfolios = data.portfolios || [];
+    if (printFormatted(data, { rows: portfolios })) return;
     if (portfolios.length === 0) {
       log('No identity portfolios yet.');
       return;
@@ -1731,6 +2335,7 @@ const cmdPortfolios = withApi(async (api, subcommand = 'list', target, opts = {}
     const slug = target || opts.slug;
     if (!slug) error('Usage: npx @agent-analytics/cli portfolios create <slug> --name "Name" [--projects a,b]');
     const data = await api.createPortfolio({ slug, name: opts.name || slug, projects: parseProjectList(opts.projects), allow_move: Boolean(opts.move) });
+    if (printFormatted(data, { rows: portfolioMemberRows(data) })) return;
     success(`Portfolio ${data.portfolio?.slug || slug} created`);
     logPortfolio(data);
     return;
@@ -1739,13 +2344,16 @@ const cmdPortfolios = withApi(async (api, subcommand = 'list', target, opts = {}
   if (!target) error(`Usage: npx @agent-analytics/cli portfolios ${subcommand} <slug-or-id>`);
 
   if (subcommand === 'get') {
-    logPortfolio(await api.getPortfolio(target));
+    const data = await api.getPortfolio(target);
+    if (printFormatted(data, { rows: portfolioMemberRows(data) })) return;
+    logPortfolio(data);
     return;
   }
 
   if (subcommand === 'update') {
     if (!opts.name && !opts.projects) error('Provide --name and/or --projects to update');
     const data = await api.updatePortfolio(target, { name: opts.name, projects: opts.projects ? parseProjectList(opts.projects) : undefined, allow_move: Boolean(opts.move) });
+    if (printFormatted(data, { rows: portfolioMemberRows(data) })) return;
     success(`Portfolio ${data.portfolio?.slug || target} updated`);
     logPortfolio(data);
     return;
@@ -1757,12 +2365,158 @@ const cmdPortfolios = withApi(async (api, subcommand = 'list', target, opts = {}
   }
 });
 
+const WORKSPACE_LABELS = {
+  project: 'project',
+  project_context: 'project context',
+  experiment: 'experiment',
+  portfolio_context: 'portfolio context',
+  portfolio: 'portfolio',
+};
+
+function loadWorkspace(file) {
+  let text;
+  try {
+    text = readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') error(`Workspace file ${file} not found. Pass a path: npx @agent-analytics/cli plan <file>`);
+    error(`Could not read ${file}: ${err.message}`);
+  }
+  try {
+    return parseWorkspace(text, file);
+  } catch (err) {
+    error(`${file}: ${err.message}`);
+  }
+}
+
+function describePlanValue(value) {
+  if (value == null) return '(none)';
+  if (Array.isArray(value)) {
+    if (value.every((item) => item === null || typeof item !== 'object')) return `[${value.join(', ')}]`;
+    return `${value.length} item${value.length === 1 ? '' : 's'}`;
+  }
+  if (typeof value === 'object') return `{${Object.keys(value).join(', ')}}`;
+  return JSON.stringify(value);
+}
+
+function planRows(plan) {
+  return plan.changes.map((change) => ({
+    action: change.action,
+    type: change.type,
+    target: change.target,
+    fields: change.changes.map((field) => field.field).join(','),
+  }));
+}
+
+function printWorkspacePlan(file, plan) {
+  heading(`Plan: ${file}`);
+  log('');
+  if (plan.changes.length === 0) {
+    log('  No changes. The account matches the workspace file.');
+  }
+  for (const change of plan.changes) {
+    const symbol = change.action === 'create' ? `${GREEN}+${RESET}` : `${YELLOW}~${RESET}`;
+    log(`  ${symbol} ${BOLD}${WORKSPACE_LABELS[change.type]} ${change.target}${RESET}`);
+    for (const field of change.changes) {
+      const value = change.action === 'create'
+        ? describePlanValue(field.to)
+        : `${DIM}${describePlanValue(field.from)}${RESET} → ${describePlanValue(field.to)}`;
+      log(`      ${field.field}: ${value}`);
+    }
+  }
+  for (const warning of plan.warnings) log(`  ${YELLOW}!${RESET} ${warning}`);
+  log('');
+  log(`  ${BOLD}Plan:${RESET} ${plan.summary.create} to add, ${plan.summary.update} to change, ${plan.unchanged} unchanged.`);
+  if (plan.unmanaged_projects.length > 0) {
+    log(`  ${DIM}Not in this file, left alone: ${plan.unmanaged_projects.join(', ')}${RESET}`);
+  }
+  log('');
+}
+
+async function confirmPrompt(question) {
+  if (shellSession?.rl) return /^y(es)?$/i.test((await shellSession.rl.question(question)).trim());
+  const rl = createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return /^y(es)?$/i.test((await rl.question(question)).trim());
+  } finally {
+    rl.close();
+  }
+}
+
+const cmdPlan = withApi(async (api, file = DEFAULT_WORKSPACE_FILE) => {
+  const workspace = loadWorkspace(file);
+  const plan = planWorkspace(workspace, await readWorkspaceState(api, workspace));
+  if (printFormatted({ file, ...plan }, { rows: planRows(plan) })) return;
+  printWorkspacePlan(file, plan);
+  if (plan.changes.length > 0) log(`${DIM}Run ${CYAN}npx @agent-analytics/cli apply ${file}${RESET}${DIM} to make these changes.${RESET}\n`);
+});
+
+const cmdApply = withApi(async (api, file = DEFAULT_WORKSPACE_FILE, opts = {}) => {
+  const workspace = loadWorkspace(file);
+  const plan = planWorkspace(workspace, await readWorkspaceState(api, workspace));
+  const machine = outputFormat !== 'text';
+  if (!machine) printWorkspacePlan(file, plan);
+  if (plan.changes.length === 0) {
+    if (machine) printFormatted({ file, applied: [], warnings: plan.warnings }, { rows: [] });
+    return;
+  }
+
+  if (!opts.yes) {
+    if (machine || !process.stdin.isTTY) error('apply changes the account, so it asks for confirmation. Review the plan and pass --yes to apply without a prompt.');
+    if (!await confirmPrompt(`Apply ${plan.changes.length} change${plan.changes.length === 1 ? '' : 's'}? [y/N] `)) {
+      log('Cancelled. Nothing was changed.');
+      return;
+    }
+  }
+
+  const applied = [];
+  try {
+    await applyWorkspacePlan(api, plan, {
+      onChange: (change) => {
+        applied.push(change);
+        if (!machine) success(`${WORKSPACE_LABELS[change.type]} ${change.target} ${change.action === 'create' ? 'created' : 'updated'}`);
+      },
+    });
+  } catch (err) {
+    warnStderr(`Applied ${applied.length} of ${plan.changes.length} changes before this failure; run plan again to see what is left.`);
+    throw err;
+  }
+  if (printFormatted({ file, applied, warnings: plan.warnings }, { rows: planRows({ changes: applied }) })) return;
+  log('');
+  success(`Applied ${applied.length} change${applied.length === 1 ? '' : 's'} from ${file}`);
+});
+
+const cmdExportConfig = withApi(async (api, opts = {}) => {
+  if (!opts.out && !['text', 'json'].includes(outputFormat)) error('export-config prints YAML, or JSON with --format json; use --out <file> to write a file');
+  const doc = buildWorkspaceDocument(await readAccount(api), { redact: opts.redact });
+  const json = opts.out ? /\.json$/i.test(opts.out) : outputFormat === 'json';
+  const text = json ? `${JSON.stringify(doc, null, 2)}\n` : stringifyYaml(doc);
+  if (!opts.out) {
+    process.stdout.write(text);
+    return;
+  }
+
+  writeFileSync(opts.out, text);
+  const projects = doc.projects || [];
+  const counts = {
+    projects: projects.length,
+    experiments: projects.reduce((sum, project) => sum + (project.experiments?.length || 0), 0),
+    portfolios: doc.portfolios?.length || 0,
+  };
+  if (printFormatted({ file: opts.out, ...counts, redacted: Boolean(opts.redact) })) return;
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  success(`Wrote ${plural(counts.projects, 'project')}, ${plural(counts.experiments, 'experiment')}, and ${plural(counts.portfolios, 'portfolio')} to ${opts.out}`);
+  if (!opts.redact && projects.some((project) => project.project_token)) {
+    log(`${DIM}The file includes project tokens. Pass --redact before checking it in.${RESET}`);
+  }
+});
+
 const cmdUpdate = withApi(async (api, target, opts = {}) => {
   if (!target) error('Usage: npx @agent-analytics/cli update <project-name-or-id> [--name new-name] [--origins "https://example.com"]');
   if (!opts.name && !opts.allowed_origins) error('Provide --name and/or --origins to update');
 
   const project = await resolveProject(api, target);
   const data = await api.updateProject(project.id, opts);
+  if (printFormatted(data)) return;
   success(`Project ${data.name || project.name || target} updated`);
   if (opts.name) log(`  ${DIM}name:${RESET} ${data.name}`);
   if (opts.allowed_origins) log(`  ${DIM}origins:${RESET} ${data.allowed_origins}`);
@@ -1806,19 +2560,271 @@ const cmdFeedback = withApi(async (api, opts = {}) => {
   log('');
 });
 
-function formatExpiry(value) {
-  if (!value) return 'N/A';
-  const timestamp = typeof value === 'number' ? value : Number(value);
-  if (!Number.isFinite(timestamp)) return String(value);
-  const date = new Date(timestamp);
+// Events are sent with the project token, looked up through the agent session
+// unless --project-token is given (e.g. a server job without a CLI login).
+async function ingestionTarget(project, projectToken) {
+  if (projectToken) return { project, token: projectToken };
+  const api = await requireClient();
+  const match = await resolveProject(api, project);
+  if (!match.project_token) {
+    error(`Project "${project}" has no project token. Run: npx @agent-analytics/cli project ${project}`);
+  }
+  return { project: match.name, token: match.project_token };
+}
+
+function ingestionClient() {
+  return new AgentAnalyticsAPI(null, getBaseUrl(), apiClientOptions());
+}
+
+async function cmdTrack(project, eventName, opts = {}) {
+  if (!project || !eventName || eventName.startsWith('--')) {
+    error('Usage: npx @agent-analytics/cli track <project> <event> [--properties \'{"plan":"pro"}\'] [--user-id <id>] [--session-id <id>] [--timestamp <iso|ms>] [--project-token <token>]');
+  }
+
+  const properties = opts.properties ? parseJsonArgOrFile(opts.properties, '--properties') : undefined;
+  const { event, error: invalid } = normalizeEvent({
+    event: eventName,
+    properties,
+    user_id: opts.user_id,
+    session_id: opts.session_id,
+    timestamp: opts.timestamp,
+  });
+  if (invalid) error(`Invalid event: ${invalid}`);
+
+  try {
+    const target = await ingestionTarget(project, opts.project_token);
+    const data = await ingestionClient().track({ project: target.project, token: target.token, ...event });
+    if (printFormatted(data)) return;
+    success(`Tracked ${BOLD}${event.event}${RESET} for ${target.project}`);
+  } catch (err) {
+    error(requestErrorMessage(err));
+  }
+}
+
+function logImportErrors(errors, limit = 10) {
+  for (const { line, message } of errors.slice(0, limit)) {
+    log(`  ${RED}✗${RESET} line ${line}: ${message}`);
+  }
+  if (errors.length > limit) log(`  ${DIM}...and ${errors.length - limit} more${RESET}`);
+}
+
+function printImportPreview(summary, prepared, { source, limit = 5 }) {
+  const sample = prepared.events.slice(0, limit);
+  const counts = {};
+  for (const event of prepared.events) counts[event.event] = (counts[event.event] || 0) + 1;
+  const eventCounts = Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([event, count]) => ({ event, count }));
+
+  if (printFormatted({ ...summary, source, preview: true, event_counts: eventCounts, sample, errors: prepared.errors }, { rows: sample })) return;
+
+  heading(`Import preview: ${summary.project} ${DIM}(from ${source})${RESET}`);
+  log(`  ${BOLD}Rows:${RESET} ${summary.rows}  ${BOLD}Valid:${RESET} ${summary.valid}  ${BOLD}Duplicates:${RESET} ${summary.duplicates}  ${BOLD}Invalid:${RESET} ${summary.invalid}`);
+  log('');
+  heading('Events');
+  for (const { event, count } of eventCounts) log(`  ${CYAN}${event}${RESET}  ${count}`);
+  log('');
+  heading(`First ${sample.length} event(s) as they would be sent`);
+  for (const event of sample) log(`  ${JSON.stringify(event)}`);
+  if (prepared.errors.length > 0) {
+    log('');
+    logImportErrors(prepared.errors);
+  }
+  log('');
+  log(`${DIM}Nothing was sent. Adjust fields with --map target=source, then run without --preview.${RESET}`);
+}
+
+async function cmdImport(project, opts = {}) {
+  const usage = 'Usage: npx @agent-analytics/cli import <project> --file <events.ndjson|events.csv|-> [--from ga4|plausible|posthog] [--map target=source,...] [--preview] [--input-format ndjson|csv] [--dedupe-key <field>] [--batch-size <n>] [--dry-run] [--skip-invalid] [--project-token <token>]';
+  if (!project || project.startsWith('--') || !opts.file) error(usage);
+
+  const format = opts.input_format || detectInputFormat(opts.file);
+  if (opts.map && !opts.from) error(`--map needs --from (${IMPORT_SOURCES.join(', ')})`);
+  let source;
+  if (opts.from) {
+    try {
+      const fieldMap = parseFieldMap(/\.json$/i.test(opts.map || '') || opts.map?.trim().startsWith('{')
+        ? parseJsonArgOrFile(opts.map, '--map')
+        : opts.map);
+      source = createImporter(opts.from, fieldMap);
+    } catch (err) {
+      error(err.message);
+    }
+  }
+  const batchSize = opts.batch_size ?? MAX_BATCH_SIZE;
+
+  let text;
+  try {
+    text = readFileSync(opts.file === '-' ? 0 : opts.file, 'utf8');
+  } catch (err) {
+    error(`Could not read ${opts.file}: ${err.message}`);
+  }
+
+  const prepared = prepareImport(text, { format, dedupeField: opts.dedupe_key, source });
+  const summary = {
+    project,
+    rows: prepared.rows,
+    valid: prepared.events.length,
+    duplicates: prepared.duplicates,
+    invalid: prepared.errors.length,
+  };
+
+  if (opts.preview) {
+    printImportPreview(summary, prepared, { source: opts.from || format, limit: opts.limit });
+    return;
+  }
+
+  if (opts.dry_run) {
+    const result = { ...summary, dry_run: true, errors: prepared.errors };
+    if (!printFormatted(result, { rows: prepared.errors })) {
+      heading(`Import dry run: ${project}`);
+      log(`  ${BOLD}Rows:${RESET}       ${summary.rows}`);
+      log(`  ${BOLD}Valid:${RESET}      ${summary.valid}`);
+      log(`  ${BOLD}Duplicates:${RESET} ${summary.duplicates}`);
+      log(`  ${BOLD}Invalid:${RESET}    ${summary.invalid}`);
+      logImportErrors(prepared.errors);
+      log(`${DIM}Nothing was sent. ${Math.ceil(summary.valid / batchSize)} batch(es) of up to ${batchSize} events would be sent.${RESET}`);
+    }
+    if (prepared.errors.length > 0) exitCommand(1);
+    return;
+  }
+
+  if (prepared.errors.length > 0 && !opts.skip_invalid) {
+    logImportErrors(prepared.errors);
+    error(`${prepared.errors.length} invalid row(s) in ${opts.file}; nothing was sent. Fix them or pass --skip-invalid.`);
+  }
+  if (prepared.events.length === 0) error(`No events to import from ${opts.file}`);
+
+  let result;
+  try {
+    const target = await ingestionTarget(project, opts.project_token);
+    result = await sendBatches(ingestionClient(), prepared.events, {
+      project: target.project,
+      token: target.token,
+      batchSize,
+      onProgress: ({ sent, total, batch, batches }) => {
+        logStderr(`${DIM}  sent ${sent}/${total} events (batch ${batch}/${batches})${RESET}`);
+      },
+    });
+  } catch (err) {
+    error(requestErrorMessage(err));
+  }
+
+  if (result.error) {
+    error(`Batch ${result.completed + 1}/${result.batches} failed: ${requestErrorMessage(result.error)}. ${result.sent} event(s) were sent before it; re-running the import is safe because every event carries an event_id dedupe key.`);
+  }
+
+  const data = { ...summary, sent: result.sent, batches: result.batches };
+  if (printFormatted(data)) return;
+  success(`Imported ${result.sent} event(s) into ${project} in ${result.batches} batch(es)`);
+  if (summary.duplicates) log(`  ${DIM}skipped ${summary.duplicates} duplicate row(s)${RESET}`);
+  if (summary.invalid) log(`  ${DIM}skipped ${summary.invalid} invalid row(s)${RESET}`);
+}
+
+const cmdExport = withApi(async (api, project, opts = {}) => {
+  const usage = 'Usage: npx @agent-analytics/cli export <project> --from YYYY-MM-DD [--to YYYY-MM-DD] --out <events.ndjson.gz> [--page-size N] [--restart]';
+  if (!project || project.startsWith('--') || !opts.from || !opts.out) error(usage);
+
+  let from;
+  let to;
+  try {
+    from = parseExportDate(opts.from, '--from');
+    to = parseExportDate(opts.to || new Date().toISOString().slice(0, 10), '--to');
+  } catch (err) {
+    error(err.message);
+  }
+  if (from > to) error('--from must not be after --to');
+  const pageSize = opts.page_size ?? DEFAULT_EXPORT_PAGE_SIZE;
+
+  let result;
+  let started = false;
+  try {
+    result = await runExport({
+      fetchPage: ({ since, until, limit }) => {
+        started = true;
+        return api.getEvents(project, { since, until, limit });
+      },
+      project,
+      from,
+      to,
+      out: opts.out,
+      pageSize,
+      restart: opts.restart,
+      onProgress: ({ day, rows, dayRows }) => {
+        logStderr(`${DIM}  ${day}: ${dayRows} events (${rows} total)${RESET}`);
+      },
+    });
+  } catch (err) {
+    if (started) warnStderr(`Export stopped. Progress is saved in ${checkpointFileFor(opts.out)}; run the same command to resume.`);
+    throw err;
+  }
+
+  // /stats only takes a lookback in days, so ask for enough days to cover --from.
+  const lookback = Math.floor((Date.now() - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000)) + 1;
+  let stats = null;
+  try {
+    stats = await api.getStats(project, lookback);
+  } catch (err) {
+    warnStderr(`Could not load stats to reconcile row counts: ${requestErrorMessage(err)}`);
+  }
+  const reconciliation = reconcileWithStats(from, to, result.days, stats);
+
+  const data = {
+    project,
+    from,
+    to,
+    out: opts.out,
+    rows: result.rows,
+    bytes: result.bytes,
+    resumed: result.resumed,
+    stats_total: reconciliation.stats_total,
+    reconciled: reconciliation.reconciled,
+    days: reconciliation.days,
+  };
+  if (printFormatted(data, { rows: reconciliation.days })) return;
+
+  success(`Exported ${result.rows} event(s) from ${project} (${from} to ${to}) to ${opts.out}${result.resumed ? ' (resumed)' : ''}`);
+  if (!stats) return;
+  const mismatched = reconciliation.days.filter((day) => day.diff !== 0);
+  if (mismatched.length === 0) {
+    log(`  ${DIM}Matches stats: ${reconciliation.stats_total} events${RESET}`);
+    return;
+  }
+  warn(`Row counts differ from stats on ${mismatched.length} day(s):`);
+  for (const day of mismatched) {
+    log(`  ${day.date}  exported ${day.exported}  stats ${day.stats}`);
+  }
+  log(`  ${DIM}Late-arriving events can change recent days; rerun with --restart to refresh them.${RESET}`);
+});
+
+function formatExpiry(value) {
+  if (!value) return 'N/A';
+  const timestamp = typeof value === 'number' ? value : Number(value);
+  if (!Number.isFinite(timestamp)) return String(value);
+  const date = new Date(timestamp);
   if (Number.isNaN(date.getTime())) return String(value);
   return date.toISOString();
 }
 
+// Session metadata for the credentials in use: the environment wins over config.
+function activeAgentSession(config = getConfig()) {
+  return getEnvironmentAuth()?.session || config.agent_session || {};
+}
+
+function missingScopesMessage(commandArgs, label) {
+  const required = requiredScopesForCommand(commandArgs);
+  if (required.length === 0) return null;
+  const granted = activeAgentSession().scopes;
+  const missing = missingScopes(granted, required);
+  if (missing.length === 0) return null;
+  return `This agent session is missing ${missing.join(', ')}, which ${label} needs. Log in with a wider scope set: ${cliInvocationWithConfig()} login --scopes ${[...granted, ...missing].join(',')}`;
+}
+
 function logAuthDiagnostics(config = getConfig()) {
   const location = getConfigLocation();
-  const session = config.agent_session || {};
+  const session = activeAgentSession(config);
   log(`  ${BOLD}Config:${RESET}  ${location.file}`);
+  log(`  ${BOLD}Profile:${RESET} ${getActiveProfile().name}`);
   log(`  ${BOLD}Storage:${RESET} ${location.label}`);
   log(`  ${BOLD}Auth:${RESET}    ${getAuthSource(config)}`);
   log(`  ${BOLD}Access expires:${RESET}  ${formatExpiry(session.access_expires_at)}`);
@@ -1828,12 +2834,19 @@ function logAuthDiagnostics(config = getConfig()) {
 function hasAgentSession(config = {}) {
   const session = config.agent_session;
   if (!session || typeof session !== 'object') return false;
-  if (session.storage === 'native') return true;
+  if (session.storage === 'native' || session.encrypted) return true;
   return Boolean(session.access_token || session.refresh_token);
 }
 
 function credentialStorageStatus(config = {}) {
   const session = config.agent_session;
+  if (getEnvironmentAuth()) {
+    return {
+      loggedIn: true,
+      storage: 'environment (not saved)',
+      secretsInConfig: 'no',
+    };
+  }
   if (!hasAgentSession(config)) {
     return {
       loggedIn: false,
@@ -1852,6 +2865,17 @@ function credentialStorageStatus(config = {}) {
     return status;
   }
 
+  if (session.storage === 'encrypted-file') {
+    const passphrase = session.encrypted?.kdf?.name === 'scrypt';
+    const status = {
+      loggedIn: true,
+      storage: 'encrypted file',
+      secretsInConfig: passphrase ? 'encrypted (passphrase)' : 'encrypted (key file)',
+    };
+    if (!passphrase) status.keyFile = credentialKeyFile(session.encrypted);
+    return status;
+  }
+
   return {
     loggedIn: true,
     storage: 'file/config',
@@ -1861,6 +2885,7 @@ function credentialStorageStatus(config = {}) {
 
 const cmdWhoami = withApi(async (api) => {
   const data = await api.getAccount();
+  if (printFormatted(data)) return;
   heading('Account');
   log(`  ${BOLD}Email:${RESET}    ${data.email}`);
   log(`  ${BOLD}GitHub:${RESET}   ${data.github_login || 'N/A'}`);
@@ -1875,26 +2900,125 @@ const cmdWhoami = withApi(async (api) => {
   log('');
 });
 
-function cmdAuth(sub) {
+function agentSessionRows(data) {
+  const sessions = data?.agent_sessions || data?.sessions || [];
+  const currentId = activeAgentSession().id || null;
+  return sessions.map((session) => ({
+    id: session.id,
+    current: Boolean(currentId && session.id === currentId),
+    label: session.label || session.client_name || null,
+    client_type: session.client_type || null,
+    scopes: Array.isArray(session.scopes) ? session.scopes : [],
+    created_at: session.created_at ?? null,
+    last_used_at: session.last_used_at ?? null,
+    expires_at: session.refresh_expires_at ?? session.expires_at ?? null,
+    revoked_at: session.revoked_at ?? null,
+  }));
+}
+
+async function revokeSessionIds(api, ids) {
+  const revoked = [];
+  const failed = [];
+  for (const id of ids) {
+    try {
+      await api.revokeAgentSession(id);
+      revoked.push(id);
+    } catch (err) {
+      failed.push({ id, error: requestErrorMessage(err) });
+    }
+  }
+  return { revoked, failed };
+}
+
+const cmdAuthSessions = withApi(async (api, sub = 'list', target, { allExceptCurrent = false } = {}) => {
+  const usage = 'Usage: npx @agent-analytics/cli auth sessions <list|revoke <session_id>|revoke --all-except-current>';
+
+  if (sub === 'list') {
+    const data = await api.listAgentSessions();
+    const rows = agentSessionRows(data);
+    if (printFormatted(data, { rows })) return;
+    heading('Agent Sessions');
+    log('');
+    if (ifEmpty(rows, 'agent sessions')) return;
+    for (const row of rows) {
+      const marker = row.current ? `  ${GREEN}(this CLI)${RESET}` : '';
+      const status = row.revoked_at ? `  ${DIM}revoked${RESET}` : '';
+      log(`  ${BOLD}${row.label || 'Unnamed session'}${RESET}  ${DIM}${row.id}${RESET}${marker}${status}`);
+      log(`    ${DIM}client:${RESET}    ${row.client_type || 'N/A'}`);
+      log(`    ${DIM}scopes:${RESET}    ${row.scopes.length ? row.scopes.join(', ') : 'N/A'}`);
+      log(`    ${DIM}created:${RESET}   ${formatExpiry(row.created_at)}`);
+      log(`    ${DIM}last used:${RESET} ${formatExpiry(row.last_used_at)}`);
+      log(`    ${DIM}expires:${RESET}   ${formatExpiry(row.expires_at)}`);
+    }
+    log('');
+    return;
+  }
+
+  if (sub !== 'revoke' || (!target && !allExceptCurrent)) error(usage);
+
+  let ids;
+  if (allExceptCurrent) {
+    const currentId = activeAgentSession().id;
+    if (!currentId) {
+      error('Cannot tell which session belongs to this CLI. Run: npx @agent-analytics/cli login, then retry.');
+    }
+    const rows = agentSessionRows(await api.listAgentSessions());
+    ids = rows.filter((row) => !row.current && !row.revoked_at).map((row) => row.id);
+  } else {
+    ids = [target];
+  }
+
+  const result = await revokeSessionIds(api, ids);
+  if (printFormatted(result, { rows: [
+    ...result.revoked.map((id) => ({ id, revoked: true, error: null })),
+    ...result.failed.map(({ id, error: message }) => ({ id, revoked: false, error: message })),
+  ] })) {
+    if (result.failed.length > 0) exitCommand(1);
+    return;
+  }
+
+  if (ids.length === 0) {
+    success('No other agent sessions to revoke');
+    return;
+  }
+  for (const id of result.revoked) success(`Revoked ${id}`);
+  if (result.revoked.includes(activeAgentSession().id)) {
+    warn('That was the session this CLI uses. Run: npx @agent-analytics/cli login');
+  }
+  if (result.failed.length > 0) {
+    for (const { id, error: message } of result.failed) log(`${RED}✗${RESET} ${id}: ${message}`);
+    exitCommand(1);
+  }
+});
+
+function cmdAuth(sub, rest = [], opts = {}) {
+  if (sub === 'sessions') {
+    return cmdAuthSessions(rest[0], rest[1], opts);
+  }
   if (sub !== 'status') {
-    error('Usage: npx @agent-analytics/cli auth status');
+    error('Usage: npx @agent-analytics/cli auth <status|sessions>');
   }
 
   const location = getConfigLocation();
+  const profile = getActiveProfile();
   const config = getConfig();
-  const session = config.agent_session || {};
+  const session = activeAgentSession(config);
   const storageStatus = credentialStorageStatus(config);
 
   heading('Auth Status');
   log(`  ${BOLD}Config dir:${RESET}         ${location.dir}`);
   log(`  ${BOLD}Config file:${RESET}        ${location.file}`);
   log(`  ${BOLD}Config source:${RESET}      ${location.label}`);
+  log(`  ${BOLD}Profile:${RESET}            ${profile.name} ${DIM}(${profile.label})${RESET}`);
   log(`  ${BOLD}Logged in:${RESET}          ${storageStatus.loggedIn ? 'yes' : 'no'}`);
   log(`  ${BOLD}Auth:${RESET}        ${getAuthSource(config)}`);
   log(`  ${BOLD}Credential storage:${RESET} ${storageStatus.storage}`);
   if (storageStatus.account) {
     log(`  ${BOLD}Credential account:${RESET} ${storageStatus.account}`);
   }
+  if (storageStatus.keyFile) {
+    log(`  ${BOLD}Key file:${RESET}           ${storageStatus.keyFile}`);
+  }
   log(`  ${BOLD}Secrets in config:${RESET}  ${storageStatus.secretsInConfig}`);
   log('');
 
@@ -1913,11 +3037,70 @@ function cmdAuth(sub) {
   log('');
 }
 
+async function cmdMcp() {
+  const server = createMcpServer({
+    serverInfo: { name: 'agent-analytics', version: CLI_VERSION },
+    async getClient() {
+      if (demoMode) return createDemoApiClient();
+      const auth = await getStoredAuth();
+      if (!auth) throw new Error('Not logged in. Run: npx @agent-analytics/cli login');
+      return createApiClient(auth);
+    },
+    checkTool(tool) {
+      if (isDemoMutation(tool.command[0], tool.command)) {
+        return `Demo mode is read-only; ${tool.name} is not available. Use read tools like stats, paths, funnel, or list_experiments.`;
+      }
+      return demoMode ? null : missingScopesMessage(tool.command, tool.name);
+    },
+    formatError: requestErrorMessage,
+  });
+  logStderr(`${DIM}Agent Analytics MCP server ${CLI_VERSION} on stdio${demoMode ? ' (demo, read-only)' : ''}${RESET}`);
+  await serveStdio(server);
+}
+
+// ==================== PROFILES ====================
+
+async function cmdProfiles(sub = 'list', name, opts = {}) {
+  if (sub === 'list') {
+    const profiles = listProfiles();
+    if (printFormatted({ profiles }, { rows: profiles })) return;
+    heading('Profiles');
+    for (const profile of profiles) {
+      const marker = profile.active ? `${GREEN}●${RESET}` : `${DIM}○${RESET}`;
+      const account = profile.github_login || profile.email;
+      const status = profile.logged_in ? `${account ? `as ${account}` : 'logged in'}` : `${DIM}not logged in${RESET}`;
+      log(`  ${marker} ${BOLD}${profile.name}${RESET}  ${status}  ${DIM}${profile.base_url || DEFAULT_BASE_URL}${RESET}`);
+    }
+    log('');
+    return;
+  }
+
+  if (sub === 'use') {
+    if (!name) error('Usage: npx @agent-analytics/cli profiles use <name> [--base-url <url>]');
+    if (!isValidProfileName(name)) error(`Invalid profile name "${name}". Use letters, numbers, dots, dashes, or underscores.`);
+    const profile = useProfile(name, { baseUrl: opts.base_url });
+    success(`Active profile: ${BOLD}${profile.name}${RESET}`);
+    if (opts.base_url) log(`  ${DIM}base URL:${RESET} ${opts.base_url}`);
+    if (!profile.logged_in) log(`${DIM}Log in to this profile with: npx @agent-analytics/cli login${RESET}`);
+    return;
+  }
+
+  if (sub === 'remove') {
+    if (!name) error('Usage: npx @agent-analytics/cli profiles remove <name>');
+    const removed = await removeProfile(name);
+    if (!removed) error(`Profile "${name}" not found. Run: npx @agent-analytics/cli profiles list`);
+    success(`Profile ${name} removed`);
+    return;
+  }
+
+  error('Usage: npx @agent-analytics/cli profiles <list|use|remove> [name] [--base-url <url>]');
+}
+
 // ==================== LIVE ====================
 
 const cmdLive = withApi(async (api, project, opts = {}) => {
-  const interval = parseInt(opts.interval || '5', 10);
-  const windowSec = parseInt(opts.window || '60', 10);
+  const interval = opts.interval ?? 5;
+  const windowSec = opts.window ?? 60;
 
   // Get project list
   const { projects } = await api.listProjects();
@@ -1935,13 +3118,14 @@ const cmdLive = withApi(async (api, project, opts = {}) => {
   }
 
   const projectNames = targetProjects.map(p => p.name);
+  const machineOutput = outputFormat !== 'text';
 
   // Hide cursor
-  process.stdout.write('\x1b[?25l');
+  if (!machineOutput) process.stdout.write('\x1b[?25l');
 
   // Restore cursor on exit
   const cleanup = () => {
-    process.stdout.write('\x1b[?25h\n');
+    if (!machineOutput) process.stdout.write('\x1b[?25h\n');
     process.exit(0);
   };
   process.on('SIGINT', cleanup);
@@ -1959,6 +3143,13 @@ const cmdLive = withApi(async (api, project, opts = {}) => {
       })
     );
 
+    // Machine formats emit one snapshot per refresh instead of redrawing the screen
+    if (machineOutput) {
+      printFormatted({ timestamp: new Date().toISOString(), window: windowSec, projects: snapshots }, { rows: snapshots });
+      await new Promise(r => setTimeout(r, interval * 1000));
+      continue;
+    }
+
     // Aggregate totals
     let totalVisitors = 0, totalSessions = 0, totalEpm = 0;
     const allPages = [];
@@ -2039,16 +3230,225 @@ const cmdLive = withApi(async (api, project, opts = {}) => {
   }
 });
 
+// ==================== SHELL ====================
+
+const SHELL_HISTORY_SIZE = 500;
+// These take over the terminal or change the login the shell is holding.
+const SHELL_UNAVAILABLE = new Set(['shell', 'mcp', 'login', 'logout', 'live', 'profiles']);
+
+function shellHistoryFile() {
+  return join(getConfigLocation().dir, 'shell_history');
+}
+
+function readShellHistory() {
+  try {
+    return readFileSync(shellHistoryFile(), 'utf8').split('\n').filter(Boolean).reverse().slice(0, SHELL_HISTORY_SIZE);
+  } catch {
+    return [];
+  }
+}
+
+function saveShellHistory(history) {
+  try {
+    mkdirSync(getConfigLocation().dir, { recursive: true });
+    writeFileSync(shellHistoryFile(), `${[...history].slice(0, SHELL_HISTORY_SIZE).reverse().join('\n')}\n`, { mode: 0o600 });
+  } catch {
+    // History is a convenience; a read-only config dir should not fail the shell.
+  }
+}
+
+function printShellHelp() {
+  heading('Shell');
+  log(`  Type any command without the ${CYAN}npx @agent-analytics/cli${RESET} prefix, e.g. ${CYAN}stats my-site --days 30${RESET}`);
+  log(`  ${CYAN}use${RESET} <project>      Fill in this project for commands that take one (${CYAN}use --clear${RESET} to stop)`);
+  log(`  ${CYAN}help${RESET} [command]      List every command, or one command's options`);
+  log(`  ${CYAN}exit${RESET}                Leave the shell (or Ctrl+D)`);
+  log(`  ${DIM}Tab completes commands, flags, project names, and event names. --format applies to one line.${RESET}`);
+  log('');
+}
+
+// Projects, and event and property names per project, fetched once for completion.
+function shellLookup(api) {
+  let projects = null;
+  const properties = new Map();
+  const propertiesFor = (project) => {
+    if (!properties.has(project)) properties.set(project, api.getProperties(project).catch(() => ({})));
+    return properties.get(project);
+  };
+  return async (kind, project) => {
+    if (kind === 'project') {
+      projects ??= api.listProjects().then((data) => (data.projects || []).map((p) => p.name), () => null);
+      return (await projects) || [];
+    }
+    const data = await propertiesFor(project);
+    return kind === 'event' ? (data.events || []).map((e) => e.event) : data.property_keys || [];
+  };
+}
+
+async function shellUse(words, lookup) {
+  const [target] = words;
+  if (!target) {
+    log(shellSession.project ? `Using ${BOLD}${shellSession.project}${RESET}` : 'No project selected. Run: use <project>');
+    return;
+  }
+  if (target === '--clear') {
+    shellSession.project = null;
+    return;
+  }
+  const projects = await lookup('project');
+  if (projects.length > 0 && !projects.includes(target)) {
+    log(`${RED}✗${RESET} Project "${target}" not found. Projects: ${projects.join(', ')}`);
+    return;
+  }
+  shellSession.project = target;
+  success(`Using ${target}`);
+}
+
+// Runs one line; returns false when the line ends the session.
+async function runShellLine(line, { lookup, defaultFormat }) {
+  let words;
+  try {
+    words = splitCommandLine(line.trim());
+  } catch (err) {
+    log(`${RED}✗${RESET} ${err.message}`);
+    return;
+  }
+  if (words.length === 0) return;
+  const [name, ...rest] = words;
+
+  if (name === 'exit' || name === 'quit') return false;
+  if (name === 'use') {
+    await shellUse(rest, lookup);
+    return;
+  }
+  if (name === 'help' && !commandNames().includes(rest[0])) {
+    showHelp();
+    printShellHelp();
+    return;
+  }
+  if (SHELL_UNAVAILABLE.has(name) || (name === 'events' && rest.includes('--follow'))) {
+    log(`${RED}✗${RESET} ${name === 'events' ? 'events --follow' : name} is not available inside the shell; run it from your terminal.`);
+    return;
+  }
+
+  const formatAt = words.findIndex((word, i) => optionAt(words, i, '--format'));
+  if (formatAt > -1) {
+    const { value, words: used } = optionAt(words, formatAt, '--format');
+    const format = normalizeOutputFormat(value);
+    if (!format) {
+      log(`${RED}✗${RESET} Unknown output format: ${value ?? ''}. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+      return;
+    }
+    outputFormat = format;
+    words.splice(formatAt, used);
+  }
+
+  shellSession.failure = null;
+  try {
+    await runCommand(withStickyProject(words, shellSession.project));
+  } catch (err) {
+    if (!(err instanceof CommandExit)) {
+      printUpgradeLinkHint(err);
+      log(`${RED}✗${RESET} ${requestErrorMessage(err)}`);
+    }
+  } finally {
+    outputFormat = defaultFormat;
+  }
+}
+
+async function cmdShell() {
+  const api = await requireClient();
+  const terminal = Boolean(process.stdin.isTTY);
+  const lookup = shellLookup(api);
+  const rl = createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal,
+    history: terminal ? readShellHistory() : [],
+    historySize: SHELL_HISTORY_SIZE,
+    completer: (line) => completeLine(line, { project: shellSession.project, lookup }).catch(() => [[], line]),
+  });
+  shellSession = { api, rl, project: null, failure: null };
+  const defaultFormat = outputFormat;
+  const prompt = () => {
+    if (!terminal) return;
+    rl.setPrompt(`${DIM}agent-analytics${RESET}${shellSession.project ? ` ${CYAN}${shellSession.project}${RESET}` : ''}> `);
+    rl.prompt();
+  };
+
+  rl.on('SIGINT', () => {
+    // Ctrl+C clears the line, like a login shell; Ctrl+D or `exit` leaves.
+    rl.write(null, { ctrl: true, name: 'e' });
+    rl.write(null, { ctrl: true, name: 'u' });
+    log(`\n${DIM}(Ctrl+D or exit to leave)${RESET}`);
+    prompt();
+  });
+  if (terminal) {
+    heading(`Agent Analytics shell ${CLI_VERSION}${demoMode ? ' (demo, read-only)' : ''}`);
+    log(`${DIM}Type help for commands, use <project> to pick a project, exit to leave.${RESET}\n`);
+  }
+
+  prompt();
+  for await (const line of rl) {
+    if (await runShellLine(line, { lookup, defaultFormat }) === false) break;
+    prompt();
+  }
+  rl.close();
+  if (terminal) saveShellHistory(rl.history);
+  shellSession = null;
+}
+
+// ==================== COMPLETION ====================
+
+// Tab should never hang on a slow API, so the lookup is a single try with a
+// short timeout; stale cached names are used instead.
+const COMPLETION_TIMEOUT_MS = 3000;
+
+function cmdCompletion(shell) {
+  if (!COMPLETION_SHELLS.includes(shell)) {
+    error(`Usage: npx @agent-analytics/cli completion <${COMPLETION_SHELLS.join('|')}>`);
+  }
+  process.stdout.write(completionScript(shell));
+}
+
+function completionCacheFile() {
+  return join(getConfigLocation().dir, 'completion_cache.json');
+}
+
+// Project names for completion scripts, one per line. Prints nothing rather
+// than an error: its output is read by the shell, not by a person.
+async function cmdCompleteProjects() {
+  const file = completionCacheFile();
+  const profile = getActiveProfile().name;
+  const cached = readProjectCache(file, profile);
+  let projects = cached?.projects || [];
+  if (!cached?.fresh) {
+    try {
+      const auth = await getStoredAuth();
+      if (auth) {
+        const data = await createApiClient(auth, { timeoutMs: COMPLETION_TIMEOUT_MS, maxRetries: 0 }).listProjects();
+        projects = (data.projects || []).map((project) => project.name);
+        mkdirSync(getConfigLocation().dir, { recursive: true });
+        writeProjectCache(file, profile, projects);
+      }
+    } catch {
+      // Offline, logged out, or missing projects:read: fall back to the cache.
+    }
+  }
+  if (projects.length > 0) process.stdout.write(`${projects.join('\n')}\n`);
+}
+
 // ==================== EXPERIMENTS ====================
 
-const cmdExperiments = withApi(async (api, sub, ...rest) => {
+const cmdExperiments = withApi(async (api, sub, target, opts = {}) => {
   if (!sub) error('Usage: npx @agent-analytics/cli experiments <list|create|get|pause|resume|complete|delete> ...');
 
   switch (sub) {
     case 'list': {
-      const project = rest[0];
+      const project = target;
       if (!project) error('Usage: npx @agent-analytics/cli experiments list <project>');
       const data = await api.listExperiments(project);
+      if (printFormatted(data, { rows: data.experiments || [] })) return;
       heading(`Experiments: ${project}`);
       log('');
       if (ifEmpty(data.experiments, 'experiments')) return;
@@ -2063,16 +3463,15 @@ const cmdExperiments = withApi(async (api, sub, ...rest) => {
       break;
     }
     case 'create': {
-      const project = rest[0];
+      const project = target;
       if (!project) error('Usage: npx @agent-analytics/cli experiments create <project> --name <name> --variants control,new_cta --goal <event> [--weights 60,40]');
-      const name = getArg('--name');
-      const variantsStr = getArg('--variants');
-      const goal = getArg('--goal');
+      const { name, variants: variantsStr, goal } = opts;
       if (!name || !variantsStr || !goal) error('Required: --name, --variants, --goal');
       const variants = variantsStr.split(',').map(v => v.trim());
-      const weightsStr = getArg('--weights');
+      const weightsStr = opts.weights;
       const weights = weightsStr ? weightsStr.split(',').map(w => parseInt(w.trim(), 10)) : undefined;
       const data = await api.createExperiment(project, { name, variants, goal_event: goal, weights });
+      if (printFormatted(data, { rows: data.variants || [] })) return;
       success(`Experiment created: ${BOLD}${data.name}${RESET} (${data.id})`);
       log(`  ${DIM}variants:${RESET} ${data.variants.map(v => `${v.key}(${v.weight}%)`).join(', ')}`);
       log(`  ${DIM}goal:${RESET} ${data.goal_event}`);
@@ -2080,9 +3479,10 @@ const cmdExperiments = withApi(async (api, sub, ...rest) => {
       break;
     }
     case 'get': {
-      const id = rest[0];
+      const id = target;
       if (!id) error('Usage: npx @agent-analytics/cli experiments get <id>');
       const data = await api.getExperiment(id);
+      if (printFormatted(data, { rows: data.results?.variants || [] })) return;
       const status = data.status === 'active' ? `${GREEN}active${RESET}` : data.status === 'paused' ? `${YELLOW}paused${RESET}` : `${DIM}completed${RESET}`;
       heading(`Experiment: ${data.name}`);
       log(`  ${DIM}id:${RESET} ${data.id}  status: ${status}  ${DIM}goal: ${data.goal_event}${RESET}`);
@@ -2122,29 +3522,29 @@ const cmdExperiments = withApi(async (api, sub, ...rest) => {
       break;
     }
     case 'pause': {
-      const id = rest[0];
+      const id = target;
       if (!id) error('Usage: npx @agent-analytics/cli experiments pause <id>');
       await api.updateExperiment(id, { status: 'paused' });
       success(`Experiment ${id} paused`);
       break;
     }
     case 'resume': {
-      const id = rest[0];
+      const id = target;
       if (!id) error('Usage: npx @agent-analytics/cli experiments resume <id>');
       await api.updateExperiment(id, { status: 'active' });
       success(`Experiment ${id} resumed`);
       break;
     }
     case 'complete': {
-      const id = rest[0];
+      const id = target;
       if (!id) error('Usage: npx @agent-analytics/cli experiments complete <id> [--winner <variant>]');
-      const winner = getArg('--winner');
+      const winner = opts.winner;
       await api.updateExperiment(id, { status: 'completed', winner });
       success(`Experiment ${id} completed${winner ? ` — winner: ${winner}` : ''}`);
       break;
     }
     case 'delete': {
-      const id = rest[0];
+      const id = target;
       if (!id) error('Usage: npx @agent-analytics/cli experiments delete <id>');
       await api.deleteExperiment(id);
       success(`Experiment ${id} deleted`);
@@ -2162,11 +3562,13 @@ ${DIM}Analytics your AI agent can actually use. Track, analyze, experiment, opti
 
 ${BOLD}USAGE${RESET}
   npx @agent-analytics/cli <command> [options]
+  npx @agent-analytics/cli <command> --help     ${DIM}Options, value types, and defaults for one command${RESET}
 
 ${BOLD}SETUP${RESET}
   ${CYAN}login${RESET}                  Browser-based agent session login
   ${CYAN}login${RESET} --detached       Detached approval handoff; prints URL and exits
   ${CYAN}login${RESET} --detached --wait  Detached approval with polling
+  ${CYAN}login${RESET} --scopes <set>   Request fewer scopes: read-only, analyst, full, or scope names
   ${CYAN}upgrade-link${RESET} --detached  Print a human Pro payment handoff link
   ${CYAN}upgrade-link${RESET} --wait      Print the handoff link and wait for Pro activation
   ${CYAN}demo${RESET}                   Print no-sign-in public demo prompts and commands
@@ -2175,29 +3577,36 @@ ${BOLD}SETUP${RESET}
   ${CYAN}scan${RESET} <url>              Preview what your agent should track first
   ${CYAN}create${RESET} <name>          Create a project and get your tracking snippet
   ${CYAN}projects${RESET}               List all your projects
+  ${CYAN}track${RESET} <name> <event>   Send one event (--properties, --user-id) with the project token
+  ${CYAN}import${RESET} <name> --file <f> Batch-import NDJSON or CSV events (--dry-run, --dedupe-key)
+  ${CYAN}import${RESET} <name> --from <src> Import a GA4, Plausible, or PostHog export (--map, --preview)
+  ${CYAN}export${RESET} <name> --from <day> --out <f> Export raw events to NDJSON (.gz) with resume
 
 ${BOLD}ANALYTICS${RESET}
   ${CYAN}all-sites${RESET}              Historical summary across all projects
+  ${CYAN}compare${RESET} <a> <b> [...]  Side-by-side stats, insights & funnel (--portfolio, --steps)
   ${CYAN}bot-traffic${RESET} <name>     Filtered automated traffic by project or --all
   ${CYAN}stats${RESET} <name>           Overview: events, users, daily trends
   ${CYAN}live${RESET} [name]            Real-time terminal dashboard across all projects
   ${CYAN}insights${RESET} <name>        Period-over-period comparison with trends
+  ${CYAN}anomalies${RESET} <name>       Spikes & drops per event vs weekday baselines
   ${CYAN}breakdown${RESET} <name>       Top pages, referrers, UTM sources, countries
   ${CYAN}pages${RESET} <name>           Entry/exit page performance & bounce rates
   ${CYAN}paths${RESET} <name>           Bounded entry-to-goal/drop-off session paths
-  ${CYAN}heatmap${RESET} <name>         Peak hours & busiest days
+  ${CYAN}heatmap${RESET} <name>         Day × hour activity grid (--metric, --tz)
   ${CYAN}funnel${RESET} <name>            Funnel analysis: where users drop off
   ${CYAN}retention${RESET} <name>         Cohort retention: % of users who return
   ${CYAN}sessions-dist${RESET} <name>   Session duration distribution
   ${CYAN}events${RESET} <name>          Raw event log
+  ${CYAN}events${RESET} <name> --follow Tail new events as they arrive (text or --format ndjson)
   ${CYAN}journey${RESET} <name>         Chronological journey by --user-id or --email
   ${CYAN}sessions${RESET} <name>        Individual session records
   ${CYAN}query${RESET} <name>           Flexible analytics query (metrics, group_by, filters, country)
   ${CYAN}properties${RESET} <name>      Discover event names & property keys
   ${CYAN}context get${RESET} <name>     Read stored goals, activation events, and event glossary
-  ${CYAN}context set${RESET} <name>     Set compact project context with --json
+  ${CYAN}context set${RESET} <name>     Set compact project context with --data
   ${CYAN}portfolio-context get${RESET}  Read stored account portfolio context
-  ${CYAN}portfolio-context set${RESET}  Set compact portfolio context with --json
+  ${CYAN}portfolio-context set${RESET}  Set compact portfolio context with --data
   ${CYAN}portfolios list${RESET}         List identity lookup portfolios
   ${CYAN}portfolios create${RESET} <slug> Create a portfolio with --name and --projects
   ${CYAN}portfolios get${RESET} <slug>   Show a portfolio and member projects
@@ -2216,10 +3625,21 @@ ${BOLD}EXPERIMENTS${RESET} ${DIM}— A/B testing your agent can actually use${RE
 ${BOLD}ACCOUNT${RESET}
   ${CYAN}whoami${RESET}                 Show current account & tier
   ${CYAN}auth status${RESET}            Show local auth path and token expiry metadata
+  ${CYAN}auth sessions list${RESET}     List agent sessions on your account (label, client, scopes, last use)
+  ${CYAN}auth sessions revoke${RESET} <id|--all-except-current>  Revoke one session or every other session
+  ${CYAN}profiles list${RESET}          List profiles for separate accounts or base URLs
+  ${CYAN}profiles use${RESET} <name>    Switch the active profile (--base-url to point it at an API)
+  ${CYAN}profiles remove${RESET} <name> Remove a profile and its stored session
+  ${CYAN}mcp${RESET}                    Run an MCP server on stdio exposing every API command as a tool
+  ${CYAN}shell${RESET}                  Interactive prompt: tab completion, history, use <project>
+  ${CYAN}completion${RESET} <shell>     Print a completion script for bash, zsh, or fish
   ${CYAN}feedback${RESET}               Send product/process feedback
   ${CYAN}project${RESET} <project>      Get single project details by name or id
   ${CYAN}update${RESET} <project>       Update a project by name or id (--name, --origins)
   ${CYAN}delete${RESET} <project>       Delete a project by name or id
+  ${CYAN}plan${RESET} [file]            Diff a workspace file (default: agent-analytics.yml) against the account
+  ${CYAN}apply${RESET} [file]           Apply the plan after confirmation (--yes skips the prompt)
+  ${CYAN}export-config${RESET}           Print the account as a workspace file (--out writes YAML or .json)
 
 ${BOLD}KEY OPTIONS${RESET}
   --days <N>         Lookback window in days (default: 7)
@@ -2230,6 +3650,10 @@ ${BOLD}KEY OPTIONS${RESET}
   --resume-token <t> Resume token for one analysis
   --full             Upgrade a resumed analysis after login
   --period <P>       Comparison period: 1d, 7d, 14d, 30d, 90d
+  --compare <W>      Query, breakdown, pages: also run previous, yoy, or <from>..<to>
+  --threshold <Z>    Anomaly score that counts as a spike or drop (default: 3.5)
+  --min-count <N>    Ignore anomaly days below this many events (default: 5)
+  --source <s>       Anomaly series: query (per event, default) or stats (daily total)
   --since <VALUE>    Lookback start for commands that support explicit ranges
   --property <key>   Property to break down (path, referrer, utm_source, country)
   --event <name>     Filter by event name
@@ -2237,15 +3661,35 @@ ${BOLD}KEY OPTIONS${RESET}
   --email <email>    Filter events, journeys, or query by server-side scoped HMAC email lookup
                      Raw email is sent over HTTPS for lookup and is not stored in event rows or profile traits
   --message <text>   Feedback message for the product team
+  --properties <json> Event properties for track (inline JSON or a file)
+  --file <path>      Events for import: .ndjson/.jsonl or .csv, or - for stdin
+  --dry-run          Validate and dedupe an import without sending anything
+  --from <source>    Import another tool's export: ga4, plausible, posthog
+  --map <a=b,...>    Override importer field mappings (e.g. user_id=user_pseudo_id)
+  --preview          Show mapped events and counts before importing
+  --project-token <t> Send track/import events with this token instead of looking it up
+  --out <path>       Export destination; .gz compresses it, <path>.checkpoint.json tracks progress
+                     For export-config: the workspace file to write
+  --page-size <N>    Events per /events request for export (default: 1000)
+  --restart          Discard an export checkpoint and overwrite the output file
+  --yes              Apply a workspace plan without the confirmation prompt
+  --redact           Replace project tokens in export-config output with [redacted]
   --filter <json>    Filters for query (e.g. '[{"field":"country","op":"eq","value":"US"}]')
-  --interval <N>     Live view refresh in seconds (default: 5)
+  --where <k=v,...>  Events: keep those whose properties match, within the --limit fetched
+  --follow           Keep polling events and print new ones as they arrive
+  --interval <N>     Live view or events --follow refresh in seconds (default: 5)
   --window <N>       Live view time window in seconds (default: 60)
+  --metric <m>       Heatmap shading: events (default) or users
+  --tz <zone>        Heatmap timezone: IANA name (Europe/Berlin), UTC, or local
   --goal <event>     Goal event for paths and experiments
   --max-steps <N>    Max path steps before truncation (1-5)
   --entry-limit <N>  Max entry pages to include (1-20)
   --path-limit <N>   Max children kept at each path branch (1-10)
   --candidate-session-cap <N>  Max sessions scanned for /paths (100-10000)
   --config-dir <dir> Read/write auth config from an explicit directory
+  --profile <name>   Use a named profile for this command (or AGENT_ANALYTICS_PROFILE)
+  --format <F>       Output format: text (default), json, ndjson, csv, tsv, markdown
+  --timeout <S>      Per-request API timeout in seconds (default: 30, 0 disables)
 
 ${BOLD}QUICK START${RESET}
   ${DIM}# 1. Start agent login${RESET}
@@ -2269,28 +3713,116 @@ ${DIM}https://agentanalytics.sh${RESET}
 `);
 }
 
+// `<command> --help`, generated from the command table.
+function printCommandHelp(name) {
+  const spec = COMMANDS[name];
+  const flags = Object.entries(spec.flags || {});
+  const usage = spec.usage ?? (spec.project === 1 ? '<project>' : '');
+  const lines = [
+    '',
+    `${BOLD}Usage${RESET}`,
+    `  npx @agent-analytics/cli ${[name, usage, flags.length > 0 ? '[options]' : ''].filter(Boolean).join(' ')}`,
+    '',
+    `  ${spec.summary}`,
+  ];
+
+  for (const [title, examples] of Object.entries(spec.examples || {})) {
+    lines.push('', `${BOLD}${title}${RESET}`, ...examples.map((example) => `  npx @agent-analytics/cli ${example}`));
+  }
+
+  if (flags.length > 0) {
+    const labels = flags.map(([flag, option]) => (option.type === 'switch' ? flag : `${flag} <${option.value}>`));
+    const width = Math.max(...labels.map((label) => label.length)) + 2;
+    lines.push('', `${BOLD}Options${RESET}`);
+    flags.forEach(([, option], i) => {
+      const range = option.type === 'int' && option.max != null ? ` (${option.min}-${option.max})` : '';
+      lines.push(`  ${labels[i].padEnd(width)}${option.help}${range}`);
+    });
+  }
+  if (spec.notes) lines.push('', ...spec.notes);
+  lines.push('', `${DIM}Global: --format, --profile, --config-dir, --timeout, --demo. Options also take --flag=value.${RESET}`);
+  log(`${lines.join('\n')}\n`);
+}
+
 // ==================== MAIN ====================
 
+// The value of `--name value` or `--name=value` at `argv[i]`, and how many
+// words it took; null when `argv[i]` is some other argument.
+function optionAt(argv, i, name) {
+  const arg = argv[i];
+  if (arg === name) return { value: argv[i + 1], words: 2 };
+  if (arg.startsWith(`${name}=`)) return { value: arg.slice(name.length + 1), words: 1 };
+  return null;
+}
+
 function parseGlobalOptions(argv) {
   const nextArgs = [];
   let configDir = null;
+  let format = null;
+  let timeoutMs = null;
+  let profile = null;
 
   for (let i = 0; i < argv.length; i += 1) {
-    const arg = argv[i];
-    if (arg !== '--config-dir') {
-      nextArgs.push(arg);
+    const profileOption = optionAt(argv, i, '--profile');
+    if (profileOption) {
+      const { value } = profileOption;
+      if (!value || value.startsWith('--')) {
+        error('Missing value for --profile. Usage: npx @agent-analytics/cli --profile <name> <command>');
+      }
+      if (!isValidProfileName(value)) {
+        error(`Invalid profile name "${value}". Use letters, numbers, dots, dashes, or underscores.`);
+      }
+      profile = value;
+      i += profileOption.words - 1;
+      continue;
+    }
+
+    const timeoutOption = optionAt(argv, i, '--timeout');
+    if (timeoutOption) {
+      const { value } = timeoutOption;
+      const seconds = Number(value);
+      if (!value || value.startsWith('--') || !Number.isFinite(seconds) || seconds < 0) {
+        error('Invalid value for --timeout. Usage: npx @agent-analytics/cli --timeout <seconds> <command> (0 disables the timeout)');
+      }
+      timeoutMs = Math.round(seconds * 1000);
+      i += timeoutOption.words - 1;
       continue;
     }
 
-    const value = argv[i + 1];
+    const formatOption = optionAt(argv, i, '--format');
+    if (formatOption) {
+      const { value } = formatOption;
+      if (!value || value.startsWith('--')) {
+        error(`Missing value for --format. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+      }
+      format = normalizeOutputFormat(value);
+      if (!format) {
+        error(`Unknown output format: ${value}. Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+      }
+      i += formatOption.words - 1;
+      continue;
+    }
+
+    const configDirOption = optionAt(argv, i, '--config-dir');
+    if (!configDirOption) {
+      nextArgs.push(argv[i]);
+      continue;
+    }
+
+    const { value } = configDirOption;
     if (!value || value.startsWith('--')) {
       error('Missing value for --config-dir. Usage: npx @agent-analytics/cli --config-dir <dir> <command>');
     }
     configDir = value;
-    i += 1;
+    i += configDirOption.words - 1;
+  }
+
+  const envProfile = process.env.AGENT_ANALYTICS_PROFILE?.trim();
+  if (!profile && envProfile && !isValidProfileName(envProfile)) {
+    error(`Invalid profile name "${envProfile}" in AGENT_ANALYTICS_PROFILE. Use letters, numbers, dots, dashes, or underscores.`);
   }
 
-  return { args: nextArgs, configDir };
+  return { args: nextArgs, configDir, format, timeoutMs, profile };
 }
 
 const rawArgs = process.argv.slice(2);
@@ -2298,9 +3830,13 @@ const parsedGlobal = parseGlobalOptions(rawArgs);
 if (parsedGlobal.configDir) {
   setConfigDirOverride(parsedGlobal.configDir);
 }
+if (parsedGlobal.profile) {
+  setProfileOverride(parsedGlobal.profile);
+}
+let outputFormat = parsedGlobal.format || 'text';
+const requestTimeoutMs = parsedGlobal.timeoutMs;
 const demoMode = parsedGlobal.args.includes('--demo');
-const args = parsedGlobal.args.filter((arg) => arg !== '--demo');
-const command = demoMode && !args[0] ? 'demo' : args[0];
+let args = parsedGlobal.args.filter((arg) => arg !== '--demo');
 
 const DEMO_MUTATING_COMMANDS = new Set([
   'login',
@@ -2313,6 +3849,9 @@ const DEMO_MUTATING_COMMANDS = new Set([
   'revoke-key',
   'feedback',
   'delete-account',
+  'track',
+  'import',
+  'apply',
 ]);
 
 function isDemoMutation(commandName, commandArgs) {
@@ -2321,26 +3860,30 @@ function isDemoMutation(commandName, commandArgs) {
   if (commandName === 'context') {
     return commandArgs[1] === 'set';
   }
+  if (commandName === 'portfolio-context') {
+    return commandArgs[1] === 'set';
+  }
   if (commandName === 'portfolios') {
     return ['create', 'update', 'delete'].includes(commandArgs[1]);
   }
+  if (commandName === 'auth') {
+    return commandArgs[1] === 'sessions' && commandArgs[2] === 'revoke';
+  }
+  if (commandName === 'profiles') {
+    return ['use', 'remove'].includes(commandArgs[1]);
+  }
   if (commandName === 'experiments') {
     return ['create', 'pause', 'resume', 'complete', 'delete'].includes(commandArgs[1]);
   }
   return false;
 }
 
-function getArg(flag) {
-  const idx = args.indexOf(flag);
-  return idx > -1 && args[idx + 1] ? args[idx + 1] : null;
-}
-
 function hasHelpFlag(commandArgs) {
   return commandArgs.includes('--help') || commandArgs.includes('-h');
 }
 
 function hasInvalidLoginShape(commandArgs) {
-  const flagsWithValues = new Set(['--auth-request', '--exchange-code', '--token']);
+  const flagsWithValues = new Set(['--auth-request', '--exchange-code', '--token', '--scopes']);
   const flagsWithoutValues = new Set(['--detached', '--wait', '--poll']);
   const seen = new Set();
 
@@ -2364,7 +3907,7 @@ function hasInvalidLoginShape(commandArgs) {
   const hasManualExchange = seen.has('--auth-request') || seen.has('--exchange-code');
   if (hasManualExchange) {
     if (!seen.has('--auth-request') || !seen.has('--exchange-code')) return true;
-    if (seen.has('--detached') || seen.has('--wait') || seen.has('--poll')) return true;
+    if (seen.has('--detached') || seen.has('--wait') || seen.has('--poll') || seen.has('--scopes')) return true;
   }
 
   if ((seen.has('--wait') || seen.has('--poll')) && !seen.has('--detached')) return true;
@@ -2372,43 +3915,68 @@ function hasInvalidLoginShape(commandArgs) {
   return false;
 }
 
-try {
+async function runCommand(commandArgs) {
+  args = commandArgs;
+  const command = demoMode && !args[0] ? 'demo' : args[0];
+  if (commandNames().includes(command) && hasHelpFlag(args.slice(1))) {
+    printCommandHelp(command);
+    return;
+  }
+  if (command === 'login' && hasInvalidLoginShape(args)) {
+    error(loginUsageMessage());
+  }
+
+  let positionals = args.slice(1);
+  let options = {};
+  if (COMMANDS[command]) {
+    try {
+      ({ positionals, options } = parseCommandArgs(args));
+    } catch (err) {
+      if (!(err instanceof UsageError)) throw err;
+      error(`${err.message}\n  See: npx @agent-analytics/cli ${command} --help`);
+    }
+  }
+
   if (isDemoMutation(command, args)) {
     error('Demo mode is read-only. Use read commands like --demo projects, --demo stats, --demo paths, --demo funnel, or --demo experiments list.');
   }
 
+  const scopeProblem = demoMode ? null : missingScopesMessage(args, `"${command}"`);
+  if (scopeProblem) {
+    error(scopeProblem);
+  }
+
   switch (command) {
     case 'demo':
       cmdDemo();
       break;
     case 'login':
       await cmdLogin({
-        invalidShape: hasInvalidLoginShape(args),
-        detached: args.includes('--detached'),
-        exchangeCode: getArg('--exchange-code'),
-        authRequestId: getArg('--auth-request'),
-        waitForDetached: args.includes('--wait') || args.includes('--poll'),
+        detached: options.detached,
+        exchangeCode: options.exchange_code,
+        authRequestId: options.auth_request,
+        waitForDetached: options.wait || options.poll,
+        scopeSpec: options.scopes,
       });
       break;
     case 'logout':
       await cmdLogout();
       break;
     case 'scan': {
-      const scanUrl = args[1] && !args[1].startsWith('--') ? args[1] : null;
       await cmdScan({
-        url: scanUrl,
-        resumeId: getArg('--resume'),
-        resumeToken: getArg('--resume-token'),
-        full: args.includes('--full'),
-        project: getArg('--project'),
-        jsonOutput: args.includes('--json'),
+        url: positionals[0] || null,
+        resumeId: options.resume,
+        resumeToken: options.resume_token,
+        full: options.full,
+        project: options.project,
+        jsonOutput: options.json,
       });
       break;
     }
     case 'create':
     case 'init':
-      await cmdCreate(args[1], getArg('--domain'), {
-        source_scan_id: getArg('--source-scan'),
+      await cmdCreate(positionals[0], options.domain, {
+        source_scan_id: options.source_scan,
       });
       break;
     case 'projects':
@@ -2417,182 +3985,227 @@ try {
       break;
     case 'upgrade-link':
       await cmdUpgradeLink({
-        detached: args.includes('--detached'),
-        wait: args.includes('--wait'),
-        reason: getArg('--reason'),
-        blockedCommand: getArg('--command'),
+        detached: options.detached,
+        wait: options.wait,
+        reason: options.reason,
+        blockedCommand: options.command,
       });
       break;
     case 'all-sites':
       await cmdAllSites({
-        period: getArg('--period') || '7d',
-        limit: getArg('--limit') || '10',
+        period: options.period || '7d',
+        limit: options.limit,
+      });
+      break;
+    case 'compare':
+      await cmdCompare(positionals, {
+        portfolio: options.portfolio,
+        period: options.period,
+        steps: options.steps,
+        steps_json: options.steps_json,
       });
       break;
     case 'bot-traffic': {
-      const botTrafficTarget = args[1] || (args.includes('--all') ? '--all' : null);
+      const botTrafficTarget = positionals[0] || (options.all ? '--all' : null);
       await cmdBotTraffic(botTrafficTarget, {
-        period: getArg('--period') || '7d',
-        limit: getArg('--limit') || '10',
+        period: options.period || '7d',
+        limit: options.limit,
       });
       break;
     }
     case 'stats':
-      await cmdStats(args[1], parseInt(getArg('--days') || '7', 10));
+      await cmdStats(positionals[0], options.days);
       break;
     case 'events':
-      await cmdEvents(args[1], {
-        days: parseInt(getArg('--days') || '7', 10),
-        since: getArg('--since'),
-        limit: parseInt(getArg('--limit') || '100', 10),
-        event: getArg('--event'),
-        user_id: getArg('--user-id'),
-        email: getArg('--email'),
+      await cmdEvents(positionals[0], {
+        days: options.days,
+        since: options.since,
+        limit: options.limit,
+        event: options.event,
+        user_id: options.user_id,
+        email: options.email,
+        where: options.where,
+        follow: options.follow,
+        interval: options.interval,
       });
       break;
     case 'journey':
-      await cmdJourney(args[1], {
-        since: getArg('--since') || (getArg('--days') ? `${getArg('--days')}d` : undefined),
-        limit: getArg('--limit') ? parseInt(getArg('--limit'), 10) : undefined,
-        user_id: getArg('--user-id'),
-        email: getArg('--email'),
+      await cmdJourney(positionals[0], {
+        since: options.since || (options.days ? `${options.days}d` : undefined),
+        limit: options.limit,
+        user_id: options.user_id,
+        email: options.email,
       });
       break;
     case 'properties':
-      await cmdProperties(args[1], parseInt(getArg('--days') || '30', 10));
+      await cmdProperties(positionals[0], options.days);
       break;
     case 'properties-received':
-      await cmdPropertiesReceived(args[1], {
-        since: getArg('--since'),
-        sample: getArg('--sample') ? parseInt(getArg('--sample'), 10) : undefined,
+      await cmdPropertiesReceived(positionals[0], {
+        since: options.since,
+        sample: options.sample,
       });
       break;
     case 'sessions':
-      await cmdSessions(args[1], {
-        since: getArg('--since'),
-        limit: getArg('--limit') ? parseInt(getArg('--limit'), 10) : undefined,
+      await cmdSessions(positionals[0], {
+        since: options.since,
+        limit: options.limit,
       });
       break;
     case 'query':
-      await cmdQuery(getArg('--project') || args[1], {
-        metrics: getArg('--metrics'),
-        group_by: getArg('--group-by'),
-        filter: getArg('--filter'),
-        date_from: getArg('--from') || (getArg('--days') ? `${getArg('--days')}d` : undefined),
-        date_to: getArg('--to'),
-        count_mode: getArg('--count-mode'),
-        order_by: getArg('--order-by'),
-        order: getArg('--order'),
-        limit: getArg('--limit') ? parseInt(getArg('--limit'), 10) : undefined,
-        email: getArg('--email'),
+      await cmdQuery(options.project || positionals[0], {
+        metrics: options.metrics,
+        group_by: options.group_by,
+        filter: options.filter,
+        date_from: options.from || (options.days ? `${options.days}d` : undefined),
+        date_to: options.to,
+        count_mode: options.count_mode,
+        order_by: options.order_by,
+        order: options.order,
+        limit: options.limit,
+        email: options.email,
+        compare: options.compare,
       });
       break;
     case 'project':
-      await cmdProject(args[1]);
+      await cmdProject(positionals[0]);
+      break;
+    case 'plan':
+      await cmdPlan(positionals[0]);
+      break;
+    case 'apply':
+      await cmdApply(positionals[0], { yes: options.yes });
+      break;
+    case 'shell':
+      await cmdShell();
+      break;
+    case 'completion':
+      cmdCompletion(positionals[0]);
+      break;
+    case '__complete':
+      if (positionals[0] === 'projects') await cmdCompleteProjects();
+      break;
+    case 'export-config':
+      await cmdExportConfig({ out: options.out, redact: options.redact });
       break;
     case 'context':
-      await cmdContext(args[1], args[2], {
-        json: getArg('--json'),
+      await cmdContext(positionals[0], positionals[1], {
+        data: options.data,
+        jsonOutput: options.json,
+        extra: positionals.slice(2),
       });
       break;
     case 'portfolio-context':
-      await cmdPortfolioContext(args[1], {
-        json: getArg('--json'),
+      await cmdPortfolioContext(positionals[0], {
+        data: options.data,
+        jsonOutput: options.json,
+        extra: positionals.slice(1),
       });
       break;
     case 'portfolios':
-      await cmdPortfolios(args[1] || 'list', args[2], {
-        slug: getArg('--slug'),
-        name: getArg('--name'),
-        projects: getArg('--projects'),
-        move: args.includes('--move'),
+      await cmdPortfolios(positionals[0] || 'list', positionals[1], {
+        slug: options.slug,
+        name: options.name,
+        projects: options.projects,
+        move: options.move,
       });
       break;
     case 'update':
-      await cmdUpdate(args[1], {
-        name: getArg('--name'),
-        allowed_origins: getArg('--origins'),
+      await cmdUpdate(positionals[0], {
+        name: options.name,
+        allowed_origins: options.origins,
       });
       break;
     case 'insights':
-      await cmdInsights(args[1], getArg('--period') || '7d');
+      await cmdInsights(positionals[0], options.period || '7d');
       break;
     case 'breakdown':
-      await cmdBreakdown(args[1], getArg('--property'), {
-        event: getArg('--event'),
-        since: getArg('--since') || (getArg('--days') ? `${getArg('--days')}d` : undefined),
-        limit: getArg('--limit') ? parseInt(getArg('--limit'), 10) : undefined,
+      await cmdBreakdown(positionals[0], options.property, {
+        event: options.event,
+        since: options.since || (options.days ? `${options.days}d` : undefined),
+        limit: options.limit,
+        compare: options.compare,
       });
       break;
     case 'pages':
-      await cmdPages(args[1], getArg('--type') || 'entry', {
-        limit: getArg('--limit') ? parseInt(getArg('--limit'), 10) : undefined,
+      await cmdPages(positionals[0], options.type, {
+        since: options.since || (options.days ? `${options.days}d` : undefined),
+        limit: options.limit,
+        compare: options.compare,
       });
       break;
     case 'paths':
-      await cmdPaths(args[1], {
-        goal_event: getArg('--goal'),
-        since: getArg('--since'),
-        max_steps: getArg('--max-steps') ? parseInt(getArg('--max-steps'), 10) : undefined,
-        entry_limit: getArg('--entry-limit') ? parseInt(getArg('--entry-limit'), 10) : undefined,
-        path_limit: getArg('--path-limit') ? parseInt(getArg('--path-limit'), 10) : undefined,
-        candidate_session_cap: getArg('--candidate-session-cap') ? parseInt(getArg('--candidate-session-cap'), 10) : undefined,
+      await cmdPaths(positionals[0], {
+        goal_event: options.goal,
+        since: options.since,
+        max_steps: options.max_steps,
+        entry_limit: options.entry_limit,
+        path_limit: options.path_limit,
+        candidate_session_cap: options.candidate_session_cap,
       });
       break;
     case 'sessions-dist':
-      await cmdSessionsDist(args[1]);
+      await cmdSessionsDist(positionals[0]);
+      break;
+    case 'anomalies':
+      await cmdAnomalies(positionals[0], {
+        days: options.days,
+        event: options.event,
+        threshold: options.threshold,
+        min_count: options.min_count,
+        limit: options.limit,
+        source: options.source,
+      });
       break;
     case 'heatmap':
-      await cmdHeatmap(args[1]);
+      await cmdHeatmap(positionals[0], {
+        metric: options.metric,
+        tz: options.tz,
+      });
       break;
     case 'funnel':
-      if (hasHelpFlag(args)) {
-        printFunnelHelp();
-        break;
-      }
-      await cmdFunnel(args[1], getArg('--steps'), {
-        steps_json: getArg('--steps-json'),
-        from_context: args.includes('--from-context'),
-        help: false,
-        jsonOutput: args.includes('--json'),
-        window: getArg('--window'),
-        since: getArg('--since'),
-        count_by: getArg('--count-by'),
-        breakdown: getArg('--breakdown'),
-        breakdown_limit: getArg('--breakdown-limit'),
+      await cmdFunnel(positionals[0], options.steps, {
+        steps_json: options.steps_json,
+        from_context: options.from_context,
+        jsonOutput: options.json,
+        window: options.window,
+        since: options.since,
+        count_by: options.count_by,
+        breakdown: options.breakdown,
+        breakdown_limit: options.breakdown_limit,
+        compare: options.compare,
       });
       break;
     case 'retention':
-      await cmdRetention(args[1], {
-        period: getArg('--period'),
-        cohorts: getArg('--cohorts'),
-        event: getArg('--event'),
-        returning_event: getArg('--returning-event'),
+      await cmdRetention(positionals[0], {
+        period: options.period,
+        cohorts: options.cohorts,
+        event: options.event,
+        returning_event: options.returning_event,
       });
       break;
     case 'live': {
-      const liveProject = args[1] && !args[1].startsWith('--') ? args[1] : null;
-      await cmdLive(liveProject, {
-        interval: getArg('--interval'),
-        window: getArg('--window'),
+      await cmdLive(positionals[0] || null, {
+        interval: options.interval,
+        window: options.window,
       });
       break;
     }
     case 'experiments':
-      await cmdExperiments(args[1], args[2]);
+      await cmdExperiments(positionals[0], positionals[1], options);
       break;
     case 'delete':
-      await cmdDelete(args[1]);
+      await cmdDelete(positionals[0]);
       break;
     case 'revoke-key':
       await cmdRevokeKey();
       break;
     case 'feedback':
       await cmdFeedback({
-        message: getArg('--message'),
-        project: getArg('--project'),
-        command: getArg('--command'),
-        context: getArg('--context'),
+        message: options.message,
+        project: options.project,
+        command: options.command,
+        context: options.context,
       });
       break;
     case 'delete-account':
@@ -2602,17 +4215,67 @@ try {
       await cmdWhoami();
       break;
     case 'auth':
-      cmdAuth(args[1]);
+      await cmdAuth(positionals[0], positionals.slice(1), { allExceptCurrent: options.all_except_current });
+      break;
+    case 'mcp':
+      await cmdMcp();
+      break;
+    case 'track':
+      await cmdTrack(positionals[0], positionals[1], {
+        properties: options.properties,
+        user_id: options.user_id,
+        session_id: options.session_id,
+        timestamp: options.timestamp,
+        project_token: options.project_token,
+      });
+      break;
+    case 'import':
+      await cmdImport(positionals[0], {
+        file: options.file,
+        input_format: options.input_format,
+        dedupe_key: options.dedupe_key,
+        batch_size: options.batch_size,
+        from: options.from,
+        map: options.map,
+        preview: options.preview,
+        limit: options.limit,
+        dry_run: options.dry_run,
+        skip_invalid: options.skip_invalid,
+        project_token: options.project_token,
+      });
+      break;
+    case 'export':
+      await cmdExport(positionals[0], {
+        from: options.from,
+        to: options.to,
+        out: options.out,
+        page_size: options.page_size,
+        restart: options.restart,
+      });
+      break;
+    case 'profiles':
+      await cmdProfiles(positionals[0] || 'list', positionals[1], {
+        base_url: options.base_url,
+      });
       break;
     case 'help':
+      if (commandNames().includes(positionals[0])) printCommandHelp(positionals[0]);
+      else showHelp();
+      break;
     case '--help':
     case '-h':
     case undefined:
       showHelp();
       break;
-    default:
-      error(`Unknown command: ${command}. Run: npx @agent-analytics/cli help`);
+    default: {
+      const match = closestMatch(command, commandNames());
+      error(`Unknown command: ${command}.${match ? ` Did you mean ${match}?` : ''} Run: npx @agent-analytics/cli help`);
+    }
   }
+}
+
+try {
+  await runCommand(args);
 } catch (err) {
-  error(err.message);
+  error(requestErrorMessage(err));
 }
@@ -0,0 +1,114 @@
+/**
+ * Spike and drop detection for `anomalies`. Each daily series is compared
+ * with a weekday baseline (the median of the same weekday's other days) and
+ * residuals are scaled by their median absolute deviation, so a few outliers
+ * or a weekly rhythm do not hide or fake an anomaly.
+ */
+
+export const ALL_EVENTS = '(all events)';
+export const DEFAULT_ANOMALY_THRESHOLD = 3.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Scales a MAD to a standard deviation for normally distributed data.
+const MAD_SCALE = 1.4826;
+
+export function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/** Every UTC date from `from` to `to` inclusive. */
+export function dateRange(from, to) {
+  const dates = [];
+  for (let ms = Date.parse(`${from}T00:00:00Z`); ms <= Date.parse(`${to}T00:00:00Z`); ms += DAY_MS) {
+    dates.push(new Date(ms).toISOString().slice(0, 10));
+  }
+  return dates;
+}
+
+/**
+ * Daily series per event from `/query` rows grouped by date and event, with
+ * missing days filled in as zero. Adds an `(all events)` total when there is
+ * more than one event.
+ */
+export function seriesFromQueryRows(rows, dates) {
+  const index = new Map(dates.map((date, i) => [date, i]));
+  const series = new Map();
+  for (const row of rows || []) {
+    const i = index.get(String(row.date).slice(0, 10));
+    if (i === undefined || !row.event) continue;
+    if (!series.has(row.event)) series.set(row.event, Array(dates.length).fill(0));
+    series.get(row.event)[i] += Number(row.event_count) || 0;
+  }
+  if (series.size > 1) {
+    const total = Array(dates.length).fill(0);
+    for (const values of series.values()) values.forEach((value, i) => { total[i] += value; });
+    series.set(ALL_EVENTS, total);
+  }
+  return series;
+}
+
+/** The `(all events)` series from a `/stats` time series. */
+export function seriesFromStats(timeSeries, dates) {
+  const byDate = new Map((timeSeries || []).map((row) => [String(row.bucket || row.date).slice(0, 10), Number(row.total_events) || 0]));
+  return new Map([[ALL_EVENTS, dates.map((date) => byDate.get(date) || 0)]]);
+}
+
+/**
+ * Score every day of one series. The expected value is the median of the
+ * same weekday's other days (or of all other days when fewer than three
+ * share the weekday); the spread is the scaled MAD of all residuals, floored
+ * at the Poisson noise of the expected count so flat series do not flag
+ * every wobble.
+ */
+export function scoreSeries(values, dates, { minWeekdaySamples = 3 } = {}) {
+  const weekdays = dates.map((date) => new Date(`${date}T00:00:00Z`).getUTCDay());
+  const expected = values.map((_, i) => {
+    const sameDay = values.filter((__, j) => j !== i && weekdays[j] === weekdays[i]);
+    return median(sameDay.length >= minWeekdaySamples ? sameDay : values.filter((__, j) => j !== i));
+  });
+  const residuals = values.map((value, i) => value - expected[i]);
+  const spread = MAD_SCALE * median(residuals.map((residual) => Math.abs(residual - median(residuals))));
+
+  return values.map((value, i) => {
+    const scale = Math.max(spread, Math.sqrt(Math.max(expected[i], 1)));
+    return {
+      date: dates[i],
+      weekday: WEEKDAYS[weekdays[i]],
+      value,
+      expected: expected[i],
+      score: Number((residuals[i] / scale).toFixed(2)),
+    };
+  });
+}
+
+/**
+ * Flag days whose score reaches `threshold` in any series, ranked by
+ * severity. Days where both the value and the expected count are below
+ * `minCount` are ignored, as are series shorter than `minDays`.
+ */
+export function detectAnomalies(series, dates, { threshold = DEFAULT_ANOMALY_THRESHOLD, minCount = 5, minDays = 14 } = {}) {
+  if (dates.length < minDays) return [];
+  const anomalies = [];
+  for (const [event, values] of series) {
+    for (const point of scoreSeries(values, dates)) {
+      if (Math.abs(point.score) < threshold) continue;
+      if (point.value < minCount && point.expected < minCount) continue;
+      anomalies.push({
+        event,
+        date: point.date,
+        weekday: point.weekday,
+        direction: point.score > 0 ? 'spike' : 'drop',
+        value: point.value,
+        expected: point.expected,
+        change_pct: point.expected > 0 ? Number((((point.value - point.expected) / point.expected) * 100).toFixed(1)) : null,
+        score: point.score,
+        severity: Math.abs(point.score),
+      });
+    }
+  }
+  return anomalies.sort((a, b) => b.severity - a.severity || (a.date < b.date ? 1 : -1));
+}
@@ -4,14 +4,145 @@
  */
 
 const BASE_URL = 'https://api.agentanalytics.sh';
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 500;
+const DEFAULT_RETRY_MAX_DELAY_MS = 30_000;
+const DEFAULT_TIMEOUT_MS = 30_000;
+const DEFAULT_REFRESH_SKEW_MS = 30_000;
+// Refreshes run under the cross-process session lock, so they get a short,
+// fixed bound that the lock's wait and stale timeouts are sized against.
+const REFRESH_TIMEOUT_MS = 10_000;
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']);
+const RETRYABLE_STATUSES = new Set([408, 429, 502, 503, 504]);
+
+function nonNegativeIntegerEnv(name) {
+  const raw = process.env[name];
+  if (raw == null || String(raw).trim() === '') return undefined;
+  const value = Number(raw);
+  return Number.isFinite(value) && value >= 0 ? Math.floor(value) : undefined;
+}
+
+export function timeoutFromEnv() {
+  return nonNegativeIntegerEnv('AGENT_ANALYTICS_TIMEOUT_MS');
+}
+
+export function retrySettingsFromEnv() {
+  return {
+    maxRetries: nonNegativeIntegerEnv('AGENT_ANALYTICS_MAX_RETRIES'),
+    retryBaseMs: nonNegativeIntegerEnv('AGENT_ANALYTICS_RETRY_BASE_MS'),
+    retryMaxDelayMs: nonNegativeIntegerEnv('AGENT_ANALYTICS_RETRY_MAX_DELAY_MS'),
+  };
+}
+
+/**
+ * Parse a server-provided retry hint in milliseconds. Accepts the Retry-After
+ * header (delta seconds or HTTP date) and the `retry_after_seconds` /
+ * `retry_after` body fields the API sends with 429 responses.
+ */
+export function parseRetryAfterMs(headerValue, body = {}, now = Date.now()) {
+  if (headerValue != null && String(headerValue).trim() !== '') {
+    const raw = String(headerValue).trim();
+    if (/^\d+(\.\d+)?$/.test(raw)) return Math.round(Number(raw) * 1000);
+    const date = Date.parse(raw);
+    if (Number.isFinite(date)) return Math.max(0, date - now);
+  }
+  const seconds = Number(body?.retry_after_seconds ?? body?.retry_after);
+  if (Number.isFinite(seconds) && seconds >= 0) return Math.round(seconds * 1000);
+  return null;
+}
+
+/**
+ * Exponential backoff with equal jitter. A server retry hint wins over the
+ * computed backoff so rate limits are respected.
+ */
+export function retryDelayMs(attempt, { baseMs = DEFAULT_RETRY_BASE_MS, maxDelayMs = DEFAULT_RETRY_MAX_DELAY_MS, retryAfterMs = null, random = Math.random } = {}) {
+  if (retryAfterMs != null) return retryAfterMs;
+  const exponential = Math.min(maxDelayMs, baseMs * 2 ** attempt);
+  return Math.round(exponential / 2 + random() * (exponential / 2));
+}
+
+// Sleep that ends early with `onAbort()`'s error when any of `signals` aborts.
+function abortableSleep(ms, signals, onAbort) {
+  return new Promise((resolve, reject) => {
+    const stop = () => {
+      clearTimeout(timer);
+      for (const source of signals) source.removeEventListener('abort', stop);
+      reject(onAbort());
+    };
+    const timer = setTimeout(() => {
+      for (const source of signals) source.removeEventListener('abort', stop);
+      resolve();
+    }, ms);
+    for (const source of signals) {
+      if (source.aborted) return stop();
+      source.addEventListener('abort', stop, { once: true });
+    }
+  });
+}
+
+function requestTimeoutError(method, path, timeoutMs) {
+  const seconds = Math.round(timeoutMs / 100) / 10;
+  const error = new Error(`Request timed out after ${seconds}s: ${method} ${path.split('?')[0]}`);
+  error.code = 'REQUEST_TIMEOUT';
+  error.timeoutMs = timeoutMs;
+  return error;
+}
+
+function requestAbortedError(method, path) {
+  const error = new Error(`Request aborted: ${method} ${path.split('?')[0]}`);
+  error.code = 'REQUEST_ABORTED';
+  return error;
+}
+
+function isCancellationError(err) {
+  return err?.code === 'REQUEST_TIMEOUT' || err?.code === 'REQUEST_ABORTED';
+}
+
+function expiryTimestamp(value) {
+  if (value == null || value === '') return null;
+  const timestamp = typeof value === 'number' ? value : Number(value);
+  if (Number.isFinite(timestamp)) return timestamp;
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
 
 export class AgentAnalyticsAPI {
-  constructor(auth, baseUrl = BASE_URL, { onAuthUpdate } = {}) {
+  constructor(auth, baseUrl = BASE_URL, {
+    onAuthUpdate,
+    maxRetries,
+    retryBaseMs,
+    retryMaxDelayMs,
+    timeoutMs,
+    signal,
+    refreshSkewMs = DEFAULT_REFRESH_SKEW_MS,
+    withAuthLock,
+    loadStoredAuth,
+  } = {}) {
     this.auth = typeof auth === 'string' || auth == null
       ? { api_key: auth || null }
       : { ...auth };
     this.baseUrl = baseUrl;
     this.onAuthUpdate = onAuthUpdate;
+    const envRetry = retrySettingsFromEnv();
+    this.maxRetries = maxRetries ?? envRetry.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.retryBaseMs = retryBaseMs ?? envRetry.retryBaseMs ?? DEFAULT_RETRY_BASE_MS;
+    this.retryMaxDelayMs = retryMaxDelayMs ?? envRetry.retryMaxDelayMs ?? DEFAULT_RETRY_MAX_DELAY_MS;
+    // 0 disables the per-request timeout. `signal` cancels every request made
+    // by this client, e.g. when an agent loop shuts down.
+    this.timeoutMs = timeoutMs ?? timeoutFromEnv() ?? DEFAULT_TIMEOUT_MS;
+    this.signal = signal || null;
+    // Refresh this long before `access_expires_at` instead of waiting for a
+    // 401. `withAuthLock(fn)` serializes refresh-and-save across processes and
+    // `loadStoredAuth()` re-reads the saved session once the lock is held.
+    this.refreshSkewMs = refreshSkewMs;
+    this.withAuthLock = withAuthLock;
+    this.loadStoredAuth = loadStoredAuth;
+    this._refreshing = null;
+  }
+
+  _expiresSoon(auth = this.auth) {
+    const expiresAt = expiryTimestamp(auth?.access_expires_at);
+    return expiresAt != null && expiresAt - Date.now() <= this.refreshSkewMs;
   }
 
   _qs(params) {
@@ -21,7 +152,46 @@ export class AgentAnalyticsAPI {
       .join('&');
   }
 
-  async request(method, path, body, { returnHeaders = false, retryOnRefresh = true } = {}) {
+  /**
+   * One fetch attempt bounded by the request timeout and any caller signals.
+   * The timer also covers reading the body so a stalled response cannot hang.
+   */
+  async _fetchOnce(method, path, opts, { signal, timeoutMs }) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = timeoutMs > 0
+      ? setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs)
+      : null;
+    const onAbort = () => controller.abort();
+    const signals = [this.signal, signal].filter(Boolean);
+    for (const source of signals) {
+      if (source.aborted) controller.abort();
+      else source.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+      if (controller.signal.aborted) throw requestAbortedError(method, path);
+      const res = await fetch(`${this.baseUrl}${path}`, { ...opts, signal: controller.signal });
+      const data = await res.json().catch(() => ({}));
+      if (controller.signal.aborted) throw new Error('aborted');
+      return { res, data };
+    } catch (err) {
+      if (timedOut) throw requestTimeoutError(method, path, timeoutMs);
+      if (controller.signal.aborted) throw requestAbortedError(method, path);
+      throw err;
+    } finally {
+      clearTimeout(timer);
+      for (const source of signals) source.removeEventListener('abort', onAbort);
+    }
+  }
+
+  async request(method, path, body, { returnHeaders = false, retryOnRefresh = true, idempotent = IDEMPOTENT_METHODS.has(method), signal, timeoutMs = this.timeoutMs } = {}) {
+    if (retryOnRefresh && this.auth?.refresh_token && this._expiresSoon()) {
+      // A failed early refresh is not fatal: the token may still be accepted,
+      // and a 401 below gets one more refresh attempt.
+      await this.refreshAgentSession().catch(() => null);
+    }
+
     const opts = {
       method,
       headers: { 'Content-Type': 'application/json' },
@@ -37,13 +207,33 @@ export class AgentAnalyticsAPI {
       opts.body = JSON.stringify(body);
     }
 
-    const res = await fetch(`${this.baseUrl}${path}`, opts);
-    const data = await res.json().catch(() => ({}));
+    const maxRetries = idempotent ? this.maxRetries : 0;
+    // Cancelling during a backoff should not wait out the delay first.
+    const backoff = (ms) => abortableSleep(ms, [this.signal, signal].filter(Boolean), () => requestAbortedError(method, path));
+    let res;
+    let data;
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        ({ res, data } = await this._fetchOnce(method, path, opts, { signal, timeoutMs }));
+      } catch (err) {
+        // Network resets and DNS blips surface as fetch rejections. Timeouts
+        // and caller aborts are final: retrying would multiply the wait.
+        if (isCancellationError(err) || attempt >= maxRetries) throw err;
+        await backoff(retryDelayMs(attempt, { baseMs: this.retryBaseMs, maxDelayMs: this.retryMaxDelayMs }));
+        continue;
+      }
+
+      if (attempt >= maxRetries || !RETRYABLE_STATUSES.has(res.status)) break;
+      const retryAfterMs = parseRetryAfterMs(res.headers?.get?.('retry-after'), data);
+      // Waiting longer than the configured ceiling is worse than failing fast.
+      if (retryAfterMs != null && retryAfterMs > this.retryMaxDelayMs) break;
+      await backoff(retryDelayMs(attempt, { baseMs: this.retryBaseMs, maxDelayMs: this.retryMaxDelayMs, retryAfterMs }));
+    }
 
     if (res.status === 401 && retryOnRefresh && this.auth?.refresh_token) {
       const refreshed = await this.refreshAgentSession().catch(() => null);
       if (refreshed?.access_token) {
-        return this.request(method, path, body, { returnHeaders, retryOnRefresh: false });
+        return this.request(method, path, body, { returnHeaders, retryOnRefresh: false, idempotent, signal, timeoutMs });
       }
     }
 
@@ -92,15 +282,38 @@ export class AgentAnalyticsAPI {
     if (!this.auth?.refresh_token) {
       throw new Error('No refresh token available');
     }
-    const result = await this.request('POST', '/agent-sessions/refresh', {
-      refresh_token: this.auth.refresh_token,
-    }, { retryOnRefresh: false });
-    this.auth = {
-      ...this.auth,
-      ...result.agent_session,
+    // Parallel requests from one client share a single refresh.
+    if (!this._refreshing) {
+      this._refreshing = this._refreshLocked().finally(() => { this._refreshing = null; });
+    }
+    return this._refreshing;
+  }
+
+  async _refreshLocked() {
+    const staleAccessToken = this.auth.access_token;
+    const refresh = async () => {
+      const stored = this.loadStoredAuth ? await this.loadStoredAuth().catch(() => null) : null;
+      // Another process rotated the session while this one waited for the
+      // lock. Adopt it instead of spending the old refresh token again.
+      if (stored?.access_token && stored.access_token !== staleAccessToken && !this._expiresSoon(stored)) {
+        this.auth = { ...this.auth, ...stored };
+        return this.auth;
+      }
+      const result = await this.request('POST', '/agent-sessions/refresh', {
+        refresh_token: stored?.refresh_token || this.auth.refresh_token,
+      }, {
+        retryOnRefresh: false,
+        idempotent: false,
+        timeoutMs: this.timeoutMs > 0 ? Math.min(this.timeoutMs, REFRESH_TIMEOUT_MS) : REFRESH_TIMEOUT_MS,
+      });
+      this.auth = {
+        ...this.auth,
+        ...result.agent_session,
+      };
+      await this.onAuthUpdate?.(this.auth);
+      return this.auth;
     };
-    await this.onAuthUpdate?.(this.auth);
-    return this.auth;
+    return this.withAuthLock ? this.withAuthLock(refresh) : refresh();
   }
 
   async startDemoSession() {
@@ -115,6 +328,16 @@ export class AgentAnalyticsAPI {
     return this.request('POST', '/agent-sessions/revoke', { session_id: sessionId });
   }
 
+  // Ingestion: authenticated by the project token in each event, not by the
+  // agent session. Batches carry event_id dedupe keys, so retrying is safe.
+  async track(event) {
+    return this.request('POST', '/track', event, { retryOnRefresh: false });
+  }
+
+  async trackBatch(events) {
+    return this.request('POST', '/track/batch', { events }, { retryOnRefresh: false, idempotent: true });
+  }
+
   async revokeKey() {
     return this.request('POST', '/account/revoke-key');
   }
@@ -236,18 +459,18 @@ export class AgentAnalyticsAPI {
     return this.request('GET', `/stats?${this._qs({ project, since })}`, undefined, { returnHeaders });
   }
 
-  async getEvents(project, { event, days = 7, since, limit = 100, user_id, email } = {}) {
+  async getEvents(project, { event, days = 7, since, until, limit = 100, user_id, email } = {}) {
     const resolvedSince = since || `${days}d`;
     if (email != null) {
-      return this.request('POST', '/events', { project, since: resolvedSince, limit, event, user_id, email });
+      return this.request('POST', '/events', { project, since: resolvedSince, until, limit, event, user_id, email }, { idempotent: true });
     }
-    return this.request('GET', `/events?${this._qs({ project, since: resolvedSince, limit, event, user_id })}`);
+    return this.request('GET', `/events?${this._qs({ project, since: resolvedSince, until, limit, event, user_id })}`);
   }
 
   async getJourney(project, { days = 30, since, limit = 100, user_id, email } = {}) {
     const resolvedSince = since || `${days}d`;
     if (email != null) {
-      return this.request('POST', '/journey', { project, since: resolvedSince, limit, user_id, email });
+      return this.request('POST', '/journey', { project, since: resolvedSince, limit, user_id, email }, { idempotent: true });
     }
     return this.request('GET', `/journey?${this._qs({ project, since: resolvedSince, limit, user_id })}`);
   }
@@ -266,7 +489,7 @@ export class AgentAnalyticsAPI {
   }
 
   async query(project, { metrics, group_by, filters, date_from, date_to, order_by, order, limit, count_mode, email } = {}) {
-    return this.request('POST', '/query', { project, metrics, group_by, filters, date_from, date_to, order_by, order, limit, count_mode, email });
+    return this.request('POST', '/query', { project, metrics, group_by, filters, date_from, date_to, order_by, order, limit, count_mode, email }, { idempotent: true });
   }
 
   // Analytics
@@ -291,7 +514,7 @@ export class AgentAnalyticsAPI {
       entry_limit,
       path_limit,
       candidate_session_cap,
-    });
+    }, { idempotent: true });
   }
 
   async getSessionDistribution(project, { since } = {}) {
@@ -309,7 +532,7 @@ export class AgentAnalyticsAPI {
 
   // Funnels
   async getFunnel(project, { steps, from_context, conversion_window_hours, since, count_by, breakdown, breakdown_limit } = {}) {
-    return this.request('POST', '/funnel', { project, steps, from_context, conversion_window_hours, since, count_by, breakdown, breakdown_limit });
+    return this.request('POST', '/funnel', { project, steps, from_context, conversion_window_hours, since, count_by, breakdown, breakdown_limit }, { idempotent: true });
   }
 
   // Retention
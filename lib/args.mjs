@@ -0,0 +1,131 @@
+/**
+ * Command-line parsing against the option table in command-spec.mjs:
+ * `--flag value` and `--flag=value`, values checked by type and range, and
+ * unknown options reported with the closest known one.
+ */
+
+import { commandFlags } from './command-spec.mjs';
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/** The key an option is parsed under: `--user-id` becomes `user_id`. */
+export function optionKey(flag) {
+  return flag.replace(/^--/, '').replaceAll('-', '_');
+}
+
+// Edit distance where swapping two neighbouring characters counts as one edit.
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j += 1) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * The candidate `input` most likely meant: the only one it is a prefix of,
+ * or the nearest within a third of its length. Null when nothing is close.
+ */
+export function closestMatch(input, candidates) {
+  const extensions = candidates.filter((candidate) => candidate.startsWith(input));
+  if (extensions.length === 1) return extensions[0];
+  let best = null;
+  let bestDistance = Math.max(1, Math.floor(input.length / 3)) + 1;
+  for (const candidate of candidates) {
+    const distance = editDistance(input, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function rangeText({ min, max }) {
+  if (min != null && max != null) return `an integer between ${min} and ${max}`;
+  if (min === 1) return 'a positive integer';
+  return min != null ? `an integer of at least ${min}` : 'an integer';
+}
+
+function parseValue(flag, option, raw) {
+  if (option.type === 'int') {
+    const value = Number(raw);
+    const inRange = (option.min == null || value >= option.min) && (option.max == null || value <= option.max);
+    if (!/^-?\d+$/.test(raw) || !inRange) throw new UsageError(`${flag} must be ${rangeText(option)} (got ${raw})`);
+    return value;
+  }
+  if (option.type === 'number') {
+    const value = Number(raw);
+    if (raw.trim() === '' || !Number.isFinite(value)) throw new UsageError(`${flag} must be a number (got ${raw})`);
+    return value;
+  }
+  if (option.type === 'choice' && !option.choices.includes(raw)) {
+    throw new UsageError(`${flag} must be one of: ${option.choices.join(', ')} (got ${raw})`);
+  }
+  return raw;
+}
+
+/**
+ * Split `argv` (`[command, ...rest]`) into positionals and options. Options
+ * are keyed by optionKey(): switches are true, values are converted to their
+ * type, and declared defaults fill in what was not given. `--` ends option
+ * parsing. Throws UsageError for unknown options, missing values, and values
+ * of the wrong type or outside their range.
+ */
+export function parseCommandArgs(argv) {
+  const [command, ...rest] = argv;
+  // Global options are taken out of argv before this runs; one left here was
+  // not recognised there, so it is reported rather than silently dropped.
+  const flags = commandFlags(command, { globals: false });
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < rest.length; i += 1) {
+    const arg = rest[i];
+    if (arg === '--') {
+      positionals.push(...rest.slice(i + 1));
+      break;
+    }
+    if (!/^--?[A-Za-z]/.test(arg)) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const equals = arg.indexOf('=');
+    const flag = equals > -1 ? arg.slice(0, equals) : arg;
+    const option = flags[flag];
+    if (!option) {
+      const match = closestMatch(flag, Object.keys(flags));
+      throw new UsageError(`Unknown option ${flag} for ${command}.${match ? ` Did you mean ${match}?` : ''}`);
+    }
+    if (option.type === 'switch') {
+      if (equals > -1) throw new UsageError(`${flag} does not take a value`);
+      options[optionKey(flag)] = true;
+      continue;
+    }
+
+    const raw = equals > -1 ? arg.slice(equals + 1) : rest[i + 1];
+    if (equals === -1) {
+      if (raw === undefined || raw.startsWith('--')) throw new UsageError(`${flag} needs a value: ${flag} <${option.value}>`);
+      i += 1;
+    }
+    options[optionKey(flag)] = parseValue(flag, option, raw);
+  }
+
+  for (const [flag, option] of Object.entries(flags)) {
+    if (option.default !== undefined) options[optionKey(flag)] ??= option.default;
+  }
+  return { positionals, options };
+}
@@ -199,6 +199,7 @@ export async function loginInteractive(api, {
   timeoutMs = DEFAULT_INTERACTIVE_TIMEOUT_MS,
   clientType = 'cli',
   clientName = 'Agent Analytics CLI',
+  scopes = DEFAULT_AGENT_SESSION_SCOPES,
 } = {}) {
   const codeVerifier = createCodeVerifier();
   const codeChallenge = sha256Hex(codeVerifier);
@@ -239,7 +240,7 @@ export async function loginInteractive(api, {
           client_name: clientName,
           client_instance_id: `pid:${process.pid}`,
           callback_url: callbackUrl,
-          scopes: DEFAULT_AGENT_SESSION_SCOPES,
+          scopes,
           code_challenge: codeChallenge,
           metadata: { runtime: 'cli' },
         });
@@ -268,13 +269,14 @@ export async function loginInteractive(api, {
 export async function startDetachedLogin(api, {
   clientType = 'cli',
   clientName = 'Agent Analytics CLI',
+  scopes = DEFAULT_AGENT_SESSION_SCOPES,
 } = {}) {
   return api.startAgentSession({
     mode: 'detached',
     client_type: clientType,
     client_name: clientName,
     client_instance_id: `pid:${process.pid}`,
-    scopes: DEFAULT_AGENT_SESSION_SCOPES,
+    scopes,
     metadata: { runtime: 'cli' },
   });
 }
@@ -286,8 +288,9 @@ export async function loginDetached(api, {
   pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
   clientType = 'cli',
   clientName = 'Agent Analytics CLI',
+  scopes = DEFAULT_AGENT_SESSION_SCOPES,
 } = {}) {
-  const started = await startDetachedLogin(api, { clientType, clientName });
+  const started = await startDetachedLogin(api, { clientType, clientName, scopes });
 
   onPending?.(started);
 
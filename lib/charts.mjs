@@ -0,0 +1,153 @@
+/**
+ * Terminal charts for the human renderers: line charts with a scaled y-axis
+ * and date labels, sparklines, and horizontal bars. Everything returns plain
+ * strings; callers add colour with the `paint` option.
+ */
+
+const SPARK_LEVELS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+const BAR_EIGHTHS = ['', '▏', '▎', '▍', '▌', '▋', '▊', '▉'];
+
+export function terminalWidth(stream = process.stdout) {
+  const fromEnv = Number(process.env.COLUMNS);
+  if (Number.isInteger(fromEnv) && fromEnv > 0) return fromEnv;
+  return stream?.columns || 80;
+}
+
+/** 950 → "950", 1234 → "1.2k", 2500000 → "2.5M". */
+export function formatCompact(value) {
+  const number = Number(value) || 0;
+  const abs = Math.abs(number);
+  const scaled = (divisor, suffix) => `${(number / divisor).toFixed(1).replace(/\.0$/, '')}${suffix}`;
+  if (abs >= 1e9) return scaled(1e9, 'B');
+  if (abs >= 1e6) return scaled(1e6, 'M');
+  if (abs >= 1e3) return scaled(1e3, 'k');
+  return Number.isInteger(number) ? String(number) : number.toFixed(1).replace(/\.0$/, '');
+}
+
+/**
+ * One character per value. The range defaults to the values' own min and
+ * max; pass a fixed `min`/`max` to compare several sparklines.
+ */
+export function sparkline(values, { min, max } = {}) {
+  const numbers = values.map((value) => Number(value) || 0);
+  if (numbers.length === 0) return '';
+  const low = min ?? Math.min(...numbers);
+  const high = max ?? Math.max(...numbers);
+  if (high === low) return (high === 0 ? SPARK_LEVELS[0] : SPARK_LEVELS[3]).repeat(numbers.length);
+  return numbers.map((value) => {
+    const level = Math.round(((Math.min(Math.max(value, low), high) - low) / (high - low)) * (SPARK_LEVELS.length - 1));
+    return SPARK_LEVELS[level];
+  }).join('');
+}
+
+/**
+ * Bar of `value` scaled so `max` fills `width` cells, drawn in eighths of a
+ * cell. Any non-zero value gets at least a sliver.
+ */
+export function horizontalBar(value, max, width) {
+  if (!(max > 0) || !(value > 0) || width <= 0) return '';
+  const eighths = Math.max(1, Math.round((Math.min(value, max) / max) * width * 8));
+  return '█'.repeat(Math.floor(eighths / 8)) + BAR_EIGHTHS[eighths % 8];
+}
+
+// Round the top of the axis up so the middle tick is a readable number.
+function niceCeil(value) {
+  if (!(value > 0)) return value;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 1.2, 1.5, 2, 2.5, 3, 4, 5, 6, 8, 10].find((candidate) => candidate * magnitude >= value);
+  return Number((step * magnitude).toPrecision(12));
+}
+
+// Stretch short series by linear interpolation and average long ones into
+// buckets so the chart is exactly `width` columns.
+function resample(values, width) {
+  if (values.length === width) return values;
+  if (values.length === 1) return Array(width).fill(values[0]);
+  if (values.length < width) {
+    return Array.from({ length: width }, (_, x) => {
+      const position = (x / (width - 1)) * (values.length - 1);
+      const left = Math.floor(position);
+      const right = Math.min(left + 1, values.length - 1);
+      return values[left] + (values[right] - values[left]) * (position - left);
+    });
+  }
+  return Array.from({ length: width }, (_, x) => {
+    const start = Math.floor((x * values.length) / width);
+    const end = Math.max(start + 1, Math.floor(((x + 1) * values.length) / width));
+    const bucket = values.slice(start, end);
+    return bucket.reduce((sum, value) => sum + value, 0) / bucket.length;
+  });
+}
+
+// First, middle, and last labels, each under its own point where it fits.
+function placeLabels(labels, width, offset) {
+  if (labels.length === 0) return null;
+  const line = Array(width).fill(' ');
+  const columnOf = (index) => (labels.length === 1 ? 0 : Math.round((index / (labels.length - 1)) * (width - 1)));
+  const put = (index) => {
+    const text = String(labels[index]);
+    const start = Math.max(0, Math.min(columnOf(index) - Math.floor(text.length / 2), width - text.length));
+    if (line.slice(Math.max(0, start - 1), start + text.length + 1).some((char) => char !== ' ')) return;
+    for (let i = 0; i < text.length; i += 1) line[start + i] = text[i];
+  };
+  put(0);
+  if (labels.length > 1) put(labels.length - 1);
+  if (labels.length > 2) put(Math.floor((labels.length - 1) / 2));
+  return `${' '.repeat(offset)}${line.join('').trimEnd()}`;
+}
+
+/**
+ * Line chart of `values` as an array of lines. The y-axis starts at zero for
+ * non-negative data unless `min` is given; `labels` (usually dates) are placed
+ * under the first, middle, and last points. The plot fits within `width`
+ * columns including the axis, defaulting to the terminal width.
+ */
+export function lineChart(values, {
+  labels = [],
+  height = 9,
+  width = terminalWidth() - 4,
+  min,
+  max,
+  format = formatCompact,
+  paint = (text) => text,
+} = {}) {
+  const numbers = values.map((value) => Number(value) || 0);
+  if (numbers.length === 0) return [];
+
+  const low = min ?? Math.min(0, ...numbers);
+  let high = max ?? niceCeil(Math.max(...numbers));
+  if (high <= low) high = low + 1;
+  const rows = Math.max(2, height);
+  // Label the top and bottom rows, and the middle one when it sits exactly
+  // halfway, so the axis stays readable.
+  const labelled = new Set([0, rows - 1]);
+  if ((rows - 1) % 2 === 0) labelled.add((rows - 1) / 2);
+  const tickLabels = Array.from({ length: rows }, (_, row) => (labelled.has(row) ? format(high - (row * (high - low)) / (rows - 1)) : ''));
+  const axisWidth = Math.max(...tickLabels.map((label) => label.length));
+  const plotWidth = Math.max(2, Math.min(width - axisWidth - 2, Math.max(numbers.length, 12) * 4, 120));
+
+  const rowOf = (value) => Math.round(((high - Math.min(Math.max(value, low), high)) / (high - low)) * (rows - 1));
+  const points = resample(numbers, plotWidth).map(rowOf);
+  const grid = Array.from({ length: rows }, () => Array(plotWidth).fill(' '));
+
+  for (let x = 0; x < plotWidth; x += 1) {
+    const from = points[x];
+    const to = x + 1 < plotWidth ? points[x + 1] : from;
+    if (from === to) {
+      grid[from][x] = '─';
+      continue;
+    }
+    const rising = to < from;
+    grid[from][x] = rising ? '╯' : '╮';
+    grid[to][x] = rising ? '╭' : '╰';
+    for (let row = Math.min(from, to) + 1; row < Math.max(from, to); row += 1) grid[row][x] = '│';
+  }
+
+  const lines = grid.map((cells, row) => {
+    const tick = tickLabels[row].padStart(axisWidth);
+    return `${tick} ${labelled.has(row) ? '┤' : '│'}${paint(cells.join(''))}`;
+  });
+  const dateLine = placeLabels(labels, plotWidth, axisWidth + 2);
+  if (dateLine) lines.push(dateLine);
+  return lines;
+}
@@ -0,0 +1,420 @@
+/**
+ * The CLI's command table: what each command is for, its subcommands, where
+ * it takes its project, and the options it accepts. The argument parser
+ * validates against it, `<command> --help` pages are generated from it, and
+ * the interactive shell and the `completion` scripts complete from it.
+ *
+ * Options are built with the helpers below. `value` names what an option
+ * takes; the `event`, `events` (comma-separated), `property`, `project`, and
+ * `projects` values complete from the account and `file` completes paths.
+ * `suggestions` are completed but not enforced; `choices` are both.
+ *
+ * `project: N` is the positional that names the project, counting a
+ * subcommand. `projectAfter` limits that to some subcommands. `hidden`
+ * commands serve scripts and are not completed or listed.
+ */
+
+import { HEATMAP_METRICS } from './heatmap.mjs';
+import { IMPORT_SOURCES } from './importers.mjs';
+import { MAX_BATCH_SIZE } from './ingest.mjs';
+import { OUTPUT_FORMATS } from './output.mjs';
+
+const flag = (help) => ({ type: 'switch', help });
+const text = (value, help, extra = {}) => ({ type: 'string', value, help, ...extra });
+const int = (help, { min = 1, max, ...extra } = {}) => ({ type: 'int', value: 'N', min, max, help, ...extra });
+const number = (value, help, extra = {}) => ({ type: 'number', value, help, ...extra });
+const choice = (choices, help, extra = {}) => ({ type: 'choice', value: choices.join('|'), choices: [...choices], help, ...extra });
+
+const PERIODS = ['1d', '7d', '14d', '30d', '90d'];
+const PERIOD = text('period', 'Comparison period: 1d, 7d, 14d, 30d, 90d (default: 7d)', { suggestions: PERIODS });
+const CONTEXT_FLAGS = {
+  '--data': text('json|file', 'With set: the context as inline JSON or a path to a JSON file'),
+  '--json': flag('Print the full API response (same as --format json)'),
+};
+const COMPARE = text('window', 'Also run previous, yoy, or <from>..<to> and show the change', { suggestions: ['previous', 'yoy'] });
+const SINCE = text('when', 'Lookback start: a relative range like 7d or an ISO date');
+const DAYS = int('Lookback window in days');
+const LIMIT = int('Max results');
+const EVENT = text('event', 'Filter by event name');
+const USER_ID = text('id', 'Filter to one known user id');
+const EMAIL = text('email', 'Filter by server-side scoped HMAC email lookup; the raw email is not stored');
+const PROJECT_TOKEN = text('token', 'Send events with this project token instead of looking it up');
+const DOMAIN = text('url', 'Primary surface URL/origin');
+const SOURCE_SCAN = text('id', 'Link project creation to a prior website analysis');
+const ANALYTICS_WINDOW = { '--since': SINCE, '--days': DAYS, '--limit': LIMIT };
+
+export const COMMANDS = {
+  demo: { summary: 'Print no-sign-in public demo prompts and commands' },
+  login: {
+    summary: 'Browser-based agent session login',
+    usage: '[--detached [--wait]] [--scopes <set>] | --auth-request <id> --exchange-code <code>',
+    flags: {
+      '--detached': flag('Print the approval URL and exit instead of opening a browser'),
+      '--wait': flag('With --detached: keep polling until the login is approved'),
+      '--poll': flag('Same as --wait'),
+      '--exchange-code': text('code', 'Finish a detached login by hand with the code from the approval page'),
+      '--auth-request': text('id', 'The detached login request to finish with --exchange-code'),
+      '--scopes': text('scopes', 'Request fewer scopes: read-only, analyst, full, or scope names', { suggestions: ['read-only', 'analyst', 'full'] }),
+    },
+  },
+  logout: { summary: 'Clear local auth and revoke the stored agent session when possible' },
+  scan: {
+    summary: 'Preview what your agent should track first',
+    usage: '<url> | --resume <id> --resume-token <token> --full',
+    flags: {
+      '--resume': text('id', 'Resume a website analysis by id'),
+      '--resume-token': text('token', 'Resume token for one analysis'),
+      '--full': flag('Upgrade a resumed analysis after login'),
+      '--project': text('project', 'Project to attach the full analysis to'),
+      '--json': flag('Print the full API response (same as --format json)'),
+    },
+  },
+  create: {
+    summary: 'Create a project and get your tracking snippet',
+    usage: '<name> --domain <url>',
+    flags: { '--domain': DOMAIN, '--source-scan': SOURCE_SCAN },
+  },
+  init: { summary: 'Alias for create', usage: '<name> --domain <url>', flags: { '--domain': DOMAIN, '--source-scan': SOURCE_SCAN } },
+  projects: { summary: 'List all your projects' },
+  list: { summary: 'Alias for projects' },
+  'upgrade-link': {
+    summary: 'Print a human Pro payment handoff link',
+    flags: {
+      '--detached': flag('Print the link and exit'),
+      '--wait': flag('Print the link and wait for Pro activation'),
+      '--reason': text('text', 'Why the upgrade is needed, shown to the human'),
+      '--command': text('command', 'The command that hit the plan limit'),
+    },
+  },
+  'all-sites': {
+    summary: 'Historical summary across all projects',
+    flags: { '--period': PERIOD, '--limit': int('Max projects (default: 10)') },
+  },
+  compare: {
+    summary: 'Side-by-side stats, insights, and funnel for several projects',
+    usage: '<project-a> <project-b> [...] | --portfolio <slug>',
+    project: 'all',
+    flags: {
+      '--portfolio': text('slug', 'Compare the projects in this portfolio'),
+      '--period': PERIOD,
+      '--steps': text('events', 'Funnel steps as comma-separated event names'),
+      '--steps-json': text('json', 'Funnel steps as inline JSON or a path to a JSON file'),
+    },
+  },
+  'bot-traffic': {
+    summary: 'Filtered automated traffic by project or --all',
+    usage: '<project> | --all',
+    project: 1,
+    flags: { '--all': flag('Show every project'), '--period': PERIOD, '--limit': int('Max rows (default: 10)') },
+  },
+  stats: { summary: 'Overview: events, users, daily trends', project: 1, flags: { '--days': int('Lookback window in days (default: 7)', { default: 7 }) } },
+  events: {
+    summary: 'Raw event log',
+    project: 1,
+    flags: {
+      '--since': SINCE,
+      '--days': int('Lookback window in days (default: 7)', { default: 7 }),
+      '--limit': int('Max events (default: 100)', { default: 100 }),
+      '--event': EVENT,
+      '--user-id': USER_ID,
+      '--email': EMAIL,
+      '--where': text('key=value,...', 'Keep events whose properties match (e.g. path=/pricing); applied to the --limit events fetched'),
+      '--follow': flag('Keep polling and print new events as they arrive'),
+      '--interval': number('seconds', 'Refresh interval for --follow in seconds (default: 5)'),
+    },
+  },
+  journey: {
+    summary: 'Chronological journey by --user-id or --email',
+    project: 1,
+    flags: { ...ANALYTICS_WINDOW, '--user-id': USER_ID, '--email': EMAIL },
+  },
+  properties: {
+    summary: 'Discover event names and property keys',
+    project: 1,
+    flags: { '--days': int('Lookback window in days (default: 30)', { default: 30 }) },
+  },
+  'properties-received': {
+    summary: 'Show property keys per event',
+    project: 1,
+    flags: { '--since': SINCE, '--sample': int('Events to sample') },
+  },
+  sessions: { summary: 'Individual session records', project: 1, flags: { '--since': SINCE, '--limit': LIMIT } },
+  query: {
+    summary: 'Flexible analytics query (metrics, group_by, filters, country)',
+    project: 1,
+    flags: {
+      '--project': text('project', 'Project to query, instead of the positional name'),
+      '--metrics': text('metrics', 'Comma-separated metrics (e.g. event_count,unique_users)'),
+      '--group-by': text('fields', 'Comma-separated fields to group by (e.g. date,country)'),
+      '--filter': text('json', 'Filters as JSON (e.g. \'[{"field":"country","op":"eq","value":"US"}]\')'),
+      '--from': text('date', 'Start date, or a relative range like 30d'),
+      '--to': text('date', 'End date'),
+      '--days': DAYS,
+      '--count-mode': choice(['raw', 'session_then_user'], 'Count raw event rows (default) or sessions then users'),
+      '--order-by': text('field', 'Field to sort by'),
+      '--order': choice(['asc', 'desc'], 'Sort direction'),
+      '--limit': LIMIT,
+      '--email': EMAIL,
+      '--compare': COMPARE,
+    },
+  },
+  project: { summary: 'Get single project details by name or id', project: 1 },
+  plan: { summary: 'Diff a workspace file (default: agent-analytics.yml) against the account', usage: '[file]' },
+  apply: {
+    summary: 'Apply a workspace file after confirmation',
+    usage: '[file]',
+    flags: { '--yes': flag('Apply without the confirmation prompt') },
+  },
+  'export-config': {
+    summary: 'Print the account as a workspace file',
+    flags: {
+      '--out': text('file', 'Write YAML, or JSON for a .json path, instead of printing'),
+      '--redact': flag('Replace project tokens with [redacted]'),
+    },
+  },
+  context: {
+    summary: 'Read or set stored goals, activation events, and event glossary',
+    usage: 'get <project> | set <project> --data <json|file>',
+    subcommands: ['get', 'set'],
+    project: 2,
+    flags: CONTEXT_FLAGS,
+  },
+  'portfolio-context': {
+    summary: 'Read or set the account portfolio context',
+    usage: 'get | set --data <json|file>',
+    subcommands: ['get', 'set'],
+    flags: CONTEXT_FLAGS,
+  },
+  portfolios: {
+    summary: 'Identity lookup portfolios',
+    usage: '<list|create|get|update|delete> [slug]',
+    subcommands: ['list', 'create', 'get', 'update', 'delete'],
+    flags: {
+      '--slug': text('slug', 'Portfolio slug'),
+      '--name': text('name', 'Portfolio display name'),
+      '--projects': text('projects', 'Comma-separated member projects'),
+      '--move': flag('Move projects that already belong to another portfolio'),
+    },
+  },
+  update: {
+    summary: 'Update a project by name or id',
+    project: 1,
+    flags: { '--name': text('name', 'New project name'), '--origins': text('origins', 'Comma-separated allowed origins') },
+  },
+  insights: { summary: 'Period-over-period comparison with trends', project: 1, flags: { '--period': PERIOD } },
+  breakdown: {
+    summary: 'Top pages, referrers, UTM sources, countries',
+    usage: '<project> --property <key>',
+    project: 1,
+    flags: {
+      ...ANALYTICS_WINDOW,
+      '--property': text('property', 'Property to break down (path, referrer, utm_source, country)'),
+      '--event': EVENT,
+      '--compare': COMPARE,
+    },
+  },
+  pages: {
+    summary: 'Entry/exit page performance and bounce rates',
+    project: 1,
+    flags: {
+      ...ANALYTICS_WINDOW,
+      '--type': choice(['entry', 'exit', 'both'], 'Which pages to rank (default: entry)', { default: 'entry' }),
+      '--compare': text('window', 'Also run previous, yoy, or <from>..<to> and show the change in sessions per viewed page', { suggestions: ['previous', 'yoy'] }),
+    },
+  },
+  paths: {
+    summary: 'Bounded entry-to-goal/drop-off session paths',
+    project: 1,
+    flags: {
+      '--goal': text('event', 'Goal event the paths lead to'),
+      '--since': SINCE,
+      '--max-steps': int('Max path steps before truncation', { max: 5 }),
+      '--entry-limit': int('Max entry pages to include', { max: 20 }),
+      '--path-limit': int('Max children kept at each path branch', { max: 10 }),
+      '--candidate-session-cap': int('Max sessions scanned', { min: 100, max: 10000 }),
+    },
+  },
+  'sessions-dist': { summary: 'Session duration distribution', project: 1 },
+  anomalies: {
+    summary: 'Spikes and drops per event vs weekday baselines',
+    project: 1,
+    flags: {
+      '--days': int('Days of history to score, at least 14 (default: 56)'),
+      '--event': EVENT,
+      '--threshold': number('Z', 'Anomaly score that counts as a spike or drop (default: 3.5)'),
+      '--min-count': int('Ignore days below this many events (default: 5)', { min: 0 }),
+      '--limit': int('Max anomalies (default: 20)'),
+      '--source': choice(['query', 'stats'], 'Series to score: query (per event, default) or stats (daily total)'),
+    },
+  },
+  heatmap: {
+    summary: 'Day × hour activity grid',
+    project: 1,
+    flags: {
+      '--metric': choice(HEATMAP_METRICS, 'Shading: events (default) or users'),
+      '--tz': text('zone', 'Timezone: IANA name (Europe/Berlin), UTC, or local'),
+    },
+  },
+  funnel: {
+    summary: 'Funnel analysis: where users drop off',
+    usage: '<project> [--steps-json <json-or-file> | --steps a,b | --from-context] [--json]',
+    project: 1,
+    flags: {
+      '--steps': text('events', 'Comma-separated event names; kept for compatibility'),
+      '--steps-json': text('json', 'Inline JSON or path to JSON file. Use fields like properties.path with eq, in, contains, prefix'),
+      '--from-context': flag('Use project_context.activation_events as bare event steps'),
+      '--json': flag('Print the full structured API response (same as --format json)'),
+      '--window': int('Conversion window in hours (default: 168)'),
+      '--since': text('value', 'Lookback window, e.g. 1d, 7d, 30d'),
+      '--count-by': choice(['user_id', 'session_id'], 'Count users or sessions through the funnel'),
+      '--breakdown': text('property', 'Property key to break down from step 1'),
+      '--breakdown-limit': int('Max breakdown values'),
+      '--compare': text('window', 'Not available for funnels: /funnel only runs from --since through now, so a past window cannot be run'),
+    },
+    examples: {
+      'Structured funnels (canonical precision path)': [
+        'funnel shop --steps-json ./funnel.json --json',
+        'funnel shop --steps-json \'[{"event":"page_view","filters":[{"field":"properties.path","op":"prefix","value":"/products"}]},{"event":"signup"}]\' --json',
+      ],
+      'Quick modes': [
+        'funnel shop --steps page_view,signup,purchase --json',
+        'funnel shop --from-context --json',
+        'funnel shop --json   # uses project context activation_events when present',
+      ],
+    },
+    notes: [
+      'Structured funnel output includes raw_activity, strict_survivors, identity_basis, warnings, and caveats.',
+      'Use funnel for sequential conversion, query for aggregate slicing/grouping, and paths for bounded session-local journey exploration.',
+    ],
+  },
+  retention: {
+    summary: 'Cohort retention: % of users who return',
+    project: 1,
+    flags: {
+      '--period': choice(['day', 'week', 'month'], 'Cohort size (default: week)'),
+      '--cohorts': int('Number of cohorts'),
+      '--event': text('event', 'Cohort on this event instead of sessions'),
+      '--returning-event': text('event', 'Event that counts as a return'),
+    },
+  },
+  live: {
+    summary: 'Real-time terminal dashboard across all projects',
+    usage: '[project]',
+    project: 1,
+    flags: {
+      '--interval': int('Refresh interval in seconds (default: 5)'),
+      '--window': int('Time window in seconds (default: 60)'),
+    },
+  },
+  experiments: {
+    summary: 'A/B testing your agent can actually use',
+    usage: 'list <project> | create <project> --name <name> --variants a,b --goal <event> | get|pause|resume|complete|delete <id>',
+    subcommands: ['list', 'create', 'get', 'pause', 'resume', 'complete', 'delete'],
+    project: 2,
+    projectAfter: ['list', 'create'],
+    flags: {
+      '--name': text('name', 'Experiment name'),
+      '--variants': text('variants', 'Comma-separated variant keys (e.g. control,new_cta)'),
+      '--goal': text('event', 'Goal event'),
+      '--weights': text('weights', 'Comma-separated traffic weights (e.g. 60,40)'),
+      '--winner': text('variant', 'With complete: the variant to ship'),
+    },
+  },
+  delete: { summary: 'Delete a project by name or id', project: 1 },
+  'revoke-key': { summary: 'Not supported by the CLI; manage keys from the dashboard' },
+  feedback: {
+    summary: 'Send product/process feedback',
+    usage: '--message <text>',
+    flags: {
+      '--message': text('text', 'Feedback message for the product team'),
+      '--project': text('project', 'Project the feedback is about'),
+      '--command': text('command', 'Command that was confusing or slow'),
+      '--context': text('text', 'Use case and friction, without secrets or customer data'),
+    },
+  },
+  'delete-account': { summary: 'Delete your account (opens dashboard)' },
+  whoami: { summary: 'Show current account and tier' },
+  auth: {
+    summary: 'Local auth status and agent sessions on the account',
+    usage: 'status | sessions list | sessions revoke <id|--all-except-current>',
+    subcommands: ['status', 'sessions'],
+    flags: { '--all-except-current': flag('With sessions revoke: revoke every session but this one') },
+  },
+  mcp: { summary: 'Run an MCP server on stdio exposing every API command as a tool' },
+  track: {
+    summary: 'Send one event with the project token',
+    usage: '<project> <event>',
+    project: 1,
+    flags: {
+      '--properties': text('json', 'Event properties as inline JSON or a file'),
+      '--user-id': text('id', 'User id for the event'),
+      '--session-id': text('id', 'Session id for the event'),
+      '--timestamp': text('time', 'Event time as ISO 8601 or epoch milliseconds'),
+      '--project-token': PROJECT_TOKEN,
+    },
+  },
+  import: {
+    summary: 'Batch-import NDJSON or CSV events, or another tool\'s export',
+    usage: '<project> --file <events.ndjson|events.csv|->',
+    project: 1,
+    flags: {
+      '--file': text('file', 'Events file: .ndjson/.jsonl or .csv, or - for stdin'),
+      '--input-format': choice(['ndjson', 'csv'], 'File format when the extension does not say'),
+      '--dedupe-key': text('field', 'Field that identifies duplicate events'),
+      '--batch-size': int(`Events per request (default: ${MAX_BATCH_SIZE})`, { max: MAX_BATCH_SIZE }),
+      '--from': text('source', 'Import another tool\'s export: ga4, plausible, posthog', { suggestions: IMPORT_SOURCES }),
+      '--map': text('mapping', 'Override importer field mappings (e.g. user_id=user_pseudo_id)'),
+      '--preview': flag('Show mapped events and counts before importing'),
+      '--limit': int('Max events to import'),
+      '--dry-run': flag('Validate and dedupe without sending anything'),
+      '--skip-invalid': flag('Skip invalid rows instead of stopping'),
+      '--project-token': PROJECT_TOKEN,
+    },
+  },
+  export: {
+    summary: 'Export raw events to NDJSON (.gz) with resume',
+    usage: '<project> --from <date> --out <file>',
+    project: 1,
+    flags: {
+      '--from': text('date', 'First day to export (YYYY-MM-DD)'),
+      '--to': text('date', 'Last day to export (default: today)'),
+      '--out': text('file', 'Destination; .gz compresses it, <file>.checkpoint.json tracks progress'),
+      // The until cursor is inclusive, so a page of one would only ever
+      // return the event it was positioned on.
+      '--page-size': int('Events per /events request (default: 1000)', { min: 2 }),
+      '--restart': flag('Discard the checkpoint and overwrite the output file'),
+    },
+  },
+  profiles: {
+    summary: 'Named profiles for separate accounts or base URLs',
+    usage: 'list | use <name> [--base-url <url>] | remove <name>',
+    subcommands: ['list', 'use', 'remove'],
+    flags: { '--base-url': text('url', 'With use: point the profile at this API') },
+  },
+  shell: { summary: 'Interactive prompt: tab completion, history, use <project>' },
+  completion: { summary: 'Print a completion script for bash, zsh, or fish', usage: '<bash|zsh|fish>', subcommands: ['bash', 'zsh', 'fish'] },
+  __complete: { hidden: true, subcommands: ['projects'] },
+  help: { summary: 'List every command, or show one command\'s options', usage: '[command]' },
+};
+
+/**
+ * Options every command accepts, for help and completion. The CLI takes them
+ * out of argv before a command's own options are parsed.
+ */
+export const GLOBAL_FLAGS = {
+  '--format': choice(OUTPUT_FORMATS, 'Output format (default: text)'),
+};
+
+export function commandNames() {
+  return Object.keys(COMMANDS).filter((name) => !COMMANDS[name].hidden);
+}
+
+/** A command's options, with the global ones unless `globals` is false. */
+export function commandFlags(name, { globals = true } = {}) {
+  return { ...(COMMANDS[name]?.flags || {}), ...(globals ? GLOBAL_FLAGS : {}) };
+}
+
+/** Values worth completing for an option: its choices, else its suggestions. */
+export function flagCandidates(option) {
+  return option?.choices || option?.suggestions || [];
+}
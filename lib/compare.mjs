@@ -0,0 +1,104 @@
+/**
+ * Side-by-side project comparison for `compare`. Each project contributes its
+ * stats, insights, and (optionally) funnel response; these are lined up as
+ * metric rows with one value per project and a relative delta against the
+ * first project, which acts as the baseline.
+ */
+
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+
+function deltaPct(value, baseline) {
+  if (value == null || baseline == null || baseline === 0) return null;
+  return round(((value - baseline) / Math.abs(baseline)) * 100);
+}
+
+function perUser(count, users) {
+  return users > 0 && count != null ? round(count / users, 3) : null;
+}
+
+// kind: count (integers), ratio (per-user numbers), rate (0-1 shares),
+// change (period-over-period %; deltas of deltas are not meaningful).
+function row(section, metric, kind, values) {
+  return { section, metric, kind, values };
+}
+
+function statsEventCounts(stats) {
+  return Object.fromEntries((stats?.events || []).map((event) => [event.event, Number(event.count) || 0]));
+}
+
+function funnelSteps(funnel) {
+  return (funnel?.steps || []).map((step) => ({
+    label: `${step.step}. ${step.event}`,
+    survivors: Number(step.strict_survivors ?? step.users ?? 0),
+  }));
+}
+
+/**
+ * Build comparison rows from `[{ project, stats, insights, funnel }]`.
+ * Events missing from a project count as zero so sites built from the same
+ * template line up even when one has not fired an event yet.
+ */
+export function buildComparison(results) {
+  const projects = results.map((result) => result.project);
+  const rows = [];
+  const collect = (section, metric, kind, valueOf) => {
+    rows.push(row(section, metric, kind, Object.fromEntries(results.map((result) => [result.project, valueOf(result)]))));
+  };
+
+  const users = (result) => Number(result.stats?.totals?.unique_users) || 0;
+  const eventCounts = new Map(results.map((result) => [result.project, statsEventCounts(result.stats)]));
+  const eventNames = [...new Set(results.flatMap((result) => Object.keys(eventCounts.get(result.project))))].sort();
+
+  collect('stats', 'events', 'count', (result) => Number(result.stats?.totals?.total_events) || 0);
+  collect('stats', 'users', 'count', users);
+  for (const name of eventNames) collect('stats', name, 'count', (result) => eventCounts.get(result.project)[name] || 0);
+
+  const insightMetrics = [...new Set(results.flatMap((result) => Object.keys(result.insights?.metrics || {})))];
+  for (const metric of insightMetrics) {
+    const label = metric.replace(/_/g, ' ');
+    const kind = /rate/.test(metric) ? 'rate' : 'count';
+    collect('insights', label, kind, (result) => result.insights?.metrics?.[metric]?.current ?? null);
+    collect('insights', `${label} change`, 'change', (result) => result.insights?.metrics?.[metric]?.change_pct ?? null);
+  }
+
+  const hasFunnel = results.some((result) => result.funnel);
+  const stepLabels = hasFunnel ? funnelSteps(results.find((result) => result.funnel).funnel).map((step) => step.label) : [];
+  const survivorsAt = (result, index) => (result.funnel ? funnelSteps(result.funnel)[index]?.survivors ?? 0 : null);
+  stepLabels.forEach((label, index) => collect('funnel', label, 'count', (result) => survivorsAt(result, index)));
+  if (hasFunnel) collect('funnel', 'overall conversion', 'rate', (result) => result.funnel?.overall_conversion_rate ?? null);
+
+  collect('per_user', 'events per user', 'ratio', (result) => perUser(Number(result.stats?.totals?.total_events) || 0, users(result)));
+  for (const name of eventNames) collect('per_user', `${name} per user`, 'ratio', (result) => perUser(eventCounts.get(result.project)[name] || 0, users(result)));
+  stepLabels.forEach((label, index) => {
+    collect('per_user', `reached ${label.replace(/^\d+\. /, '')}`, 'rate', (result) => perUser(survivorsAt(result, index), users(result)));
+  });
+
+  const baseline = projects[0];
+  for (const item of rows) {
+    item.delta_pct = Object.fromEntries(projects.slice(1).map((project) => [
+      project,
+      item.kind === 'change' ? null : deltaPct(item.values[project], item.values[baseline]),
+    ]));
+  }
+
+  return { projects, baseline, rows };
+}
+
+/** Flat rows for CSV/TSV/markdown/NDJSON: one column per project plus `<project>_vs_baseline_pct`. */
+export function comparisonTableRows(comparison) {
+  return comparison.rows.map((item) => {
+    const flat = { section: item.section, metric: item.metric };
+    for (const project of comparison.projects) flat[project] = item.values[project];
+    for (const project of comparison.projects.slice(1)) flat[`${project}_vs_baseline_pct`] = item.delta_pct[project];
+    return flat;
+  });
+}
+
+/** Display a row value according to its kind. */
+export function formatComparisonValue(value, kind) {
+  if (value == null) return '—';
+  if (kind === 'rate') return `${round(value * 100)}%`;
+  if (kind === 'change') return `${value > 0 ? '+' : ''}${value}%`;
+  if (kind === 'ratio') return String(round(value, 2));
+  return Number(value).toLocaleString('en-US');
+}
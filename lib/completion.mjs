@@ -0,0 +1,316 @@
+/**
+ * Completion scripts for bash, zsh, and fish, generated from the command
+ * table in command-spec.mjs. Commands, subcommands, flags, and fixed flag
+ * values are written into the script; project names come from the hidden
+ * `__complete projects` command, which answers from a short-lived cache of
+ * `listProjects` so a Tab press rarely waits on the network.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { commandFlags, commandNames, COMMANDS, flagCandidates, GLOBAL_FLAGS } from './command-spec.mjs';
+
+export const COMPLETION_SHELLS = ['bash', 'zsh', 'fish'];
+export const PROJECT_CACHE_MAX_AGE_MS = 5 * 60 * 1000;
+
+const PROGRAM = 'agent-analytics';
+const PROJECT_KINDS = new Set(['project', 'projects']);
+
+// What each command contributes to a script, in the shapes every generator needs.
+function commandTable() {
+  return commandNames().map((name) => {
+    const spec = COMMANDS[name];
+    const flags = commandFlags(name);
+    const values = Object.entries(spec.flags || {}).filter(([, option]) => option.type !== 'switch');
+    return {
+      name,
+      flags: Object.keys(flags),
+      takes: Object.keys(flags).filter((flag) => flags[flag].type !== 'switch'),
+      subs: spec.subcommands || [],
+      project: spec.project ?? null,
+      after: spec.projectAfter || [],
+      enums: values.filter(([, option]) => flagCandidates(option).length > 0).map(([flag, option]) => [flag, flagCandidates(option)]),
+      projects: values.filter(([, option]) => PROJECT_KINDS.has(option.value)).map(([flag, option]) => [flag, option.value]),
+      files: values.filter(([, option]) => option.value === 'file'),
+    };
+  });
+}
+
+// One `case` branch matching any of the command/flag pairs, or nothing when there are none.
+function caseBranch(pairs, body, { parens = false } = {}) {
+  if (pairs.length === 0) return [];
+  const pattern = pairs.map(([name, flag]) => `'${name} ${flag}'`).join('|');
+  return [`      ${parens ? `(${pattern})` : pattern}) ${body} ;;`];
+}
+
+function pairs(table, key, filter = () => true) {
+  return table.flatMap((command) => command[key].filter(filter).map(([flag]) => [command.name, flag]));
+}
+
+// Shell assignments describing one command inside the `case "$cmd"` block.
+function commandAssignments(command) {
+  const parts = [`flags="${command.flags.join(' ')}"`, `takes="${command.takes.join(' ')}"`];
+  if (command.subs.length > 0) parts.push(`subs="${command.subs.join(' ')}"`);
+  if (command.project !== null) parts.push(`project=${command.project}`);
+  if (command.after.length > 0) parts.push(`after="${command.after.join(' ')}"`);
+  return `    ${command.name}) ${parts.join('; ')} ;;`;
+}
+
+function bashScript() {
+  const table = commandTable();
+  const enumCases = table.flatMap((command) => command.enums.map(([flag, values]) => (
+    `      '${command.name} ${flag}') candidates="${values.join(' ')}" ;;`
+  )));
+  const globalCases = Object.entries(GLOBAL_FLAGS).map(([flag, option]) => `      *' ${flag}') candidates="${flagCandidates(option).join(' ')}" ;;`);
+  const lists = pairs(table, 'projects', ([, kind]) => kind === 'projects');
+  const single = pairs(table, 'projects', ([, kind]) => kind === 'project');
+
+  return `# bash completion for ${PROGRAM}
+# Add to ~/.bashrc:  source <(${PROGRAM} completion bash)
+
+_agent_analytics_projects() {
+  ${PROGRAM} __complete projects 2>/dev/null
+}
+
+_agent_analytics() {
+  local cur="\${COMP_WORDS[COMP_CWORD]}" prev="\${COMP_WORDS[COMP_CWORD-1]}" cmd="\${COMP_WORDS[1]}"
+  local flags="" takes="" subs="" project="" after="" sub="" candidates="" list="" position=0 i
+  COMPREPLY=()
+  if ((COMP_CWORD == 1)); then
+    COMPREPLY=($(compgen -W "${table.map((command) => command.name).join(' ')}" -- "$cur"))
+    return
+  fi
+
+  case "$cmd" in
+${table.map(commandAssignments).join('\n')}
+  esac
+
+  if [[ " $takes " == *" $prev "* ]]; then
+    case "$cmd $prev" in
+${[
+    ...enumCases,
+    ...caseBranch(single, 'candidates="$(_agent_analytics_projects)"'),
+    ...caseBranch(lists, 'candidates="$(_agent_analytics_projects)"; list=1'),
+    ...caseBranch(pairs(table, 'files'), 'COMPREPLY=($(compgen -f -- "$cur")); return'),
+    ...globalCases,
+  ].join('\n')}
+    esac
+  elif [[ "$cur" == -* ]]; then
+    candidates="$flags"
+  else
+    for ((i = 2; i < COMP_CWORD; i++)); do
+      if [[ "\${COMP_WORDS[i]}" == -* ]]; then
+        [[ " $takes " == *" \${COMP_WORDS[i]} "* ]] && ((i++))
+      else
+        ((position++))
+        ((position == 1)) && sub="\${COMP_WORDS[i]}"
+      fi
+    done
+    ((position++))
+    if [[ -n "$subs" ]] && ((position == 1)); then
+      candidates="$subs"
+    elif [[ "$project" == all || ("$project" == "$position" && (-z "$after" || " $after " == *" $sub "*)) ]]; then
+      candidates="$(_agent_analytics_projects)"
+    fi
+  fi
+
+  if [[ -n "$list" && "$cur" == *,* ]]; then
+    COMPREPLY=($(compgen -P "\${cur%,*}," -W "$candidates" -- "\${cur##*,}"))
+  else
+    COMPREPLY=($(compgen -W "$candidates" -- "$cur"))
+  fi
+}
+
+complete -F _agent_analytics ${PROGRAM}
+`;
+}
+
+function zshScript() {
+  const table = commandTable();
+  const enumCases = table.flatMap((command) => command.enums.map(([flag, values]) => (
+    `      ('${command.name} ${flag}') candidates=(${values.join(' ')}) ;;`
+  )));
+  const globalCases = Object.entries(GLOBAL_FLAGS).map(([flag, option]) => `      (*' ${flag}') candidates=(${flagCandidates(option).join(' ')}) ;;`);
+  const lists = pairs(table, 'projects', ([, kind]) => kind === 'projects');
+  const single = pairs(table, 'projects', ([, kind]) => kind === 'project');
+
+  return `#compdef ${PROGRAM}
+# zsh completion for ${PROGRAM}
+# Add to ~/.zshrc after compinit:  source <(${PROGRAM} completion zsh)
+# or save it as _${PROGRAM} in a directory on $fpath.
+
+_agent_analytics_projects() {
+  ${PROGRAM} __complete projects 2>/dev/null
+}
+
+_agent_analytics() {
+  local cmd=\${words[2]} prev=\${words[CURRENT-1]} cur=\${words[CURRENT]}
+  local flags takes subs project after sub
+  local -a candidates
+  integer i position=0
+
+  if (( CURRENT == 2 )); then
+    candidates=(${table.map((command) => command.name).join(' ')})
+    compadd -a candidates
+    return
+  fi
+
+  case $cmd in
+${table.map(commandAssignments).join('\n').replace(/^ {4}(\S+)\)/gm, '    ($1)')}
+  esac
+
+  if [[ " $takes " == *" $prev "* ]]; then
+    case "$cmd $prev" in
+${[
+    ...enumCases,
+    ...caseBranch(single, 'candidates=(${(f)"$(_agent_analytics_projects)"})', { parens: true }),
+    ...caseBranch(lists, 'compset -P \'*,\'; candidates=(${(f)"$(_agent_analytics_projects)"})', { parens: true }),
+    ...caseBranch(pairs(table, 'files'), '_files; return', { parens: true }),
+    ...globalCases,
+  ].join('\n')}
+    esac
+  elif [[ $cur == -* ]]; then
+    candidates=(\${=flags})
+  else
+    for (( i = 3; i < CURRENT; i++ )); do
+      if [[ \${words[i]} == -* ]]; then
+        [[ " $takes " == *" \${words[i]} "* ]] && (( i++ ))
+      else
+        (( position++ ))
+        (( position == 1 )) && sub=\${words[i]}
+      fi
+    done
+    (( position++ ))
+    if [[ -n $subs ]] && (( position == 1 )); then
+      candidates=(\${=subs})
+    elif [[ $project == all || ( $project == $position && ( -z $after || " $after " == *" $sub "* ) ) ]]; then
+      candidates=(\${(f)"$(_agent_analytics_projects)"})
+    fi
+  fi
+  compadd -a candidates
+}
+
+if [[ \${zsh_eval_context[-1]} == loadautofunc ]]; then
+  _agent_analytics "$@"
+else
+  compdef _agent_analytics ${PROGRAM}
+fi
+`;
+}
+
+function fishFlag(command, flag, option) {
+  const base = `complete -c ${PROGRAM} -n '__agent_analytics_using ${command}' -l ${flag.slice(2)}`;
+  if (option.type === 'switch') return base;
+  if (flagCandidates(option).length > 0) return `${base} -x -a '${flagCandidates(option).join(' ')}'`;
+  if (PROJECT_KINDS.has(option.value)) return `${base} -x -a '(__agent_analytics_projects)'`;
+  if (option.value === 'file') return `${base} -r -F`;
+  return `${base} -x`;
+}
+
+function fishScript() {
+  const table = commandTable();
+  const lines = [];
+  for (const command of table) {
+    const flags = Object.entries(COMMANDS[command.name].flags || {});
+    const positional = [];
+    if (command.subs.length > 0) {
+      positional.push(`complete -c ${PROGRAM} -n '__agent_analytics_argument ${command.name} 1' -a '${command.subs.join(' ')}'`);
+    }
+    if (command.project !== null) {
+      const at = command.project === 'all' ? 'any' : [command.project, ...command.after].join(' ');
+      positional.push(`complete -c ${PROGRAM} -n '__agent_analytics_argument ${command.name} ${at}' -a '(__agent_analytics_projects)'`);
+    }
+    if (flags.length === 0 && positional.length === 0) continue;
+    lines.push('', `# ${command.name}`, ...positional, ...flags.map(([flag, option]) => fishFlag(command.name, flag, option)));
+  }
+  const globals = Object.entries(GLOBAL_FLAGS).map(([flag, option]) => (
+    `complete -c ${PROGRAM} -n 'not __fish_use_subcommand' -l ${flag.slice(2)} -x -a '${flagCandidates(option).join(' ')}'`
+  ));
+
+  return `# fish completion for ${PROGRAM}
+# Load it with:  ${PROGRAM} completion fish | source
+# or save it as ~/.config/fish/completions/${PROGRAM}.fish
+
+function __agent_analytics_projects
+    # Comma-separated lists complete their last entry.
+    set -l head (string match -r -- '^.*,' (commandline -ct)); or set head ''
+    for project in (${PROGRAM} __complete projects 2>/dev/null)
+        echo $head$project
+    end
+end
+
+function __agent_analytics_using
+    set -l words (commandline -opc)
+    test (count $words) -ge 2; and test $words[2] = $argv[1]
+end
+
+function __agent_analytics_value_flags
+    switch $argv[1]
+${table.map((command) => `        case ${command.name}\n            printf '%s\\n' ${command.takes.join(' ')}`).join('\n')}
+    end
+end
+
+# True when the token being completed is positional argument $argv[2] (or
+# any, for "any") of command $argv[1]. Further arguments list the
+# subcommands that argument may follow.
+function __agent_analytics_argument
+    __agent_analytics_using $argv[1]; or return 1
+    set -l words (commandline -opc)
+    set -e words[1]
+    set -e words[1]
+    set -l takes (__agent_analytics_value_flags $argv[1])
+    set -l positionals
+    set -l skip 0
+    for word in $words
+        if test $skip = 1
+            set skip 0
+        else if string match -q -- '-*' $word
+            contains -- $word $takes; and set skip 1
+        else
+            set -a positionals $word
+        end
+    end
+    test $argv[2] = any; and return 0
+    test (count $positionals) -eq (math $argv[2] - 1); or return 1
+    test (count $argv) -le 2; or contains -- "$positionals[1]" $argv[3..-1]
+end
+
+complete -c ${PROGRAM} -f
+complete -c ${PROGRAM} -n __fish_use_subcommand -a '${table.map((command) => command.name).join(' ')}'
+${globals.join('\n')}
+${lines.join('\n')}
+`;
+}
+
+/** The completion script for `shell`, one of COMPLETION_SHELLS. */
+export function completionScript(shell) {
+  if (shell === 'bash') return bashScript();
+  if (shell === 'zsh') return zshScript();
+  if (shell === 'fish') return fishScript();
+  throw new Error(`Unknown shell "${shell}". Use one of: ${COMPLETION_SHELLS.join(', ')}`);
+}
+
+/**
+ * Cached project names for `profile`, or null when there are none. `fresh`
+ * is false once the entry is older than PROJECT_CACHE_MAX_AGE_MS; stale names
+ * still beat no names when the API cannot be reached.
+ */
+export function readProjectCache(file, profile, now = Date.now()) {
+  try {
+    const entry = JSON.parse(readFileSync(file, 'utf8'))[profile];
+    if (!Array.isArray(entry?.projects)) return null;
+    return { projects: entry.projects, fresh: now - entry.fetched_at < PROJECT_CACHE_MAX_AGE_MS };
+  } catch {
+    return null;
+  }
+}
+
+export function writeProjectCache(file, profile, projects, now = Date.now()) {
+  let cache = {};
+  try {
+    cache = JSON.parse(readFileSync(file, 'utf8'));
+  } catch {
+    // A missing or corrupt cache is rebuilt from scratch.
+  }
+  cache[profile] = { fetched_at: now, projects };
+  writeFileSync(file, `${JSON.stringify(cache, null, 2)}\n`, { mode: 0o600 });
+}
@@ -3,14 +3,28 @@
  * AGENT_ANALYTICS_CONFIG_DIR/config.json
  * $XDG_CONFIG_HOME/agent-analytics/config.json
  * Fallback: ~/.config/agent-analytics/config.json
+ *
+ * CI can skip config entirely: AGENT_ANALYTICS_ACCESS_TOKEN /
+ * AGENT_ANALYTICS_REFRESH_TOKEN, or AGENT_ANALYTICS_SESSION_FILE pointing at
+ * session JSON, take precedence over any stored session and are never written.
+ *
+ * The `default` profile lives at the top level of config.json so existing
+ * configs keep working. Named profiles live under `profiles.<name>` with their
+ * own agent session, base URL, and cached account.
  */
 
 import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
 import { join } from 'node:path';
 import { homedir } from 'node:os';
-import { clearAgentSession, readAgentSession, saveAgentSession } from './credential-store.mjs';
+import { clearAgentSession, readAgentSession, saveAgentSession, withAgentSessionLock } from './credential-store.mjs';
+
+export const DEFAULT_PROFILE = 'default';
+const DEFAULT_BASE_URL = 'https://api.agentanalytics.sh';
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+const ACCOUNT_KEYS = ['api_key', 'agent_session', 'email', 'github_login', 'google_name', 'tier'];
 
 let explicitConfigDir = null;
+let explicitProfile = null;
 
 function nonEmpty(value) {
   return typeof value === 'string' && value.trim() !== '';
@@ -72,7 +86,19 @@ export function getConfigFile() {
   return getConfigLocation().file;
 }
 
-export function getConfig() {
+export function isValidProfileName(name) {
+  return typeof name === 'string' && PROFILE_NAME_PATTERN.test(name);
+}
+
+export function setProfileOverride(name) {
+  explicitProfile = nonEmpty(name) ? name.trim() : null;
+}
+
+export function clearProfileOverride() {
+  explicitProfile = null;
+}
+
+function readConfigFile() {
   try {
     return JSON.parse(readFileSync(getConfigFile(), 'utf8'));
   } catch {
@@ -80,22 +106,184 @@ export function getConfig() {
   }
 }
 
-export function saveConfig(config) {
+function writeConfigFile(config) {
   mkdirSync(getConfigDir(), { recursive: true });
   writeFileSync(getConfigFile(), JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
 }
 
+export function getActiveProfile() {
+  if (explicitProfile) {
+    return { name: explicitProfile, source: 'flag', label: '--profile' };
+  }
+  if (nonEmpty(process.env.AGENT_ANALYTICS_PROFILE)) {
+    // Checked like --profile: the name becomes a config key and a keychain account.
+    const name = process.env.AGENT_ANALYTICS_PROFILE.trim();
+    if (!isValidProfileName(name)) {
+      throw new Error(`Invalid profile name "${name}" in AGENT_ANALYTICS_PROFILE. Use letters, numbers, dots, dashes, or underscores.`);
+    }
+    return { name, source: 'env', label: 'AGENT_ANALYTICS_PROFILE' };
+  }
+  const current = readConfigFile().current_profile;
+  if (nonEmpty(current)) {
+    return { name: current, source: 'config', label: 'profiles use' };
+  }
+  return { name: DEFAULT_PROFILE, source: 'default', label: 'default' };
+}
+
+export function getProfileName() {
+  return getActiveProfile().name;
+}
+
+function readProfileConfig(root, name) {
+  if (name === DEFAULT_PROFILE) return root;
+  const section = root.profiles?.[name];
+  return section && typeof section === 'object' ? { ...section } : {};
+}
+
+export function getConfig(profile = getProfileName()) {
+  return readProfileConfig(readConfigFile(), profile);
+}
+
+export function saveConfig(config, profile = getProfileName()) {
+  const root = readConfigFile();
+  if (profile === DEFAULT_PROFILE) {
+    // Profile bookkeeping is owned by the profile commands; never let a stale
+    // default-profile object drop it.
+    const next = { ...config };
+    if (root.profiles && !Object.prototype.hasOwnProperty.call(next, 'profiles')) next.profiles = root.profiles;
+    if (root.current_profile && !Object.prototype.hasOwnProperty.call(next, 'current_profile')) next.current_profile = root.current_profile;
+    writeConfigFile(next);
+    return;
+  }
+  root.profiles = { ...(root.profiles || {}), [profile]: config };
+  writeConfigFile(root);
+}
+
+function profileBaseUrl(config) {
+  return process.env.AGENT_ANALYTICS_URL || config.base_url || DEFAULT_BASE_URL;
+}
+
+function profileSummary(name, config, activeName) {
+  const session = config.agent_session;
+  return {
+    name,
+    active: name === activeName,
+    base_url: config.base_url || null,
+    email: config.email || null,
+    github_login: config.github_login || null,
+    tier: config.tier || null,
+    logged_in: Boolean(session && (session.storage === 'native' || session.encrypted || session.access_token || session.refresh_token)),
+  };
+}
+
+export function listProfiles() {
+  const root = readConfigFile();
+  const activeName = getProfileName();
+  const names = [DEFAULT_PROFILE, ...Object.keys(root.profiles || {}).filter((name) => name !== DEFAULT_PROFILE).sort()];
+  if (!names.includes(activeName)) names.push(activeName);
+  return names.map((name) => profileSummary(name, readProfileConfig(root, name), activeName));
+}
+
+export function useProfile(name, { baseUrl } = {}) {
+  if (!isValidProfileName(name)) {
+    throw new Error(`Invalid profile name "${name}". Use letters, numbers, dots, dashes, or underscores.`);
+  }
+  const root = readConfigFile();
+  if (name === DEFAULT_PROFILE) {
+    delete root.current_profile;
+    if (baseUrl) root.base_url = baseUrl;
+  } else {
+    root.current_profile = name;
+    const section = { ...(root.profiles?.[name] || {}) };
+    if (baseUrl) section.base_url = baseUrl;
+    root.profiles = { ...(root.profiles || {}), [name]: section };
+  }
+  writeConfigFile(root);
+  return profileSummary(name, readProfileConfig(root, name), name);
+}
+
+export async function removeProfile(name) {
+  if (name === DEFAULT_PROFILE) {
+    throw new Error('The default profile cannot be removed. Use logout to clear its session.');
+  }
+  const root = readConfigFile();
+  const section = root.profiles?.[name];
+  if (!section) return false;
+
+  try {
+    await clearAgentSession(section, profileBaseUrl(section), name);
+  } catch {
+    // Keyring cleanup is best-effort, same as logout.
+  }
+
+  const latest = readConfigFile();
+  if (latest.profiles) {
+    delete latest.profiles[name];
+    if (Object.keys(latest.profiles).length === 0) delete latest.profiles;
+  }
+  if (latest.current_profile === name) delete latest.current_profile;
+  writeConfigFile(latest);
+  return true;
+}
+
 export function getApiKey() {
   return null;
 }
 
-export async function getStoredAuth() {
+function sessionFromFile(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read AGENT_ANALYTICS_SESSION_FILE ${file}: ${err.message}`);
+  }
+  const session = parsed?.agent_session || parsed;
+  if (!session || typeof session !== 'object' || (!nonEmpty(session.access_token) && !nonEmpty(session.refresh_token))) {
+    throw new Error(`AGENT_ANALYTICS_SESSION_FILE ${file} has no access_token or refresh_token`);
+  }
+  const { storage, credential, ...auth } = session;
+  return auth;
+}
+
+/**
+ * Agent session supplied by the environment, or null. With only a refresh
+ * token the access token is marked expired so the first request refreshes.
+ */
+export function getEnvironmentAuth() {
+  const accessToken = process.env.AGENT_ANALYTICS_ACCESS_TOKEN;
+  const refreshToken = process.env.AGENT_ANALYTICS_REFRESH_TOKEN;
+  if (nonEmpty(accessToken) || nonEmpty(refreshToken)) {
+    const session = {};
+    if (nonEmpty(accessToken)) session.access_token = accessToken.trim();
+    else session.access_expires_at = 0;
+    if (nonEmpty(refreshToken)) session.refresh_token = refreshToken.trim();
+    return {
+      source: nonEmpty(accessToken) ? 'AGENT_ANALYTICS_ACCESS_TOKEN' : 'AGENT_ANALYTICS_REFRESH_TOKEN',
+      session,
+    };
+  }
+  const file = process.env.AGENT_ANALYTICS_SESSION_FILE;
+  if (nonEmpty(file)) {
+    return { source: 'AGENT_ANALYTICS_SESSION_FILE', file, session: sessionFromFile(file) };
+  }
+  return null;
+}
+
+export async function getStoredAuth({ includeEnvironment = true } = {}) {
+  if (includeEnvironment) {
+    const envAuth = getEnvironmentAuth();
+    if (envAuth) return { ...envAuth.session };
+  }
   const config = getConfig();
   return readAgentSession(config, getBaseUrl());
 }
 
 export function getAuthSource(config = getConfig()) {
-  if (config.agent_session?.storage === 'native') {
+  const envAuth = getEnvironmentAuth();
+  if (envAuth) {
+    return `environment (${envAuth.source})`;
+  }
+  if (config.agent_session?.storage === 'native' || config.agent_session?.encrypted) {
     return 'stored agent session';
   }
   if (config.agent_session?.refresh_token || config.agent_session?.access_token) {
@@ -116,6 +304,10 @@ export async function setAgentSession(session) {
   return saveAgentSession(session, getBaseUrl());
 }
 
+export async function withStoredAuthLock(fn) {
+  return withAgentSessionLock(fn);
+}
+
 export function updateStoredAccount(account = {}) {
   const config = getConfig();
   if (account.email) config.email = account.email;
@@ -127,7 +319,7 @@ export function updateStoredAccount(account = {}) {
 
 export async function clearStoredAuth() {
   const config = getConfig();
-  const hadStoredAuth = ['api_key', 'agent_session', 'email', 'github_login', 'google_name', 'tier']
+  const hadStoredAuth = ACCOUNT_KEYS
     .some((key) => Object.prototype.hasOwnProperty.call(config, key));
 
   if (!hadStoredAuth) {
@@ -141,17 +333,11 @@ export async function clearStoredAuth() {
     // metadata so a broken/locked keyring cannot leave the CLI appearing logged in.
   }
 
-  delete config.api_key;
-  delete config.agent_session;
-  delete config.email;
-  delete config.github_login;
-  delete config.google_name;
-  delete config.tier;
+  for (const key of ACCOUNT_KEYS) delete config[key];
   saveConfig(config);
   return true;
 }
 
 export function getBaseUrl() {
-  const config = getConfig();
-  return process.env.AGENT_ANALYTICS_URL || config.base_url || 'https://api.agentanalytics.sh';
+  return profileBaseUrl(getConfig());
 }
@@ -1,17 +1,38 @@
 /**
  * Credential storage selection for agent-session auth.
- * Native storage uses @zowe/secrets-for-zowe-sdk on supported desktop OSes.
+ * Native storage uses @zowe/secrets-for-zowe-sdk: Keychain on macOS,
+ * Credential Manager on Windows, and Secret Service (libsecret) on Linux
+ * desktops. `encrypted-file` keeps an AES-256-GCM encrypted session in
+ * config.json for CI boxes and headless servers. Its key is derived with
+ * scrypt from AGENT_ANALYTICS_CREDENTIAL_PASSPHRASE (or a terminal prompt),
+ * or read from AGENT_ANALYTICS_CREDENTIAL_KEY_FILE. A key kept next to the
+ * ciphertext would protect nothing, so there is no default key file and one
+ * inside the config directory is refused.
  */
 
-import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
-import { dirname } from 'node:path';
-import { getConfig, saveConfig } from './config.mjs';
+import { createCipheriv, createDecipheriv, randomBytes, scrypt } from 'node:crypto';
+import { closeSync, linkSync, mkdirSync, openSync, readFileSync, renameSync, statSync, unlinkSync, writeFileSync, writeSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { DEFAULT_PROFILE, getConfig, getConfigDir, getProfileName, saveConfig } from './config.mjs';
 
 export const CREDENTIAL_SERVICE = 'agent-analytics';
 export const DEFAULT_BASE_URL = 'https://api.agentanalytics.sh';
 const DEFAULT_MODE = 'auto';
+const CREDENTIAL_STORE_MODES = ['auto', 'native', 'file', 'encrypted-file'];
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const SCRYPT_PARAMS = Object.freeze({ N: 2 ** 15, r: 8, p: 1 });
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+// The refresh made under the lock is bounded by REFRESH_TIMEOUT_MS in
+// api.mjs (10 s, no retries). Waiters outlast it with room for saving the
+// rotated session, and only a lock far older than that counts as abandoned.
+const LOCK_TIMEOUT_MS = 45_000;
+const LOCK_STALE_MS = 60_000;
+const LOCK_POLL_MS = 50;
 
 let testSeams = {};
+// A prompted passphrase is kept for the life of the process so a refresh can
+// re-encrypt the rotated session without asking again.
+let cachedPassphrase = null;
 
 function nonEmpty(value) {
   return typeof value === 'string' && value.trim() !== '';
@@ -21,7 +42,7 @@ export function getCredentialStoreMode() {
   const raw = process.env.AGENT_ANALYTICS_CREDENTIAL_STORE;
   if (!nonEmpty(raw)) return DEFAULT_MODE;
   const mode = raw.trim().toLowerCase();
-  return ['auto', 'native', 'file'].includes(mode) ? mode : DEFAULT_MODE;
+  return CREDENTIAL_STORE_MODES.includes(mode) ? mode : DEFAULT_MODE;
 }
 
 function currentPlatform() {
@@ -32,10 +53,23 @@ function isDesktopPlatform(platform = currentPlatform()) {
   return platform === 'darwin' || platform === 'win32';
 }
 
+/**
+ * Secret Service needs a D-Bus session bus, which SSH sessions, containers,
+ * and CI runners usually lack. A simulated platform never probes the host.
+ */
+export function linuxSecretServiceAvailable() {
+  if (testSeams.secretService != null) return Boolean(testSeams.secretService);
+  if (testSeams.platform || nonEmpty(process.env.AGENT_ANALYTICS_CREDENTIAL_PLATFORM)) return false;
+  return nonEmpty(process.env.DBUS_SESSION_BUS_ADDRESS);
+}
+
 export function selectedStorage(mode = getCredentialStoreMode(), platform = currentPlatform()) {
   if (mode === 'file') return 'file';
   if (mode === 'native') return 'native';
-  return isDesktopPlatform(platform) ? 'native' : 'file';
+  if (mode === 'encrypted-file') return 'encrypted-file';
+  if (isDesktopPlatform(platform)) return 'native';
+  if (platform === 'linux' && linuxSecretServiceAvailable()) return 'native';
+  return 'file';
 }
 
 export function normalizeCredentialBaseUrl(baseUrl = DEFAULT_BASE_URL) {
@@ -43,8 +77,8 @@ export function normalizeCredentialBaseUrl(baseUrl = DEFAULT_BASE_URL) {
   return raw.replace(/\/+$/, '') || DEFAULT_BASE_URL;
 }
 
-export function credentialAccountForBaseUrl(baseUrl = DEFAULT_BASE_URL) {
-  return `${normalizeCredentialBaseUrl(baseUrl)}|default`;
+export function credentialAccountForBaseUrl(baseUrl = DEFAULT_BASE_URL, profile = DEFAULT_PROFILE) {
+  return `${normalizeCredentialBaseUrl(baseUrl)}|${profile || DEFAULT_PROFILE}`;
 }
 
 export function serializeAgentSession(session) {
@@ -88,12 +122,202 @@ export function agentSessionMetadata(session, storage, credential = undefined) {
 
 function nativeCredentialUnavailableMessage(err) {
   const detail = err?.message ? ` (${err.message})` : '';
-  return `Native credential storage unavailable${detail}. Set AGENT_ANALYTICS_CREDENTIAL_STORE=file to use file storage, or fix native keyring access and retry.`;
+  return `Native credential storage unavailable${detail}. Set AGENT_ANALYTICS_CREDENTIAL_STORE=file to use file storage (or =encrypted-file to keep it encrypted), or fix native keyring access and retry.`;
+}
+
+/** The configured key file, or for a saved session the one it was written with. */
+export function credentialKeyFile(encrypted = null) {
+  const configured = process.env.AGENT_ANALYTICS_CREDENTIAL_KEY_FILE;
+  if (nonEmpty(configured)) return configured;
+  return nonEmpty(encrypted?.key_file) ? encrypted.key_file : null;
+}
+
+function readKeyFile(file) {
+  const key = Buffer.from(readFileSync(file, 'utf8').trim(), 'base64');
+  if (key.length !== 32) throw new Error(`Credential key file ${file} is not a 256-bit base64 key`);
+  return key;
+}
+
+function encryptionKeyRequiredMessage() {
+  return 'encrypted-file storage needs a key kept apart from the config: set AGENT_ANALYTICS_CREDENTIAL_PASSPHRASE, run the command in a terminal to enter a passphrase, or set AGENT_ANALYTICS_CREDENTIAL_KEY_FILE to a key file outside the config directory.';
 }
 
-function saveFileAgentSession(config, session, fallback = undefined) {
+function loadOrCreateEncryptionKey(file) {
+  if (resolve(dirname(file)) === resolve(getConfigDir())) {
+    throw new Error(`AGENT_ANALYTICS_CREDENTIAL_KEY_FILE ${file} is in the config directory, next to the session it protects. Keep it somewhere else, such as a mounted secret.`);
+  }
+  try {
+    return readKeyFile(file);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  mkdirSync(dirname(file), { recursive: true });
+  try {
+    writeFileSync(file, `${randomBytes(32).toString('base64')}\n`, { mode: 0o600, flag: 'wx' });
+  } catch (err) {
+    // A parallel process created it first; use theirs.
+    if (err.code !== 'EEXIST') throw err;
+  }
+  return readKeyFile(file);
+}
+
+function readHiddenLine(question) {
+  return new Promise((resolve, reject) => {
+    const { stdin, stderr } = process;
+    let value = '';
+    const cleanup = () => {
+      stdin.off('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      stderr.write('\n');
+    };
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n') {
+          cleanup();
+          resolve(value);
+          return;
+        }
+        if (char === '\u0003') {
+          cleanup();
+          reject(new Error('Passphrase entry cancelled'));
+          return;
+        }
+        if (char === '\u007f' || char === '\b') {
+          value = value.slice(0, -1);
+          continue;
+        }
+        value += char;
+      }
+    };
+    stderr.write(question);
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
+
+async function promptPassphrase({ confirm = false } = {}) {
+  if (testSeams.promptPassphrase) return testSeams.promptPassphrase({ confirm });
+  if (!process.stdin.isTTY || !process.stderr.isTTY) return null;
+  const passphrase = await readHiddenLine('Agent Analytics credential passphrase: ');
+  if (confirm && passphrase !== await readHiddenLine('Repeat passphrase: ')) {
+    throw new Error('Passphrases did not match');
+  }
+  return passphrase;
+}
+
+function envPassphrase() {
+  const value = process.env.AGENT_ANALYTICS_CREDENTIAL_PASSPHRASE;
+  return nonEmpty(value) ? value : null;
+}
+
+async function resolvePassphrase({ confirm = false } = {}) {
+  const passphrase = envPassphrase() || cachedPassphrase || await promptPassphrase({ confirm });
+  if (!nonEmpty(passphrase)) return null;
+  cachedPassphrase = passphrase;
+  return passphrase;
+}
+
+function deriveKey(passphrase, salt, { N, r, p } = SCRYPT_PARAMS) {
+  return new Promise((resolve, reject) => {
+    scrypt(passphrase, salt, 32, { N, r, p, maxmem: SCRYPT_MAXMEM }, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+function passphraseRequiredMessage() {
+  return 'This agent session is encrypted with a passphrase. Set AGENT_ANALYTICS_CREDENTIAL_PASSPHRASE or run the command in a terminal to enter it.';
+}
+
+/**
+ * Key for a new ciphertext. A passphrase (env, earlier prompt, or a session
+ * that already uses one) wins; otherwise the configured key file (created if
+ * missing); otherwise prompt in a terminal. With none of them the save fails
+ * rather than writing a key beside the ciphertext.
+ */
+async function encryptionKeyForSave(previous) {
+  const usesPassphrase = envPassphrase() || cachedPassphrase || previous?.kdf?.name === 'scrypt';
+  const keyFile = credentialKeyFile(usesPassphrase ? null : previous);
+  if (usesPassphrase || !keyFile) {
+    const passphrase = await resolvePassphrase({ confirm: !usesPassphrase });
+    if (passphrase) {
+      const salt = randomBytes(16);
+      return {
+        key: await deriveKey(passphrase, salt),
+        kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMS },
+      };
+    }
+    if (usesPassphrase) throw new Error(passphraseRequiredMessage());
+    throw new Error(encryptionKeyRequiredMessage());
+  }
+  return { key: loadOrCreateEncryptionKey(keyFile), keyFile };
+}
+
+async function encryptionKeyForRead(encrypted) {
+  if (encrypted?.kdf?.name === 'scrypt') {
+    const passphrase = await resolvePassphrase();
+    if (!passphrase) throw new Error(passphraseRequiredMessage());
+    const { salt, N, r, p } = encrypted.kdf;
+    return deriveKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+  }
+  const keyFile = credentialKeyFile(encrypted);
+  if (!keyFile) throw new Error(encryptionKeyRequiredMessage());
+  return readKeyFile(keyFile);
+}
+
+async function encryptedAgentSession(session, previous, profile) {
+  const { key, kdf, keyFile } = await encryptionKeyForSave(previous);
+  const encrypted = encryptAgentSession(session, key, encryptionContext(profile));
+  if (kdf) encrypted.kdf = kdf;
+  if (keyFile) encrypted.key_file = keyFile;
+  return {
+    metadata: { ...agentSessionMetadata(session, 'encrypted-file'), encrypted },
+    result: kdf ? { storage: 'encrypted-file', keySource: 'passphrase' } : { storage: 'encrypted-file', keySource: 'key file', keyFile },
+  };
+}
+
+// Bound into the ciphertext so a session cannot be pasted into another profile.
+function encryptionContext(profile) {
+  return `${CREDENTIAL_SERVICE}|${profile || DEFAULT_PROFILE}`;
+}
+
+export function encryptAgentSession(session, key, aad) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ENCRYPTION_ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(serializeAgentSession(session), 'utf8'), cipher.final()]);
+  return {
+    alg: ENCRYPTION_ALGORITHM,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+export function decryptAgentSession(encrypted, key, aad) {
+  if (encrypted?.alg !== ENCRYPTION_ALGORITHM) {
+    throw new Error(`Unsupported encrypted agent session format: ${encrypted?.alg || 'missing'}`);
+  }
+  const decipher = createDecipheriv(ENCRYPTION_ALGORITHM, key, Buffer.from(encrypted.iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+  const payload = Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]).toString('utf8');
+  return parseAgentSession(payload);
+}
+
+function encryptedSessionUnreadableMessage(err, encrypted) {
+  if (err?.message === passphraseRequiredMessage() || err?.message === encryptionKeyRequiredMessage()) return err.message;
+  const detail = err?.message ? ` (${err.message})` : '';
+  if (encrypted?.kdf?.name === 'scrypt') {
+    return `Could not decrypt the stored agent session${detail}. The passphrase does not match; check AGENT_ANALYTICS_CREDENTIAL_PASSPHRASE or run login again.`;
+  }
+  return `Could not decrypt the stored agent session${detail}. The key file ${credentialKeyFile(encrypted)} is missing or does not match; run login again.`;
+}
+
+function saveFileAgentSession(config, session, fallback = undefined, profile = getProfileName()) {
   config.agent_session = { ...session, storage: 'file' };
-  saveConfig(config);
+  saveConfig(config, profile);
   const result = { storage: 'file' };
   if (fallback) result.fallback = fallback;
   return result;
@@ -144,16 +368,24 @@ export function setCredentialStoreTestSeams(seams = {}) {
 
 export function clearCredentialStoreTestSeams() {
   testSeams = {};
+  cachedPassphrase = null;
 }
 
-export async function saveAgentSession(session, baseUrl = DEFAULT_BASE_URL) {
+export async function saveAgentSession(session, baseUrl = DEFAULT_BASE_URL, profile = getProfileName()) {
   const mode = getCredentialStoreMode();
   const storage = selectedStorage(mode);
-  const config = getConfig();
+  const config = getConfig(profile);
   delete config.api_key;
 
+  if (storage === 'encrypted-file') {
+    const { metadata, result } = await encryptedAgentSession(session, config.agent_session?.encrypted, profile);
+    config.agent_session = metadata;
+    saveConfig(config, profile);
+    return result;
+  }
+
   if (storage === 'native') {
-    const credential = credentialAccountForBaseUrl(baseUrl);
+    const credential = credentialAccountForBaseUrl(baseUrl, profile);
     try {
       const keyring = await getNativeKeyring();
       await keyring.setPassword(CREDENTIAL_SERVICE, credential, serializeAgentSession(session));
@@ -164,30 +396,41 @@ export async function saveAgentSession(session, baseUrl = DEFAULT_BASE_URL) {
           from: 'native',
           to: 'file',
           message,
-        });
+        }, profile);
       }
       throw new Error(message);
     }
     config.agent_session = agentSessionMetadata(session, 'native', credential);
-    saveConfig(config);
+    saveConfig(config, profile);
     return { storage: 'native', credential };
   }
 
-  return saveFileAgentSession(config, session);
+  return saveFileAgentSession(config, session, undefined, profile);
 }
 
-async function migratePlaintextAgentSessionToNative(session, baseUrl = DEFAULT_BASE_URL) {
-  if (selectedStorage() !== 'native') return false;
+async function migratePlaintextAgentSession(session, baseUrl = DEFAULT_BASE_URL, profile = getProfileName()) {
+  const storage = selectedStorage();
+  if (storage === 'file') return false;
 
   if (!plaintextAgentSessionAuth(session)) return false;
 
-  // Re-read immediately before writing native credentials. The caller may have
+  // Re-read immediately before writing secure credentials. The caller may have
   // loaded a stale config object while another process refreshed auth tokens.
-  const config = getConfig();
+  const config = getConfig(profile);
   const auth = plaintextAgentSessionAuth(config.agent_session);
   if (!auth) return false;
 
-  const credential = credentialAccountForBaseUrl(baseUrl);
+  if (storage === 'encrypted-file') {
+    const { metadata } = await encryptedAgentSession(auth, null, profile);
+    // Same stale-write guard as the native path below.
+    const latestConfig = getConfig(profile);
+    if (!sameAgentSessionAuth(plaintextAgentSessionAuth(latestConfig.agent_session), auth)) return false;
+    latestConfig.agent_session = metadata;
+    saveConfig(latestConfig, profile);
+    return true;
+  }
+
+  const credential = credentialAccountForBaseUrl(baseUrl, profile);
   const keyring = await getNativeKeyring();
   await keyring.setPassword(CREDENTIAL_SERVICE, credential, serializeAgentSession(auth));
 
@@ -195,7 +438,7 @@ async function migratePlaintextAgentSessionToNative(session, baseUrl = DEFAULT_B
   // actually written to keyring. If a concurrent refresh happened during the
   // keyring write, remove the now-stale native payload and leave plaintext auth
   // untouched so a later read can retry safely.
-  const latestConfig = getConfig();
+  const latestConfig = getConfig(profile);
   const latestAuth = plaintextAgentSessionAuth(latestConfig.agent_session);
   if (!sameAgentSessionAuth(latestAuth, auth)) {
     try {
@@ -207,7 +450,7 @@ async function migratePlaintextAgentSessionToNative(session, baseUrl = DEFAULT_B
   }
 
   latestConfig.agent_session = agentSessionMetadata(auth, 'native', credential);
-  saveConfig(latestConfig);
+  saveConfig(latestConfig, profile);
   return true;
 }
 
@@ -217,26 +460,33 @@ function sameAgentSessionAuth(a, b) {
 }
 
 function plaintextAgentSessionAuth(session) {
-  if (!session || session.storage === 'native') return null;
+  if (!session || session.storage === 'native' || session.storage === 'encrypted-file') return null;
   if (!session.refresh_token && !session.access_token) return null;
   const { storage, credential, ...auth } = session;
   return { ...auth };
 }
 
-export async function readAgentSession(config = getConfig(), baseUrl = DEFAULT_BASE_URL) {
+export async function readAgentSession(config = getConfig(), baseUrl = DEFAULT_BASE_URL, profile = getProfileName()) {
   const session = config.agent_session;
   if (!session) return null;
   if (session.storage === 'native') {
     const keyring = await getNativeKeyring();
-    const credential = credentialAccountForBaseUrl(baseUrl);
+    const credential = credentialAccountForBaseUrl(baseUrl, profile);
     const payload = await keyring.getPassword(CREDENTIAL_SERVICE, credential);
     return parseAgentSession(payload);
   }
+  if (session.storage === 'encrypted-file') {
+    try {
+      return decryptAgentSession(session.encrypted, await encryptionKeyForRead(session.encrypted), encryptionContext(profile));
+    } catch (err) {
+      throw new Error(encryptedSessionUnreadableMessage(err, session.encrypted));
+    }
+  }
 
   const auth = plaintextAgentSessionAuth(session);
   if (auth) {
     try {
-      await migratePlaintextAgentSessionToNative(session, baseUrl);
+      await migratePlaintextAgentSession(session, baseUrl, profile);
     } catch {
       // Migration is opportunistic and must never break existing plaintext auth.
     }
@@ -245,11 +495,104 @@ export async function readAgentSession(config = getConfig(), baseUrl = DEFAULT_B
   return null;
 }
 
-export async function clearAgentSession(config = getConfig(), baseUrl = DEFAULT_BASE_URL) {
+export async function clearAgentSession(config = getConfig(), baseUrl = DEFAULT_BASE_URL, profile = getProfileName()) {
   const session = config.agent_session;
+  if (session?.storage === 'encrypted-file') {
+    // The ciphertext goes away with the config metadata. The key file is left
+    // in place because other profiles may share it.
+    cachedPassphrase = null;
+    return;
+  }
   if (session?.storage === 'native') {
     const keyring = await getNativeKeyring();
-    const credential = credentialAccountForBaseUrl(baseUrl);
+    const credential = credentialAccountForBaseUrl(baseUrl, profile);
     await keyring.deletePassword(CREDENTIAL_SERVICE, credential);
   }
 }
+
+export function agentSessionLockFile(profile = getProfileName()) {
+  return join(getConfigDir(), `agent-session.${profile || DEFAULT_PROFILE}.lock`);
+}
+
+function readLock(file) {
+  try {
+    return { owner: readFileSync(file, 'utf8'), mtimeMs: statSync(file).mtimeMs };
+  } catch {
+    // Released between our open and read; just try again.
+    return null;
+  }
+}
+
+// Moves a stale lock aside, then checks that what was moved is the lock
+// judged stale. If a waiter replaced it in between, its lock is put back.
+function breakStaleLock(file, staleOwner, token) {
+  const aside = `${file}.${token}.stale`;
+  try {
+    renameSync(file, aside);
+  } catch {
+    return; // Another waiter broke it first.
+  }
+  try {
+    if (readFileSync(aside, 'utf8') !== staleOwner) linkSync(aside, file);
+  } catch {
+    // A third process took the lock meanwhile; it stays the owner.
+  }
+  try { unlinkSync(aside); } catch { /* already gone */ }
+}
+
+function releaseLock(file, token) {
+  try {
+    if (readFileSync(file, 'utf8') === token) unlinkSync(file);
+  } catch {
+    // Already gone.
+  }
+}
+
+/**
+ * Run `fn` while holding a per-profile lock file in the config directory, so
+ * parallel CLI processes refresh and save the agent session one at a time.
+ * The lock holds a token unique to this holder, so it is only ever removed
+ * by its owner or, once older than `staleMs`, as left by a crashed process.
+ */
+export async function withAgentSessionLock(fn, {
+  profile = getProfileName(),
+  timeoutMs = LOCK_TIMEOUT_MS,
+  staleMs = LOCK_STALE_MS,
+  pollMs = LOCK_POLL_MS,
+} = {}) {
+  const file = agentSessionLockFile(profile);
+  mkdirSync(dirname(file), { recursive: true });
+  const deadline = Date.now() + timeoutMs;
+  const token = `${process.pid}-${randomBytes(8).toString('hex')}`;
+
+  let fd = null;
+  while (fd == null) {
+    try {
+      fd = openSync(file, 'wx', 0o600);
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const lock = readLock(file);
+      if (!lock) continue;
+      if (Date.now() - lock.mtimeMs > staleMs) {
+        breakStaleLock(file, lock.owner, token);
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for another agent-analytics process to refresh the session (lock: ${file})`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, pollMs));
+    }
+  }
+
+  try {
+    writeSync(fd, token);
+  } finally {
+    closeSync(fd);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    releaseLock(file, token);
+  }
+}
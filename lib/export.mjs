@@ -0,0 +1,186 @@
+/**
+ * Full raw-event export for `export`. The range is walked one UTC day at a
+ * time; within a day, pages move backwards with an inclusive `until` cursor
+ * set to the oldest event already written. Each page is appended as its own
+ * gzip member (concatenated members are still one valid .gz file), and the
+ * cursor is checkpointed after every page so an interrupted export picks up
+ * where it stopped.
+ *
+ * /events has no documented cursor and nothing else returns raw events for a
+ * closed range, so paging relies on /events honouring `until`. Every page is
+ * checked against its cursor: a server that ignores `until` stops the export
+ * with that reason instead of writing duplicate or missing rows.
+ */
+
+import { appendFileSync, existsSync, readFileSync, renameSync, rmSync, statSync, truncateSync, writeFileSync } from 'node:fs';
+import { gzipSync } from 'node:zlib';
+import { eventKey } from './follow.mjs';
+
+export const DEFAULT_EXPORT_PAGE_SIZE = 1000;
+
+const CHECKPOINT_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function checkpointFileFor(out) {
+  return `${out}.checkpoint.json`;
+}
+
+export function parseExportDate(value, flag) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '') || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw new Error(`${flag} must be a date like 2026-01-31`);
+  }
+  return value;
+}
+
+function addDays(day, count) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + count * DAY_MS).toISOString().slice(0, 10);
+}
+
+/** Inclusive list of UTC days from `from` to `to`. */
+export function exportDays(from, to) {
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) days.push(day);
+  return days;
+}
+
+function eventTime(event) {
+  return typeof event.timestamp === 'number' ? event.timestamp : Date.parse(event.timestamp);
+}
+
+function readCheckpoint(file) {
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw new Error(`Could not read export checkpoint ${file}: ${err.message}`);
+  }
+}
+
+function writeCheckpoint(file, checkpoint) {
+  const tmp = `${file}.tmp`;
+  writeFileSync(tmp, JSON.stringify(checkpoint, null, 2) + '\n');
+  renameSync(tmp, file);
+}
+
+/**
+ * Start a new export or pick up a checkpointed one. The output file is cut
+ * back to the last checkpointed size, dropping a page that was half written
+ * when the previous run stopped.
+ */
+function openExport({ project, from, to, out, restart }) {
+  const checkpointFile = checkpointFileFor(out);
+  const saved = restart ? null : readCheckpoint(checkpointFile);
+
+  if (saved) {
+    if (saved.version !== CHECKPOINT_VERSION || saved.project !== project || saved.from !== from || saved.to !== to) {
+      throw new Error(`${checkpointFile} belongs to a different export (${saved.project} ${saved.from}..${saved.to}). Pass --restart to start over.`);
+    }
+    const size = existsSync(out) ? statSync(out).size : 0;
+    if (size < saved.bytes) {
+      throw new Error(`${out} is shorter than its checkpoint says. Pass --restart to start over.`);
+    }
+    truncateSync(out, saved.bytes);
+    return { checkpointFile, checkpoint: saved, resumed: true };
+  }
+
+  if (!restart && existsSync(out)) throw new Error(`${out} already exists. Pass --restart to overwrite it.`);
+  writeFileSync(out, '');
+  const checkpoint = {
+    version: CHECKPOINT_VERSION,
+    project,
+    from,
+    to,
+    day: from,
+    until: null,
+    boundary: [],
+    rows: 0,
+    bytes: 0,
+    days: {},
+  };
+  writeCheckpoint(checkpointFile, checkpoint);
+  return { checkpointFile, checkpoint, resumed: false };
+}
+
+/**
+ * Export every event of `project` between `from` and `to` (inclusive UTC
+ * days) to `out`. `fetchPage({ since, until, limit })` returns one /events
+ * response; `onProgress` is called after each written page.
+ */
+export async function runExport({ fetchPage, project, from, to, out, pageSize = DEFAULT_EXPORT_PAGE_SIZE, restart = false, onProgress }) {
+  const { checkpointFile, checkpoint, resumed } = openExport({ project, from, to, out, restart });
+  const gzip = /\.gz$/i.test(out);
+
+  while (checkpoint.day <= to) {
+    const day = checkpoint.day;
+    const dayStart = Date.parse(`${day}T00:00:00Z`);
+    const dayEnd = dayStart + DAY_MS;
+    const until = checkpoint.until || new Date(dayEnd - 1).toISOString();
+    const data = await fetchPage({ since: day, until, limit: pageSize });
+    const page = Array.isArray(data?.events) ? data.events : [];
+    const late = page.find((event) => eventTime(event) > Date.parse(until));
+    if (late) {
+      throw new Error(`/events returned an event from ${new Date(eventTime(late)).toISOString()}, after the requested until=${until}. `
+        + 'This API does not bound /events by until, so export cannot page through a day; nothing past the last checkpoint was written.');
+    }
+    const boundary = new Set(checkpoint.boundary);
+    // Both ends are inclusive, so events at the cursor come back on the next
+    // page; anything outside the day belongs to another day's count.
+    const fresh = page.filter((event) => {
+      const time = eventTime(event);
+      return time >= dayStart && time < dayEnd && !boundary.has(eventKey(event));
+    });
+
+    if (fresh.length > 0) {
+      const text = fresh.map((event) => `${JSON.stringify(event)}\n`).join('');
+      const chunk = gzip ? gzipSync(text) : Buffer.from(text);
+      appendFileSync(out, chunk);
+
+      const oldest = Math.min(...fresh.map(eventTime));
+      const atOldest = fresh.filter((event) => eventTime(event) === oldest).map(eventKey);
+      const sameCursor = checkpoint.until != null && Date.parse(checkpoint.until) === oldest;
+      checkpoint.until = new Date(oldest).toISOString();
+      checkpoint.boundary = sameCursor ? [...checkpoint.boundary, ...atOldest] : atOldest;
+      checkpoint.rows += fresh.length;
+      checkpoint.bytes += chunk.length;
+      checkpoint.days[day] = (checkpoint.days[day] || 0) + fresh.length;
+    }
+
+    if (page.length < pageSize || fresh.length === 0) {
+      if (page.length >= pageSize) {
+        throw new Error(`At least ${pageSize} events share the timestamp ${checkpoint.until}. Rerun with a larger --page-size to continue.`);
+      }
+      checkpoint.day = addDays(day, 1);
+      checkpoint.until = null;
+      checkpoint.boundary = [];
+    }
+    writeCheckpoint(checkpointFile, checkpoint);
+    onProgress?.({ day, rows: checkpoint.rows, dayRows: checkpoint.days[day] || 0 });
+  }
+
+  rmSync(checkpointFile, { force: true });
+  return { rows: checkpoint.rows, bytes: checkpoint.bytes, days: checkpoint.days, resumed };
+}
+
+/**
+ * Compare exported per-day counts with the daily totals from /stats, which
+ * leaves out days without events. Without a stats response every `stats` is
+ * null and nothing is reconciled.
+ */
+export function reconcileWithStats(from, to, exportedDays, statsData) {
+  const statsDays = {};
+  for (const row of statsData?.timeSeries || []) {
+    const date = String(row.bucket || row.date || '').slice(0, 10);
+    if (date) statsDays[date] = (statsDays[date] || 0) + (row.total_events || 0);
+  }
+
+  const days = exportDays(from, to).map((date) => {
+    const exported = exportedDays[date] || 0;
+    const stats = statsData ? statsDays[date] || 0 : null;
+    return { date, exported, stats, diff: stats == null ? null : exported - stats };
+  });
+  return {
+    days,
+    stats_total: statsData ? days.reduce((sum, day) => sum + day.stats, 0) : null,
+    reconciled: statsData != null && days.every((day) => day.diff === 0),
+  };
+}
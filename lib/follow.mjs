@@ -0,0 +1,89 @@
+/**
+ * Tail mode for `events --follow`. Each poll asks /events for everything at
+ * or after the newest timestamp seen so far, drops events already printed,
+ * and returns the rest oldest first.
+ */
+
+/**
+ * Parse `--where key=value,...` into property matchers. Keys may carry a
+ * `properties.` prefix; values compare as strings.
+ */
+export function parsePropertyFilter(spec) {
+  if (spec == null || spec === '') return {};
+  const filter = {};
+  for (const part of String(spec).split(',')) {
+    if (!part.trim()) continue;
+    const index = part.indexOf('=');
+    if (index < 1) throw new Error(`Invalid --where entry "${part.trim()}". Use key=value, e.g. path=/pricing`);
+    filter[part.slice(0, index).trim().replace(/^properties\./, '')] = part.slice(index + 1).trim();
+  }
+  return filter;
+}
+
+export function matchesPropertyFilter(event, filter) {
+  return Object.entries(filter).every(([key, value]) => {
+    const actual = event.properties?.[key];
+    return actual != null && String(actual) === value;
+  });
+}
+
+/**
+ * Identity used to skip events that a later poll returns again. The API's own
+ * id wins; otherwise the event content at its timestamp stands in for it.
+ */
+export function eventKey(event) {
+  const id = event.id ?? event.event_id;
+  if (id != null) return `id:${id}`;
+  return `${event.timestamp}|${event.event}|${event.user_id ?? ''}|${event.session_id ?? ''}|${JSON.stringify(event.properties ?? {})}`;
+}
+
+function eventTime(event) {
+  const time = typeof event.timestamp === 'number' ? event.timestamp : Date.parse(event.timestamp);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * `fetchEvents(since)` returns one /events response. The first poll uses the
+ * caller's `since` (for example `1h`); later polls use the newest timestamp
+ * seen as an ISO cursor, so the window never grows.
+ */
+export function createEventFollower({ fetchEvents, since, limit, filter = {} }) {
+  let cursor = null;
+  // Keys of events at the cursor timestamp; anything older cannot come back.
+  let seenAtCursor = new Set();
+
+  return {
+    get cursor() {
+      return cursor;
+    },
+
+    async poll() {
+      const data = await fetchEvents(cursor == null ? since : new Date(cursor).toISOString());
+      const page = Array.isArray(data?.events) ? data.events : [];
+      const fresh = [];
+      for (const event of page) {
+        const time = eventTime(event);
+        if (time != null && cursor != null && time < cursor) continue;
+        const key = eventKey(event);
+        if (time === cursor && seenAtCursor.has(key)) continue;
+        fresh.push({ event, time, key });
+      }
+      fresh.sort((a, b) => (a.time ?? 0) - (b.time ?? 0));
+
+      for (const { time, key } of fresh) {
+        if (time == null) continue;
+        if (cursor == null || time > cursor) {
+          cursor = time;
+          seenAtCursor = new Set();
+        }
+        if (time === cursor) seenAtCursor.add(key);
+      }
+
+      return {
+        events: fresh.map(({ event }) => event).filter((event) => matchesPropertyFilter(event, filter)),
+        // A full page means events between polls may have been cut off.
+        truncated: limit != null && page.length >= limit,
+      };
+    },
+  };
+}
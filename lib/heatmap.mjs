@@ -0,0 +1,96 @@
+/**
+ * Day × hour grid for `heatmap`. The API returns UTC buckets as rows of
+ * `{ day, day_name, hour, events, users }` (day 0 = Sunday); this turns them
+ * into a Monday-first 7×24 matrix, optionally shifted into another timezone.
+ */
+
+export const HEATMAP_METRICS = Object.freeze(['events', 'users']);
+
+// Monday-first display order, as indexes into the API's Sunday-based days.
+const DISPLAY_DAYS = [1, 2, 3, 4, 5, 6, 0];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function dayIndex(row) {
+  if (typeof row.day_name === 'string') {
+    const index = DAY_NAMES.findIndex((name) => row.day_name.toLowerCase().startsWith(name.toLowerCase()));
+    if (index !== -1) return index;
+  }
+  const day = Number(row.day ?? row.day_of_week);
+  return Number.isInteger(day) && day >= 0 && day <= 6 ? day : null;
+}
+
+/**
+ * Offset of `timeZone` from UTC in minutes at `date`, e.g. 120 for
+ * Europe/Berlin in summer. Throws a RangeError for unknown zones.
+ */
+export function timezoneOffsetMinutes(timeZone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  const local = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'));
+  return Math.round((local - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+}
+
+/**
+ * Build the grid for `metric`. Buckets move by the offset rounded to whole
+ * hours, since an hourly count cannot be split; `rounded` says when that
+ * happened (for example +05:30).
+ */
+export function buildHeatmapGrid(rows, { metric = 'events', offsetMinutes = 0 } = {}) {
+  const shift = Math.round(offsetMinutes / 60);
+  const byDay = Array.from({ length: 7 }, () => Array(24).fill(0));
+
+  for (const row of rows || []) {
+    const day = dayIndex(row);
+    const hour = Number(row.hour);
+    if (day == null || !Number.isInteger(hour) || hour < 0 || hour > 23) continue;
+    const slot = (day * 24 + hour + shift + 7 * 24) % (7 * 24);
+    byDay[Math.floor(slot / 24)][slot % 24] += Number(row[metric]) || 0;
+  }
+
+  const values = DISPLAY_DAYS.map((day) => byDay[day]);
+  const days = DISPLAY_DAYS.map((day) => DAY_NAMES[day]);
+  let peak = null;
+  values.forEach((hours, d) => hours.forEach((value, hour) => {
+    if (value > 0 && (!peak || value > peak.value)) peak = { day: days[d], hour, value };
+  }));
+  const dayTotals = values.map((hours) => hours.reduce((sum, value) => sum + value, 0));
+  const hourTotals = Array.from({ length: 24 }, (_, hour) => values.reduce((sum, hours) => sum + hours[hour], 0));
+  const total = dayTotals.reduce((sum, value) => sum + value, 0);
+
+  return {
+    metric,
+    offset_minutes: offsetMinutes,
+    rounded: shift * 60 !== offsetMinutes,
+    days,
+    hours: Array.from({ length: 24 }, (_, hour) => hour),
+    values,
+    max: Math.max(0, ...values.flat()),
+    total,
+    peak,
+    busiest_day: total > 0 ? days[dayTotals.indexOf(Math.max(...dayTotals))] : null,
+    busiest_hour: total > 0 ? hourTotals.indexOf(Math.max(...hourTotals)) : null,
+  };
+}
+
+/** One row per day with h00-h23 hour columns, for CSV/TSV/markdown/NDJSON. */
+export function heatmapTableRows(grid) {
+  return grid.days.map((day, d) => ({
+    day,
+    ...Object.fromEntries(grid.hours.map((hour) => [`h${String(hour).padStart(2, '0')}`, grid.values[d][hour]])),
+    total: grid.values[d].reduce((sum, value) => sum + value, 0),
+  }));
+}
+
+/** Intensity level 0-4 of a cell relative to the busiest cell. */
+export function heatmapLevel(value, max) {
+  if (!(value > 0) || !(max > 0)) return 0;
+  return Math.min(4, Math.ceil((value / max) * 4));
+}
@@ -0,0 +1,272 @@
+/**
+ * Importers for other analytics tools' export files. Each one turns a source
+ * record into the `{ event, user_id, session_id, timestamp, properties }` row
+ * that `import` sends, with page URLs reduced to `properties.path`.
+ *
+ * - ga4: BigQuery export rows (NDJSON or a JSON array)
+ * - plausible: raw events CSV (the events_v2 table of Plausible CE)
+ * - posthog: event export JSON (NDJSON, a JSON array, or `{ results: [...] }`)
+ */
+
+import { parseCsv, parseNdjson } from './ingest.mjs';
+
+const MAPPABLE_FIELDS = new Set(['event', 'user_id', 'session_id', 'timestamp', 'event_id']);
+
+function getPath(record, path) {
+  let value = record;
+  for (const key of path.split('.')) {
+    if (value == null || typeof value !== 'object') return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function urlPath(value) {
+  if (typeof value !== 'string' || !value) return undefined;
+  try {
+    return new URL(value, 'http://placeholder').pathname;
+  } catch {
+    return undefined;
+  }
+}
+
+function parseJsonRecords(text) {
+  const trimmed = String(text).trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      const records = Array.isArray(parsed) ? parsed : parsed.results;
+      if (Array.isArray(records)) {
+        return { rows: records.map((value, index) => ({ line: index + 1, value })), errors: [] };
+      }
+    } catch {
+      // Not a single JSON document: fall through to one record per line.
+    }
+  }
+  return parseNdjson(text);
+}
+
+// GA4 ---------------------------------------------------------------------
+
+function ga4Value(value) {
+  if (!value || typeof value !== 'object') return undefined;
+  if (value.string_value != null) return value.string_value;
+  // BigQuery serializes INT64 as a string in JSON exports.
+  if (value.int_value != null) return Number(value.int_value);
+  return value.double_value ?? value.float_value ?? undefined;
+}
+
+function ga4Param(params, key) {
+  return ga4Value(Array.isArray(params) ? params.find((param) => param?.key === key)?.value : undefined);
+}
+
+const GA4_MAPPED_PARAMS = new Set([
+  'page_location', 'page_title', 'page_referrer', 'ga_session_id', 'ga_session_number',
+  'source', 'medium', 'campaign', 'engagement_time_msec', 'session_engaged', 'engaged_session_event',
+  'entrances', 'ignore_referrer', 'batch_page_id', 'batch_ordering_id',
+]);
+
+const GA4 = {
+  name: 'ga4',
+  parse: parseJsonRecords,
+  fields: {
+    event: (r) => r.event_name,
+    timestamp: (r) => (r.event_timestamp != null ? Math.floor(Number(r.event_timestamp) / 1000) : undefined),
+    user_id: (r) => r.user_id || r.user_pseudo_id,
+    session_id: (r) => {
+      const session = ga4Param(r.event_params, 'ga_session_id');
+      return session != null ? `${r.user_pseudo_id || r.user_id}.${session}` : undefined;
+    },
+    'properties.path': (r) => urlPath(ga4Param(r.event_params, 'page_location')),
+    'properties.url': (r) => ga4Param(r.event_params, 'page_location'),
+    'properties.title': (r) => ga4Param(r.event_params, 'page_title'),
+    'properties.referrer': (r) => ga4Param(r.event_params, 'page_referrer'),
+    'properties.utm_source': (r) => ga4Param(r.event_params, 'source') ?? r.collected_traffic_source?.manual_source,
+    'properties.utm_medium': (r) => ga4Param(r.event_params, 'medium') ?? r.collected_traffic_source?.manual_medium,
+    'properties.utm_campaign': (r) => ga4Param(r.event_params, 'campaign') ?? r.collected_traffic_source?.manual_campaign_name,
+    'properties.country': (r) => r.geo?.country,
+    'properties.device': (r) => r.device?.category,
+    'properties.browser': (r) => r.device?.web_info?.browser ?? r.device?.browser,
+    'properties.os': (r) => r.device?.operating_system,
+  },
+  // event_params.<key> and user_properties.<key> read GA4's key/value arrays.
+  resolve(record, path) {
+    const [head, ...rest] = path.split('.');
+    if ((head === 'event_params' || head === 'user_properties') && rest.length > 0) {
+      return ga4Param(record[head], rest.join('.'));
+    }
+    return getPath(record, path);
+  },
+  extraProperties(record) {
+    const properties = {};
+    for (const param of Array.isArray(record.event_params) ? record.event_params : []) {
+      if (!param?.key || GA4_MAPPED_PARAMS.has(param.key)) continue;
+      const value = ga4Value(param.value);
+      if (value != null) properties[param.key] = value;
+    }
+    return properties;
+  },
+  renameEvent: (name) => name,
+};
+
+// Plausible ---------------------------------------------------------------
+
+// ClickHouse writes Array(String) columns as ['a','b'].
+function clickhouseArray(value) {
+  if (typeof value !== 'string' || !value.startsWith('[')) return [];
+  try {
+    return JSON.parse(value.replace(/\\'/g, '\u0000').replace(/'/g, '"').replace(/\u0000/g, "'"));
+  } catch {
+    return [];
+  }
+}
+
+function plausibleTimestamp(value) {
+  if (typeof value !== 'string' || !value) return undefined;
+  // "2024-01-31 12:00:00" is UTC in Plausible exports.
+  return /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?$/.test(value) ? `${value.replace(' ', 'T')}Z` : value;
+}
+
+const PLAUSIBLE_EVENTS = { pageview: 'page_view', engagement: 'page_engagement' };
+
+const PLAUSIBLE = {
+  name: 'plausible',
+  parse: parseCsv,
+  fields: {
+    event: (r) => r.name,
+    timestamp: (r) => plausibleTimestamp(r.timestamp),
+    user_id: (r) => r.user_id,
+    session_id: (r) => r.session_id,
+    'properties.path': (r) => r.pathname,
+    'properties.hostname': (r) => r.hostname,
+    'properties.referrer': (r) => r.referrer,
+    'properties.referrer_source': (r) => r.referrer_source,
+    'properties.utm_source': (r) => r.utm_source,
+    'properties.utm_medium': (r) => r.utm_medium,
+    'properties.utm_campaign': (r) => r.utm_campaign,
+    'properties.country': (r) => r.country_code,
+    'properties.device': (r) => r.screen_size,
+    'properties.browser': (r) => r.browser,
+    'properties.os': (r) => r.operating_system,
+  },
+  // meta.<key> reads a custom property from the meta.key/meta.value columns.
+  resolve(record, path) {
+    if (path.startsWith('meta.') && !(path in record)) return PLAUSIBLE.extraProperties(record)[path.slice(5)];
+    return record[path] ?? getPath(record, path);
+  },
+  extraProperties(record) {
+    const keys = clickhouseArray(record['meta.key']);
+    const values = clickhouseArray(record['meta.value']);
+    return Object.fromEntries(keys.map((key, i) => [key, values[i]]).filter(([, value]) => value != null));
+  },
+  renameEvent: (name) => PLAUSIBLE_EVENTS[name] || name,
+};
+
+// PostHog -----------------------------------------------------------------
+
+const POSTHOG_EVENTS = { $pageview: 'page_view', $pageleave: 'page_leave', $identify: 'identify', $autocapture: 'autocapture' };
+
+const POSTHOG = {
+  name: 'posthog',
+  parse: parseJsonRecords,
+  fields: {
+    event: (r) => r.event,
+    timestamp: (r) => r.timestamp,
+    user_id: (r) => r.distinct_id,
+    session_id: (r) => r.properties?.$session_id,
+    event_id: (r) => r.uuid,
+    'properties.path': (r) => r.properties?.$pathname ?? urlPath(r.properties?.$current_url),
+    'properties.url': (r) => r.properties?.$current_url,
+    'properties.referrer': (r) => r.properties?.$referrer,
+    'properties.utm_source': (r) => r.properties?.utm_source,
+    'properties.utm_medium': (r) => r.properties?.utm_medium,
+    'properties.utm_campaign': (r) => r.properties?.utm_campaign,
+    'properties.country': (r) => r.properties?.$geoip_country_code,
+    'properties.device': (r) => r.properties?.$device_type,
+    'properties.browser': (r) => r.properties?.$browser,
+    'properties.os': (r) => r.properties?.$os,
+  },
+  resolve: getPath,
+  // PostHog's own $-prefixed properties are mapped above or dropped.
+  extraProperties(record) {
+    const properties = {};
+    for (const [key, value] of Object.entries(record.properties || {})) {
+      if (key.startsWith('$') || /^utm_/.test(key) || value == null || typeof value === 'object') continue;
+      properties[key] = value;
+    }
+    return properties;
+  },
+  renameEvent: (name) => POSTHOG_EVENTS[name] || (typeof name === 'string' ? name.replace(/^\$/, '') : name),
+};
+
+const IMPORTERS = { ga4: GA4, plausible: PLAUSIBLE, posthog: POSTHOG };
+
+export const IMPORT_SOURCES = Object.freeze(Object.keys(IMPORTERS));
+
+/**
+ * Parse `--map` as `target=source,...` pairs, where target is event, user_id,
+ * session_id, timestamp, event_id, or properties.<key>. An empty source drops
+ * a default mapping. A JSON object with the same shape is also accepted.
+ */
+export function parseFieldMap(spec) {
+  if (spec == null || spec === '') return {};
+  const entries = typeof spec === 'object'
+    ? Object.entries(spec)
+    : String(spec).split(',').filter((part) => part.trim()).map((part) => {
+      const index = part.indexOf('=');
+      if (index < 1) throw new Error(`Invalid --map entry "${part.trim()}". Use target=source, e.g. user_id=user_pseudo_id`);
+      return [part.slice(0, index).trim(), part.slice(index + 1).trim()];
+    });
+
+  const map = {};
+  for (const [target, source] of entries) {
+    if (!MAPPABLE_FIELDS.has(target) && !/^properties\.[^.]+$/.test(target)) {
+      throw new Error(`Cannot map onto "${target}". Targets: ${[...MAPPABLE_FIELDS].join(', ')}, or properties.<key>`);
+    }
+    if (source != null && typeof source !== 'string') throw new Error(`--map source for ${target} must be a field path`);
+    map[target] = source || null;
+  }
+  return map;
+}
+
+/**
+ * Importer for `source` with `fieldMap` overrides applied. Its `parse(text)`
+ * returns `{ rows, errors }` in the shape `prepareImport` expects.
+ */
+export function createImporter(source, fieldMap = {}) {
+  const importer = IMPORTERS[source];
+  if (!importer) throw new Error(`Unknown import source "${source}". Use one of: ${IMPORT_SOURCES.join(', ')}`);
+
+  const fields = { ...importer.fields };
+  for (const [target, path] of Object.entries(fieldMap)) {
+    fields[target] = path ? (record) => importer.resolve(record, path) : null;
+  }
+
+  function mapRecord(record) {
+    if (record == null || typeof record !== 'object' || Array.isArray(record)) return record;
+    const row = { properties: importer.extraProperties(record) };
+    for (const [target, read] of Object.entries(fields)) {
+      const key = target.startsWith('properties.') ? target.slice('properties.'.length) : null;
+      const value = read ? read(record) : undefined;
+      if (value == null || value === '') {
+        if (key && !read) delete row.properties[key];
+        continue;
+      }
+      if (key) row.properties[key] = value;
+      else row[target] = value;
+    }
+    if (row.event != null && !fieldMap.event) row.event = importer.renameEvent(row.event);
+    return row;
+  }
+
+  return {
+    name: importer.name,
+    parse(text) {
+      const parsed = importer.parse(text);
+      return {
+        rows: parsed.rows.map(({ line, value }) => ({ line, value: mapRecord(value) })),
+        errors: parsed.errors,
+      };
+    },
+  };
+}
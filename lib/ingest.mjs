@@ -0,0 +1,236 @@
+/**
+ * Event ingestion helpers for `track` and `import`.
+ * Rows come from NDJSON or CSV, are normalized into tracking events, given a
+ * dedupe key, and sent to /track/batch with the project token.
+ */
+
+import { createHash } from 'node:crypto';
+
+export const MAX_BATCH_SIZE = 100;
+
+const EVENT_FIELDS = new Set(['event', 'user_id', 'session_id', 'timestamp', 'properties', 'event_id']);
+
+export function parseNdjson(text) {
+  const rows = [];
+  const errors = [];
+  const lines = String(text).split(/\r?\n/);
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      rows.push({ line: index + 1, value: JSON.parse(line) });
+    } catch (err) {
+      errors.push({ line: index + 1, message: `invalid JSON (${err.message})` });
+    }
+  });
+  return { rows, errors };
+}
+
+/**
+ * RFC 4180 CSV: quoted fields may contain commas, doubled quotes, and
+ * newlines. The first record is the header.
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  const source = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+      continue;
+    }
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push({ line: recordLine, fields: record });
+      record = [];
+      field = '';
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, fields: record });
+  }
+
+  const nonEmpty = records.filter((entry) => entry.fields.some((value) => value !== ''));
+  if (nonEmpty.length === 0) return { rows: [], errors: [] };
+  const [header, ...body] = nonEmpty;
+  const columns = header.fields.map((name) => name.trim());
+  const rows = [];
+  const errors = [];
+  for (const entry of body) {
+    if (entry.fields.length !== columns.length) {
+      errors.push({ line: entry.line, message: `expected ${columns.length} columns, got ${entry.fields.length}` });
+      continue;
+    }
+    rows.push({ line: entry.line, value: Object.fromEntries(columns.map((name, i) => [name, entry.fields[i]])) });
+  }
+  return { rows, errors };
+}
+
+export function detectInputFormat(file) {
+  return /\.csv$/i.test(file || '') ? 'csv' : 'ndjson';
+}
+
+function parseTimestamp(value) {
+  if (value == null || value === '') return { value: undefined };
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const number = Number(value);
+    // Seconds are common in exports; anything before 2001 in ms is seconds.
+    return { value: number < 1e12 ? number * 1000 : number };
+  }
+  const parsed = Date.parse(value);
+  if (Number.isNaN(parsed)) return { error: `invalid timestamp "${value}"` };
+  return { value: parsed };
+}
+
+function csvProperties(row) {
+  let properties = {};
+  if (row.properties) {
+    try {
+      properties = JSON.parse(row.properties);
+    } catch {
+      return { error: 'properties column is not valid JSON' };
+    }
+    if (properties == null || typeof properties !== 'object' || Array.isArray(properties)) {
+      return { error: 'properties column must be a JSON object' };
+    }
+  }
+  for (const [key, value] of Object.entries(row)) {
+    if (EVENT_FIELDS.has(key) || value === '') continue;
+    properties[key.replace(/^properties\./, '')] = value;
+  }
+  return { value: properties };
+}
+
+/**
+ * Turn one parsed row into a tracking event. CSV rows put every column other
+ * than event, user_id, session_id, timestamp, and event_id into properties.
+ */
+export function normalizeEvent(row, { format = 'ndjson' } = {}) {
+  if (row == null || typeof row !== 'object' || Array.isArray(row)) return { error: 'row must be a JSON object' };
+  if (typeof row.event !== 'string' || !row.event.trim()) return { error: 'event is required' };
+
+  let properties = row.properties;
+  if (format === 'csv') {
+    const parsed = csvProperties(row);
+    if (parsed.error) return { error: parsed.error };
+    properties = parsed.value;
+  }
+  if (properties != null && (typeof properties !== 'object' || Array.isArray(properties))) {
+    return { error: 'properties must be an object' };
+  }
+
+  const timestamp = parseTimestamp(row.timestamp);
+  if (timestamp.error) return { error: timestamp.error };
+
+  const event = { event: row.event.trim() };
+  if (properties && Object.keys(properties).length > 0) event.properties = properties;
+  if (row.user_id != null && row.user_id !== '') event.user_id = String(row.user_id);
+  if (row.session_id != null && row.session_id !== '') event.session_id = String(row.session_id);
+  if (timestamp.value != null) event.timestamp = timestamp.value;
+  if (row.event_id != null && row.event_id !== '') event.event_id = String(row.event_id);
+  return { event };
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Stable dedupe key: the row's own event_id, the named field, or a hash of
+ * the event content. Identical rows therefore get the same key across runs.
+ */
+export function dedupeKey(event, field) {
+  if (event.event_id) return event.event_id;
+  if (field) {
+    const value = field in event ? event[field] : event.properties?.[field];
+    if (value != null && value !== '') return String(value);
+  }
+  return createHash('sha256').update(canonicalJson(event)).digest('hex').slice(0, 32);
+}
+
+/**
+ * Parse, validate, and dedupe an import file. Returns the events ready to
+ * send plus per-line errors and the number of duplicates dropped. `source` is
+ * an importer from importers.mjs that parses and maps another tool's export.
+ */
+export function prepareImport(text, { format = 'ndjson', dedupeField, source } = {}) {
+  let parsed;
+  if (source) parsed = source.parse(text);
+  else parsed = format === 'csv' ? parseCsv(text) : parseNdjson(text);
+  const errors = [...parsed.errors];
+  const events = [];
+  const seen = new Set();
+  let duplicates = 0;
+
+  for (const { line, value } of parsed.rows) {
+    const { event, error } = normalizeEvent(value, { format: source ? 'ndjson' : format });
+    if (error) {
+      errors.push({ line, message: error });
+      continue;
+    }
+    event.event_id = dedupeKey(event, dedupeField);
+    if (seen.has(event.event_id)) {
+      duplicates += 1;
+      continue;
+    }
+    seen.add(event.event_id);
+    events.push(event);
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  return { events, errors, duplicates, rows: parsed.rows.length + parsed.errors.length };
+}
+
+export function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * Send events in batches. Stops at the first failed batch and reports how far
+ * it got; `onProgress` is called after each batch.
+ */
+export async function sendBatches(api, events, { project, token, batchSize = MAX_BATCH_SIZE, onProgress } = {}) {
+  const batches = chunk(events, batchSize);
+  let sent = 0;
+  for (let index = 0; index < batches.length; index += 1) {
+    const batch = batches[index];
+    try {
+      await api.trackBatch(batch.map((event) => ({ project, token, ...event })));
+    } catch (err) {
+      return { sent, batches: batches.length, completed: index, error: err };
+    }
+    sent += batch.length;
+    onProgress?.({ sent, total: events.length, batch: index + 1, batches: batches.length });
+  }
+  return { sent, batches: batches.length, completed: batches.length, error: null };
+}
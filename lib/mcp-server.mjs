@@ -0,0 +1,616 @@
+/**
+ * Model Context Protocol server for `agent-analytics mcp`.
+ * Speaks JSON-RPC 2.0 over stdio (one message per line) and exposes the
+ * AgentAnalyticsAPI methods as tools with JSON Schema inputs. stdout carries
+ * protocol messages only; anything human-readable goes to stderr.
+ */
+
+import { createInterface } from 'node:readline';
+
+export const MCP_PROTOCOL_VERSIONS = Object.freeze(['2025-06-18', '2025-03-26', '2024-11-05']);
+
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+const string = (description, extra = {}) => ({ type: 'string', description, ...extra });
+const integer = (description) => ({ type: 'integer', minimum: 0, description });
+const boolean = (description) => ({ type: 'boolean', description });
+const stringList = (description) => ({ type: 'array', items: { type: 'string' }, description });
+
+function input(properties = {}, required = []) {
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+const PROJECT = string('Project name');
+const PROJECT_REF = string('Project name or id');
+const SINCE = string('Start of the window: a relative range like 7d or an ISO date');
+const LIMIT = integer('Maximum rows to return');
+const USER_ID = string('Only include this user id');
+const EMAIL = string('Look up a user by email through the project-scoped HMAC index');
+const PERIOD = string('Relative period such as 7d or 30d');
+const EXPERIMENT_ID = string('Experiment id');
+const PORTFOLIO = string('Portfolio id or slug');
+
+async function resolveProject(api, target) {
+  const { projects } = await api.listProjects();
+  const match = projects?.find((p) => p.id === target) || projects?.find((p) => p.name === target);
+  if (!match) throw new Error(`Project "${target}" not found. Call list_projects to see available projects.`);
+  return match;
+}
+
+/**
+ * Tool catalogue. `command` is the equivalent CLI argv; the CLI uses it for
+ * the demo read-only guard and the local scope check, so a tool is allowed
+ * exactly when the matching command would be.
+ */
+export const MCP_TOOLS = Object.freeze([
+  {
+    name: 'whoami',
+    command: ['whoami'],
+    description: 'Show the account behind the current agent session: email, tier, and project count.',
+    inputSchema: input(),
+    call: (api) => api.getAccount(),
+  },
+  {
+    name: 'list_agent_sessions',
+    command: ['auth', 'sessions', 'list'],
+    description: 'List agent sessions on the account with their scopes and last use.',
+    inputSchema: input(),
+    call: (api) => api.listAgentSessions(),
+  },
+  {
+    name: 'revoke_agent_session',
+    command: ['auth', 'sessions', 'revoke'],
+    description: 'Revoke one agent session by id.',
+    inputSchema: input({ session_id: string('Agent session id') }, ['session_id']),
+    call: (api, { session_id }) => api.revokeAgentSession(session_id),
+  },
+  {
+    name: 'list_projects',
+    command: ['projects'],
+    description: 'List projects with their ids, tokens, and allowed origins.',
+    inputSchema: input(),
+    call: (api) => api.listProjects(),
+  },
+  {
+    name: 'get_project',
+    command: ['project'],
+    description: 'Get one project, including its usage and tracking snippet details.',
+    inputSchema: input({ project: PROJECT_REF }, ['project']),
+    call: async (api, { project }) => api.getProject((await resolveProject(api, project)).id),
+  },
+  {
+    name: 'create_project',
+    command: ['create'],
+    description: 'Create a project. domain is the primary surface URL/origin allowed to send events.',
+    inputSchema: input({
+      name: string('Project name'),
+      domain: string('Primary URL or origin, e.g. https://example.com'),
+      source_scan_id: string('Website analysis scan to attach to the new project'),
+    }, ['name', 'domain']),
+    call: (api, { name, domain, source_scan_id }) => api.createProject(name, domain, { sourceScanId: source_scan_id }),
+  },
+  {
+    name: 'update_project',
+    command: ['update'],
+    description: 'Rename a project or change its allowed origins.',
+    inputSchema: input({
+      project: PROJECT_REF,
+      name: string('New project name'),
+      allowed_origins: string('Comma-separated allowed origins'),
+    }, ['project']),
+    call: async (api, { project, name, allowed_origins }) => {
+      if (name == null && allowed_origins == null) throw new Error('Provide name and/or allowed_origins to update');
+      return api.updateProject((await resolveProject(api, project)).id, { name, allowed_origins });
+    },
+  },
+  {
+    name: 'delete_project',
+    command: ['delete'],
+    description: 'Delete a project and its data.',
+    inputSchema: input({ project: PROJECT_REF }, ['project']),
+    call: async (api, { project }) => api.deleteProject((await resolveProject(api, project)).id),
+  },
+  {
+    name: 'get_project_context',
+    command: ['context', 'get'],
+    description: 'Get the project context: goals, activation events, and glossary.',
+    inputSchema: input({ project: PROJECT }, ['project']),
+    call: (api, { project }) => api.getProjectContext(project),
+  },
+  {
+    name: 'set_project_context',
+    command: ['context', 'set'],
+    description: 'Replace the project context (goals, activation_events, glossary).',
+    inputSchema: input({
+      project: PROJECT,
+      context: { type: 'object', description: 'Context fields, e.g. {"goals":[],"activation_events":[],"glossary":[]}' },
+    }, ['project', 'context']),
+    call: (api, { project, context }) => api.setProjectContext(project, context),
+  },
+  {
+    name: 'get_portfolio_context',
+    command: ['portfolio-context', 'get'],
+    description: 'Get the account-wide portfolio context.',
+    inputSchema: input(),
+    call: (api) => api.getPortfolioContext(),
+  },
+  {
+    name: 'set_portfolio_context',
+    command: ['portfolio-context', 'set'],
+    description: 'Replace the account-wide portfolio context.',
+    inputSchema: input({ context: { type: 'object', description: 'Portfolio context fields' } }, ['context']),
+    call: (api, { context }) => api.setPortfolioContext(context),
+  },
+  {
+    name: 'list_portfolios',
+    command: ['portfolios', 'list'],
+    description: 'List portfolios and the projects in each.',
+    inputSchema: input(),
+    call: (api) => api.listPortfolios(),
+  },
+  {
+    name: 'get_portfolio',
+    command: ['portfolios', 'get'],
+    description: 'Get one portfolio.',
+    inputSchema: input({ portfolio: PORTFOLIO }, ['portfolio']),
+    call: (api, { portfolio }) => api.getPortfolio(portfolio),
+  },
+  {
+    name: 'create_portfolio',
+    command: ['portfolios', 'create'],
+    description: 'Create a portfolio grouping several projects.',
+    inputSchema: input({
+      slug: string('Portfolio slug'),
+      name: string('Display name; defaults to the slug'),
+      projects: stringList('Project names or ids'),
+      allow_move: boolean('Move projects that already belong to another portfolio'),
+    }, ['slug']),
+    call: (api, { slug, name, projects, allow_move }) => api.createPortfolio({ slug, name: name || slug, projects, allow_move }),
+  },
+  {
+    name: 'update_portfolio',
+    command: ['portfolios', 'update'],
+    description: 'Rename a portfolio or replace its projects.',
+    inputSchema: input({
+      portfolio: PORTFOLIO,
+      name: string('New display name'),
+      projects: stringList('Project names or ids'),
+      allow_move: boolean('Move projects that already belong to another portfolio'),
+    }, ['portfolio']),
+    call: (api, { portfolio, ...changes }) => api.updatePortfolio(portfolio, changes),
+  },
+  {
+    name: 'delete_portfolio',
+    command: ['portfolios', 'delete'],
+    description: 'Delete a portfolio. Its projects are kept.',
+    inputSchema: input({ portfolio: PORTFOLIO }, ['portfolio']),
+    call: (api, { portfolio }) => api.deletePortfolio(portfolio),
+  },
+  {
+    name: 'all_sites',
+    command: ['all-sites'],
+    description: 'Traffic overview across every project on the account.',
+    inputSchema: input({ period: PERIOD, limit: LIMIT }),
+    call: (api, opts) => api.getAllSitesOverview(opts),
+  },
+  {
+    name: 'bot_traffic',
+    command: ['bot-traffic'],
+    description: 'Bot and crawler traffic for one project, or for all projects when project is omitted.',
+    inputSchema: input({ project: PROJECT, period: PERIOD, limit: LIMIT }),
+    call: (api, { project, ...opts }) => (project ? api.getBotTraffic(project, opts) : api.getAllSitesBotTraffic(opts)),
+  },
+  {
+    name: 'stats',
+    command: ['stats'],
+    description: 'Headline stats for a project: events, users, sessions, top events, and daily series.',
+    inputSchema: input({ project: PROJECT, days: integer('Days to include (default 7)') }, ['project']),
+    call: (api, { project, days }) => api.getStats(project, days),
+  },
+  {
+    name: 'events',
+    command: ['events'],
+    description: 'Recent raw events for a project.',
+    inputSchema: input({
+      project: PROJECT,
+      event: string('Only include this event name'),
+      days: integer('Days to include when since is not given (default 7)'),
+      since: SINCE,
+      limit: LIMIT,
+      user_id: USER_ID,
+      email: EMAIL,
+    }, ['project']),
+    call: (api, { project, ...opts }) => api.getEvents(project, opts),
+  },
+  {
+    name: 'journey',
+    command: ['journey'],
+    description: 'Chronological journey for one user across sessions.',
+    inputSchema: input({
+      project: PROJECT,
+      days: integer('Days to include when since is not given (default 30)'),
+      since: SINCE,
+      limit: LIMIT,
+      user_id: USER_ID,
+      email: EMAIL,
+    }, ['project']),
+    call: (api, { project, ...opts }) => api.getJourney(project, opts),
+  },
+  {
+    name: 'properties',
+    command: ['properties'],
+    description: 'Event names and property keys seen in a project.',
+    inputSchema: input({ project: PROJECT, days: integer('Days to include (default 30)') }, ['project']),
+    call: (api, { project, days }) => api.getProperties(project, days),
+  },
+  {
+    name: 'properties_received',
+    command: ['properties-received'],
+    description: 'Which property keys each event actually received, from a sample of recent events.',
+    inputSchema: input({ project: PROJECT, since: SINCE, sample: integer('Events to sample') }, ['project']),
+    call: (api, { project, ...opts }) => api.getPropertiesReceived(project, opts),
+  },
+  {
+    name: 'sessions',
+    command: ['sessions'],
+    description: 'Recent sessions with duration, page count, and bounce flag.',
+    inputSchema: input({
+      project: PROJECT,
+      since: SINCE,
+      limit: LIMIT,
+      user_id: USER_ID,
+      is_bounce: boolean('Only bounced (true) or engaged (false) sessions'),
+    }, ['project']),
+    call: (api, { project, ...opts }) => api.getSessions(project, opts),
+  },
+  {
+    name: 'query',
+    command: ['query'],
+    description: 'Flexible aggregate query with metrics, grouping, and filters. Property filters use properties.<key>.',
+    inputSchema: input({
+      project: PROJECT,
+      metrics: stringList('event_count, unique_users, session_count, bounce_rate, avg_duration'),
+      group_by: stringList('event, date, user_id, session_id, country'),
+      filters: {
+        type: 'array',
+        description: 'Filters such as {"field":"country","op":"eq","value":"US"}; ops: eq, neq, gt, lt, gte, lte, contains',
+        items: { type: 'object' },
+      },
+      date_from: string('Start date (ISO) or relative range like 30d'),
+      date_to: string('End date (ISO)'),
+      order_by: string('event_count, unique_users, session_count, date, or event'),
+      order: string('Sort order', { enum: ['asc', 'desc'] }),
+      limit: LIMIT,
+      count_mode: string('How rows are counted', { enum: ['raw', 'session_then_user'] }),
+      email: EMAIL,
+    }, ['project']),
+    call: (api, { project, ...opts }) => api.query(project, opts),
+  },
+  {
+    name: 'breakdown',
+    command: ['breakdown'],
+    description: 'Top values of one property, optionally for a single event.',
+    inputSchema: input({
+      project: PROJECT,
+      property: string('Property key, e.g. path or utm_source'),
+      event: string('Only count this event'),
+      since: SINCE,
+      limit: LIMIT,
+    }, ['project', 'property']),
+    call: (api, { project, ...opts }) => api.getBreakdown(project, opts),
+  },
+  {
+    name: 'insights',
+    command: ['insights'],
+    description: 'Period-over-period changes and notable movements.',
+    inputSchema: input({ project: PROJECT, period: PERIOD }, ['project']),
+    call: (api, { project, period }) => api.getInsights(project, { period }),
+  },
+  {
+    name: 'pages',
+    command: ['pages'],
+    description: 'Top entry and/or exit pages.',
+    inputSchema: input({
+      project: PROJECT,
+      type: string('Which pages to return', { enum: ['entry', 'exit', 'both'] }),
+      since: SINCE,
+      limit: LIMIT,
+    }, ['project']),
+    call: (api, { project, ...opts }) => api.getPages(project, opts),
+  },
+  {
+    name: 'paths',
+    command: ['paths'],
+    description: 'Entry-to-goal session paths with drop-off points.',
+    inputSchema: input({
+      project: PROJECT,
+      goal_event: string('Goal event name'),
+      since: SINCE,
+      max_steps: integer('Longest path to follow'),
+      entry_limit: integer('Entry pages to include'),
+      path_limit: integer('Paths per entry page'),
+      candidate_session_cap: integer('Sessions to analyze'),
+    }, ['project', 'goal_event']),
+    call: (api, { project, ...opts }) => api.getPaths(project, opts),
+  },
+  {
+    name: 'sessions_distribution',
+    command: ['sessions-dist'],
+    description: 'Distribution of session durations and engagement.',
+    inputSchema: input({ project: PROJECT, since: SINCE }, ['project']),
+    call: (api, { project, ...opts }) => api.getSessionDistribution(project, opts),
+  },
+  {
+    name: 'heatmap',
+    command: ['heatmap'],
+    description: 'Traffic by day of week and hour.',
+    inputSchema: input({ project: PROJECT, since: SINCE }, ['project']),
+    call: (api, { project, ...opts }) => api.getHeatmap(project, opts),
+  },
+  {
+    name: 'live',
+    command: ['live'],
+    description: 'Visitors and events in the last few seconds.',
+    inputSchema: input({ project: PROJECT, window: integer('Window in seconds (default 60)') }, ['project']),
+    call: (api, { project, ...opts }) => api.getLive(project, opts),
+  },
+  {
+    name: 'funnel',
+    command: ['funnel'],
+    description: 'Ordered conversion funnel. Steps are objects like {"event":"signup","filters":[...]}; omit steps to use the project context activation events.',
+    inputSchema: input({
+      project: PROJECT,
+      steps: { type: 'array', items: { type: 'object' }, minItems: 2, description: 'Funnel steps in order' },
+      from_context: boolean('Use project context activation_events as steps'),
+      conversion_window_hours: integer('Hours a user has to finish the funnel'),
+      since: SINCE,
+      count_by: string('Count users or sessions', { enum: ['user_id', 'session_id'] }),
+      breakdown: string('Property to split each step by'),
+      breakdown_limit: integer('Breakdown values to keep'),
+    }, ['project']),
+    call: (api, { project, ...opts }) => api.getFunnel(project, opts),
+  },
+  {
+    name: 'retention',
+    command: ['retention'],
+    description: 'Cohort retention table.',
+    inputSchema: input({
+      project: PROJECT,
+      period: string('Cohort size', { enum: ['day', 'week', 'month'] }),
+      cohorts: integer('Number of cohorts'),
+      event: string('Event that starts a cohort'),
+      returning_event: string('Event that counts as a return'),
+    }, ['project']),
+    call: (api, { project, ...opts }) => api.getRetention(project, opts),
+  },
+  {
+    name: 'list_experiments',
+    command: ['experiments', 'list'],
+    description: 'List A/B experiments for a project.',
+    inputSchema: input({ project: PROJECT }, ['project']),
+    call: (api, { project }) => api.listExperiments(project),
+  },
+  {
+    name: 'get_experiment',
+    command: ['experiments', 'get'],
+    description: 'Get an experiment with per-variant results and significance.',
+    inputSchema: input({ id: EXPERIMENT_ID }, ['id']),
+    call: (api, { id }) => api.getExperiment(id),
+  },
+  {
+    name: 'create_experiment',
+    command: ['experiments', 'create'],
+    description: 'Create an A/B experiment.',
+    inputSchema: input({
+      project: PROJECT,
+      name: string('Experiment name used by the tracker, e.g. signup_cta'),
+      variants: { ...stringList('Variant keys, control first'), minItems: 2 },
+      goal_event: string('Event that counts as a conversion'),
+      weights: { type: 'array', items: { type: 'integer' }, description: 'Traffic percentage per variant' },
+    }, ['project', 'name', 'variants', 'goal_event']),
+    call: (api, { project, ...opts }) => api.createExperiment(project, opts),
+  },
+  {
+    name: 'pause_experiment',
+    command: ['experiments', 'pause'],
+    description: 'Pause a running experiment.',
+    inputSchema: input({ id: EXPERIMENT_ID }, ['id']),
+    call: (api, { id }) => api.updateExperiment(id, { status: 'paused' }),
+  },
+  {
+    name: 'resume_experiment',
+    command: ['experiments', 'resume'],
+    description: 'Resume a paused experiment.',
+    inputSchema: input({ id: EXPERIMENT_ID }, ['id']),
+    call: (api, { id }) => api.updateExperiment(id, { status: 'active' }),
+  },
+  {
+    name: 'complete_experiment',
+    command: ['experiments', 'complete'],
+    description: 'Complete an experiment, optionally declaring a winner.',
+    inputSchema: input({ id: EXPERIMENT_ID, winner: string('Winning variant key') }, ['id']),
+    call: (api, { id, winner }) => api.updateExperiment(id, { status: 'completed', winner }),
+  },
+  {
+    name: 'delete_experiment',
+    command: ['experiments', 'delete'],
+    description: 'Delete an experiment.',
+    inputSchema: input({ id: EXPERIMENT_ID }, ['id']),
+    call: (api, { id }) => api.deleteExperiment(id),
+  },
+  {
+    name: 'website_scan',
+    command: ['scan'],
+    description: 'Analyze a website and recommend what to track.',
+    inputSchema: input({
+      url: string('Website URL'),
+      project: string('Project to save the analysis against'),
+      full: boolean('Run the full analysis'),
+    }, ['url']),
+    call: (api, { url, ...opts }) => api.createWebsiteScan(url, opts),
+  },
+  {
+    name: 'get_website_scan',
+    command: ['scan'],
+    description: 'Fetch a website analysis by id.',
+    inputSchema: input({ id: string('Scan id'), resume_token: string('Resume token from the scan') }, ['id']),
+    call: (api, { id, resume_token }) => api.getWebsiteScan(id, { resumeToken: resume_token }),
+  },
+  {
+    name: 'feedback',
+    command: ['feedback'],
+    description: 'Send product feedback to the Agent Analytics team.',
+    inputSchema: input({
+      message: string('Feedback message'),
+      project: PROJECT,
+      command: string('Command or tool the feedback is about'),
+      context: string('Extra context'),
+    }, ['message']),
+    call: (api, opts) => api.sendFeedback(opts),
+  },
+]);
+
+function typeMatches(schema, value) {
+  switch (schema.type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value != null && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+/**
+ * Check tool arguments against the subset of JSON Schema the catalogue uses.
+ * Returns an error message, or null when the arguments are valid.
+ */
+export function validateToolArguments(schema, args) {
+  if (!typeMatches({ type: 'object' }, args)) return 'arguments must be an object';
+  for (const key of schema.required || []) {
+    if (args[key] == null) return `${key} is required`;
+  }
+  for (const [key, value] of Object.entries(args)) {
+    const property = schema.properties?.[key];
+    if (!property) return `unknown argument ${key}`;
+    if (value == null) continue;
+    if (!typeMatches(property, value)) return `${key} must be ${property.type === 'integer' ? 'an integer' : `a ${property.type}`}`;
+    if (property.enum && !property.enum.includes(value)) return `${key} must be one of ${property.enum.join(', ')}`;
+    if (property.minItems != null && value.length < property.minItems) return `${key} needs at least ${property.minItems} items`;
+    if (property.items && value.some((item) => !typeMatches(property.items, item))) {
+      return `${key} must only contain ${property.items.type} values`;
+    }
+  }
+  return null;
+}
+
+function toolResult(data) {
+  const result = { content: [{ type: 'text', text: JSON.stringify(data ?? null, null, 2) }] };
+  if (data != null && typeof data === 'object' && !Array.isArray(data)) result.structuredContent = data;
+  return result;
+}
+
+function toolError(message) {
+  return { content: [{ type: 'text', text: message }], isError: true };
+}
+
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id: id ?? null, error: { code, message } };
+}
+
+/**
+ * Build a protocol handler. `getClient()` returns an AgentAnalyticsAPI (it is
+ * called lazily and the client is reused, so refreshed tokens carry over
+ * between calls); `checkTool(tool)` returns a reason to refuse the call, or
+ * null; `formatError(err)` turns an API error into tool error text.
+ */
+export function createMcpServer({ getClient, checkTool = () => null, formatError = (err) => err?.message, serverInfo }) {
+  let client = null;
+
+  async function callTool(params = {}) {
+    const tool = MCP_TOOLS.find((candidate) => candidate.name === params.name);
+    if (!tool) return { error: [INVALID_PARAMS, `Unknown tool: ${params.name}`] };
+
+    const args = params.arguments ?? {};
+    const invalid = validateToolArguments(tool.inputSchema, args);
+    if (invalid) return { result: toolError(`Invalid arguments for ${tool.name}: ${invalid}`) };
+
+    try {
+      const refusal = checkTool(tool);
+      if (refusal) return { result: toolError(refusal) };
+      client ??= await getClient();
+      return { result: toolResult(await tool.call(client, args)) };
+    } catch (err) {
+      return { result: toolError(formatError(err) || String(err)) };
+    }
+  }
+
+  async function handle(message) {
+    if (message == null || typeof message !== 'object' || Array.isArray(message) || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      return rpcError(message?.id, INVALID_REQUEST, 'Invalid JSON-RPC request');
+    }
+    const { id, method, params } = message;
+    const isNotification = id === undefined;
+
+    let outcome;
+    switch (method) {
+      case 'initialize': {
+        const requested = params?.protocolVersion;
+        outcome = {
+          result: {
+            protocolVersion: MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0],
+            capabilities: { tools: { listChanged: false } },
+            serverInfo,
+          },
+        };
+        break;
+      }
+      case 'ping':
+        outcome = { result: {} };
+        break;
+      case 'tools/list':
+        outcome = {
+          result: {
+            tools: MCP_TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })),
+          },
+        };
+        break;
+      case 'tools/call':
+        outcome = await callTool(params);
+        break;
+      default:
+        if (method.startsWith('notifications/')) return null;
+        outcome = { error: [METHOD_NOT_FOUND, `Method not found: ${method}`] };
+    }
+
+    if (isNotification) return null;
+    if (outcome.error) return rpcError(id, ...outcome.error);
+    return { jsonrpc: '2.0', id, result: outcome.result };
+  }
+
+  return { handle };
+}
+
+/**
+ * Serve `server` over newline-delimited JSON on stdio. Requests are handled in
+ * order; resolves when the input stream closes.
+ */
+export async function serveStdio(server, { input: stream = process.stdin, output = process.stdout } = {}) {
+  const lines = createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      output.write(`${JSON.stringify(rpcError(null, PARSE_ERROR, 'Parse error'))}\n`);
+      continue;
+    }
+    const response = await server.handle(message);
+    if (response) output.write(`${JSON.stringify(response)}\n`);
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * Shared output layer for CLI commands.
+ * `text` keeps the human renderers in bin/cli.mjs. `json` prints the full API
+ * response, `ndjson` prints one JSON object per row, and `csv`, `tsv`, and
+ * `markdown` print flattened tables for spreadsheets and docs.
+ */
+
+export const OUTPUT_FORMATS = Object.freeze(['text', 'json', 'ndjson', 'csv', 'tsv', 'markdown']);
+
+const FORMAT_ALIASES = {
+  human: 'text',
+  md: 'markdown',
+  jsonl: 'ndjson',
+};
+
+export function normalizeOutputFormat(value) {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const format = value.trim().toLowerCase();
+  const resolved = FORMAT_ALIASES[format] || format;
+  return OUTPUT_FORMATS.includes(resolved) ? resolved : null;
+}
+
+function isPlainObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export function flattenRow(row, prefix = '', out = {}) {
+  if (!isPlainObject(row)) {
+    out[prefix || 'value'] = row;
+    return out;
+  }
+  for (const [key, value] of Object.entries(row)) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flattenRow(value, column, out);
+    } else {
+      out[column] = value;
+    }
+  }
+  return out;
+}
+
+export function tableColumns(rows) {
+  const columns = [];
+  const seen = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (seen.has(key)) continue;
+      seen.add(key);
+      columns.push(key);
+    }
+  }
+  return columns;
+}
+
+function cellText(value) {
+  if (value == null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function csvCell(value, delimiter) {
+  const text = cellText(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function tsvCell(value) {
+  return cellText(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+function markdownCell(value) {
+  return cellText(value).replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ');
+}
+
+export function formatDelimited(rows, delimiter = ',') {
+  const flat = rows.map((row) => flattenRow(row));
+  const columns = tableColumns(flat);
+  if (columns.length === 0) return '';
+  const cell = delimiter === '\t' ? tsvCell : (value) => csvCell(value, delimiter);
+  const lines = [columns.map((column) => cell(column)).join(delimiter)];
+  for (const row of flat) {
+    lines.push(columns.map((column) => cell(row[column])).join(delimiter));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export function formatMarkdown(rows) {
+  const flat = rows.map((row) => flattenRow(row));
+  const columns = tableColumns(flat);
+  if (columns.length === 0) return '';
+  const lines = [
+    `| ${columns.map(markdownCell).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+  ];
+  for (const row of flat) {
+    lines.push(`| ${columns.map((column) => markdownCell(row[column])).join(' | ')} |`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export function formatNdjson(rows) {
+  if (rows.length === 0) return '';
+  return `${rows.map((row) => JSON.stringify(row)).join('\n')}\n`;
+}
+
+/**
+ * Render `data` in a machine-readable format. `rows` is the command's natural
+ * table (events, values, steps, ...); when omitted the whole response is
+ * treated as a single row.
+ */
+export function renderOutput(data, format, { rows } = {}) {
+  const tableRows = Array.isArray(rows) ? rows : [data ?? {}];
+  switch (format) {
+    case 'json':
+      return `${JSON.stringify(data, null, 2)}\n`;
+    case 'ndjson':
+      return formatNdjson(tableRows);
+    case 'csv':
+      return formatDelimited(tableRows, ',');
+    case 'tsv':
+      return formatDelimited(tableRows, '\t');
+    case 'markdown':
+      return formatMarkdown(tableRows);
+    default:
+      throw new Error(`Unsupported output format: ${format}`);
+  }
+}
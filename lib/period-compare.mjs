@@ -0,0 +1,145 @@
+/**
+ * Period-over-period comparison for `--compare` on query, breakdown, and
+ * pages, all of which run through `/query` because it is the endpoint that
+ * takes a closed `date_from`/`date_to` range. The current window is pinned to
+ * concrete UTC dates, the comparison window is derived from it (`previous`,
+ * `yoy`) or given as `<from>..<to>`, the same request runs for both, and rows
+ * are matched by key so rows present in only one window still show up.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const toDate = (ms) => new Date(ms).toISOString().slice(0, 10);
+const parseDay = (day) => Date.parse(`${day}T00:00:00Z`);
+
+function validDay(value) {
+  return DATE_RE.test(value) && toDate(parseDay(value)) === value;
+}
+
+/** Parse `previous`, `yoy`, or `<from>..<to>`. */
+export function parseCompareSpec(spec) {
+  if (spec === 'previous' || spec === 'yoy') return { mode: spec };
+  const match = /^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/.exec(String(spec || ''));
+  if (!match || !validDay(match[1]) || !validDay(match[2])) {
+    throw new Error(`Invalid --compare "${spec}". Use previous, yoy, or <from>..<to> like 2026-01-01..2026-01-07`);
+  }
+  if (match[1] > match[2]) throw new Error(`--compare range starts after it ends: ${spec}`);
+  return { mode: 'range', from: match[1], to: match[2] };
+}
+
+/**
+ * Pin a lookback (`7d`, `YYYY-MM-DD`, or an ISO timestamp) and optional end
+ * date to a `{ from, to }` window of whole UTC days. Without an end date the
+ * window ends yesterday, so today's partial count never skews the change.
+ */
+export function resolveWindow({ since, to, defaultDays = 7, now = new Date() } = {}) {
+  const end = to ? String(to).slice(0, 10) : toDate(now.getTime() - DAY_MS);
+  if (!validDay(end)) throw new Error(`Invalid end date "${to}". Use YYYY-MM-DD`);
+
+  const lookback = since ?? `${defaultDays}d`;
+  const days = /^(\d+)d$/.exec(lookback);
+  let from;
+  if (days && Number(days[1]) > 0) {
+    from = toDate(parseDay(end) - (Number(days[1]) - 1) * DAY_MS);
+  } else if (validDay(String(lookback).slice(0, 10))) {
+    from = String(lookback).slice(0, 10);
+  } else {
+    throw new Error(`--compare needs a day-based window; got "${lookback}". Use Nd or YYYY-MM-DD`);
+  }
+  if (from > end) throw new Error(`Window starts after it ends: ${from}..${end}`);
+  return { from, to: end };
+}
+
+function shiftYear(day, years) {
+  const date = new Date(parseDay(day));
+  date.setUTCFullYear(date.getUTCFullYear() + years);
+  return toDate(date.getTime());
+}
+
+/** The window `current` is compared against. */
+export function comparisonWindow(current, spec) {
+  if (spec.mode === 'range') return { from: spec.from, to: spec.to };
+  if (spec.mode === 'yoy') return { from: shiftYear(current.from, -1), to: shiftYear(current.to, -1) };
+  const length = Math.round((parseDay(current.to) - parseDay(current.from)) / DAY_MS) + 1;
+  const to = parseDay(current.from) - DAY_MS;
+  return { from: toDate(to - (length - 1) * DAY_MS), to: toDate(to) };
+}
+
+function change(current, previous) {
+  if (current == null || previous == null) return { change: null, change_pct: null };
+  const diff = Number((current - previous).toPrecision(12));
+  return { change: diff, change_pct: previous === 0 ? null : Number(((diff / Math.abs(previous)) * 100).toFixed(1)) };
+}
+
+/**
+ * Match rows by the `keys` fields and add `<metric>_previous`,
+ * `<metric>_change`, and `<metric>_change_pct` for each metric. `present_in`
+ * is `both`, `current`, or `previous`; a metric missing from one window
+ * counts as zero there. With a `limit`, a window that returned `limit` rows
+ * was cut to its top rows, so a key missing from it is `outside_limit`
+ * rather than absent and its value there is unknown (null). Current-window
+ * order is kept, rows only in the previous window follow.
+ */
+export function diffRows(currentRows, previousRows, { keys, metrics, limit }) {
+  const keyOf = (row) => JSON.stringify(keys.map((key) => row[key] ?? null));
+  const previousByKey = new Map((previousRows || []).map((row) => [keyOf(row), row]));
+  const cut = {
+    current: limit > 0 && (currentRows || []).length >= limit,
+    previous: limit > 0 && (previousRows || []).length >= limit,
+  };
+  const seen = new Set();
+
+  const valueIn = (row, metric, window) => {
+    if (row) return Number(row[metric]) || 0;
+    return cut[window] ? null : 0;
+  };
+
+  const build = (current, previous) => {
+    const base = current || previous;
+    const out = Object.fromEntries(keys.map((key) => [key, base[key] ?? null]));
+    const missing = current ? 'previous' : 'current';
+    out.present_in = current && previous ? 'both' : cut[missing] ? 'outside_limit' : current ? 'current' : 'previous';
+    for (const metric of metrics) {
+      const now = valueIn(current, metric, 'current');
+      const before = valueIn(previous, metric, 'previous');
+      out[metric] = now;
+      out[`${metric}_previous`] = before;
+      Object.assign(out, Object.fromEntries(Object.entries(change(now, before)).map(([name, value]) => [`${metric}_${name}`, value])));
+    }
+    return out;
+  };
+
+  const rows = (currentRows || []).map((row) => {
+    const key = keyOf(row);
+    seen.add(key);
+    return build(row, previousByKey.get(key));
+  });
+  for (const [key, row] of previousByKey) {
+    if (!seen.has(key)) rows.push(build(null, row));
+  }
+  return rows;
+}
+
+/**
+ * Run `fetchWindow(window)` for the current and comparison windows in
+ * parallel and diff the rows `rowsOf` extracts from each response. `limit`
+ * is the row limit each request ran with, see `diffRows`.
+ * `metrics` may be a function of all rows when the columns depend on the
+ * response, as with query.
+ */
+export async function comparePeriods({ spec, current, fetchWindow, rowsOf, keys, metrics, limit }) {
+  const previous = comparisonWindow(current, spec);
+  const [currentData, previousData] = await Promise.all([fetchWindow(current), fetchWindow(previous)]);
+  const currentRows = rowsOf(currentData);
+  const previousRows = rowsOf(previousData);
+  const metricNames = typeof metrics === 'function' ? metrics([...currentRows, ...previousRows]) : metrics;
+  return {
+    compare: spec.mode === 'range' ? `${spec.from}..${spec.to}` : spec.mode,
+    current: { ...current, data: currentData },
+    previous: { ...previous, data: previousData },
+    metrics: metricNames,
+    limit,
+    rows: diffRows(currentRows, previousRows, { keys, metrics: metricNames, limit }),
+  };
+}
@@ -4,6 +4,7 @@ export async function startPaperclipAuth(api, {
   workspaceId,
   label = '📎Paperclip Workspace',
   clientName = 'Paperclip',
+  scopes = DEFAULT_AGENT_SESSION_SCOPES,
 } = {}) {
   return api.startAgentSession({
     mode: 'detached',
@@ -11,7 +12,7 @@ export async function startPaperclipAuth(api, {
     client_name: clientName,
     client_instance_id: workspaceId || null,
     label,
-    scopes: DEFAULT_AGENT_SESSION_SCOPES,
+    scopes,
     metadata: {
       platform: 'paperclip',
       workspace_id: workspaceId || null,
@@ -23,6 +24,7 @@ export async function startOpenClawAuth(api, {
   runtimeId,
   label = 'OpenClaw Runtime',
   clientName = 'OpenClaw',
+  scopes = DEFAULT_AGENT_SESSION_SCOPES,
 } = {}) {
   return api.startAgentSession({
     mode: 'detached',
@@ -30,7 +32,7 @@ export async function startOpenClawAuth(api, {
     client_name: clientName,
     client_instance_id: runtimeId || null,
     label,
-    scopes: DEFAULT_AGENT_SESSION_SCOPES,
+    scopes,
     metadata: {
       platform: 'openclaw',
       runtime_id: runtimeId || null,
@@ -7,3 +7,134 @@ export const DEFAULT_AGENT_SESSION_SCOPES = Object.freeze([
   'feedback:write',
   'live:read',
 ]);
+
+/**
+ * Named scope sets for `login --scopes`. `read-only` is safe to hand to an
+ * untrusted agent; `analyst` can also run experiments and send feedback but
+ * cannot create, change, or delete projects.
+ */
+export const SCOPE_PRESETS = Object.freeze({
+  full: DEFAULT_AGENT_SESSION_SCOPES,
+  'read-only': Object.freeze(['account:read', 'projects:read', 'analytics:read', 'live:read']),
+  analyst: Object.freeze(['account:read', 'projects:read', 'analytics:read', 'live:read', 'experiments:write', 'feedback:write']),
+});
+
+// Login verifies the new session with GET /account, so every session needs it.
+const REQUIRED_LOGIN_SCOPES = ['account:read'];
+
+/**
+ * Resolve a comma-separated mix of presets and scope names into a scope list
+ * in canonical order. Throws on anything that is neither.
+ */
+export function resolveScopes(spec) {
+  const parts = String(spec ?? '')
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean);
+  if (parts.length === 0) {
+    throw new Error(`No scopes given. Use a preset (${Object.keys(SCOPE_PRESETS).join(', ')}) or scope names like analytics:read`);
+  }
+
+  const selected = new Set(REQUIRED_LOGIN_SCOPES);
+  for (const part of parts) {
+    const preset = SCOPE_PRESETS[part.toLowerCase()];
+    if (preset) {
+      for (const scope of preset) selected.add(scope);
+      continue;
+    }
+    if (!DEFAULT_AGENT_SESSION_SCOPES.includes(part)) {
+      throw new Error(`Unknown scope "${part}". Presets: ${Object.keys(SCOPE_PRESETS).join(', ')}. Scopes: ${DEFAULT_AGENT_SESSION_SCOPES.join(', ')}`);
+    }
+    selected.add(part);
+  }
+
+  return DEFAULT_AGENT_SESSION_SCOPES.filter((scope) => selected.has(scope));
+}
+
+const READ_ANALYTICS = ['analytics:read'];
+
+const COMMAND_SCOPES = {
+  whoami: ['account:read'],
+  projects: ['projects:read'],
+  list: ['projects:read'],
+  project: ['projects:read'],
+  create: ['projects:write'],
+  init: ['projects:write'],
+  update: ['projects:write'],
+  delete: ['projects:write'],
+  'revoke-key': ['projects:write'],
+  plan: ['projects:read'],
+  // A workspace plan can also create and update experiments.
+  apply: ['projects:read', 'projects:write', 'experiments:write'],
+  'export-config': ['projects:read'],
+  'all-sites': READ_ANALYTICS,
+  anomalies: READ_ANALYTICS,
+  'bot-traffic': READ_ANALYTICS,
+  compare: READ_ANALYTICS,
+  stats: READ_ANALYTICS,
+  events: READ_ANALYTICS,
+  export: READ_ANALYTICS,
+  journey: READ_ANALYTICS,
+  properties: READ_ANALYTICS,
+  'properties-received': READ_ANALYTICS,
+  sessions: READ_ANALYTICS,
+  query: READ_ANALYTICS,
+  insights: READ_ANALYTICS,
+  breakdown: READ_ANALYTICS,
+  pages: READ_ANALYTICS,
+  paths: READ_ANALYTICS,
+  'sessions-dist': READ_ANALYTICS,
+  heatmap: READ_ANALYTICS,
+  funnel: READ_ANALYTICS,
+  retention: READ_ANALYTICS,
+  live: ['live:read'],
+  feedback: ['feedback:write'],
+};
+
+const PROJECT_WRITE = ['projects:write'];
+const EXPERIMENT_WRITE = ['experiments:write'];
+
+// Commands whose subcommands need different scopes. Subcommands not listed
+// (the reads) are left to the API.
+const SUBCOMMAND_SCOPES = {
+  context: { set: PROJECT_WRITE },
+  'portfolio-context': { set: PROJECT_WRITE },
+  portfolios: { create: PROJECT_WRITE, update: PROJECT_WRITE, delete: PROJECT_WRITE },
+  experiments: {
+    create: EXPERIMENT_WRITE,
+    pause: EXPERIMENT_WRITE,
+    resume: EXPERIMENT_WRITE,
+    complete: EXPERIMENT_WRITE,
+    delete: EXPERIMENT_WRITE,
+  },
+};
+
+/**
+ * Scopes a CLI command needs, from its argv (`[command, sub, ...]`). Commands
+ * not listed here are left to the API to authorize.
+ */
+export function requiredScopesForCommand(commandArgs = []) {
+  const [command, sub] = commandArgs;
+  if (SUBCOMMAND_SCOPES[command]) {
+    return SUBCOMMAND_SCOPES[command][sub] || [];
+  }
+  if (command === 'track' || command === 'import') {
+    // The session is only used to look up the project token. Options end at
+    // `--`, and `--project-token=<token>` counts as much as the spaced form.
+    const end = commandArgs.indexOf('--');
+    const options = end === -1 ? commandArgs : commandArgs.slice(0, end);
+    const needsLookup = !['--project-token', '--dry-run', '--preview']
+      .some((flag) => options.some((arg) => arg === flag || arg.startsWith(`${flag}=`)));
+    return needsLookup ? ['projects:read'] : [];
+  }
+  return COMMAND_SCOPES[command] || [];
+}
+
+/**
+ * Required scopes missing from `granted`. Sessions without a recorded scope
+ * list (older logins) are not checked locally.
+ */
+export function missingScopes(granted, required) {
+  if (!Array.isArray(granted)) return [];
+  return required.filter((scope) => !granted.includes(scope));
+}
@@ -0,0 +1,153 @@
+/**
+ * Line handling for the interactive `shell`: splitting a typed line into
+ * arguments, filling in the project chosen with `use`, and tab completion
+ * driven by the command table in command-spec.mjs.
+ */
+
+import { commandFlags, commandNames, COMMANDS, flagCandidates } from './command-spec.mjs';
+
+export const SHELL_BUILTINS = ['use', 'exit', 'quit'];
+
+// Commands that change or remove a project must name it; `use` never fills it in.
+const EXPLICIT_PROJECT = new Set(['delete', 'update', 'create', 'init']);
+
+/**
+ * Split a line into words the way a POSIX shell would for simple input:
+ * whitespace separates words, single quotes are literal, double quotes and
+ * backslashes escape. `open` is set when the line ends inside a quote.
+ */
+export function tokenize(line) {
+  const words = [];
+  let word = null;
+  let quote = null;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quote === "'") {
+      if (char === "'") quote = null;
+      else word += char;
+    } else if (quote === '"') {
+      if (char === '"') quote = null;
+      else if (char === '\\' && /["\\$`]/.test(line[i + 1] || '')) word += line[++i];
+      else word += char;
+    } else if (/\s/.test(char)) {
+      if (word !== null) words.push(word);
+      word = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      word ??= '';
+    } else if (char === '\\' && i + 1 < line.length) {
+      word = (word ?? '') + line[++i];
+    } else {
+      word = (word ?? '') + char;
+    }
+  }
+  if (word !== null) words.push(word);
+  return { words, open: quote !== null };
+}
+
+/** Words of a complete line; throws on an unterminated quote. */
+export function splitCommandLine(line) {
+  const { words, open } = tokenize(line);
+  if (open) throw new Error('Unterminated quote');
+  return words;
+}
+
+function takesValue(option) {
+  return Boolean(option) && option.type !== 'switch';
+}
+
+// Index of each positional word, skipping flags and the values they take.
+function positionals(words) {
+  const flags = commandFlags(words[0]);
+  const result = [];
+  for (let i = 1; i < words.length; i += 1) {
+    if (words[i].startsWith('-')) {
+      if (takesValue(flags[words[i]])) i += 1;
+      continue;
+    }
+    result.push(i);
+  }
+  return result;
+}
+
+/** Which positional (1-based, after the command) is the project, or null. */
+export function projectPosition(words) {
+  const spec = COMMANDS[words[0]];
+  if (!spec || typeof spec.project !== 'number') return null;
+  if (spec.projectAfter && !spec.projectAfter.includes(words[1])) return null;
+  return spec.project;
+}
+
+/**
+ * Insert the `use` project where a command expects its project and none was
+ * given. `query --project` counts as naming one.
+ */
+export function withStickyProject(words, project) {
+  const position = projectPosition(words);
+  if (!project || position == null || EXPLICIT_PROJECT.has(words[0]) || words.includes('--project')) return words;
+  const given = positionals(words);
+  if (given.length >= position) return words;
+  // Subcommand-style commands need their subcommand before a project can follow.
+  if (given.length < position - 1) return words;
+  const at = given.length > 0 ? given[given.length - 1] + 1 : 1;
+  return [...words.slice(0, at), project, ...words.slice(at)];
+}
+
+function projectOf(words, sticky) {
+  const flagged = words.indexOf('--project');
+  if (flagged > -1 && words[flagged + 1]) return words[flagged + 1];
+  const position = projectPosition(words);
+  const given = positionals(words);
+  return (position != null && given.length >= position ? words[given[position - 1]] : null) || sticky;
+}
+
+async function valueCandidates(option, words, { project, lookup }) {
+  const kind = option.value;
+  if (flagCandidates(option).length > 0) return flagCandidates(option);
+  if (kind === 'project' || kind === 'projects') return lookup('project');
+  if (['event', 'events', 'property'].includes(kind)) {
+    const target = projectOf(words, project);
+    return target ? lookup(kind === 'property' ? 'property' : 'event', target) : [];
+  }
+  return [];
+}
+
+/**
+ * Completions for a partly typed line, in the `[matches, word]` shape
+ * readline expects. A single match gets a trailing space, as in a login
+ * shell, except inside comma-separated lists. `lookup(kind, project)`
+ * supplies account data for the `project`, `event`, and `property` kinds.
+ */
+export async function completeLine(line, { project = null, lookup = async () => [] } = {}) {
+  const { words } = tokenize(line);
+  const current = line === '' || /\s$/.test(line) ? '' : words.pop() ?? '';
+  const match = (candidates, prefix = null) => {
+    const hits = [...new Set(candidates)].map((candidate) => `${prefix ?? ''}${candidate}`).filter((candidate) => candidate.startsWith(current));
+    if (hits.length === 1 && prefix === null) hits[0] += ' ';
+    return [hits.sort(), current];
+  };
+
+  if (words.length === 0) return match([...commandNames(), ...SHELL_BUILTINS]);
+  if (words[0] === 'use') return words.length === 1 ? match(await lookup('project')) : [[], current];
+  if (!COMMANDS[words[0]]) return [[], current];
+
+  const flags = commandFlags(words[0]);
+  const previous = words[words.length - 1];
+  if (words.length > 1 && takesValue(flags[previous])) {
+    const option = flags[previous];
+    const candidates = await valueCandidates(option, words, { project, lookup });
+    if (option.value === 'events' || option.value === 'projects') {
+      // Comma-separated lists complete their last entry.
+      const done = current.slice(0, current.lastIndexOf(',') + 1);
+      return match(candidates, done);
+    }
+    return match(candidates);
+  }
+  if (current.startsWith('-')) return match(Object.keys(flags).filter((flag) => !words.includes(flag)));
+
+  const index = positionals([...words, current || 'x']).length;
+  const spec = COMMANDS[words[0]];
+  if (spec.subcommands && index === 1) return match(spec.subcommands);
+  if (index === projectPosition([...words, current]) || spec.project === 'all') return match(await lookup('project'));
+  return current === '' ? match(Object.keys(flags).filter((flag) => !words.includes(flag))) : [[], current];
+}
@@ -0,0 +1,400 @@
+/**
+ * Analytics-as-code for `plan` and `apply`. A workspace file (YAML or JSON)
+ * declares projects with their allowed origins, project context, and
+ * experiments, plus portfolio context and portfolios. It is diffed against
+ * the account and turned into an ordered list of API calls. Nothing that is
+ * missing from the file is deleted: the file manages what it names.
+ * `export-config` goes the other way and writes the account as a workspace.
+ */
+
+import { parseYaml } from './yaml.mjs';
+
+export const DEFAULT_WORKSPACE_FILE = 'agent-analytics.yml';
+
+const TOP_LEVEL_KEYS = ['projects', 'portfolio_context', 'portfolios'];
+// `id` and `project_token` come from export-config; they are accepted so an
+// exported file applies cleanly, but never compared or sent.
+const PROJECT_KEYS = ['name', 'id', 'project_token', 'domain', 'origins', 'context', 'experiments'];
+const EXPERIMENT_KEYS = ['name', 'variants', 'goal', 'weights', 'status', 'winner'];
+const PORTFOLIO_KEYS = ['slug', 'name', 'projects', 'move'];
+const EXPERIMENT_STATUSES = ['active', 'paused', 'completed'];
+
+function invalid(path, message) {
+  throw new Error(`${path}: ${message}`);
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function checkKeys(value, allowed, path) {
+  if (!isObject(value)) invalid(path, 'must be a mapping');
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) invalid(path, `unknown key "${key}" (expected ${allowed.join(', ')})`);
+  }
+}
+
+function stringList(value, path) {
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list) || list.some((item) => typeof item !== 'string' && typeof item !== 'number')) {
+    invalid(path, 'must be a list of strings');
+  }
+  return list.map((item) => String(item).trim()).filter(Boolean);
+}
+
+function requiredString(value, path) {
+  if (typeof value !== 'string' || value.trim() === '') invalid(path, 'is required');
+  return value.trim();
+}
+
+function uniqueBy(items, key, path) {
+  const seen = new Set();
+  for (const item of items) {
+    if (seen.has(item[key])) invalid(path, `"${item[key]}" is declared twice`);
+    seen.add(item[key]);
+  }
+}
+
+function normalizeExperiment(value, path) {
+  checkKeys(value, EXPERIMENT_KEYS, path);
+  const experiment = {
+    name: requiredString(value.name, `${path}.name`),
+    variants: stringList(value.variants, `${path}.variants`),
+    goal: requiredString(value.goal, `${path}.goal`),
+  };
+  if (experiment.variants.length < 2) invalid(`${path}.variants`, 'needs at least 2 variants');
+  if (value.weights != null) {
+    if (!Array.isArray(value.weights) || value.weights.length !== experiment.variants.length || value.weights.some((w) => !Number.isInteger(w) || w < 0)) {
+      invalid(`${path}.weights`, 'must list one whole-number weight per variant');
+    }
+    experiment.weights = value.weights;
+  }
+  if (value.status != null) {
+    if (!EXPERIMENT_STATUSES.includes(value.status)) invalid(`${path}.status`, `must be one of ${EXPERIMENT_STATUSES.join(', ')}`);
+    experiment.status = value.status;
+  }
+  if (value.winner != null) {
+    if (!experiment.variants.includes(String(value.winner))) invalid(`${path}.winner`, 'must be one of the variants');
+    experiment.winner = String(value.winner);
+  }
+  return experiment;
+}
+
+/** Validate a parsed workspace document and fill in list shapes. */
+export function normalizeWorkspace(doc) {
+  if (doc == null) doc = {};
+  checkKeys(doc, TOP_LEVEL_KEYS, 'workspace');
+  const workspace = {};
+
+  if (doc.projects != null) {
+    if (!Array.isArray(doc.projects)) invalid('projects', 'must be a list');
+    workspace.projects = doc.projects.map((value, index) => {
+      const path = `projects[${index}]`;
+      checkKeys(value, PROJECT_KEYS, path);
+      const project = { name: requiredString(value.name, `${path}.name`) };
+      if (value.domain != null) project.domain = requiredString(value.domain, `${path}.domain`);
+      if (value.origins != null) project.origins = stringList(value.origins, `${path}.origins`);
+      if (value.context != null) {
+        if (!isObject(value.context)) invalid(`${path}.context`, 'must be a mapping');
+        project.context = value.context;
+      }
+      if (value.experiments != null) {
+        if (!Array.isArray(value.experiments)) invalid(`${path}.experiments`, 'must be a list');
+        project.experiments = value.experiments.map((experiment, i) => normalizeExperiment(experiment, `${path}.experiments[${i}]`));
+        uniqueBy(project.experiments, 'name', `${path}.experiments`);
+      }
+      return project;
+    });
+    uniqueBy(workspace.projects, 'name', 'projects');
+  }
+
+  if (doc.portfolio_context != null) {
+    if (!isObject(doc.portfolio_context)) invalid('portfolio_context', 'must be a mapping');
+    workspace.portfolio_context = doc.portfolio_context;
+  }
+
+  if (doc.portfolios != null) {
+    if (!Array.isArray(doc.portfolios)) invalid('portfolios', 'must be a list');
+    workspace.portfolios = doc.portfolios.map((value, index) => {
+      const path = `portfolios[${index}]`;
+      checkKeys(value, PORTFOLIO_KEYS, path);
+      const portfolio = { slug: requiredString(value.slug, `${path}.slug`), projects: stringList(value.projects ?? [], `${path}.projects`) };
+      if (value.name != null) portfolio.name = requiredString(value.name, `${path}.name`);
+      if (value.move != null) portfolio.move = Boolean(value.move);
+      return portfolio;
+    });
+    uniqueBy(workspace.portfolios, 'slug', 'portfolios');
+  }
+
+  return workspace;
+}
+
+/** Parse a workspace file's text; `.json` files (or text starting with `{`) are read as JSON. */
+export function parseWorkspace(text, filename = '') {
+  const json = /\.json$/i.test(filename) || /^\s*\{/.test(text);
+  let doc;
+  try {
+    doc = json ? JSON.parse(text) : parseYaml(text);
+  } catch (err) {
+    throw new Error(`Could not parse ${filename || 'workspace file'}: ${err.message}`);
+  }
+  return normalizeWorkspace(doc);
+}
+
+function memberNames(portfolio) {
+  return (portfolio?.members || []).map((member) => member.project || member.project_id);
+}
+
+/** Fetch the parts of the account the workspace declares, in parallel. */
+export async function readWorkspaceState(api, workspace) {
+  const declared = workspace.projects || [];
+  const [projectsData, portfolioContextData, portfoliosData] = await Promise.all([
+    api.listProjects(),
+    workspace.portfolio_context ? api.getPortfolioContext() : null,
+    workspace.portfolios ? api.listPortfolios() : null,
+  ]);
+  const projects = new Map((projectsData.projects || []).map((project) => [project.name, project]));
+  const existing = declared.filter((project) => projects.has(project.name));
+
+  const listedPortfolios = new Map((portfoliosData?.portfolios || []).map((portfolio) => [portfolio.slug, portfolio]));
+  const [contexts, experiments, portfolios] = await Promise.all([
+    Promise.all(existing.filter((project) => project.context).map(async (project) => [project.name, (await api.getProjectContext(project.name)).project_context || {}])),
+    Promise.all(existing.filter((project) => project.experiments).map(async (project) => [project.name, (await api.listExperiments(project.name)).experiments || []])),
+    Promise.all((workspace.portfolios || []).filter((portfolio) => listedPortfolios.has(portfolio.slug)).map(async ({ slug }) => {
+      const listed = listedPortfolios.get(slug);
+      const full = listed.members ? listed : ((await api.getPortfolio(slug)).portfolio || listed);
+      return [slug, { name: full.name, projects: memberNames(full) }];
+    })),
+  ]);
+
+  return {
+    projects,
+    contexts: new Map(contexts),
+    experiments: new Map(experiments),
+    portfolioContext: portfolioContextData ? portfolioContextData.portfolio_context || {} : null,
+    portfolios: new Map(portfolios),
+  };
+}
+
+// Key-order-independent JSON, so reordered keys are not reported as changes.
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (isObject(value)) return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  return JSON.stringify(value ?? null);
+}
+
+const sameSet = (a, b) => canonical([...a].sort()) === canonical([...b].sort());
+
+function contextChanges(current, desired) {
+  return Object.keys(desired)
+    .filter((key) => canonical(current[key]) !== canonical(desired[key]))
+    .map((key) => ({ field: key, from: current[key] ?? null, to: desired[key] }));
+}
+
+/**
+ * Diff the workspace against `state` (from readWorkspaceState). Returns the
+ * changes in the order they must be applied, each with the API calls that
+ * make it, plus warnings for differences the API cannot change in place.
+ */
+export function planWorkspace(workspace, state) {
+  const changes = [];
+  const warnings = [];
+  let unchanged = 0;
+  const add = (action, type, target, fieldChanges, calls) => {
+    if (fieldChanges.length === 0 && action === 'update') {
+      unchanged += 1;
+      return;
+    }
+    changes.push({ action, type, target, changes: fieldChanges, calls });
+  };
+
+  const declared = workspace.projects || [];
+  for (const project of declared) {
+    const current = state.projects.get(project.name);
+    const origins = project.origins || (project.domain ? [project.domain] : null);
+    if (!current) {
+      if (!origins) throw new Error(`projects: "${project.name}" does not exist yet; give it a domain or origins to create it`);
+      add('create', 'project', project.name, [{ field: 'origins', from: null, to: origins }], [
+        { method: 'createProject', args: [project.name, origins.join(',')] },
+      ]);
+    } else if (origins) {
+      const currentOrigins = String(current.allowed_origins || '*').split(',').map((origin) => origin.trim()).filter(Boolean);
+      const fieldChanges = sameSet(currentOrigins, origins) ? [] : [{ field: 'origins', from: currentOrigins, to: origins }];
+      add('update', 'project', project.name, fieldChanges, [
+        { method: 'updateProject', args: [current.id, { allowed_origins: origins.join(',') }] },
+      ]);
+    }
+  }
+
+  for (const project of declared.filter((p) => p.context)) {
+    const current = state.contexts.get(project.name) || {};
+    const exists = state.projects.has(project.name);
+    const fieldChanges = contextChanges(exists ? current : {}, project.context);
+    add(exists ? 'update' : 'create', 'project_context', project.name, fieldChanges, [
+      { method: 'setProjectContext', args: [project.name, { ...current, ...project.context }] },
+    ]);
+  }
+
+  for (const project of declared.filter((p) => p.experiments)) {
+    const existing = new Map((state.experiments.get(project.name) || []).map((experiment) => [experiment.name, experiment]));
+    for (const experiment of project.experiments) {
+      const target = `${project.name}/${experiment.name}`;
+      const current = existing.get(experiment.name);
+      if (!current) {
+        const calls = [{ method: 'createExperiment', args: [project.name, { name: experiment.name, variants: experiment.variants, goal_event: experiment.goal, weights: experiment.weights }] }];
+        const fieldChanges = [
+          { field: 'variants', from: null, to: experiment.variants },
+          { field: 'goal', from: null, to: experiment.goal },
+        ];
+        if (experiment.status && experiment.status !== 'active') {
+          fieldChanges.push({ field: 'status', from: null, to: experiment.status });
+          // The id only exists once the experiment is created.
+          calls.push({ method: 'updateExperiment', use_created_id: true, args: [{ status: experiment.status, winner: experiment.winner }] });
+        }
+        add('create', 'experiment', target, fieldChanges, calls);
+        continue;
+      }
+
+      const currentVariants = (current.variants || []).map((variant) => variant.key ?? variant);
+      if (!sameSet(currentVariants, experiment.variants) || current.goal_event !== experiment.goal) {
+        warnings.push(`experiment ${target}: variants and goal cannot be changed after creation; create a new experiment instead`);
+      }
+      if (experiment.weights && canonical((current.variants || []).map((variant) => variant.weight)) !== canonical(experiment.weights)) {
+        warnings.push(`experiment ${target}: weights cannot be changed after creation`);
+      }
+      const fieldChanges = [];
+      if (experiment.status && experiment.status !== current.status) fieldChanges.push({ field: 'status', from: current.status, to: experiment.status });
+      if (experiment.winner && experiment.winner !== current.winner) fieldChanges.push({ field: 'winner', from: current.winner ?? null, to: experiment.winner });
+      add('update', 'experiment', target, fieldChanges, [
+        { method: 'updateExperiment', args: [current.id, { status: experiment.status || current.status, winner: experiment.winner }] },
+      ]);
+    }
+  }
+
+  if (workspace.portfolio_context) {
+    const current = state.portfolioContext || {};
+    add('update', 'portfolio_context', 'account', contextChanges(current, workspace.portfolio_context), [
+      { method: 'setPortfolioContext', args: [{ ...current, ...workspace.portfolio_context }] },
+    ]);
+  }
+
+  for (const portfolio of workspace.portfolios || []) {
+    const current = state.portfolios.get(portfolio.slug);
+    if (!current) {
+      add('create', 'portfolio', portfolio.slug, [{ field: 'projects', from: null, to: portfolio.projects }], [
+        { method: 'createPortfolio', args: [{ slug: portfolio.slug, name: portfolio.name || portfolio.slug, projects: portfolio.projects, allow_move: Boolean(portfolio.move) }] },
+      ]);
+      continue;
+    }
+    const fieldChanges = [];
+    if (portfolio.name && portfolio.name !== current.name) fieldChanges.push({ field: 'name', from: current.name, to: portfolio.name });
+    if (!sameSet(current.projects, portfolio.projects)) fieldChanges.push({ field: 'projects', from: current.projects, to: portfolio.projects });
+    add('update', 'portfolio', portfolio.slug, fieldChanges, [
+      { method: 'updatePortfolio', args: [portfolio.slug, { name: portfolio.name, projects: portfolio.projects, allow_move: Boolean(portfolio.move) }] },
+    ]);
+  }
+
+  const names = new Set(declared.map((project) => project.name));
+  return {
+    changes,
+    warnings,
+    unchanged,
+    unmanaged_projects: [...state.projects.keys()].filter((name) => !names.has(name)),
+    summary: {
+      create: changes.filter((change) => change.action === 'create').length,
+      update: changes.filter((change) => change.action === 'update').length,
+    },
+  };
+}
+
+/**
+ * Run a plan's calls in order. `onChange` is called after each change is
+ * applied; a failure stops the run so later changes that may depend on it
+ * are not attempted.
+ */
+export async function applyWorkspacePlan(api, plan, { onChange = () => {} } = {}) {
+  for (const change of plan.changes) {
+    let created;
+    for (const call of change.calls) {
+      const result = await api[call.method](...(call.use_created_id ? [created.id, ...call.args] : call.args));
+      created ??= result;
+    }
+    onChange(change);
+  }
+}
+
+export const REDACTED = '[redacted]';
+
+// Object keys sorted at every level so exports of the same account diff cleanly.
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (!isObject(value)) return value;
+  return Object.fromEntries(Object.keys(value).sort().map((key) => [key, sortKeys(value[key])]));
+}
+
+const isEmpty = (value) => value == null || (isObject(value) && Object.keys(value).length === 0);
+
+function exportExperiment(experiment) {
+  const variants = (experiment.variants || []).map((variant) => variant.key ?? variant);
+  const out = { name: experiment.name, variants, goal: experiment.goal_event };
+  const weights = (experiment.variants || []).map((variant) => variant.weight);
+  // Equal weights are the default, so they are left out.
+  if (weights.every(Number.isInteger) && new Set(weights).size > 1) out.weights = weights;
+  if (experiment.status) out.status = experiment.status;
+  if (experiment.winner) out.winner = experiment.winner;
+  return out;
+}
+
+/**
+ * Build a workspace document from account data (see readAccount). Projects,
+ * experiments, and portfolios are sorted by name and context keys
+ * alphabetically; with `redact`, project tokens are replaced by `[redacted]`.
+ */
+export function buildWorkspaceDocument(account, { redact = false } = {}) {
+  const doc = {};
+  const byName = (a, b) => String(a.name).localeCompare(String(b.name));
+
+  if (account.projects.length > 0) {
+    doc.projects = [...account.projects].sort(byName).map((project) => {
+      const out = { name: project.name, id: project.id };
+      if (project.project_token) out.project_token = redact ? REDACTED : project.project_token;
+      out.origins = String(project.allowed_origins || '*').split(',').map((origin) => origin.trim()).filter(Boolean).sort();
+      const context = account.contexts.get(project.name);
+      if (!isEmpty(context)) out.context = sortKeys(context);
+      const experiments = account.experiments.get(project.name) || [];
+      if (experiments.length > 0) out.experiments = [...experiments].sort(byName).map(exportExperiment);
+      return out;
+    });
+  }
+  if (!isEmpty(account.portfolioContext)) doc.portfolio_context = sortKeys(account.portfolioContext);
+  if (account.portfolios.length > 0) {
+    doc.portfolios = [...account.portfolios]
+      .sort((a, b) => a.slug.localeCompare(b.slug))
+      .map((portfolio) => ({ slug: portfolio.slug, name: portfolio.name || portfolio.slug, projects: [...portfolio.projects].sort() }));
+  }
+  return doc;
+}
+
+/** Read every project, experiment, context, and portfolio in the account. */
+export async function readAccount(api) {
+  const [projectsData, portfolioContextData, portfoliosData] = await Promise.all([
+    api.listProjects(),
+    api.getPortfolioContext(),
+    api.listPortfolios(),
+  ]);
+  const listed = projectsData.projects || [];
+  const [projects, contexts, experiments, portfolios] = await Promise.all([
+    Promise.all(listed.map(async (project) => ({ ...project, ...await api.getProject(project.id) }))),
+    Promise.all(listed.map(async (project) => [project.name, (await api.getProjectContext(project.name)).project_context || {}])),
+    Promise.all(listed.map(async (project) => [project.name, (await api.listExperiments(project.name)).experiments || []])),
+    Promise.all((portfoliosData.portfolios || []).map(async (portfolio) => {
+      const full = portfolio.members ? portfolio : ((await api.getPortfolio(portfolio.slug)).portfolio || portfolio);
+      return { slug: portfolio.slug, name: full.name, projects: memberNames(full) };
+    })),
+  ]);
+  return {
+    projects,
+    contexts: new Map(contexts),
+    experiments: new Map(experiments),
+    portfolioContext: portfolioContextData.portfolio_context || {},
+    portfolios,
+  };
+}
@@ -0,0 +1,285 @@
+/**
+ * A small YAML reader and writer for workspace files, so `plan`, `apply`,
+ * and `export-config` need no dependency. The reader covers the subset
+ * people write by hand for configuration: block mappings and sequences,
+ * flow `[...]` and `{...}` collections, quoted and plain scalars, `|` and
+ * `>` block scalars, and `#` comments. Anchors, tags, and multiple
+ * documents are rejected rather than guessed at.
+ */
+
+function fail(lineNo, message) {
+  throw new Error(`YAML line ${lineNo}: ${message}`);
+}
+
+// A ":" only separates a key from its value before whitespace or the end.
+const endsToken = (char) => char === undefined || /\s/.test(char);
+
+// Cut a trailing `# comment` that is outside quotes.
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i += 1;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+function plainScalar(text) {
+  if (/^(null|Null|NULL|~)?$/.test(text)) return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?(\d+|\d*\.\d+|\d+\.\d*)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+// Reads one flow value starting at `pos`; returns [value, nextPos].
+function readFlow(text, pos, lineNo) {
+  const skip = (p) => { while (p < text.length && /\s/.test(text[p])) p += 1; return p; };
+  pos = skip(pos);
+  const char = text[pos];
+
+  if (char === '[' || char === '{') {
+    const close = char === '[' ? ']' : '}';
+    const result = char === '[' ? [] : {};
+    pos = skip(pos + 1);
+    if (text[pos] === close) return [result, pos + 1];
+    for (;;) {
+      if (char === '[') {
+        const [item, next] = readFlow(text, pos, lineNo);
+        result.push(item);
+        pos = skip(next);
+      } else {
+        const [key, afterKey] = readFlow(text, pos, lineNo);
+        pos = skip(afterKey);
+        if (text[pos] !== ':') fail(lineNo, `expected ":" after "${key}" in a flow mapping`);
+        const [value, next] = readFlow(text, pos + 1, lineNo);
+        result[String(key)] = value;
+        pos = skip(next);
+      }
+      if (text[pos] === ',') { pos = skip(pos + 1); continue; }
+      if (text[pos] === close) return [result, pos + 1];
+      fail(lineNo, `expected "," or "${close}"`);
+    }
+  }
+
+  if (char === '"') {
+    let end = pos + 1;
+    while (end < text.length && text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+    if (end >= text.length) fail(lineNo, 'unterminated double-quoted string');
+    try {
+      return [JSON.parse(text.slice(pos, end + 1)), end + 1];
+    } catch {
+      fail(lineNo, 'invalid escape in double-quoted string');
+    }
+  }
+
+  if (char === "'") {
+    let end = pos + 1;
+    let value = '';
+    for (;;) {
+      if (end >= text.length) fail(lineNo, 'unterminated single-quoted string');
+      if (text[end] === "'") {
+        if (text[end + 1] === "'") { value += "'"; end += 2; continue; }
+        return [value, end + 1];
+      }
+      value += text[end];
+      end += 1;
+    }
+  }
+
+  let end = pos;
+  // Inside a flow collection, a plain scalar stops at , ] } and at ": ".
+  while (end < text.length && !/[,\]}]/.test(text[end]) && !(text[end] === ':' && endsToken(text[end + 1]))) end += 1;
+  return [plainScalar(text.slice(pos, end).trim()), end];
+}
+
+function scalarValue(text, lineNo) {
+  if (/^[&*!]/.test(text)) fail(lineNo, 'anchors, aliases, and tags are not supported');
+  if (/^["'[{]/.test(text)) {
+    const [value, end] = readFlow(text, 0, lineNo);
+    if (text.slice(end).trim() !== '') fail(lineNo, `unexpected text after value: ${text.slice(end).trim()}`);
+    return value;
+  }
+  return plainScalar(text);
+}
+
+// Splits `key: value` (or `key:`); returns null when the text is not a mapping entry.
+function splitKey(text, lineNo) {
+  if (text[0] === '"' || text[0] === "'") {
+    const [key, end] = readFlow(text, 0, lineNo);
+    if (text[end] !== ':' || !endsToken(text[end + 1])) return null;
+    return { key: String(key), rest: text.slice(end + 1).trim() };
+  }
+  const match = /^([^\s#:[\]{},][^:]*?|[^\s#:[\]{},]):(\s+(.*))?$/.exec(text);
+  if (!match) return null;
+  return { key: match[1].trim(), rest: (match[3] || '').trim() };
+}
+
+export function parseYaml(source) {
+  const raw = String(source).replace(/^﻿/, '').split(/\r?\n/);
+  const lines = raw.map((line, i) => {
+    if (/\t/.test(line.match(/^\s*/)[0])) fail(i + 1, 'tabs are not allowed for indentation');
+    const text = stripComment(line.trim());
+    return { lineNo: i + 1, indent: line.length - line.trimStart().length, text };
+  });
+  let i = 0;
+  const skipBlank = () => { while (i < lines.length && lines[i].text === '') i += 1; };
+  const current = () => (skipBlank(), lines[i]);
+
+  const isSeqItem = (text) => text === '-' || text.startsWith('- ');
+
+  function blockScalar(indicator, parentIndent) {
+    const folded = indicator[0] === '>';
+    const chomp = indicator[1];
+    const body = [];
+    let blockIndent = null;
+    while (i < raw.length) {
+      const line = raw[i];
+      if (line.trim() === '') { body.push(''); i += 1; continue; }
+      const indent = line.length - line.trimStart().length;
+      if (indent <= parentIndent) break;
+      if (blockIndent === null) blockIndent = indent;
+      if (indent < blockIndent) break;
+      body.push(line.slice(blockIndent));
+      i += 1;
+    }
+    while (body.length && body[body.length - 1] === '' && chomp !== '+') body.pop();
+    // Folding joins adjacent lines with a space; a blank line becomes a newline.
+    let text = folded
+      ? body.reduce((out, line, index) => (line === '' ? `${out}\n` : `${out}${index > 0 && body[index - 1] !== '' ? ' ' : ''}${line}`), '')
+      : body.join('\n');
+    if (chomp !== '-' && body.length) text += '\n';
+    return text;
+  }
+
+  // Value after `key:` or `-`: an inline scalar, a block scalar, or a nested block.
+  function valueAfter(rest, parentIndent, lineNo, allowSameIndentSeq) {
+    if (/^[|>][-+]?$/.test(rest)) return blockScalar(rest, parentIndent);
+    if (rest !== '') return scalarValue(rest, lineNo);
+    const next = current();
+    if (!next) return null;
+    if (next.indent > parentIndent) return block(next.indent);
+    if (allowSameIndentSeq && next.indent === parentIndent && isSeqItem(next.text)) return sequence(parentIndent);
+    return null;
+  }
+
+  function sequence(indent) {
+    const items = [];
+    for (let line = current(); line && line.indent === indent && isSeqItem(line.text); line = current()) {
+      const rest = line.text.slice(1).trim();
+      if (rest && splitKey(rest, line.lineNo)) {
+        // "- key: value" starts a mapping indented at the key's column.
+        const column = indent + line.text.indexOf(rest);
+        lines[i] = { ...line, indent: column, text: rest };
+        items.push(mapping(column));
+      } else {
+        i += 1;
+        items.push(valueAfter(rest, indent, line.lineNo, false));
+      }
+    }
+    return items;
+  }
+
+  function mapping(indent) {
+    const result = {};
+    for (let line = current(); line && line.indent === indent && !isSeqItem(line.text); line = current()) {
+      if (line.text === '---' || line.text === '...') fail(line.lineNo, 'multiple documents are not supported');
+      const entry = splitKey(line.text, line.lineNo);
+      if (!entry) fail(line.lineNo, `expected "key: value", got "${line.text}"`);
+      if (Object.hasOwn(result, entry.key)) fail(line.lineNo, `duplicate key "${entry.key}"`);
+      i += 1;
+      result[entry.key] = valueAfter(entry.rest, indent, line.lineNo, true);
+    }
+    return result;
+  }
+
+  function block(indent) {
+    const line = current();
+    if (isSeqItem(line.text)) return sequence(indent);
+    if (!splitKey(line.text, line.lineNo)) {
+      i += 1;
+      return scalarValue(line.text, line.lineNo);
+    }
+    return mapping(indent);
+  }
+
+  const first = current();
+  if (!first) return null;
+  if (first.text === '---') {
+    i += 1;
+    if (!current()) return null;
+  }
+  const value = block(current().indent);
+  const extra = current();
+  if (extra) fail(extra.lineNo, `unexpected indentation or content: "${extra.text}"`);
+  return value;
+}
+
+// Plain scalars are written unquoted only when they read back as the same string.
+function isPlainSafe(text, inFlow) {
+  if (text === '' || text !== text.trim() || /[\n\r\t]/.test(text)) return false;
+  if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(text) || /: |:$| #/.test(text)) return false;
+  if (inFlow && /[,[\]{}]/.test(text)) return false;
+  return plainScalar(text) === text;
+}
+
+function scalarText(value, inFlow = false) {
+  if (value == null) return 'null';
+  if (typeof value === 'string') return isPlainSafe(value, inFlow) ? value : JSON.stringify(value);
+  return String(value);
+}
+
+const isCollection = (value) => value !== null && typeof value === 'object';
+
+function emit(value, indent, out) {
+  const pad = ' '.repeat(indent);
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      if (isCollection(item) && !Array.isArray(item) && Object.keys(item).length > 0) {
+        // The first key shares the "- " line; the rest line up under it.
+        const nested = [];
+        emit(item, indent + 2, nested);
+        out.push(`${pad}- ${nested[0].trimStart()}`, ...nested.slice(1));
+      } else {
+        out.push(`${pad}- ${inlineValue(item) ?? ''}`.trimEnd());
+        if (inlineValue(item) === null) emit(item, indent + 2, out);
+      }
+    }
+    return;
+  }
+  for (const [key, item] of Object.entries(value)) {
+    const inline = inlineValue(item);
+    if (inline !== null) {
+      out.push(`${pad}${scalarText(key)}: ${inline}`);
+    } else {
+      out.push(`${pad}${scalarText(key)}:`);
+      emit(item, indent + 2, out);
+    }
+  }
+}
+
+// Scalars, empty collections, and lists of scalars fit on one line; null means "write a block".
+function inlineValue(value) {
+  if (!isCollection(value)) return scalarText(value);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return value.every((item) => !isCollection(item)) ? `[${value.map((item) => scalarText(item, true)).join(', ')}]` : null;
+  }
+  return Object.keys(value).length === 0 ? '{}' : null;
+}
+
+/** Write plain data as block-style YAML that `parseYaml` reads back unchanged. */
+export function stringifyYaml(value) {
+  const inline = inlineValue(value);
+  if (inline !== null) return `${inline}\n`;
+  const out = [];
+  emit(value, 0, out);
+  return `${out.join('\n')}\n`;
+}
@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ALL_EVENTS, dateRange, detectAnomalies, median, scoreSeries, seriesFromQueryRows, seriesFromStats } from '../lib/anomalies.mjs';
+
+// Four weeks starting on a Monday: busy weekdays, quiet weekends.
+const DATES = dateRange('2026-03-02', '2026-03-29');
+const weekly = () => DATES.map((date) => ([0, 6].includes(new Date(`${date}T00:00:00Z`).getUTCDay()) ? 20 : 100));
+
+describe('anomalies', () => {
+  it('computes medians and date ranges', () => {
+    assert.equal(median([5, 1, 3]), 3);
+    assert.equal(median([4, 1, 3, 2]), 2.5);
+    assert.equal(median([]), null);
+    assert.deepEqual(dateRange('2026-02-27', '2026-03-02'), ['2026-02-27', '2026-02-28', '2026-03-01', '2026-03-02']);
+  });
+
+  it('builds zero-filled series per event with a total', () => {
+    const dates = dateRange('2026-03-01', '2026-03-03');
+    const series = seriesFromQueryRows([
+      { date: '2026-03-01', event: 'page_view', event_count: 10 },
+      { date: '2026-03-03', event: 'page_view', event_count: 12 },
+      { date: '2026-03-02', event: 'signup', event_count: 2 },
+      { date: '2026-02-01', event: 'signup', event_count: 99 },
+    ], dates);
+
+    assert.deepEqual(series.get('page_view'), [10, 0, 12]);
+    assert.deepEqual(series.get('signup'), [0, 2, 0]);
+    assert.deepEqual(series.get(ALL_EVENTS), [10, 2, 12]);
+    assert.deepEqual(seriesFromStats([{ bucket: '2026-03-02', total_events: 7 }], dates).get(ALL_EVENTS), [0, 7, 0]);
+  });
+
+  it('uses weekday baselines so quiet weekends are not drops', () => {
+    const points = scoreSeries(weekly(), DATES);
+    assert.ok(points.every((point) => point.score === 0));
+    assert.equal(points[5].weekday, 'Sat');
+    assert.equal(points[5].expected, 20);
+    assert.deepEqual(detectAnomalies(new Map([['page_view', weekly()]]), DATES), []);
+  });
+
+  it('flags spikes and drops ranked by severity', () => {
+    const values = weekly();
+    values[9] = 400; // Wednesday spike
+    values[15] = 30; // Tuesday drop
+    values[20] = 70; // Sunday spike on a quiet day
+    const anomalies = detectAnomalies(new Map([['signup', values]]), DATES);
+
+    assert.deepEqual(anomalies.map((a) => [a.date, a.direction]), [
+      ['2026-03-11', 'spike'],
+      ['2026-03-22', 'spike'],
+      ['2026-03-17', 'drop'],
+    ]);
+    assert.deepEqual(
+      { ...anomalies[0], score: undefined, severity: undefined },
+      { event: 'signup', date: '2026-03-11', weekday: 'Wed', direction: 'spike', value: 400, expected: 100, change_pct: 300, score: undefined, severity: undefined },
+    );
+    assert.ok(anomalies[0].severity > anomalies[1].severity);
+  });
+
+  it('ignores tiny counts and short series', () => {
+    const values = DATES.map(() => 0);
+    values[10] = 4;
+    assert.deepEqual(detectAnomalies(new Map([['rare', values]]), DATES), []);
+    assert.equal(detectAnomalies(new Map([['rare', values]]), DATES, { minCount: 1 }).length, 1);
+    assert.deepEqual(detectAnomalies(new Map([['short', [1, 100, 1]]]), DATES.slice(0, 3)), []);
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, it, before, after, beforeEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { AgentAnalyticsAPI } from '../lib/api.mjs';
+import { AgentAnalyticsAPI, parseRetryAfterMs, retryDelayMs } from '../lib/api.mjs';
 
 describe('AgentAnalyticsAPI', () => {
   describe('constructor', () => {
@@ -278,6 +278,11 @@ describe('AgentAnalyticsAPI', () => {
       assert.equal(lastUrl, 'https://api.test/events?project=my-site&since=14d&limit=50&event=page_view');
     });
 
+    it('getEvents bounds the window with until', async () => {
+      await api.getEvents('my-site', { since: '2026-01-01', until: '2026-01-01T12:00:00.000Z', limit: 500 });
+      assert.equal(lastUrl, 'https://api.test/events?project=my-site&since=2026-01-01&until=2026-01-01T12%3A00%3A00.000Z&limit=500');
+    });
+
     it('getEvents with email uses POST for scoped HMAC lookup', async () => {
       await api.getEvents('my-site', { since: '30d', user_id: 'user-1', email: 'alice@example.com' });
       assert.equal(lastUrl, 'https://api.test/events');
@@ -358,4 +363,345 @@ describe('AgentAnalyticsAPI', () => {
     });
   });
 
+  describe('ingestion', () => {
+    let originalFetch;
+
+    before(() => { originalFetch = globalThis.fetch; });
+    after(() => { globalThis.fetch = originalFetch; });
+
+    it('track → POST /track and trackBatch → POST /track/batch without session auth', async () => {
+      const calls = [];
+      globalThis.fetch = async (url, opts) => {
+        calls.push({ url, opts });
+        return { ok: true, status: 202, json: async () => ({ ok: true }) };
+      };
+      const api = new AgentAnalyticsAPI(null, 'https://api.test');
+
+      await api.track({ project: 'my-site', token: 'aat_1', event: 'signup' });
+      await api.trackBatch([{ project: 'my-site', token: 'aat_1', event: 'a', event_id: 'k1' }]);
+
+      assert.deepEqual(calls.map((call) => [call.opts.method, call.url]), [
+        ['POST', 'https://api.test/track'],
+        ['POST', 'https://api.test/track/batch'],
+      ]);
+      assert.equal(calls[0].opts.headers.Authorization, undefined);
+      assert.deepEqual(JSON.parse(calls[1].opts.body), { events: [{ project: 'my-site', token: 'aat_1', event: 'a', event_id: 'k1' }] });
+    });
+
+    it('retries batches, which carry dedupe keys, but not single events', async () => {
+      let calls = 0;
+      globalThis.fetch = async () => {
+        calls += 1;
+        return calls === 1 || calls === 3
+          ? { ok: false, status: 503, headers: new Headers(), json: async () => ({ error: 'unavailable' }) }
+          : { ok: true, status: 202, headers: new Headers(), json: async () => ({ ok: true }) };
+      };
+      const api = new AgentAnalyticsAPI(null, 'https://api.test', { maxRetries: 1, retryBaseMs: 1 });
+
+      assert.deepEqual(await api.trackBatch([{ event: 'a' }]), { ok: true });
+      assert.equal(calls, 2);
+      await assert.rejects(() => api.track({ event: 'a' }), { status: 503 });
+      assert.equal(calls, 3);
+    });
+  });
+
+  describe('retries', () => {
+    let originalFetch;
+
+    before(() => { originalFetch = globalThis.fetch; });
+    after(() => { globalThis.fetch = originalFetch; });
+
+    function sequenceFetch(responses) {
+      const calls = [];
+      globalThis.fetch = async (url, opts) => {
+        calls.push({ url, method: opts.method });
+        const next = responses[Math.min(calls.length - 1, responses.length - 1)];
+        if (next instanceof Error) throw next;
+        return {
+          ok: next.status >= 200 && next.status < 300,
+          status: next.status,
+          headers: new Headers(next.headers || {}),
+          json: async () => next.body || {},
+        };
+      };
+      return calls;
+    }
+
+    it('retries idempotent requests on 503 and returns the eventual success', async () => {
+      const calls = sequenceFetch([
+        { status: 503, body: { error: 'unavailable' } },
+        { status: 502 },
+        { status: 200, body: { projects: [] } },
+      ]);
+      const api = new AgentAnalyticsAPI('aak_key', 'https://test.example.com', { maxRetries: 2, retryBaseMs: 1 });
+
+      assert.deepEqual(await api.listProjects(), { projects: [] });
+      assert.equal(calls.length, 3);
+    });
+
+    it('retries network errors for GET requests', async () => {
+      const calls = sequenceFetch([
+        new TypeError('fetch failed'),
+        { status: 200, body: { ok: true } },
+      ]);
+      const api = new AgentAnalyticsAPI('aak_key', 'https://test.example.com', { maxRetries: 1, retryBaseMs: 1 });
+
+      assert.deepEqual(await api.getAccount(), { ok: true });
+      assert.equal(calls.length, 2);
+    });
+
+    it('does not retry non-idempotent POST requests', async () => {
+      const calls = sequenceFetch([{ status: 503, body: { error: 'unavailable' } }]);
+      const api = new AgentAnalyticsAPI('aak_key', 'https://test.example.com', { maxRetries: 3, retryBaseMs: 1 });
+
+      await assert.rejects(() => api.createProject('site', 'https://site.test'), { status: 503 });
+      assert.equal(calls.length, 1);
+    });
+
+    it('retries read-only POST analytics endpoints', async () => {
+      const calls = sequenceFetch([
+        { status: 429, headers: { 'Retry-After': '0' } },
+        { status: 200, body: { rows: [] } },
+      ]);
+      const api = new AgentAnalyticsAPI('aak_key', 'https://test.example.com', { maxRetries: 2, retryBaseMs: 1 });
+
+      assert.deepEqual(await api.query('my-site', { metrics: ['event_count'] }), { rows: [] });
+      assert.equal(calls.length, 2);
+    });
+
+    it('gives up with the last error once retries are exhausted', async () => {
+      const calls = sequenceFetch([{ status: 429, body: { error: 'RATE_LIMITED', message: 'slow down' } }]);
+      const api = new AgentAnalyticsAPI('aak_key', 'https://test.example.com', { maxRetries: 2, retryBaseMs: 1 });
+
+      await assert.rejects(() => api.getAccount(), { message: 'slow down', status: 429 });
+      assert.equal(calls.length, 3);
+    });
+
+    it('fails fast when the server asks to wait longer than the retry ceiling', async () => {
+      const calls = sequenceFetch([{ status: 429, body: { retry_after_seconds: 120 } }]);
+      const api = new AgentAnalyticsAPI('aak_key', 'https://test.example.com', { maxRetries: 2, retryBaseMs: 1, retryMaxDelayMs: 1000 });
+
+      await assert.rejects(() => api.getAccount(), { status: 429 });
+      assert.equal(calls.length, 1);
+    });
+
+    it('does not retry plain 500 responses', async () => {
+      const calls = sequenceFetch([{ status: 500 }]);
+      const api = new AgentAnalyticsAPI('aak_key', 'https://test.example.com', { maxRetries: 2, retryBaseMs: 1 });
+
+      await assert.rejects(() => api.getAccount(), { message: 'HTTP 500' });
+      assert.equal(calls.length, 1);
+    });
+
+    it('reads retry settings from the environment', () => {
+      process.env.AGENT_ANALYTICS_MAX_RETRIES = '5';
+      process.env.AGENT_ANALYTICS_RETRY_BASE_MS = '10';
+      process.env.AGENT_ANALYTICS_RETRY_MAX_DELAY_MS = '2000';
+      try {
+        const api = new AgentAnalyticsAPI('aak_key');
+        assert.equal(api.maxRetries, 5);
+        assert.equal(api.retryBaseMs, 10);
+        assert.equal(api.retryMaxDelayMs, 2000);
+        assert.equal(new AgentAnalyticsAPI('aak_key', undefined, { maxRetries: 0 }).maxRetries, 0);
+      } finally {
+        delete process.env.AGENT_ANALYTICS_MAX_RETRIES;
+        delete process.env.AGENT_ANALYTICS_RETRY_BASE_MS;
+        delete process.env.AGENT_ANALYTICS_RETRY_MAX_DELAY_MS;
+      }
+    });
+
+    it('parses Retry-After seconds, HTTP dates, and body hints', () => {
+      const now = Date.parse('2026-01-01T00:00:00Z');
+      assert.equal(parseRetryAfterMs('3', {}, now), 3000);
+      assert.equal(parseRetryAfterMs('Thu, 01 Jan 2026 00:00:05 GMT', {}, now), 5000);
+      assert.equal(parseRetryAfterMs(null, { retry_after_seconds: 17 }, now), 17000);
+      assert.equal(parseRetryAfterMs(null, { retry_after: 2 }, now), 2000);
+      assert.equal(parseRetryAfterMs(null, {}, now), null);
+    });
+
+    it('computes jittered exponential backoff capped at the max delay', () => {
+      assert.equal(retryDelayMs(0, { baseMs: 100, random: () => 0 }), 50);
+      assert.equal(retryDelayMs(0, { baseMs: 100, random: () => 1 }), 100);
+      assert.equal(retryDelayMs(3, { baseMs: 100, random: () => 1 }), 800);
+      assert.equal(retryDelayMs(10, { baseMs: 100, maxDelayMs: 1000, random: () => 1 }), 1000);
+      assert.equal(retryDelayMs(4, { baseMs: 100, retryAfterMs: 1500 }), 1500);
+    });
+  });
+
+  describe('timeouts and cancellation', () => {
+    let originalFetch;
+
+    before(() => { originalFetch = globalThis.fetch; });
+    after(() => { globalThis.fetch = originalFetch; });
+
+    beforeEach(() => {
+      // Never resolves on its own; only the abort signal ends the request.
+      globalThis.fetch = (url, opts) => new Promise((resolve, reject) => {
+        opts.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+      });
+    });
+
+    it('fails a hung request with REQUEST_TIMEOUT after the configured timeout', async () => {
+      const api = new AgentAnalyticsAPI('aak_key', 'https://test.example.com', { timeoutMs: 20, maxRetries: 2, retryBaseMs: 1 });
+
+      await assert.rejects(() => api.getStats('my-site'), (err) => {
+        assert.equal(err.code, 'REQUEST_TIMEOUT');
+        assert.equal(err.timeoutMs, 20);
+        assert.match(err.message, /Request timed out after 0s: GET \/stats$/);
+        return true;
+      });
+    });
+
+    it('allows a per-request timeout override', async () => {
+      const api = new AgentAnalyticsAPI('aak_key', 'https://test.example.com', { timeoutMs: 0 });
+
+      await assert.rejects(() => api.request('GET', '/live', undefined, { timeoutMs: 10 }), { code: 'REQUEST_TIMEOUT' });
+    });
+
+    it('cancels requests through a client-level AbortSignal', async () => {
+      const controller = new AbortController();
+      const api = new AgentAnalyticsAPI('aak_key', 'https://test.example.com', { timeoutMs: 0, signal: controller.signal });
+
+      const pending = api.getAccount();
+      controller.abort();
+      await assert.rejects(() => pending, { code: 'REQUEST_ABORTED' });
+    });
+
+    it('stops waiting out a retry backoff when the signal aborts', async () => {
+      let calls = 0;
+      globalThis.fetch = async () => {
+        calls += 1;
+        return { ok: false, status: 503, headers: { get: () => null }, json: async () => ({}) };
+      };
+      const controller = new AbortController();
+      const api = new AgentAnalyticsAPI('aak_key', 'https://test.example.com', { maxRetries: 2, retryBaseMs: 60_000, retryMaxDelayMs: 60_000 });
+
+      const started = Date.now();
+      const pending = api.request('GET', '/account', undefined, { signal: controller.signal });
+      setTimeout(() => controller.abort(), 20);
+      await assert.rejects(() => pending, { code: 'REQUEST_ABORTED' });
+      assert.equal(calls, 1);
+      assert.ok(Date.now() - started < 5000);
+    });
+
+    it('rejects immediately when a per-request signal is already aborted', async () => {
+      let called = false;
+      globalThis.fetch = async () => { called = true; return { ok: true, json: async () => ({}) }; };
+      const api = new AgentAnalyticsAPI('aak_key', 'https://test.example.com');
+
+      await assert.rejects(() => api.request('GET', '/account', undefined, { signal: AbortSignal.abort() }), { code: 'REQUEST_ABORTED' });
+      assert.equal(called, false);
+    });
+
+    it('reads the default timeout from AGENT_ANALYTICS_TIMEOUT_MS', () => {
+      process.env.AGENT_ANALYTICS_TIMEOUT_MS = '1500';
+      try {
+        assert.equal(new AgentAnalyticsAPI('aak_key').timeoutMs, 1500);
+        assert.equal(new AgentAnalyticsAPI('aak_key', undefined, { timeoutMs: 10 }).timeoutMs, 10);
+      } finally {
+        delete process.env.AGENT_ANALYTICS_TIMEOUT_MS;
+      }
+      assert.equal(new AgentAnalyticsAPI('aak_key').timeoutMs, 30000);
+    });
+  });
+
+  describe('session refresh', () => {
+    let originalFetch;
+
+    before(() => { originalFetch = globalThis.fetch; });
+    after(() => { globalThis.fetch = originalFetch; });
+
+    function sessionFetch({ refreshDelayMs = 0 } = {}) {
+      const calls = [];
+      globalThis.fetch = async (url, opts) => {
+        const path = new URL(url).pathname;
+        calls.push({ path, auth: opts.headers.Authorization, body: opts.body ? JSON.parse(opts.body) : null });
+        if (path === '/agent-sessions/refresh') {
+          if (refreshDelayMs) await new Promise((resolve) => setTimeout(resolve, refreshDelayMs));
+          return {
+            ok: true,
+            status: 200,
+            headers: new Headers(),
+            json: async () => ({
+              agent_session: {
+                access_token: 'aas_new',
+                refresh_token: 'aar_new',
+                access_expires_at: Date.now() + 3_600_000,
+              },
+            }),
+          };
+        }
+        return { ok: true, status: 200, headers: new Headers(), json: async () => ({ ok: true }) };
+      };
+      return calls;
+    }
+
+    function expiringAuth() {
+      return { access_token: 'aas_old', refresh_token: 'aar_old', access_expires_at: Date.now() + 5_000 };
+    }
+
+    it('refreshes before the request when the access token is about to expire', async () => {
+      const calls = sessionFetch();
+      const updates = [];
+      const api = new AgentAnalyticsAPI(expiringAuth(), 'https://test.example.com', {
+        onAuthUpdate: (auth) => { updates.push(auth.access_token); },
+      });
+
+      await api.getAccount();
+      assert.deepEqual(calls.map((call) => call.path), ['/agent-sessions/refresh', '/account']);
+      assert.deepEqual(calls[0].body, { refresh_token: 'aar_old' });
+      assert.equal(calls[1].auth, 'Bearer aas_new');
+      assert.deepEqual(updates, ['aas_new']);
+    });
+
+    it('does not refresh early when the token has time left', async () => {
+      const calls = sessionFetch();
+      const api = new AgentAnalyticsAPI({ ...expiringAuth(), access_expires_at: Date.now() + 600_000 }, 'https://test.example.com');
+
+      await api.getAccount();
+      assert.deepEqual(calls.map((call) => call.path), ['/account']);
+    });
+
+    it('shares one refresh between parallel requests', async () => {
+      const calls = sessionFetch({ refreshDelayMs: 10 });
+      const api = new AgentAnalyticsAPI(expiringAuth(), 'https://test.example.com');
+
+      await Promise.all([api.getAccount(), api.listProjects(), api.getStats('site')]);
+      assert.equal(calls.filter((call) => call.path === '/agent-sessions/refresh').length, 1);
+      assert.ok(calls.filter((call) => call.path !== '/agent-sessions/refresh').every((call) => call.auth === 'Bearer aas_new'));
+    });
+
+    it('runs refresh inside the auth lock and adopts a session another process already rotated', async () => {
+      const calls = sessionFetch();
+      const locked = [];
+      const api = new AgentAnalyticsAPI(expiringAuth(), 'https://test.example.com', {
+        async withAuthLock(fn) {
+          locked.push('enter');
+          try { return await fn(); } finally { locked.push('exit'); }
+        },
+        async loadStoredAuth() {
+          return { access_token: 'aas_rotated', refresh_token: 'aar_rotated', access_expires_at: Date.now() + 3_600_000 };
+        },
+        onAuthUpdate: () => { throw new Error('should not save an adopted session'); },
+      });
+
+      await api.getAccount();
+      assert.deepEqual(locked, ['enter', 'exit']);
+      assert.deepEqual(calls.map((call) => call.path), ['/account']);
+      assert.equal(calls[0].auth, 'Bearer aas_rotated');
+      assert.equal(api.auth.refresh_token, 'aar_rotated');
+    });
+
+    it('refreshes with the latest stored refresh token when the stored session is also expiring', async () => {
+      const calls = sessionFetch();
+      const api = new AgentAnalyticsAPI(expiringAuth(), 'https://test.example.com', {
+        async loadStoredAuth() {
+          return { access_token: 'aas_old', refresh_token: 'aar_latest', access_expires_at: Date.now() + 5_000 };
+        },
+      });
+
+      await api.getAccount();
+      assert.deepEqual(calls[0].body, { refresh_token: 'aar_latest' });
+    });
+  });
 });
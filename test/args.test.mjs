@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { closestMatch, optionKey, parseCommandArgs, UsageError } from '../lib/args.mjs';
+
+describe('parseCommandArgs', () => {
+  it('splits positionals from typed options and fills in defaults', () => {
+    assert.deepEqual(parseCommandArgs(['events', 'my-site', '--limit', '20', '--follow', '--interval=0.5']), {
+      positionals: ['my-site'],
+      options: { limit: 20, follow: true, interval: 0.5, days: 7 },
+    });
+    assert.deepEqual(parseCommandArgs(['pages', 'my-site', '--days=30']).options, { days: 30, type: 'entry' });
+  });
+
+  it('keys options by their name with dashes as underscores', () => {
+    assert.equal(optionKey('--candidate-session-cap'), 'candidate_session_cap');
+    assert.deepEqual(parseCommandArgs(['journey', 'my-site', '--user-id', 'u1']).options, { user_id: 'u1' });
+  });
+
+  it('checks integer ranges and choices', () => {
+    assert.equal(parseCommandArgs(['paths', 'my-site', '--max-steps', '5']).options.max_steps, 5);
+    assert.throws(() => parseCommandArgs(['paths', 'my-site', '--max-steps', '9']), {
+      name: 'UsageError',
+      message: '--max-steps must be an integer between 1 and 5 (got 9)',
+    });
+    assert.throws(() => parseCommandArgs(['stats', 'my-site', '--days', 'week']), /--days must be a positive integer \(got week\)/);
+    assert.throws(() => parseCommandArgs(['anomalies', 'my-site', '--min-count', '-1']), /--min-count must be an integer of at least 0/);
+    assert.throws(() => parseCommandArgs(['anomalies', 'my-site', '--threshold', 'high']), /--threshold must be a number/);
+    assert.throws(() => parseCommandArgs(['pages', 'my-site', '--type=middle']), /--type must be one of: entry, exit, both \(got middle\)/);
+  });
+
+  it('suggests the closest option for a typo', () => {
+    assert.throws(() => parseCommandArgs(['stats', 'my-site', '--dyas', '3']), {
+      message: 'Unknown option --dyas for stats. Did you mean --days?',
+    });
+    assert.throws(() => parseCommandArgs(['funnel', 'my-site', '--stpes-json', '[]']), /Did you mean --steps-json\?/);
+    assert.throws(() => parseCommandArgs(['stats', 'my-site', '--verbose']), {
+      message: 'Unknown option --verbose for stats.',
+    });
+  });
+
+  it('reports missing values and values given to switches', () => {
+    assert.throws(() => parseCommandArgs(['stats', 'my-site', '--days']), /--days needs a value: --days <N>/);
+    assert.throws(() => parseCommandArgs(['events', 'my-site', '--event', '--follow']), /--event needs a value/);
+    assert.throws(() => parseCommandArgs(['events', 'my-site', '--follow=yes']), /--follow does not take a value/);
+  });
+
+  it('gives --json the meaning its command declares', () => {
+    assert.equal(parseCommandArgs(['funnel', 'shop', '--json']).options.json, true);
+    assert.equal(parseCommandArgs(['context', 'get', 'shop', '--json']).options.json, true);
+    assert.equal(parseCommandArgs(['context', 'set', 'shop', '--data', 'context.json']).options.data, 'context.json');
+  });
+
+  it('treats everything after -- and negative numbers as positionals', () => {
+    assert.deepEqual(parseCommandArgs(['track', 'my-site', '--', '--signup']).positionals, ['my-site', '--signup']);
+    assert.deepEqual(parseCommandArgs(['track', 'my-site', '-1']).positionals, ['my-site', '-1']);
+  });
+
+  it('throws UsageError so callers can tell usage mistakes apart', () => {
+    assert.throws(() => parseCommandArgs(['stats', '--nope']), UsageError);
+  });
+});
+
+describe('closestMatch', () => {
+  it('prefers a unique prefix, then the nearest close spelling', () => {
+    assert.equal(closestMatch('--candidate', ['--candidate-session-cap', '--since']), '--candidate-session-cap');
+    assert.equal(closestMatch('stts', ['stats', 'sessions', 'events']), 'stats');
+    assert.equal(closestMatch('funnle', ['funnel', 'retention']), 'funnel');
+    assert.equal(closestMatch('zzz', ['stats', 'events']), null);
+  });
+});
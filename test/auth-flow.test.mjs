@@ -215,6 +215,25 @@ describe('auth flow helpers', () => {
     });
   });
 
+  it('sends the requested scopes when starting detached login', async () => {
+    let startPayload = null;
+
+    await withServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        startPayload = body ? JSON.parse(body) : {};
+        res.writeHead(201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ auth_request_id: 'req-scoped', poll_token: 'aap_scoped' }));
+      });
+    }, async (baseUrl) => {
+      const api = new AgentAnalyticsAPI(null, baseUrl);
+      await startDetachedLogin(api, { scopes: ['account:read', 'analytics:read'] });
+
+      assert.deepEqual(startPayload.scopes, ['account:read', 'analytics:read']);
+    });
+  });
+
   it('reports a resumable command when detached approval times out', async () => {
     await withServer((req, res) => {
       let body = '';
@@ -2,6 +2,7 @@ import { mkdtempSync } from 'node:fs';
 import { tmpdir } from 'node:os';
 import { join } from 'node:path';
 import { rmSync, writeFileSync } from 'node:fs';
+import { DEFAULT_AGENT_SESSION_SCOPES } from '../lib/scopes.mjs';
 
 const configs = [];
 
@@ -20,7 +21,7 @@ export function createAgentSessionConfig(accessToken = 'aas_test123') {
       refresh_token: 'aar_test123',
       access_expires_at: 1893456000000,
       refresh_expires_at: 1924992000000,
-      scopes: ['account:read', 'projects:read', 'events:read', 'context:read', 'context:write'],
+      scopes: [...DEFAULT_AGENT_SESSION_SCOPES],
     },
   }, null, 2) + '\n');
 
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatCompact, horizontalBar, lineChart, sparkline, terminalWidth } from '../lib/charts.mjs';
+
+describe('charts', () => {
+  it('formats axis values compactly', () => {
+    assert.equal(formatCompact(950), '950');
+    assert.equal(formatCompact(1234), '1.2k');
+    assert.equal(formatCompact(2000), '2k');
+    assert.equal(formatCompact(2500000), '2.5M');
+    assert.equal(formatCompact(12.5), '12.5');
+  });
+
+  it('draws sparklines on their own or a fixed range', () => {
+    assert.equal(sparkline([1, 5, 2, 8, 3]), '▁▅▂█▃');
+    assert.equal(sparkline([0, 0]), '▁▁');
+    assert.equal(sparkline([1, 0.5, 0.25], { min: 0, max: 1 }), '█▅▃');
+    assert.equal(sparkline([]), '');
+  });
+
+  it('scales horizontal bars in eighths of a cell', () => {
+    assert.equal(horizontalBar(100, 100, 10), '██████████');
+    assert.equal(horizontalBar(33, 100, 10), '███▎');
+    assert.equal(horizontalBar(1, 10000, 10), '▏');
+    assert.equal(horizontalBar(0, 100, 10), '');
+    assert.equal(horizontalBar(500, 100, 4), '████');
+  });
+
+  it('draws a line chart with a zero-based axis and date labels', () => {
+    const lines = lineChart([10, 40], { labels: ['2026-03-03', '2026-03-09'], width: 40, height: 5 });
+
+    assert.equal(lines.length, 6);
+    assert.match(lines[0], /^40 ┤/);
+    assert.match(lines[2], /^20 ┤/);
+    assert.match(lines[4], /^ 0 ┤/);
+    assert.match(lines[1], /^ {3}│/);
+    assert.ok(lines[0].trimEnd().endsWith('─'), 'the last point sits on the top row');
+    assert.match(lines[5], /^ {4}2026-03-03 +2026-03-09$/);
+    assert.ok(lines.every((line) => line.length <= 40));
+  });
+
+  it('fits long series into the available width', () => {
+    const values = Array.from({ length: 365 }, (_, i) => i);
+    const lines = lineChart(values, { width: 60, height: 5 });
+    assert.ok(lines.every((line) => line.length <= 60));
+    assert.ok(lines.slice(0, 5).every((line) => line.length === 60));
+  });
+
+  it('uses a fixed range and custom tick format', () => {
+    const lines = lineChart([100, 40, 30], { min: 0, max: 100, height: 3, format: (value) => `${value}%`, width: 40 });
+    assert.deepEqual(lines.map((line) => line.slice(0, 6)), ['100% ┤', ' 50% ┤', '  0% ┤']);
+  });
+
+  it('reads the terminal width from COLUMNS or the stream', () => {
+    const saved = process.env.COLUMNS;
+    try {
+      process.env.COLUMNS = '132';
+      assert.equal(terminalWidth({ columns: 90 }), 132);
+      delete process.env.COLUMNS;
+      assert.equal(terminalWidth({ columns: 90 }), 90);
+      assert.equal(terminalWidth({}), 80);
+    } finally {
+      if (saved === undefined) delete process.env.COLUMNS;
+      else process.env.COLUMNS = saved;
+    }
+  });
+});
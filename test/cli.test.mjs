@@ -6,7 +6,8 @@ import { existsSync, mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync
 import { tmpdir } from 'node:os';
 import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
-import { agentSessionEnv } from './auth-test-helpers.mjs';
+import { gunzipSync } from 'node:zlib';
+import { agentSessionEnv, createAgentSessionConfig } from './auth-test-helpers.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const CLI = join(__dirname, '..', 'bin', 'cli.mjs');
@@ -26,6 +27,34 @@ function run(args = [], { env = {}, timeout = 5000 } = {}) {
   });
 }
 
+function runMcp(messages, { args = [], env = {}, timeout = 10000 } = {}) {
+  return new Promise((resolve) => {
+    const child = execFile('node', [CLI, ...args, 'mcp'], {
+      timeout,
+      env: { ...process.env, AGENT_ANALYTICS_CREDENTIAL_PLATFORM: 'linux', ...env },
+    }, (err, stdout, stderr) => {
+      resolve({
+        code: err ? err.code : 0,
+        responses: stdout.trim().split('\n').filter(Boolean).map((line) => JSON.parse(line)),
+        stderr,
+      });
+    });
+    child.stdin.end(messages.map((message) => `${JSON.stringify(message)}\n`).join(''));
+  });
+}
+
+function runShell(lines, { args = [], env = {}, timeout = 10000 } = {}) {
+  return new Promise((resolve) => {
+    const child = execFile('node', [CLI, ...args, 'shell'], {
+      timeout,
+      env: { ...process.env, AGENT_ANALYTICS_CREDENTIAL_PLATFORM: 'linux', ...env },
+    }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+    child.stdin.end(lines.map((line) => `${line}\n`).join(''));
+  });
+}
+
 function createTempConfigHome(config) {
   const xdgConfigHome = mkdtempSync(join(tmpdir(), 'agent-analytics-cli-'));
   const configDir = join(xdgConfigHome, 'agent-analytics');
@@ -699,7 +728,7 @@ describe('CLI', () => {
           id: 'sess_config',
           access_token: 'aas_expired',
           refresh_token: 'aar_saved',
-          access_expires_at: 1,
+          access_expires_at: 1893456000000,
           refresh_expires_at: 1924992000000,
           scopes: ['account:read'],
         },
@@ -722,6 +751,71 @@ describe('CLI', () => {
       }
     });
 
+    it('refreshes an expiring session once when parallel commands share it', async () => {
+      const config = createExplicitConfigDir({
+        agent_session: {
+          id: 'sess_parallel',
+          access_token: 'aas_expiring',
+          refresh_token: 'aar_first',
+          access_expires_at: Date.now() + 5_000,
+          refresh_expires_at: 1924992000000,
+          scopes: ['account:read'],
+        },
+      });
+      const usedRefreshTokens = [];
+      const accountAuths = [];
+      const server = await startServer(async (req, res) => {
+        if (req.method === 'POST' && req.url === '/agent-sessions/refresh') {
+          const body = await readRequestJson(req);
+          usedRefreshTokens.push(body.refresh_token);
+          // Refresh tokens rotate: a second use of the same token is rejected.
+          if (body.refresh_token !== 'aar_first' || usedRefreshTokens.length > 1) {
+            res.writeHead(401, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: 'refresh token already used' }));
+            return;
+          }
+          await new Promise((resolve) => setTimeout(resolve, 300));
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            agent_session: {
+              id: 'sess_parallel',
+              access_token: 'aas_rotated',
+              refresh_token: 'aar_second',
+              access_expires_at: 1893456000000,
+              refresh_expires_at: 1924992000000,
+              scopes: ['account:read'],
+            },
+          }));
+          return;
+        }
+        if (req.method === 'GET' && req.url === '/account') {
+          accountAuths.push(req.headers.authorization);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ email: 'config@example.com', tier: 'pro', projects_count: 1 }));
+          return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'not found' }));
+      });
+
+      try {
+        const env = { AGENT_ANALYTICS_URL: server.baseUrl };
+        const results = await Promise.all([
+          run(['--config-dir', config.configDir, 'whoami'], { env, timeout: 15000 }),
+          run(['--config-dir', config.configDir, 'whoami'], { env, timeout: 15000 }),
+        ]);
+
+        assert.deepEqual(results.map((result) => result.code), [0, 0]);
+        assert.deepEqual(usedRefreshTokens, ['aar_first']);
+        assert.deepEqual(accountAuths, ['Bearer aas_rotated', 'Bearer aas_rotated']);
+        assert.equal(readJson(config.configFile).agent_session.refresh_token, 'aar_second');
+        assert.equal(existsSync(join(config.configDir, 'agent-session.default.lock')), false);
+      } finally {
+        await server.close();
+        config.cleanup();
+      }
+    });
+
     it('uses AGENT_ANALYTICS_CONFIG_DIR without the flag', async () => {
       const config = createExplicitConfigDir({
         agent_session: {
@@ -1140,6 +1234,94 @@ describe('CLI', () => {
       }
     });
 
+    it('encrypts an existing plaintext session in encrypted-file mode and reports it in auth status', async () => {
+      const config = createExplicitConfigDir({
+        agent_session: {
+          storage: 'file',
+          id: 'sess_encrypt',
+          access_token: 'aas_saved',
+          refresh_token: 'aar_encrypt_secret',
+          access_expires_at: 1893456000000,
+          refresh_expires_at: 1924992000000,
+          scopes: ['account:read'],
+        },
+      });
+      const server = await startServer((req, res) => {
+        assert.equal(req.headers.authorization, 'Bearer aas_saved');
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ email: 'enc@example.com', tier: 'free', projects_count: 0 }));
+      });
+
+      const keyDir = mkdtempSync(join(tmpdir(), 'agent-analytics-key-'));
+      const keyFile = join(keyDir, 'session.key');
+
+      try {
+        const env = { AGENT_ANALYTICS_URL: server.baseUrl, AGENT_ANALYTICS_CREDENTIAL_STORE: 'encrypted-file' };
+        // Without a passphrase or key file the session stays as it was.
+        assert.equal((await run(['--config-dir', config.configDir, 'whoami'], { env })).code, 0);
+        assert.equal(readFileSync(config.configFile, 'utf8').includes('aar_encrypt_secret'), true);
+
+        const whoami = await run(['--config-dir', config.configDir, 'whoami'], { env: { ...env, AGENT_ANALYTICS_CREDENTIAL_KEY_FILE: keyFile } });
+        assert.equal(whoami.code, 0);
+
+        const raw = readFileSync(config.configFile, 'utf8');
+        assert.equal(raw.includes('aas_saved'), false);
+        assert.equal(raw.includes('aar_encrypt_secret'), false);
+        assert.equal(existsSync(keyFile), true);
+
+        const status = await run(['--config-dir', config.configDir, 'auth', 'status'], { env });
+        const plain = stripAnsi(status.stdout);
+        assert.match(plain, /Credential storage: encrypted file/);
+        assert.match(plain, /Secrets in config:\s+encrypted/);
+        assert.ok(plain.includes(`Key file:           ${keyFile}`));
+      } finally {
+        await server.close();
+        config.cleanup();
+        rmSync(keyDir, { recursive: true, force: true });
+      }
+    });
+
+    it('uses AGENT_ANALYTICS_CREDENTIAL_PASSPHRASE for encrypted-file sessions', async () => {
+      const config = createExplicitConfigDir({
+        agent_session: {
+          storage: 'file',
+          id: 'sess_passphrase',
+          access_token: 'aas_saved',
+          refresh_token: 'aar_passphrase_secret',
+          access_expires_at: 1893456000000,
+          refresh_expires_at: 1924992000000,
+          scopes: ['account:read'],
+        },
+      });
+      const server = await startServer((_req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ email: 'enc@example.com', tier: 'free', projects_count: 0 }));
+      });
+
+      try {
+        const env = {
+          AGENT_ANALYTICS_URL: server.baseUrl,
+          AGENT_ANALYTICS_CREDENTIAL_STORE: 'encrypted-file',
+          AGENT_ANALYTICS_CREDENTIAL_PASSPHRASE: 'ci-secret',
+        };
+        assert.equal((await run(['--config-dir', config.configDir, 'whoami'], { env })).code, 0);
+        assert.equal(readFileSync(config.configFile, 'utf8').includes('aar_passphrase_secret'), false);
+        assert.equal(existsSync(join(config.configDir, 'credential.key')), false);
+
+        const status = await run(['--config-dir', config.configDir, 'auth', 'status'], { env });
+        assert.match(stripAnsi(status.stdout), /Secrets in config:\s+encrypted \(passphrase\)/);
+
+        const locked = await run(['--config-dir', config.configDir, 'whoami'], {
+          env: { ...env, AGENT_ANALYTICS_CREDENTIAL_PASSPHRASE: '' },
+        });
+        assert.notEqual(locked.code, 0);
+        assert.match(stripAnsi(locked.stdout), /Set AGENT_ANALYTICS_CREDENTIAL_PASSPHRASE/);
+      } finally {
+        await server.close();
+        config.cleanup();
+      }
+    });
+
     it('auth status reports file/config credential storage without token values or network access', async () => {
       const config = createExplicitConfigDir({
         email: 'local@example.com',
@@ -1522,7 +1704,7 @@ describe('CLI', () => {
           id: 'sess-refresh-old',
           access_token: 'aas_refresh_old',
           refresh_token: 'aar_refresh_old',
-          access_expires_at: 1,
+          access_expires_at: 1893456000000,
           refresh_expires_at: 1924992000000,
           scopes: ['account:read', 'projects:read'],
         },
@@ -2068,7 +2250,7 @@ describe('CLI', () => {
           'context',
           'set',
           'my-site',
-          '--json',
+          '--data',
           '{"goals":["Improve activation"],"activation_events":["signup_completed"],"glossary":[{"event_name":"signup_completed","term":"Signup","definition":"A verified account completed signup."}]}',
         ], {
           env: {
@@ -2109,13 +2291,17 @@ describe('CLI', () => {
         });
       });
 
+      const dir = mkdtempSync(join(tmpdir(), 'agent-analytics-context-'));
+      const file = join(dir, 'context.json');
+      writeFileSync(file, '{"annotations":[{"occurred_at":"2026-04-25T13:00:00.000Z","title":"Changed pricing page offer","note":"Moved annual plan discount above the fold."}]}');
+
       try {
         const { code, stdout } = await run([
           'context',
           'set',
           'my-site',
-          '--json',
-          '{"annotations":[{"occurred_at":"2026-04-25T13:00:00.000Z","title":"Changed pricing page offer","note":"Moved annual plan discount above the fold."}]}',
+          '--data',
+          `@${file}`,
         ], {
           env: {
             AGENT_ANALYTICS_URL: server.baseUrl,
@@ -2129,9 +2315,47 @@ describe('CLI', () => {
         assert.ok(stdout.includes('Project context updated'));
         assert.ok(stdout.includes('Changed pricing page offer'));
       } finally {
+        rmSync(dir, { recursive: true, force: true });
+        await server.close();
+      }
+    });
+
+    it('prints context as JSON with --json and points old --json bodies at --data', async () => {
+      const requests = [];
+      const server = await startServer(async (req, res) => {
+        requests.push(`${req.method} ${req.url}`);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ project: 'my-site', project_context: { goals: ['Improve activation'] } }));
+      });
+      const dir = mkdtempSync(join(tmpdir(), 'agent-analytics-context-'));
+      const file = join(dir, 'context.json');
+      writeFileSync(file, '{"goals":["Improve activation"]}');
+
+      try {
+        const env = { AGENT_ANALYTICS_URL: server.baseUrl, ...agentSessionEnv('aas_test123') };
+        const got = await run(['context', 'get', 'my-site', '--json'], { env });
+        assert.equal(got.code, 0, got.stdout);
+        assert.deepEqual(JSON.parse(got.stdout).project_context.goals, ['Improve activation']);
+
+        const fromPath = await run(['context', 'set', 'my-site', '--data', file, '--json'], { env });
+        assert.equal(fromPath.code, 0, fromPath.stdout);
+        assert.equal(JSON.parse(fromPath.stdout).project, 'my-site');
+
+        const old = await run(['portfolio-context', 'set', '--json', '{"goals":[]}'], { env });
+        assert.equal(old.code, 1);
+        assert.match(stripAnsi(old.stdout), /--json no longer takes the context for portfolio-context set; .*Pass the context with --data/);
+        assert.deepEqual(requests, ['GET /project-context?project=my-site', 'PUT /project-context']);
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
         await server.close();
       }
     });
+
+    it('reports an unreadable --data file', async () => {
+      const result = await run(['context', 'set', 'my-site', '--data', '@/nonexistent/context.json'], { env: agentSessionEnv('aas_test123') });
+      assert.equal(result.code, 1);
+      assert.match(result.stdout, /Could not read --data file/);
+    });
   });
 
   describe('portfolio-context', () => {
@@ -2204,7 +2428,7 @@ describe('CLI', () => {
         const { code, stdout } = await run([
           'portfolio-context',
           'set',
-          '--json',
+          '--data',
           '{"goals":["Increase qualified users who reach setup"],"surface_roles":[{"project":"agentanalytics.sh","role":"scanner_and_conversion"}],"shared_milestones":["qualified_click_to_product"],"glossary":[{"term":"Qualified click","definition":"A visitor reaches the main product with relevant intent."}]}',
         ], {
           env: {
@@ -2282,431 +2506,1881 @@ describe('CLI', () => {
     });
   });
 
-  describe('query', () => {
-    it('sends --email to /query for server-side scoped HMAC lookup', async () => {
-      let requestBody;
-      const server = await startServer(async (req, res) => {
-        if (req.method !== 'POST' || req.url !== '/query') {
-          res.writeHead(404, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'not found' }));
-          return;
-        }
+  describe('compare', () => {
+    const projectData = {
+      'site-a': { events: 200, users: 50, signups: 10 },
+      'site-b': { events: 300, users: 100, signups: 5 },
+    };
 
-        requestBody = await readRequestJson(req);
+    function compareServer(requests) {
+      return startServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const body = await readRequestJson(req);
+        requests.push({ method: req.method, path: url.pathname, project: url.searchParams.get('project') || body?.project, body });
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ rows: [], count: 0 }));
+        if (url.pathname === '/portfolios/templates') {
+          res.end(JSON.stringify({ portfolio: { slug: 'templates', members: [{ project: 'site-a', project_id: 'p1' }, { project: 'site-b', project_id: 'p2' }] } }));
+          return;
+        }
+        const data = projectData[url.searchParams.get('project') || body?.project];
+        if (url.pathname === '/stats') {
+          res.end(JSON.stringify({ totals: { total_events: data.events, unique_users: data.users }, events: [{ event: 'signup', count: data.signups }] }));
+        } else if (url.pathname === '/insights') {
+          res.end(JSON.stringify({ metrics: { total_events: { current: data.events, previous: 100, change_pct: 10 } }, trend: 'growing' }));
+        } else {
+          res.end(JSON.stringify({ steps: [{ step: 1, event: 'page_view', strict_survivors: data.users }, { step: 2, event: 'signup', strict_survivors: data.signups }], overall_conversion_rate: data.signups / data.users }));
+        }
       });
+    }
+
+    it('fetches stats, insights, and a funnel per project and shows them side by side', async () => {
+      const requests = [];
+      const server = await compareServer(requests);
 
       try {
-        const { code } = await run([
-          'query',
-          'my-site',
-          '--email', ' Alice@Example.com ',
-          '--metrics', 'event_count',
-        ], {
-          env: {
-            ...agentSessionEnv('aas_test123'),
-            AGENT_ANALYTICS_URL: server.baseUrl,
-          },
+        const result = await run(['compare', 'site-a', 'site-b', '--period', '30d', '--steps', 'page_view,signup'], {
+          env: { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl },
         });
 
-        assert.equal(code, 0);
-        assert.equal(requestBody.email, 'alice@example.com');
-        assert.equal(requestBody.email_hash, undefined);
+        assert.equal(result.code, 0, result.stderr);
+        const plain = stripAnsi(result.stdout);
+        assert.match(plain, /Compare: site-a vs site-b \(30d\)/);
+        assert.match(plain, /^ {2}events +200 +300 \+50%$/m);
+        assert.match(plain, /^ {2}overall conversion +20% +5% -75%$/m);
+        assert.match(plain, /Per user:/);
+        assert.match(plain, /^ {2}events per user +4 +3 -25%$/m);
+        assert.match(plain, /^ {2}reached signup +20% +5% -75%$/m);
+
+        assert.equal(requests.length, 6);
+        assert.deepEqual(requests.filter((r) => r.path === '/funnel').map((r) => r.body.steps), [
+          [{ event: 'page_view' }, { event: 'signup' }],
+          [{ event: 'page_view' }, { event: 'signup' }],
+        ]);
+        assert.ok(requests.filter((r) => r.path === '/stats').every((r) => r.method === 'GET'));
       } finally {
         await server.close();
       }
     });
 
-    it('forwards --count-mode session_then_user to the /query payload', async () => {
-      let requestBody;
-      const server = createServer((req, res) => {
-        if (req.method !== 'POST' || req.url !== '/query') {
-          res.writeHead(404, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'not found' }));
-          return;
-        }
-
-        let body = '';
-        req.on('data', (chunk) => { body += chunk; });
-        req.on('end', () => {
-          requestBody = JSON.parse(body);
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
-            period: { from: '2026-03-01', to: '2026-03-30' },
-            rows: [],
-            count: 0,
-          }));
-        });
-      });
-
-      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
-      const address = server.address();
-      const baseUrl = `http://127.0.0.1:${address.port}`;
+    it('compares the projects of a portfolio as CSV without a funnel', async () => {
+      const requests = [];
+      const server = await compareServer(requests);
 
       try {
-        const { code, stdout } = await run([
-          'query',
-          'my-site',
-          '--metrics', 'event_count',
-          '--count-mode', 'session_then_user',
-          '--limit', '25',
-        ], {
-          env: {
-            ...agentSessionEnv('aas_test123'),
-            AGENT_ANALYTICS_URL: baseUrl,
-          },
+        const result = await run(['--format', 'csv', 'compare', '--portfolio', 'templates'], {
+          env: { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl },
         });
 
-        assert.equal(code, 0);
-        assert.ok(stdout.includes('Query: my-site'));
-        assert.deepEqual(requestBody, {
-          project: 'my-site',
-          metrics: ['event_count'],
-          limit: 25,
-          count_mode: 'session_then_user',
-        });
+        assert.equal(result.code, 0, result.stderr);
+        const lines = result.stdout.trim().split('\n');
+        assert.equal(lines[0], 'section,metric,site-a,site-b,site-b_vs_baseline_pct');
+        assert.equal(lines[1], 'stats,events,200,300,50');
+        assert.equal(requests.some((r) => r.path === '/funnel'), false);
       } finally {
-        await new Promise((resolve, reject) => server.close((err) => err ? reject(err) : resolve()));
+        await server.close();
       }
     });
 
-    it('documents raw event rows as the default count mode', async () => {
-      const { code, stdout } = await run(['query'], {
-        env: {
-          ...agentSessionEnv('aas_test123'),
-        },
-      });
-      const output = stripAnsi(stdout);
-
-      assert.notEqual(code, 0);
-      assert.ok(output.includes('--count-mode raw or session_then_user (default: raw event rows)'));
-      assert.ok(output.includes('--count-mode session_then_user'));
-      assert.ok(!output.includes('mixed session/no-session duplicates collapse by user'));
+    it('needs at least two projects', async () => {
+      const result = await run(['compare', 'site-a'], { env: agentSessionEnv('aas_test123') });
+      assert.equal(result.code, 1);
+      assert.match(result.stdout, /Usage: npx @agent-analytics\/cli compare <project-a> <project-b>/);
     });
   });
 
-  describe('identity lookup', () => {
-    it('sends --email to /events as POST for server-side scoped HMAC lookup', async () => {
-      let requestMethod;
-      let requestUrl;
-      let requestBody;
-      const server = await startServer(async (req, res) => {
-        requestMethod = req.method;
-        requestUrl = req.url;
-        requestBody = await readRequestJson(req);
+  describe('period comparison', () => {
+    function windowServer(requests, respond) {
+      return startServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const body = await readRequestJson(req);
+        const request = { path: url.pathname, params: Object.fromEntries(url.searchParams), body };
+        requests.push(request);
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ events: [], count: 0 }));
+        res.end(JSON.stringify(respond(request)));
       });
+    }
+
+    it('compares a breakdown with the previous window through /query, including rows from only one window', async () => {
+      const requests = [];
+      const today = new Date().toISOString().slice(0, 10);
+      const day = (offset) => new Date(Date.parse(`${today}T00:00:00Z`) + offset * 86400000).toISOString().slice(0, 10);
+      const server = await windowServer(requests, ({ body }) => ({
+        rows: body.date_from === day(-7)
+          ? [{ 'properties.path': '/pricing', event_count: 120, unique_users: 40 }, { 'properties.path': '/launch', event_count: 30, unique_users: 25 }]
+          : [{ 'properties.path': '/pricing', event_count: 100, unique_users: 50 }, { 'properties.path': '/old', event_count: 8, unique_users: 4 }],
+      }));
 
       try {
-        const { code } = await run([
-          'events',
-          'my-site',
-          '--email', ' Alice@Example.com ',
-          '--days', '30',
-        ], {
-          env: {
-            ...agentSessionEnv('aas_test123'),
-            AGENT_ANALYTICS_URL: server.baseUrl,
-          },
+        const result = await run(['breakdown', 'my-site', '--property', 'path', '--event', 'page_view', '--days', '7', '--compare', 'previous'], {
+          env: { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl },
         });
 
-        assert.equal(code, 0);
-        assert.equal(requestMethod, 'POST');
-        assert.equal(requestUrl, '/events');
-        assert.equal(requestBody.email, 'alice@example.com');
-        assert.equal(requestBody.email_hash, undefined);
+        assert.equal(result.code, 0, result.stderr);
+        assert.deepEqual(requests.map((r) => r.path), ['/query', '/query']);
+        assert.deepEqual(requests.map((r) => [r.body.date_from, r.body.date_to]).sort(), [[day(-14), day(-8)], [day(-7), day(-1)]]);
+        assert.deepEqual(requests[0].body.group_by, ['properties.path']);
+        assert.deepEqual(requests[0].body.filters, [{ field: 'event', op: 'eq', value: 'page_view' }]);
+        const plain = stripAnsi(result.stdout);
+        assert.match(plain, new RegExp(`Breakdown: my-site — path \\(${day(-7)} → ${day(-1)} vs ${day(-14)} → ${day(-8)}\\)`));
+        assert.match(plain, /\/pricing {2}count 120 ↑ \(\+20%\) was 100 {2}unique users 40 ↓ \(-20%\) was 50/);
+        assert.match(plain, /\/launch {2}new {2}count 30 ↑ was 0/);
+        assert.match(plain, /\/old {2}gone {2}count 0 ↓ \(-100%\) was 8/);
+        assert.match(plain, /1 new, 1 gone since the comparison window/);
       } finally {
         await server.close();
       }
     });
 
-    it('renders journey rows with path, referrer, and session context', async () => {
-      let requestMethod;
-      let requestUrl;
-      let requestBody;
-      const server = await startServer(async (req, res) => {
-        requestMethod = req.method;
-        requestUrl = req.url;
-        requestBody = await readRequestJson(req);
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          profiles: [{ user_id: 'user-1' }],
-          events: [{
-            timestamp: Date.UTC(2026, 0, 2, 3, 4, 5),
-            event: 'page_view',
-            user_id: 'user-1',
-            session_id: 'sess-1',
-            properties: {
-              path: '/pricing',
-              referrer: 'https://reddit.com/r/test',
-              plan: 'pro',
-            },
-          }],
-          count: 1,
-        }));
-      });
+    it('compares a grouped query year over year as CSV', async () => {
+      const requests = [];
+      const server = await windowServer(requests, ({ body }) => ({
+        rows: body.date_from === '2026-03-01'
+          ? [{ country: 'US', event_count: 30 }, { country: 'DE', event_count: 10 }]
+          : [{ country: 'US', event_count: 20 }],
+      }));
 
       try {
-        const { code, stdout } = await run([
-          'journey',
-          'my-site',
-          '--email', 'alice@example.com',
-          '--since', '30d',
-        ], {
-          env: {
-            ...agentSessionEnv('aas_test123'),
-            AGENT_ANALYTICS_URL: server.baseUrl,
-          },
-        });
-
-        const output = stripAnsi(stdout);
-        assert.equal(code, 0);
-        assert.equal(requestMethod, 'POST');
-        assert.equal(requestUrl, '/journey');
-        assert.equal(requestBody.email, 'alice@example.com');
-        assert.equal(requestBody.email_hash, undefined);
-        assert.ok(output.includes('matched user_id: user-1'));
-        assert.ok(output.includes('page_view'));
-        assert.ok(output.includes('/pricing'));
-        assert.ok(output.includes('sess-1'));
-        assert.ok(output.includes('"plan":"pro"'));
+        const result = await run([
+          '--format', 'csv', 'query', 'my-site', '--group-by', 'country',
+          '--from', '2026-03-01', '--to', '2026-03-07', '--compare', 'yoy',
+        ], { env: { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl } });
+
+        assert.equal(result.code, 0, result.stderr);
+        assert.deepEqual(requests.map((r) => [r.body.date_from, r.body.date_to]), [['2026-03-01', '2026-03-07'], ['2025-03-01', '2025-03-07']]);
+        assert.deepEqual(result.stdout.trim().split('\n'), [
+          'country,present_in,event_count,event_count_previous,event_count_change,event_count_change_pct',
+          'US,both,30,20,10,50',
+          'DE,current,10,0,10,',
+        ]);
       } finally {
         await server.close();
       }
     });
-  });
 
-  describe('breakdown', () => {
-    async function runBreakdown(args) {
-      let requestUrl;
-      const server = createServer((req, res) => {
-        requestUrl = req.url;
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          property: 'path',
-          event: 'page_view',
-          values: [],
-          total_events: 0,
-          total_with_property: 0,
-        }));
-      });
+    it('rejects unknown comparison windows', async () => {
+      const result = await run(['breakdown', 'my-site', '--property', 'path', '--compare', 'last-week'], { env: agentSessionEnv('aas_test123') });
+      assert.equal(result.code, 1);
+      assert.match(result.stdout, /Invalid --compare "last-week"\. Use previous, yoy, or <from>\.\.<to>/);
+    });
 
-      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
-      const address = server.address();
-      const baseUrl = `http://127.0.0.1:${address.port}`;
+    it('compares viewed pages through /query', async () => {
+      const requests = [];
+      const server = await windowServer(requests, ({ body }) => ({
+        rows: body.date_from === '2026-02-01'
+          ? [{ 'properties.path': '/pricing', session_count: 40, bounce_rate: 0.25, avg_duration: 30000 }]
+          : [{ 'properties.path': '/pricing', session_count: 20, bounce_rate: 0.5, avg_duration: 15000 }],
+      }));
 
       try {
-        const result = await run(args, {
-          env: {
-            ...agentSessionEnv('aas_test123'),
-            AGENT_ANALYTICS_URL: baseUrl,
-          },
+        const result = await run(['pages', 'my-site', '--since', '2026-02-01', '--compare', '2026-01-01..2026-01-07', '--limit', '5'], {
+          env: { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl },
         });
-        return { ...result, requestUrl };
+
+        assert.equal(result.code, 0, result.stderr);
+        assert.deepEqual(requests.map((r) => r.path), ['/query', '/query']);
+        assert.deepEqual(requests[1].body.group_by, ['properties.path']);
+        assert.deepEqual(requests[1].body.filters, [{ field: 'event', op: 'eq', value: 'page_view' }]);
+        assert.deepEqual([requests[1].body.date_from, requests[1].body.date_to, requests[1].body.limit], ['2026-01-01', '2026-01-07', 5]);
+        assert.match(stripAnsi(result.stdout), /\/pricing {2}sessions 40 ↑ \(\+100%\) was 20 {2}bounce rate 25% ↓ \(-50%\) was 50% {2}avg duration 30s ↑ \(\+100%\) was 15s/);
       } finally {
-        await new Promise((resolve, reject) => server.close((err) => err ? reject(err) : resolve()));
+        await server.close();
       }
-    }
-
-    it('forwards --days as since to /breakdown', async () => {
-      const { code, requestUrl } = await runBreakdown([
-        'breakdown',
-        'my-site',
-        '--property', 'path',
-        '--event', 'page_view',
-        '--days', '1',
-      ]);
-
-      assert.equal(code, 0);
-      assert.equal(requestUrl, '/breakdown?project=my-site&property=path&event=page_view&since=1d&limit=20');
     });
 
-    it('forwards --since directly to /breakdown', async () => {
-      const { code, requestUrl } = await runBreakdown([
-        'breakdown',
-        'my-site',
-        '--property', 'path',
-        '--since', '2026-04-13',
-      ]);
+    it('marks rows cut from one window\'s top rows instead of calling them new or gone', async () => {
+      const requests = [];
+      const server = await windowServer(requests, ({ body }) => ({
+        rows: body.date_from === '2026-03-01'
+          ? [{ country: 'US', event_count: 30 }, { country: 'DE', event_count: 10 }]
+          : [{ country: 'US', event_count: 20 }, { country: 'FR', event_count: 12 }],
+      }));
 
-      assert.equal(code, 0);
-      assert.equal(requestUrl, '/breakdown?project=my-site&property=path&since=2026-04-13&limit=20');
+      try {
+        const env = { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl };
+        const args = ['query', 'my-site', '--group-by', 'country', '--from', '2026-03-01', '--to', '2026-03-07', '--limit', '2', '--compare', 'previous'];
+        const text = stripAnsi((await run(args, { env })).stdout);
+        assert.match(text, /DE {2}outside top 2 in one window {2}event count 10 — was outside top 2/);
+        assert.match(text, /2 only ranked in one window's top 2; raise --limit to compare them/);
+        assert.doesNotMatch(text, /new|gone/);
+
+        const csv = await run(['--format', 'csv', ...args], { env });
+        assert.deepEqual(csv.stdout.trim().split('\n').slice(1), [
+          'US,both,30,20,10,50',
+          'DE,outside_limit,10,,,',
+          'FR,outside_limit,,12,,',
+        ]);
+      } finally {
+        await server.close();
+      }
     });
 
-    it('prefers --since over --days for /breakdown', async () => {
-      const { code, requestUrl } = await runBreakdown([
-        'breakdown',
-        'my-site',
-        '--property', 'path',
-        '--since', '2026-04-13',
-        '--days', '1',
-      ]);
+    it('rejects comparisons it cannot run', async () => {
+      const env = agentSessionEnv('aas_test123');
+      const byDate = await run(['query', 'my-site', '--group-by', 'date,event', '--compare', 'previous'], { env });
+      assert.equal(byDate.code, 1);
+      assert.match(byDate.stdout, /--compare cannot group by date/);
 
-      assert.equal(code, 0);
-      assert.equal(requestUrl, '/breakdown?project=my-site&property=path&since=2026-04-13&limit=20');
+      const funnel = await run(['funnel', 'my-site', '--steps', 'page_view,signup', '--compare', 'previous'], { env });
+      assert.equal(funnel.code, 1);
+      assert.match(funnel.stdout, /funnel does not support --compare: \/funnel only runs from --since through now/);
+
+      const exitPages = await run(['pages', 'my-site', '--type', 'exit', '--compare', 'previous'], { env });
+      assert.equal(exitPages.code, 1);
+      assert.match(exitPages.stdout, /cannot split entry and exit pages/);
     });
   });
 
-  describe('website analysis scan command', () => {
-    it('tells unauthenticated CLI users to use the web preview and sign in first', async () => {
-      const tempHome = createTempConfigHome();
-      let requests = 0;
-      const server = await startServer(async (req, res) => {
-        requests += 1;
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'should not be called' }));
+  describe('anomalies', () => {
+    const DAY = 86400000;
+    const yesterday = Date.now() - DAY;
+    const dayAgo = (n) => new Date(yesterday - n * DAY).toISOString().slice(0, 10);
+
+    // /query stand-in: event names for group_by event, else date × event rows
+    // inside the requested range, cut at the request's limit.
+    function anomalyServer(bodies, { events, count }) {
+      return startServer(async (req, res) => {
+        const body = await readRequestJson(req);
+        bodies.push(body);
+        let rows = events.map((event) => ({ event, event_count: 1 }));
+        if (body.group_by.includes('date')) {
+          rows = [];
+          for (let n = 27; n >= 0; n -= 1) {
+            if (dayAgo(n) < body.date_from || dayAgo(n) > body.date_to) continue;
+            for (const event of events) rows.push({ date: dayAgo(n), event, event_count: count(event, n) });
+          }
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ rows: rows.slice(0, body.limit) }));
+      });
+    }
+
+    it('queries daily counts per event and ranks spikes and drops', async () => {
+      const bodies = [];
+      const server = await anomalyServer(bodies, {
+        events: ['page_view', 'signup'],
+        count: (event, n) => (event === 'page_view' ? (n === 3 ? 900 : 100) : (n === 10 ? 0 : 40)),
       });
 
       try {
-        const { code, stdout } = await run(['scan', 'example.com/pricing', '--json'], {
-          env: {
-            AGENT_ANALYTICS_URL: server.baseUrl,
-            AGENT_ANALYTICS_API_KEY: '',
-            XDG_CONFIG_HOME: tempHome.xdgConfigHome,
-          },
-        });
-        const plain = stripAnsi(stdout);
+        const env = { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl };
+        const result = await run(['anomalies', 'my-site', '--days', '28'], { env });
 
-        assert.notEqual(code, 0);
-        assert.equal(requests, 0);
-        assert.match(plain, /Website analysis preview is only available anonymously on the web/i);
-        assert.match(plain, /https:\/\/agentanalytics\.sh\/analysis\//i);
-        assert.match(plain, /sign in first/i);
-        assert.match(plain, /Next step: npx @agent-analytics\/cli login/i);
-        assert.match(plain, /Paperclip, OpenClaw, or issue-based runtimes/i);
-        assert.match(plain, /login --detached/i);
+        assert.equal(result.code, 0, result.stderr);
+        assert.deepEqual(bodies, [{
+          project: 'my-site',
+          metrics: ['event_count'],
+          group_by: ['event'],
+          date_from: dayAgo(27),
+          date_to: dayAgo(0),
+          count_mode: 'raw',
+          limit: 1000,
+        }, {
+          project: 'my-site',
+          metrics: ['event_count'],
+          group_by: ['date', 'event'],
+          date_from: dayAgo(27),
+          date_to: dayAgo(0),
+          count_mode: 'raw',
+          order_by: 'date',
+          order: 'asc',
+          limit: 1000,
+        }]);
+        const lines = stripAnsi(result.stdout).split('\n').filter((line) => /spike|drop/.test(line) && !/score ≥/.test(line));
+        assert.equal(lines.length, 3);
+        assert.match(lines[0], new RegExp(`▲ spike  ${dayAgo(3)} \\w{3}  page_view +900 vs ~100 expected \\+800%  score`));
+        assert.match(lines.join('\n'), new RegExp(`▼ drop   ${dayAgo(10)} \\w{3}  signup +0 vs ~40 expected -100%`));
+        assert.match(lines.join('\n'), /\(all events\)/);
+
+        const json = JSON.parse((await run(['--format', 'json', 'anomalies', 'my-site', '--days', '28', '--limit', '1'], { env })).stdout);
+        assert.equal(json.series_checked, 3);
+        assert.equal(json.total, 3);
+        assert.equal(json.anomalies.length, 1);
+        assert.equal(json.anomalies[0].event, 'page_view');
+        assert.equal(json.anomalies[0].direction, 'spike');
       } finally {
         await server.close();
-        tempHome.cleanup();
       }
     });
 
-    it('lets hosted enforce --project for normal authenticated CLI website analysis', async () => {
-      const config = createExplicitConfigDir({
-        agent_session: {
-          id: 'sess_scan_preview',
-          access_token: 'aas_scan_preview',
-          refresh_token: 'aar_scan_preview',
-          access_expires_at: 1893456000000,
-          refresh_expires_at: 1924992000000,
-          scopes: ['account:read'],
-        },
-      });
-      let requestAuth;
-      let requestBody;
-      const server = await startServer(async (req, res) => {
-        if (req.method === 'POST' && req.url === '/cli/website-scans') {
-          requestAuth = req.headers.authorization;
-          requestBody = await readRequestJson(req);
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
-            error: 'MISSING_FIELDS',
-            message: 'project required for authenticated website analysis',
-          }));
-          return;
-        }
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'not found' }));
-      });
+    it('splits the days so no response is cut, and never scores a cut series', async () => {
+      const bodies = [];
+      const events = Array.from({ length: 40 }, (_, i) => `event_${i}`);
+      const server = await anomalyServer(bodies, { events, count: () => 10 });
 
       try {
-        const { code, stdout } = await run([
-          '--config-dir', config.configDir,
-          'scan',
-          'https://example.com/',
-          '--json',
-        ], {
-          env: {
-            AGENT_ANALYTICS_URL: server.baseUrl,
-            AGENT_ANALYTICS_API_KEY: '',
-          },
-        });
-        const plain = stripAnsi(stdout);
+        const env = { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl };
+        const result = await run(['--format', 'json', 'anomalies', 'my-site', '--days', '28'], { env });
 
-        assert.notEqual(code, 0);
-        assert.equal(requestAuth, 'Bearer aas_scan_preview');
-        assert.deepEqual(requestBody, { url: 'https://example.com/' });
-        assert.match(plain, /requires --project for authenticated scans/i);
-        assert.match(plain, /create my-site --domain https:\/\/example\.com\//i);
-        assert.match(plain, /scan https:\/\/example\.com\/ --project my-site --json/i);
+        assert.equal(result.code, 0, result.stderr);
+        // 999 rows fit 24 days of 40 events, so 28 days take two queries.
+        assert.deepEqual(bodies.slice(1).map((body) => [body.date_from, body.date_to]), [[dayAgo(27), dayAgo(4)], [dayAgo(3), dayAgo(0)]]);
+        assert.deepEqual(JSON.parse(result.stdout).anomalies, []);
       } finally {
         await server.close();
-        config.cleanup();
       }
-    });
 
-    it('allows projectless authenticated scan responses for complimentary accounts', async () => {
-      let requestAuth;
-      let requestBody;
-      const config = createExplicitConfigDir({
-        agent_session: {
-          id: 'sess_comp_scan_preview',
-          access_token: 'aas_comp_scan_preview',
-          refresh_token: 'aar_comp_scan_preview',
-          access_expires_at: 1893456000000,
-          refresh_expires_at: 1924992000000,
-          scopes: ['account:read'],
-        },
+      const growing = [];
+      // Names counted before a burst of new events: the run overflows.
+      const late = await startServer(async (req, res) => {
+        const body = await readRequestJson(req);
+        growing.push(body);
+        const rows = body.group_by.includes('date')
+          ? Array.from({ length: body.limit }, (_, i) => ({ date: dayAgo(0), event: `e${i}`, event_count: 1 }))
+          : [{ event: 'page_view', event_count: 1 }];
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ rows }));
       });
+      try {
+        const result = await run(['anomalies', 'my-site', '--days', '28'], {
+          env: { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: late.baseUrl },
+        });
+        assert.equal(result.code, 1);
+        assert.match(result.stdout, /returned 1000 rows for .* so the daily counts are incomplete/);
+        assert.doesNotMatch(result.stdout, /drop/);
+      } finally {
+        await late.close();
+      }
+    });
+
+    it('reads the daily total from /stats with --source stats', async () => {
+      let requestUrl;
       const server = await startServer(async (req, res) => {
-        if (req.method === 'POST' && req.url === '/cli/website-scans') {
-          requestAuth = req.headers.authorization;
-          requestBody = await readRequestJson(req);
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
-            ok: true,
-            analysis_id: 'scan_comp_projectless_preview',
-            mode: 'authenticated_preview',
-            normalized_url: 'https://example.com/',
-            preview: {
-              minimum_viable_instrumentation: [{ event: 'primary_cta_clicked', priority: 1 }],
-            },
-          }));
-          return;
-        }
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'not found' }));
+        requestUrl = req.url;
+        const timeSeries = Array.from({ length: 15 }, (_, n) => ({ bucket: dayAgo(n), total_events: n === 0 ? 5 : 200 }));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ timeSeries }));
       });
 
       try {
-        const { code, stdout } = await run([
-          '--config-dir', config.configDir,
-          'scan',
-          'https://example.com/',
-          '--json',
-        ], {
-          env: {
-            AGENT_ANALYTICS_URL: server.baseUrl,
-            AGENT_ANALYTICS_API_KEY: '',
-          },
+        const result = await run(['--format', 'json', 'anomalies', 'my-site', '--days', '14', '--source', 'stats'], {
+          env: { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl },
         });
-        const data = JSON.parse(stdout);
 
-        assert.equal(code, 0);
-        assert.equal(requestAuth, 'Bearer aas_comp_scan_preview');
-        assert.deepEqual(requestBody, { url: 'https://example.com/' });
-        assert.equal(data.analysis_id, 'scan_comp_projectless_preview');
+        assert.equal(result.code, 0, result.stderr);
+        assert.equal(requestUrl, '/stats?project=my-site&since=15d');
+        const json = JSON.parse(result.stdout);
+        assert.deepEqual(json.anomalies.map((a) => [a.event, a.date, a.direction]), [['(all events)', dayAgo(0), 'drop']]);
       } finally {
         await server.close();
-        config.cleanup();
       }
     });
 
-    it('resumes an anonymous preview with scan --resume and --resume-token', async () => {
-      const tempHome = createTempConfigHome();
-      let requestUrl;
-      const server = await startServer((req, res) => {
-        requestUrl = req.url;
-        if (req.method === 'GET' && req.url === '/website-scans/scan_anon?resume_token=rst_preview') {
+    it('needs enough days for weekday baselines', async () => {
+      const result = await run(['anomalies', 'my-site', '--days', '7'], { env: agentSessionEnv('aas_test123') });
+      assert.equal(result.code, 1);
+      assert.match(result.stdout, /--days must be at least 14/);
+    });
+  });
+
+  describe('plan and apply', () => {
+    const WORKSPACE = [
+      'projects:',
+      '  - name: my-site',
+      '    origins: [https://mysite.com, https://www.mysite.com]',
+      '    context:',
+      '      goals: [signups]',
+      '  - name: docs',
+      '    domain: https://docs.mysite.com',
+      '    experiments:',
+      '      - name: hero_copy',
+      '        variants: [control, bold]',
+      '        goal: signup',
+      '',
+    ].join('\n');
+
+    function writeWorkspace(text = WORKSPACE) {
+      const dir = mkdtempSync(join(tmpdir(), 'agent-analytics-workspace-'));
+      const file = join(dir, 'agent-analytics.yml');
+      writeFileSync(file, text);
+      return { dir, file };
+    }
+
+    function startAccountServer(requests) {
+      return startServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const body = req.method === 'GET' ? null : await readRequestJson(req);
+        requests.push({ method: req.method, path: url.pathname, body });
+        const reply = (data) => {
           res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
+          res.end(JSON.stringify(data));
+        };
+        if (req.method === 'GET' && url.pathname === '/projects') {
+          return reply({ projects: [
+            { id: 'proj_1', name: 'my-site', project_token: 'aat_1', allowed_origins: 'https://mysite.com' },
+            { id: 'proj_2', name: 'legacy', project_token: 'aat_2', allowed_origins: '*' },
+          ] });
+        }
+        if (req.method === 'GET' && url.pathname === '/project-context') return reply({ project_context: { goals: ['signups'] } });
+        if (req.method === 'GET' && url.pathname === '/experiments') return reply({ experiments: [] });
+        if (req.method === 'GET' && url.pathname === '/portfolios') return reply({ portfolios: [] });
+        if (req.method === 'GET' && url.pathname === '/portfolio-context') return reply({ portfolio_context: {} });
+        if (req.method === 'POST' && url.pathname === '/projects') return reply({ id: 'proj_3', name: body.name });
+        if (req.method === 'POST' && url.pathname === '/experiments') return reply({ id: 'exp_1', ...body });
+        return reply({ ok: true });
+      });
+    }
+
+    it('prints what would change without changing anything', async () => {
+      const { dir, file } = writeWorkspace();
+      const requests = [];
+      const server = await startAccountServer(requests);
+
+      try {
+        const env = { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl };
+        const result = await run(['plan', file], { env });
+
+        assert.equal(result.code, 0, result.stderr);
+        const output = stripAnsi(result.stdout);
+        assert.match(output, /~ project my-site\n {6}origins: \[https:\/\/mysite\.com\] → \[https:\/\/mysite\.com, https:\/\/www\.mysite\.com\]/);
+        assert.match(output, /\+ project docs\n {6}origins: \[https:\/\/docs\.mysite\.com\]/);
+        assert.match(output, /\+ experiment docs\/hero_copy/);
+        assert.match(output, /Plan: 2 to add, 1 to change, 1 unchanged\./);
+        assert.match(output, /Not in this file, left alone: legacy/);
+        assert.deepEqual(requests.map((request) => request.method), ['GET', 'GET']);
+
+        const json = JSON.parse((await run(['--format', 'json', 'plan', file], { env })).stdout);
+        assert.deepEqual(json.summary, { create: 2, update: 1 });
+        assert.equal(json.changes[0].calls[0].method, 'updateProject');
+      } finally {
+        await server.close();
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('applies the plan in order with --yes', async () => {
+      const { dir, file } = writeWorkspace();
+      const requests = [];
+      const server = await startAccountServer(requests);
+
+      try {
+        const env = { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl };
+        const result = await run(['apply', file, '--yes'], { env });
+
+        assert.equal(result.code, 0, result.stderr);
+        const writes = requests.filter((request) => request.method !== 'GET');
+        assert.deepEqual(writes, [
+          { method: 'PATCH', path: '/projects/proj_1', body: { allowed_origins: 'https://mysite.com,https://www.mysite.com' } },
+          { method: 'POST', path: '/projects', body: { name: 'docs', allowed_origins: 'https://docs.mysite.com' } },
+          { method: 'POST', path: '/experiments', body: { project: 'docs', name: 'hero_copy', variants: ['control', 'bold'], goal_event: 'signup' } },
+        ]);
+        assert.match(stripAnsi(result.stdout), /Applied 3 changes from/);
+      } finally {
+        await server.close();
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('asks for --yes when it cannot prompt and reports missing files', async () => {
+      const { dir, file } = writeWorkspace();
+      const requests = [];
+      const server = await startAccountServer(requests);
+
+      try {
+        const env = { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl };
+        const result = await run(['apply', file], { env });
+        assert.equal(result.code, 1);
+        assert.match(stripAnsi(result.stderr + result.stdout), /pass --yes to apply without a prompt/);
+        assert.equal(requests.filter((request) => request.method !== 'GET').length, 0);
+
+        const missing = await run(['plan', join(dir, 'nope.yml')], { env });
+        assert.equal(missing.code, 1);
+        assert.match(stripAnsi(missing.stderr + missing.stdout), /Workspace file .*nope\.yml not found/);
+      } finally {
+        await server.close();
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('exports the account as a workspace file that plans cleanly', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'agent-analytics-workspace-'));
+      const requests = [];
+      const server = await startAccountServer(requests);
+
+      try {
+        const env = { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl };
+        const printed = await run(['export-config'], { env });
+        assert.equal(printed.code, 0, printed.stderr);
+        assert.match(printed.stdout, /^projects:\n {2}- name: legacy\n {4}id: proj_2\n/);
+
+        const file = join(dir, 'account.yml');
+        const written = await run(['export-config', '--redact', '--out', file], { env });
+        assert.equal(written.code, 0, written.stderr);
+        assert.match(stripAnsi(written.stdout), /Wrote 2 projects, 0 experiments, and 0 portfolios to /);
+        assert.doesNotMatch(readFileSync(file, 'utf8'), /aat_/);
+        assert.match(readFileSync(file, 'utf8'), /project_token: "\[redacted\]"/);
+
+        const plan = await run(['plan', file], { env });
+        assert.equal(plan.code, 0, plan.stderr);
+        assert.match(stripAnsi(plan.stdout), /No changes\./);
+
+        const json = JSON.parse((await run(['--format', 'json', 'export-config'], { env })).stdout);
+        assert.deepEqual(json.projects.map((project) => project.name), ['legacy', 'my-site']);
+      } finally {
+        await server.close();
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('shell', () => {
+    it('runs lines against one session with a sticky project', async () => {
+      const requests = [];
+      const server = await startServer(async (req, res) => {
+        requests.push(`${req.method} ${req.url}`);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        if (req.url === '/projects') return res.end(JSON.stringify({ projects: [{ id: 'proj_1', name: 'my-site' }] }));
+        res.end(JSON.stringify({ project: 'my-site', totals: { total_events: 10, unique_users: 3 }, events: [], timeSeries: [] }));
+      });
+
+      try {
+        const env = { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl };
+        const result = await runShell([
+          'use nope',
+          'use my-site',
+          'stats --days 3',
+          'stats --format json',
+          'bogus',
+          'events --follow',
+          'stats "my-site',
+          'exit',
+          'stats',
+        ], { env });
+
+        assert.equal(result.code, 0, result.stderr);
+        const output = stripAnsi(result.stdout);
+        assert.match(output, /✗ Project "nope" not found\. Projects: my-site/);
+        assert.match(output, /✓ Using my-site/);
+        assert.match(output, /Stats: my-site \(last 3 days\)/);
+        assert.match(output, /"total_events": 10/);
+        assert.match(output, /✗ Unknown command: bogus/);
+        assert.match(output, /✗ events --follow is not available inside the shell/);
+        assert.match(output, /✗ Unterminated quote/);
+        assert.deepEqual(requests, [
+          'GET /projects',
+          'GET /stats?project=my-site&since=3d',
+          'GET /stats?project=my-site&since=7d',
+        ]);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('takes --format=<format> on a line', async () => {
+      const server = await startServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ project: 'my-site', totals: { total_events: 10, unique_users: 3 }, events: [], timeSeries: [] }));
+      });
+
+      try {
+        const env = { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl };
+        const result = await runShell(['stats my-site --format=json', 'stats my-site --format=xml'], { env });
+
+        assert.equal(result.code, 0, result.stderr);
+        const output = stripAnsi(result.stdout);
+        assert.match(output, /"total_events": 10/);
+        assert.match(output, /✗ Unknown output format: xml/);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('keeps one demo session and blocks demo mutations line by line', async () => {
+      let demoSessionCalls = 0;
+      const server = await startServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        if (req.method === 'POST' && req.url === '/demo/session') {
+          demoSessionCalls += 1;
+          res.end(JSON.stringify({
+            ok: true,
+            mode: 'demo',
+            agent_session: { access_token: 'aas_demo_readonly', access_expires_at: Date.now() + 60_000, scopes: ['projects:read'] },
+          }));
+          return;
+        }
+        res.end(JSON.stringify({ projects: [{ id: 'proj-demo', name: 'agentanalytics-demo' }] }));
+      });
+
+      try {
+        const result = await runShell([
+          'create my-site --domain https://mysite.com',
+          'projects',
+          'projects',
+        ], { args: ['--demo'], env: { AGENT_ANALYTICS_URL: server.baseUrl } });
+
+        assert.equal(result.code, 0, result.stderr);
+        assert.match(stripAnsi(result.stdout), /✗ Demo mode is read-only/);
+        assert.equal(stripAnsi(result.stdout).match(/agentanalytics-demo/g).length, 2);
+        assert.equal(demoSessionCalls, 1);
+      } finally {
+        await server.close();
+      }
+    });
+  });
+
+  describe('completion', () => {
+    it('prints a script for each supported shell', async () => {
+      const zsh = await run(['completion', 'zsh']);
+      assert.equal(zsh.code, 0, zsh.stderr);
+      assert.match(zsh.stdout, /^#compdef agent-analytics\n/);
+      assert.match(zsh.stdout, /compdef _agent_analytics agent-analytics/);
+
+      const unknown = await run(['completion', 'tcsh']);
+      assert.equal(unknown.code, 1);
+      assert.match(stripAnsi(unknown.stdout), /Usage: npx @agent-analytics\/cli completion <bash\|zsh\|fish>/);
+    });
+
+    it('answers project names from a cache after the first lookup', async () => {
+      let projectRequests = 0;
+      const server = await startServer((req, res) => {
+        projectRequests += 1;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ projects: [{ id: 'proj_1', name: 'my-site' }, { id: 'proj_2', name: 'docs' }] }));
+      });
+      const session = createAgentSessionConfig('aas_test123');
+      const loggedOut = createExplicitConfigDir();
+
+      try {
+        const env = { ...session.env, AGENT_ANALYTICS_URL: server.baseUrl };
+        const first = await run(['__complete', 'projects'], { env });
+        const second = await run(['__complete', 'projects'], { env });
+        const withoutSession = await run(['__complete', 'projects', '--config-dir', loggedOut.configDir], { env: { AGENT_ANALYTICS_URL: server.baseUrl } });
+
+        assert.equal(first.stdout, 'my-site\ndocs\n');
+        assert.equal(second.stdout, 'my-site\ndocs\n');
+        assert.equal(projectRequests, 1);
+        assert.deepEqual(readJson(join(session.configDir, 'completion_cache.json')).default.projects, ['my-site', 'docs']);
+        assert.deepEqual([withoutSession.code, withoutSession.stdout], [0, '']);
+      } finally {
+        loggedOut.cleanup();
+        await server.close();
+      }
+    });
+
+    it('looks projects up once without retrying when the API is unavailable', async () => {
+      let projectRequests = 0;
+      const server = await startServer((req, res) => {
+        projectRequests += 1;
+        res.writeHead(503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'UNAVAILABLE', message: 'try later' }));
+      });
+      const session = createAgentSessionConfig('aas_test123');
+
+      try {
+        const result = await run(['__complete', 'projects'], { env: { ...session.env, AGENT_ANALYTICS_URL: server.baseUrl, AGENT_ANALYTICS_MAX_RETRIES: '3' } });
+
+        assert.deepEqual([result.code, result.stdout], [0, '']);
+        assert.equal(projectRequests, 1);
+      } finally {
+        await server.close();
+      }
+    });
+  });
+
+  describe('argument parsing', () => {
+    it('rejects unknown and out-of-range options before calling the API', async () => {
+      let requests = 0;
+      const server = await startServer((req, res) => {
+        requests += 1;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{}');
+      });
+      const session = createAgentSessionConfig('aas_test123');
+
+      try {
+        const env = { ...session.env, AGENT_ANALYTICS_URL: server.baseUrl };
+        const typo = await run(['stats', 'my-site', '--dyas', '3'], { env });
+        const range = await run(['paths', 'my-site', '--max-steps', '9'], { env });
+
+        assert.equal(typo.code, 1);
+        assert.match(stripAnsi(typo.stdout), /✗ Unknown option --dyas for stats. Did you mean --days\?\n  See: npx @agent-analytics\/cli stats --help/);
+        assert.equal(range.code, 1);
+        assert.match(range.stdout, /--max-steps must be an integer between 1 and 5 \(got 9\)/);
+        assert.equal(requests, 0);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('accepts --flag=value', async () => {
+      let requestUrl;
+      const server = await startServer((req, res) => {
+        requestUrl = req.url;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ totals: {}, timeSeries: [] }));
+      });
+      const session = createAgentSessionConfig('aas_test123');
+
+      try {
+        const { code, stderr } = await run(['stats', 'my-site', '--days=3', '--format=json'], { env: { ...session.env, AGENT_ANALYTICS_URL: server.baseUrl } });
+        assert.equal(code, 0, stderr);
+        assert.match(requestUrl, /^\/stats\?project=my-site&since=3d/);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('prints a generated help page for any command without logging in', async () => {
+      const { configDir, cleanup } = createExplicitConfigDir();
+      try {
+        const flagHelp = await run(['stats', '--help', '--config-dir', configDir]);
+        const commandHelp = await run(['help', 'paths', '--config-dir', configDir]);
+
+        assert.equal(flagHelp.code, 0);
+        assert.match(stripAnsi(flagHelp.stdout), /Usage\n  npx @agent-analytics\/cli stats <project> \[options\]/);
+        assert.match(flagHelp.stdout, /--days <N>\s+Lookback window in days \(default: 7\)/);
+        assert.match(commandHelp.stdout, /--max-steps <N>\s+Max path steps before truncation \(1-5\)/);
+        assert.doesNotMatch(flagHelp.stdout + commandHelp.stdout, /Not logged in/);
+      } finally {
+        cleanup();
+      }
+    });
+
+    it('suggests the closest command for a typo', async () => {
+      const { code, stdout } = await run(['stts']);
+      assert.equal(code, 1);
+      assert.match(stripAnsi(stdout), /Unknown command: stts. Did you mean stats\?/);
+    });
+  });
+
+  describe('query', () => {
+    it('sends --email to /query for server-side scoped HMAC lookup', async () => {
+      let requestBody;
+      const server = await startServer(async (req, res) => {
+        if (req.method !== 'POST' || req.url !== '/query') {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'not found' }));
+          return;
+        }
+
+        requestBody = await readRequestJson(req);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ rows: [], count: 0 }));
+      });
+
+      try {
+        const { code } = await run([
+          'query',
+          'my-site',
+          '--email', ' Alice@Example.com ',
+          '--metrics', 'event_count',
+        ], {
+          env: {
+            ...agentSessionEnv('aas_test123'),
+            AGENT_ANALYTICS_URL: server.baseUrl,
+          },
+        });
+
+        assert.equal(code, 0);
+        assert.equal(requestBody.email, 'alice@example.com');
+        assert.equal(requestBody.email_hash, undefined);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('forwards --count-mode session_then_user to the /query payload', async () => {
+      let requestBody;
+      const server = createServer((req, res) => {
+        if (req.method !== 'POST' || req.url !== '/query') {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'not found' }));
+          return;
+        }
+
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+          requestBody = JSON.parse(body);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            period: { from: '2026-03-01', to: '2026-03-30' },
+            rows: [],
+            count: 0,
+          }));
+        });
+      });
+
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      const address = server.address();
+      const baseUrl = `http://127.0.0.1:${address.port}`;
+
+      try {
+        const { code, stdout } = await run([
+          'query',
+          'my-site',
+          '--metrics', 'event_count',
+          '--count-mode', 'session_then_user',
+          '--limit', '25',
+        ], {
+          env: {
+            ...agentSessionEnv('aas_test123'),
+            AGENT_ANALYTICS_URL: baseUrl,
+          },
+        });
+
+        assert.equal(code, 0);
+        assert.ok(stdout.includes('Query: my-site'));
+        assert.deepEqual(requestBody, {
+          project: 'my-site',
+          metrics: ['event_count'],
+          limit: 25,
+          count_mode: 'session_then_user',
+        });
+      } finally {
+        await new Promise((resolve, reject) => server.close((err) => err ? reject(err) : resolve()));
+      }
+    });
+
+    it('documents raw event rows as the default count mode', async () => {
+      const { code, stdout } = await run(['query'], {
+        env: {
+          ...agentSessionEnv('aas_test123'),
+        },
+      });
+      const output = stripAnsi(stdout);
+
+      assert.notEqual(code, 0);
+      assert.ok(output.includes('--count-mode raw or session_then_user (default: raw event rows)'));
+      assert.ok(output.includes('--count-mode session_then_user'));
+      assert.ok(!output.includes('mixed session/no-session duplicates collapse by user'));
+    });
+  });
+
+  describe('identity lookup', () => {
+    it('sends --email to /events as POST for server-side scoped HMAC lookup', async () => {
+      let requestMethod;
+      let requestUrl;
+      let requestBody;
+      const server = await startServer(async (req, res) => {
+        requestMethod = req.method;
+        requestUrl = req.url;
+        requestBody = await readRequestJson(req);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ events: [], count: 0 }));
+      });
+
+      try {
+        const { code } = await run([
+          'events',
+          'my-site',
+          '--email', ' Alice@Example.com ',
+          '--days', '30',
+        ], {
+          env: {
+            ...agentSessionEnv('aas_test123'),
+            AGENT_ANALYTICS_URL: server.baseUrl,
+          },
+        });
+
+        assert.equal(code, 0);
+        assert.equal(requestMethod, 'POST');
+        assert.equal(requestUrl, '/events');
+        assert.equal(requestBody.email, 'alice@example.com');
+        assert.equal(requestBody.email_hash, undefined);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('renders journey rows with path, referrer, and session context', async () => {
+      let requestMethod;
+      let requestUrl;
+      let requestBody;
+      const server = await startServer(async (req, res) => {
+        requestMethod = req.method;
+        requestUrl = req.url;
+        requestBody = await readRequestJson(req);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          profiles: [{ user_id: 'user-1' }],
+          events: [{
+            timestamp: Date.UTC(2026, 0, 2, 3, 4, 5),
+            event: 'page_view',
+            user_id: 'user-1',
+            session_id: 'sess-1',
+            properties: {
+              path: '/pricing',
+              referrer: 'https://reddit.com/r/test',
+              plan: 'pro',
+            },
+          }],
+          count: 1,
+        }));
+      });
+
+      try {
+        const { code, stdout } = await run([
+          'journey',
+          'my-site',
+          '--email', 'alice@example.com',
+          '--since', '30d',
+        ], {
+          env: {
+            ...agentSessionEnv('aas_test123'),
+            AGENT_ANALYTICS_URL: server.baseUrl,
+          },
+        });
+
+        const output = stripAnsi(stdout);
+        assert.equal(code, 0);
+        assert.equal(requestMethod, 'POST');
+        assert.equal(requestUrl, '/journey');
+        assert.equal(requestBody.email, 'alice@example.com');
+        assert.equal(requestBody.email_hash, undefined);
+        assert.ok(output.includes('matched user_id: user-1'));
+        assert.ok(output.includes('page_view'));
+        assert.ok(output.includes('/pricing'));
+        assert.ok(output.includes('sess-1'));
+        assert.ok(output.includes('"plan":"pro"'));
+      } finally {
+        await server.close();
+      }
+    });
+  });
+
+  describe('breakdown', () => {
+    async function runBreakdown(args) {
+      let requestUrl;
+      const server = createServer((req, res) => {
+        requestUrl = req.url;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          property: 'path',
+          event: 'page_view',
+          values: [],
+          total_events: 0,
+          total_with_property: 0,
+        }));
+      });
+
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      const address = server.address();
+      const baseUrl = `http://127.0.0.1:${address.port}`;
+
+      try {
+        const result = await run(args, {
+          env: {
+            ...agentSessionEnv('aas_test123'),
+            AGENT_ANALYTICS_URL: baseUrl,
+          },
+        });
+        return { ...result, requestUrl };
+      } finally {
+        await new Promise((resolve, reject) => server.close((err) => err ? reject(err) : resolve()));
+      }
+    }
+
+    it('forwards --days as since to /breakdown', async () => {
+      const { code, requestUrl } = await runBreakdown([
+        'breakdown',
+        'my-site',
+        '--property', 'path',
+        '--event', 'page_view',
+        '--days', '1',
+      ]);
+
+      assert.equal(code, 0);
+      assert.equal(requestUrl, '/breakdown?project=my-site&property=path&event=page_view&since=1d&limit=20');
+    });
+
+    it('forwards --since directly to /breakdown', async () => {
+      const { code, requestUrl } = await runBreakdown([
+        'breakdown',
+        'my-site',
+        '--property', 'path',
+        '--since', '2026-04-13',
+      ]);
+
+      assert.equal(code, 0);
+      assert.equal(requestUrl, '/breakdown?project=my-site&property=path&since=2026-04-13&limit=20');
+    });
+
+    it('prefers --since over --days for /breakdown', async () => {
+      const { code, requestUrl } = await runBreakdown([
+        'breakdown',
+        'my-site',
+        '--property', 'path',
+        '--since', '2026-04-13',
+        '--days', '1',
+      ]);
+
+      assert.equal(code, 0);
+      assert.equal(requestUrl, '/breakdown?project=my-site&property=path&since=2026-04-13&limit=20');
+    });
+  });
+
+  describe('output formats', () => {
+    async function runWithResponse(args, body) {
+      const server = await startServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      });
+      try {
+        return await run(args, {
+          env: {
+            ...agentSessionEnv('aas_test123'),
+            AGENT_ANALYTICS_URL: server.baseUrl,
+          },
+        });
+      } finally {
+        await server.close();
+      }
+    }
+
+    it('prints query rows as CSV without ANSI colors', async () => {
+      const { code, stdout } = await runWithResponse(['query', 'my-site', '--group-by', 'country', '--format', 'csv'], {
+        period: { from: '2026-03-01', to: '2026-03-07' },
+        rows: [{ country: 'US', event_count: 12 }, { country: 'DE', event_count: 4 }],
+        count: 2,
+      });
+
+      assert.equal(code, 0);
+      assert.equal(stdout, 'country,event_count\nUS,12\nDE,4\n');
+    });
+
+    it('prints one event per line as NDJSON with nested properties intact', async () => {
+      const { code, stdout } = await runWithResponse(['--format', 'ndjson', 'events', 'my-site'], {
+        events: [
+          { event: 'page_view', timestamp: 1, properties: { path: '/' } },
+          { event: 'signup', timestamp: 2, user_id: 'u1' },
+        ],
+      });
+
+      assert.equal(code, 0);
+      const lines = stdout.trim().split('\n').map((line) => JSON.parse(line));
+      assert.deepEqual(lines, [
+        { event: 'page_view', timestamp: 1, properties: { path: '/' } },
+        { event: 'signup', timestamp: 2, user_id: 'u1' },
+      ]);
+    });
+
+    it('renders the heatmap as a day-by-hour grid in text, CSV, and JSON', async () => {
+      const body = {
+        heatmap: [
+          { day: 1, day_name: 'Monday', hour: 9, events: 40, users: 10 },
+          { day: 0, day_name: 'Sunday', hour: 23, events: 8, users: 3 },
+        ],
+        peak: { day_name: 'Monday', hour: 9, events: 40, users: 10 },
+        busiest_day: 'Monday',
+        busiest_hour: 9,
+      };
+
+      const text = await runWithResponse(['heatmap', 'my-site', '--tz', 'Asia/Tokyo'], body);
+      assert.equal(text.code, 0);
+      const plain = stripAnsi(text.stdout);
+      assert.match(plain, /Heatmap: my-site \(events, Asia\/Tokyo\)/);
+      assert.match(plain, /^ {2}Mon {2}(··){8}░░(··){9}██(··){5} {2}48$/m);
+      assert.match(plain, /Peak: Monday at 09:00 UTC \(40 events, 10 users\)/);
+      assert.match(plain, /Busiest day: Monday \(UTC\)/);
+      assert.match(plain, /Busiest hour: 09:00 UTC/);
+      assert.match(plain, /In Asia\/Tokyo by events: peak Mon at 18:00 \(40 events\), busiest day Mon, busiest hour 18:00/);
+      assert.match(plain, /UTC\+09:00/);
+
+      const utc = stripAnsi((await runWithResponse(['heatmap', 'my-site'], body)).stdout);
+      assert.match(utc, /Peak: Monday at 09:00 UTC/);
+      assert.doesNotMatch(utc, /In UTC by events/);
+
+      const csv = await runWithResponse(['--format', 'csv', 'heatmap', 'my-site', '--metric', 'users'], body);
+      const [header, monday] = csv.stdout.trim().split('\n');
+      assert.equal(header, `day,${Array.from({ length: 24 }, (_, hour) => `h${String(hour).padStart(2, '0')}`).join(',')},total`);
+      assert.equal(monday, 'Mon,0,0,0,0,0,0,0,0,0,10,0,0,0,0,0,0,0,0,0,0,0,0,0,0,10');
+
+      const json = JSON.parse((await runWithResponse(['--format', 'json', 'heatmap', 'my-site'], body)).stdout);
+      assert.equal(json.busiest_day, 'Monday');
+      assert.equal(json.grid.timezone, 'UTC');
+      assert.equal(json.grid.values[6][23], 8);
+    });
+
+    it('rejects unknown heatmap metrics and timezones', async () => {
+      const metric = await runWithResponse(['heatmap', 'my-site', '--metric', 'sessions'], {});
+      assert.equal(metric.code, 1);
+      assert.match(metric.stdout, /--metric must be one of: events, users/);
+
+      const tz = await runWithResponse(['heatmap', 'my-site', '--tz', 'Mars/Base'], {});
+      assert.equal(tz.code, 1);
+      assert.match(tz.stdout, /Unknown timezone "Mars\/Base"/);
+    });
+
+    it('keeps the full stats response shape for --format json', async () => {
+      const body = {
+        totals: { total_events: 5, unique_users: 2 },
+        events: [{ event: 'page_view', count: 5, unique_users: 2 }],
+        timeSeries: [{ bucket: '2026-03-01', total_events: 5 }],
+      };
+      const { code, stdout } = await runWithResponse(['stats', 'my-site', '--format', 'json'], body);
+
+      assert.equal(code, 0);
+      assert.deepEqual(JSON.parse(stdout), body);
+    });
+
+    it('renders breakdown values as a markdown table', async () => {
+      const { code, stdout } = await runWithResponse(['breakdown', 'my-site', '--property', 'path', '--format', 'markdown'], {
+        values: [{ value: '/pricing', count: 3, unique_users: 2 }],
+        total_events: 3,
+        total_with_property: 3,
+      });
+
+      assert.equal(code, 0);
+      assert.equal(stdout, '| value | count | unique_users |\n| --- | --- | --- |\n| /pricing | 3 | 2 |\n');
+    });
+
+    it('reports a hung API call as a timeout when --timeout elapses', async () => {
+      const server = await startServer(() => {
+        // Never respond.
+      });
+      try {
+        const { code, stdout } = await run(['--timeout', '0.2', 'stats', 'my-site'], {
+          env: {
+            ...agentSessionEnv('aas_test123'),
+            AGENT_ANALYTICS_URL: server.baseUrl,
+          },
+        });
+
+        assert.notEqual(code, 0);
+        const output = stripAnsi(stdout);
+        assert.ok(output.includes('Request timed out after 0.2s: GET /stats'));
+        assert.ok(output.includes('--timeout <seconds>'));
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('takes --format and --timeout as --flag=value', async () => {
+      const listed = await runWithResponse(['projects', '--format=json'], { projects: [{ id: 'proj_1', name: 'my-site' }] });
+      assert.equal(listed.code, 0, listed.stdout);
+      assert.deepEqual(JSON.parse(listed.stdout).projects, [{ id: 'proj_1', name: 'my-site' }]);
+
+      const server = await startServer(() => {
+        // Never respond.
+      });
+      try {
+        const { code, stdout } = await run(['--timeout=0.2', 'stats', 'my-site'], {
+          env: { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl },
+        });
+        assert.notEqual(code, 0);
+        assert.ok(stripAnsi(stdout).includes('Request timed out after 0.2s: GET /stats'));
+      } finally {
+        await server.close();
+      }
+
+      const unknown = await run(['stats', 'my-site', '--format=xml']);
+      assert.notEqual(unknown.code, 0);
+      assert.match(stripAnsi(unknown.stdout), /Unknown output format: xml/);
+    });
+
+    it('rejects an invalid --timeout value', async () => {
+      const { code, stdout } = await run(['--timeout', 'soon', 'stats', 'my-site']);
+
+      assert.notEqual(code, 0);
+      assert.ok(stdout.includes('Invalid value for --timeout'));
+    });
+
+    it('rejects unknown output formats', async () => {
+      const { code, stdout } = await run(['stats', 'my-site', '--format', 'xml']);
+
+      assert.notEqual(code, 0);
+      assert.ok(stdout.includes('Unknown output format: xml'));
+      assert.ok(stdout.includes('json, ndjson, csv, tsv, markdown'));
+    });
+  });
+
+  describe('website analysis scan command', () => {
+    it('tells unauthenticated CLI users to use the web preview and sign in first', async () => {
+      const tempHome = createTempConfigHome();
+      let requests = 0;
+      const server = await startServer(async (req, res) => {
+        requests += 1;
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'should not be called' }));
+      });
+
+      try {
+        const { code, stdout } = await run(['scan', 'example.com/pricing', '--json'], {
+          env: {
+            AGENT_ANALYTICS_URL: server.baseUrl,
+            AGENT_ANALYTICS_API_KEY: '',
+            XDG_CONFIG_HOME: tempHome.xdgConfigHome,
+          },
+        });
+        const plain = stripAnsi(stdout);
+
+        assert.notEqual(code, 0);
+        assert.equal(requests, 0);
+        assert.match(plain, /Website analysis preview is only available anonymously on the web/i);
+        assert.match(plain, /https:\/\/agentanalytics\.sh\/analysis\//i);
+        assert.match(plain, /sign in first/i);
+        assert.match(plain, /Next step: npx @agent-analytics\/cli login/i);
+        assert.match(plain, /Paperclip, OpenClaw, or issue-based runtimes/i);
+        assert.match(plain, /login --detached/i);
+      } finally {
+        await server.close();
+        tempHome.cleanup();
+      }
+    });
+
+    it('lets hosted enforce --project for normal authenticated CLI website analysis', async () => {
+      const config = createExplicitConfigDir({
+        agent_session: {
+          id: 'sess_scan_preview',
+          access_token: 'aas_scan_preview',
+          refresh_token: 'aar_scan_preview',
+          access_expires_at: 1893456000000,
+          refresh_expires_at: 1924992000000,
+          scopes: ['account:read'],
+        },
+      });
+      let requestAuth;
+      let requestBody;
+      const server = await startServer(async (req, res) => {
+        if (req.method === 'POST' && req.url === '/cli/website-scans') {
+          requestAuth = req.headers.authorization;
+          requestBody = await readRequestJson(req);
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            error: 'MISSING_FIELDS',
+            message: 'project required for authenticated website analysis',
+          }));
+          return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not found' }));
+      });
+
+      try {
+        const { code, stdout } = await run([
+          '--config-dir', config.configDir,
+          'scan',
+          'https://example.com/',
+          '--json',
+        ], {
+          env: {
+            AGENT_ANALYTICS_URL: server.baseUrl,
+            AGENT_ANALYTICS_API_KEY: '',
+          },
+        });
+        const plain = stripAnsi(stdout);
+
+        assert.notEqual(code, 0);
+        assert.equal(requestAuth, 'Bearer aas_scan_preview');
+        assert.deepEqual(requestBody, { url: 'https://example.com/' });
+        assert.match(plain, /requires --project for authenticated scans/i);
+        assert.match(plain, /create my-site --domain https:\/\/example\.com\//i);
+        assert.match(plain, /scan https:\/\/example\.com\/ --project my-site --json/i);
+      } finally {
+        await server.close();
+        config.cleanup();
+      }
+    });
+
+    it('allows projectless authenticated scan responses for complimentary accounts', async () => {
+      let requestAuth;
+      let requestBody;
+      const config = createExplicitConfigDir({
+        agent_session: {
+          id: 'sess_comp_scan_preview',
+          access_token: 'aas_comp_scan_preview',
+          refresh_token: 'aar_comp_scan_preview',
+          access_expires_at: 1893456000000,
+          refresh_expires_at: 1924992000000,
+          scopes: ['account:read'],
+        },
+      });
+      const server = await startServer(async (req, res) => {
+        if (req.method === 'POST' && req.url === '/cli/website-scans') {
+          requestAuth = req.headers.authorization;
+          requestBody = await readRequestJson(req);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            ok: true,
+            analysis_id: 'scan_comp_projectless_preview',
+            mode: 'authenticated_preview',
+            normalized_url: 'https://example.com/',
+            preview: {
+              minimum_viable_instrumentation: [{ event: 'primary_cta_clicked', priority: 1 }],
+            },
+          }));
+          return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not found' }));
+      });
+
+      try {
+        const { code, stdout } = await run([
+          '--config-dir', config.configDir,
+          'scan',
+          'https://example.com/',
+          '--json',
+        ], {
+          env: {
+            AGENT_ANALYTICS_URL: server.baseUrl,
+            AGENT_ANALYTICS_API_KEY: '',
+          },
+        });
+        const data = JSON.parse(stdout);
+
+        assert.equal(code, 0);
+        assert.equal(requestAuth, 'Bearer aas_comp_scan_preview');
+        assert.deepEqual(requestBody, { url: 'https://example.com/' });
+        assert.equal(data.analysis_id, 'scan_comp_projectless_preview');
+      } finally {
+        await server.close();
+        config.cleanup();
+      }
+    });
+
+    it('resumes an anonymous preview with scan --resume and --resume-token', async () => {
+      const tempHome = createTempConfigHome();
+      let requestUrl;
+      const server = await startServer((req, res) => {
+        requestUrl = req.url;
+        if (req.method === 'GET' && req.url === '/website-scans/scan_anon?resume_token=rst_preview') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            ok: true,
+            analysis_id: 'scan_anon',
+            mode: 'anonymous_preview',
+            normalized_url: 'https://example.com/',
+            preview: { minimum_viable_instrumentation: [] },
+          }));
+          return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not found' }));
+      });
+
+      try {
+        const { code, stdout } = await run(['scan', '--resume', 'scan_anon', '--resume-token', 'rst_preview', '--json'], {
+          env: {
+            AGENT_ANALYTICS_URL: server.baseUrl,
+            AGENT_ANALYTICS_API_KEY: '',
+            XDG_CONFIG_HOME: tempHome.xdgConfigHome,
+          },
+        });
+        const data = JSON.parse(stdout);
+
+        assert.equal(code, 0);
+        assert.equal(requestUrl, '/website-scans/scan_anon?resume_token=rst_preview');
+        assert.equal(data.analysis_id, 'scan_anon');
+      } finally {
+        await server.close();
+        tempHome.cleanup();
+      }
+    });
+
+    it('upgrades a resumed analysis with agent-session auth when --full is passed', async () => {
+      let requestBody;
+      let requestAuth;
+      const config = createExplicitConfigDir({
+        agent_session: {
+          access_token: 'aas_scan_upgrade',
+          refresh_token: 'aar_scan_upgrade',
+          access_expires_at: 1893456000000,
+          refresh_expires_at: 1924992000000,
+        },
+      });
+      const server = await startServer(async (req, res) => {
+        if (req.method === 'POST' && req.url === '/website-scans/scan_anon/upgrade') {
+          requestAuth = req.headers.authorization;
+          requestBody = await readRequestJson(req);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            ok: true,
+            analysis_id: 'scan_anon',
+            mode: 'full',
+            normalized_url: 'https://example.com/',
+            result: {
+              minimum_viable_instrumentation: [{ event: 'primary_cta_clicked', priority: 1 }],
+            },
+          }));
+          return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not found' }));
+      });
+
+      try {
+        const { code, stdout } = await run([
+          'scan',
+          '--resume', 'scan_anon',
+          '--resume-token', 'rst_preview',
+          '--full',
+          '--project', 'example-site',
+          '--json',
+          '--config-dir', config.configDir,
+        ], {
+          env: {
+            AGENT_ANALYTICS_URL: server.baseUrl,
+          },
+        });
+        const data = JSON.parse(stdout);
+
+        assert.equal(code, 0);
+        assert.equal(requestAuth, 'Bearer aas_scan_upgrade');
+        assert.deepEqual(requestBody, {
+          resume_token: 'rst_preview',
+          project: 'example-site',
+        });
+        assert.equal(data.mode, 'full');
+      } finally {
+        await server.close();
+        config.cleanup();
+      }
+    });
+
+    it('runs a direct authenticated full scan with scan <url> --full --project', async () => {
+      let requestBody;
+      let requestAuth;
+      const config = createExplicitConfigDir({
+        agent_session: {
+          id: 'sess_scan_full',
+          access_token: 'aas_scan_full',
+          refresh_token: 'aar_scan_full',
+          access_expires_at: 1893456000000,
+          refresh_expires_at: 1924992000000,
+          scopes: ['account:read'],
+        },
+      });
+      const server = await startServer(async (req, res) => {
+        if (req.method === 'POST' && req.url === '/cli/website-scans') {
+          requestAuth = req.headers.authorization;
+          requestBody = await readRequestJson(req);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            ok: true,
+            analysis_id: 'scan_full_direct',
+            mode: 'full',
+            normalized_url: 'https://example.com/',
+            result: {
+              minimum_viable_instrumentation: [{ event: 'primary_cta_clicked', priority: 1 }],
+            },
+          }));
+          return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not found' }));
+      });
+
+      try {
+        const { code, stdout } = await run([
+          '--config-dir', config.configDir,
+          'scan',
+          'https://example.com/',
+          '--full',
+          '--project', 'example-site',
+          '--json',
+        ], {
+          env: {
+            AGENT_ANALYTICS_URL: server.baseUrl,
+            AGENT_ANALYTICS_API_KEY: '',
+          },
+        });
+        const data = JSON.parse(stdout);
+
+        assert.equal(code, 0);
+        assert.equal(requestAuth, 'Bearer aas_scan_full');
+        assert.deepEqual(requestBody, {
+          url: 'https://example.com/',
+          mode: 'full',
+          project: 'example-site',
+        });
+        assert.equal(data.mode, 'full');
+      } finally {
+        await server.close();
+        config.cleanup();
+      }
+    });
+
+    it('sends direct authenticated full scans without --project so hosted can allow complimentary accounts', async () => {
+      let requestBody;
+      let requestAuth;
+      const config = createExplicitConfigDir({
+        agent_session: {
+          id: 'sess_comp_scan_full',
+          access_token: 'aas_comp_scan_full',
+          refresh_token: 'aar_comp_scan_full',
+          access_expires_at: 1893456000000,
+          refresh_expires_at: 1924992000000,
+          scopes: ['account:read'],
+        },
+      });
+      const server = await startServer(async (req, res) => {
+        if (req.method === 'POST' && req.url === '/cli/website-scans') {
+          requestAuth = req.headers.authorization;
+          requestBody = await readRequestJson(req);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            ok: true,
+            analysis_id: 'scan_comp_full_projectless',
+            mode: 'full',
+            normalized_url: 'https://example.com/',
+            result: {
+              minimum_viable_instrumentation: [{ event: 'primary_cta_clicked', priority: 1 }],
+            },
+          }));
+          return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not found' }));
+      });
+
+      try {
+        const { code, stdout } = await run([
+          '--config-dir', config.configDir,
+          'scan',
+          'https://example.com/',
+          '--full',
+          '--json',
+        ], {
+          env: {
+            AGENT_ANALYTICS_URL: server.baseUrl,
+            AGENT_ANALYTICS_API_KEY: '',
+          },
+        });
+        const data = JSON.parse(stdout);
+
+        assert.equal(code, 0);
+        assert.equal(requestAuth, 'Bearer aas_comp_scan_full');
+        assert.deepEqual(requestBody, {
+          url: 'https://example.com/',
+          mode: 'full',
+        });
+        assert.equal(data.analysis_id, 'scan_comp_full_projectless');
+      } finally {
+        await server.close();
+        config.cleanup();
+      }
+    });
+
+    it('keeps JSON stdout parseable and warns on stderr when refresh fallback uses file storage', async () => {
+      const requestAuths = [];
+      const requestBodies = [];
+      let refreshCalls = 0;
+      const config = createExplicitConfigDir({
+        agent_session: {
+          id: 'sess_scan_expired',
+          access_token: 'aas_expired_scan',
+          refresh_token: 'aar_scan_refresh',
+          access_expires_at: 1893456000000,
+          refresh_expires_at: 1924992000000,
+          scopes: ['account:read'],
+        },
+      });
+      const server = await startServer(async (req, res) => {
+        if (req.method === 'POST' && req.url === '/cli/website-scans') {
+          requestAuths.push(req.headers.authorization);
+          requestBodies.push(await readRequestJson(req));
+          if (requestAuths.length === 1) {
+            res.writeHead(401, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'AUTH_REQUIRED', message: 'login required for full analysis' }));
+            return;
+          }
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            ok: true,
+            analysis_id: 'scan_full_after_refresh',
+            mode: 'full',
+            normalized_url: 'https://example.com/',
+            result: {
+              minimum_viable_instrumentation: [{ event: 'primary_cta_clicked', priority: 1 }],
+            },
+          }));
+          return;
+        }
+        if (req.method === 'POST' && req.url === '/agent-sessions/refresh') {
+          refreshCalls += 1;
+          const body = await readRequestJson(req);
+          assert.equal(body.refresh_token, 'aar_scan_refresh');
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            ok: true,
+            agent_session: {
+              id: 'sess_scan_expired',
+              access_token: 'aas_refreshed_scan',
+              refresh_token: 'aar_scan_refresh',
+              access_expires_at: 1893456000000,
+              refresh_expires_at: 1924992000000,
+              scopes: ['account:read'],
+            },
+          }));
+          return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not found' }));
+      });
+
+      try {
+        const result = await run([
+          '--config-dir', config.configDir,
+          'scan',
+          'https://example.com/',
+          '--full',
+          '--project', 'example-site',
+          '--json',
+        ], {
+          env: {
+            AGENT_ANALYTICS_URL: server.baseUrl,
+            AGENT_ANALYTICS_API_KEY: '',
+            AGENT_ANALYTICS_CREDENTIAL_PLATFORM: 'darwin',
+            AGENT_ANALYTICS_FAKE_KEYRING_FILE: config.configDir,
+          },
+        });
+        const plainStdout = stripAnsi(result.stdout);
+        const plainStderr = stripAnsi(result.stderr);
+        const data = JSON.parse(result.stdout);
+
+        assert.equal(result.code, 0);
+        assert.equal(refreshCalls, 1);
+        assert.ok(plainStderr.includes('Native credential storage was unavailable'));
+        assert.ok(plainStderr.includes('using file storage'));
+        assert.equal(plainStdout.includes('Native credential storage was unavailable'), false);
+        assert.equal(plainStdout.includes('using file storage'), false);
+        assert.equal(plainStdout.includes('aas_refreshed_scan'), false);
+        assert.equal(plainStdout.includes('aar_scan_refresh'), false);
+        assert.equal(plainStderr.includes('aas_refreshed_scan'), false);
+        assert.equal(plainStderr.includes('aar_scan_refresh'), false);
+        assert.deepEqual(requestAuths, ['Bearer aas_expired_scan', 'Bearer aas_refreshed_scan']);
+        assert.deepEqual(requestBodies, [
+          { url: 'https://example.com/', mode: 'full', project: 'example-site' },
+          { url: 'https://example.com/', mode: 'full', project: 'example-site' },
+        ]);
+        const storedSession = readJson(config.configFile).agent_session;
+        assert.equal(storedSession.storage, 'file');
+        assert.equal(storedSession.access_token, 'aas_refreshed_scan');
+        assert.equal(data.analysis_id, 'scan_full_after_refresh');
+      } finally {
+        await server.close();
+        config.cleanup();
+      }
+    });
+
+    it('uses authenticated requests for scan <url> when a project is supplied', async () => {
+      let requestAuth;
+      let requestBody;
+      const config = createExplicitConfigDir({
+        agent_session: {
+          id: 'sess_scan_preview',
+          access_token: 'aas_scan_preview',
+          refresh_token: 'aar_scan_preview',
+          access_expires_at: 1893456000000,
+          refresh_expires_at: 1924992000000,
+          scopes: ['account:read'],
+        },
+      });
+      const server = await startServer(async (req, res) => {
+        if (req.method === 'POST' && req.url === '/cli/website-scans') {
+          requestAuth = req.headers.authorization;
+          requestBody = await readRequestJson(req);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
             ok: true,
-            analysis_id: 'scan_anon',
-            mode: 'anonymous_preview',
+            analysis_id: 'scan_auth_preview',
+            mode: 'authenticated_preview',
             normalized_url: 'https://example.com/',
-            preview: { minimum_viable_instrumentation: [] },
+            preview: {
+              minimum_viable_instrumentation: [{ event: 'primary_cta_clicked', priority: 1 }],
+            },
+          }));
+          return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not found' }));
+      });
+
+      try {
+        const { code, stdout } = await run([
+          '--config-dir', config.configDir,
+          'scan',
+          'https://example.com/',
+          '--project', 'example-site',
+          '--json',
+        ], {
+          env: {
+            AGENT_ANALYTICS_URL: server.baseUrl,
+            AGENT_ANALYTICS_API_KEY: '',
+          },
+        });
+        const data = JSON.parse(stdout);
+
+        assert.equal(code, 0);
+        assert.equal(requestAuth, 'Bearer aas_scan_preview');
+        assert.deepEqual(requestBody, {
+          url: 'https://example.com/',
+          project: 'example-site',
+        });
+        assert.equal(data.mode, 'authenticated_preview');
+      } finally {
+        await server.close();
+        config.cleanup();
+      }
+    });
+
+    it('prints login guidance for scan --full without auth', async () => {
+      const tempHome = createTempConfigHome();
+      const { code, stdout } = await run([
+        'scan',
+        '--resume', 'scan_anon',
+        '--resume-token', 'rst_preview',
+        '--full',
+      ], {
+        env: {
+          AGENT_ANALYTICS_API_KEY: '',
+          XDG_CONFIG_HOME: tempHome.xdgConfigHome,
+        },
+      });
+
+      assert.notEqual(code, 0);
+      assert.ok(stripAnsi(stdout).includes('Not logged in'));
+      assert.ok(stripAnsi(stdout).includes('login'));
+      tempHome.cleanup();
+    });
+
+    it('prints retry timing for a busy authenticated analyzer response', async () => {
+      const config = createExplicitConfigDir({
+        agent_session: {
+          id: 'sess_scan_busy',
+          access_token: 'aas_scan_busy',
+          refresh_token: 'aar_scan_busy',
+          access_expires_at: 1893456000000,
+          refresh_expires_at: 1924992000000,
+          scopes: ['account:read'],
+        },
+      });
+      const server = await startServer(async (req, res) => {
+        if (req.method === 'POST' && req.url === '/cli/website-scans') {
+          await readRequestJson(req);
+          res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '17' });
+          res.end(JSON.stringify({
+            error: 'SCAN_BUSY',
+            message: 'The free analyzer is busy.',
+            retry_after_seconds: 17,
+          }));
+          return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not found' }));
+      });
+
+      try {
+        const { code, stdout } = await run([
+          '--config-dir', config.configDir,
+          'scan',
+          'https://busy.example',
+          '--project', 'busy-site',
+        ], {
+          env: {
+            AGENT_ANALYTICS_URL: server.baseUrl,
+            AGENT_ANALYTICS_API_KEY: '',
+          },
+        });
+        const output = stripAnsi(stdout);
+
+        assert.notEqual(code, 0);
+        assert.ok(output.includes('free analyzer is busy'));
+        assert.ok(output.includes('17 seconds'));
+      } finally {
+        await server.close();
+        config.cleanup();
+      }
+    });
+  });
+
+  describe('projects', () => {
+    const stylioProject = {
+      id: 'proj-stylio',
+      name: 'stylio',
+      project_token: 'aat_stylio',
+      allowed_origins: 'https://stylio.app',
+      created_at: '2026-04-12T12:00:00.000Z',
+    };
+
+    it('prints project ids', async () => {
+      const server = await startServer((req, res) => {
+        if (req.method === 'GET' && req.url === '/projects') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ projects: [stylioProject] }));
+          return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not found' }));
+      });
+
+      try {
+        const { code, stdout } = await run(['projects'], {
+          env: {
+            ...agentSessionEnv('aas_test123'),
+            AGENT_ANALYTICS_URL: server.baseUrl,
+          },
+        });
+
+        assert.equal(code, 0);
+        assert.ok(stripAnsi(stdout).includes('id: proj-stylio'));
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('updates origins by resolving project name to id', async () => {
+      let patchBody;
+      let patchUrl;
+      const server = await startServer(async (req, res) => {
+        if (req.method === 'GET' && req.url === '/projects') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ projects: [stylioProject] }));
+          return;
+        }
+        if (req.method === 'PATCH' && req.url === '/projects/proj-stylio') {
+          patchUrl = req.url;
+          patchBody = await readRequestJson(req);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            ...stylioProject,
+            allowed_origins: patchBody.allowed_origins,
+          }));
+          return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not found' }));
+      });
+
+      try {
+        const { code, stdout } = await run([
+          'update',
+          'stylio',
+          '--origins',
+          'https://stylio.app,http://lvh.me:3101',
+        ], {
+          env: {
+            ...agentSessionEnv('aas_test123'),
+            AGENT_ANALYTICS_URL: server.baseUrl,
+          },
+        });
+
+        assert.equal(code, 0);
+        assert.equal(patchUrl, '/projects/proj-stylio');
+        assert.deepEqual(patchBody, {
+          allowed_origins: 'https://stylio.app,http://lvh.me:3101',
+        });
+        assert.ok(stdout.includes('Project stylio updated'));
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('updates origins by id without requiring name', async () => {
+      let patchBody;
+      const server = await startServer(async (req, res) => {
+        if (req.method === 'GET' && req.url === '/projects') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ projects: [stylioProject] }));
+          return;
+        }
+        if (req.method === 'PATCH' && req.url === '/projects/proj-stylio') {
+          patchBody = await readRequestJson(req);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            ...stylioProject,
+            allowed_origins: patchBody.allowed_origins,
           }));
           return;
         }
@@ -2715,48 +4389,160 @@ describe('CLI', () => {
       });
 
       try {
-        const { code, stdout } = await run(['scan', '--resume', 'scan_anon', '--resume-token', 'rst_preview', '--json'], {
+        const { code } = await run([
+          'update',
+          'proj-stylio',
+          '--origins',
+          'https://stylio.app,http://lvh.me:3101',
+        ], {
+          env: {
+            ...agentSessionEnv('aas_test123'),
+            AGENT_ANALYTICS_URL: server.baseUrl,
+          },
+        });
+
+        assert.equal(code, 0);
+        assert.deepEqual(patchBody, {
+          allowed_origins: 'https://stylio.app,http://lvh.me:3101',
+        });
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('gets a project by resolving project name to id', async () => {
+      let detailUrl;
+      const server = await startServer((req, res) => {
+        if (req.method === 'GET' && req.url === '/projects') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ projects: [stylioProject] }));
+          return;
+        }
+        if (req.method === 'GET' && req.url === '/projects/proj-stylio') {
+          detailUrl = req.url;
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(stylioProject));
+          return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not found' }));
+      });
+
+      try {
+        const { code, stdout } = await run(['project', 'stylio'], {
           env: {
+            ...agentSessionEnv('aas_test123'),
             AGENT_ANALYTICS_URL: server.baseUrl,
-            AGENT_ANALYTICS_API_KEY: '',
-            XDG_CONFIG_HOME: tempHome.xdgConfigHome,
           },
         });
-        const data = JSON.parse(stdout);
 
         assert.equal(code, 0);
-        assert.equal(requestUrl, '/website-scans/scan_anon?resume_token=rst_preview');
-        assert.equal(data.analysis_id, 'scan_anon');
+        assert.equal(detailUrl, '/projects/proj-stylio');
+        assert.ok(stdout.includes('Project: stylio'));
       } finally {
         await server.close();
-        tempHome.cleanup();
       }
     });
 
-    it('upgrades a resumed analysis with agent-session auth when --full is passed', async () => {
+    it('passes --source-scan when creating a project', async () => {
       let requestBody;
-      let requestAuth;
-      const config = createExplicitConfigDir({
-        agent_session: {
-          access_token: 'aas_scan_upgrade',
-          refresh_token: 'aar_scan_upgrade',
-          access_expires_at: 1893456000000,
-          refresh_expires_at: 1924992000000,
-        },
-      });
       const server = await startServer(async (req, res) => {
-        if (req.method === 'POST' && req.url === '/website-scans/scan_anon/upgrade') {
-          requestAuth = req.headers.authorization;
+        if (req.method === 'POST' && req.url === '/projects') {
           requestBody = await readRequestJson(req);
-          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.writeHead(201, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({
-            ok: true,
-            analysis_id: 'scan_anon',
-            mode: 'full',
-            normalized_url: 'https://example.com/',
-            result: {
-              minimum_viable_instrumentation: [{ event: 'primary_cta_clicked', priority: 1 }],
-            },
+            id: 'proj-created',
+            name: 'source-site',
+            project_token: 'aat_created',
+            allowed_origins: 'https://source.example',
+            source_scan_id: 'scan_source',
+            snippet: '<script></script>',
+            api_example: 'curl /stats',
+          }));
+          return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not found' }));
+      });
+
+      try {
+        const { code, stdout } = await run([
+          'create',
+          'source-site',
+          '--domain', 'https://source.example',
+          '--source-scan', 'scan_source',
+        ], {
+          env: {
+            ...agentSessionEnv('aas_test123'),
+            AGENT_ANALYTICS_URL: server.baseUrl,
+          },
+        });
+
+        assert.equal(code, 0);
+        assert.deepEqual(requestBody, {
+          name: 'source-site',
+          allowed_origins: 'https://source.example',
+          source_scan_id: 'scan_source',
+        });
+        assert.ok(stdout.includes('Project created'));
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('handles pending account setup when creating a project without retrying', async () => {
+      let postCount = 0;
+      const server = await startServer(async (req, res) => {
+        if (req.method === 'POST' && req.url === '/projects') {
+          postCount += 1;
+          await readRequestJson(req);
+          res.writeHead(409, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            code: 'ACCOUNT_SETUP_PENDING',
+            message: 'Account setup is still pending.',
+          }));
+          return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not found' }));
+      });
+
+      try {
+        const { code, stdout } = await run([
+          'create',
+          'source-site',
+          '--domain', 'https://source.example',
+          '--source-scan', 'scan_source',
+        ], {
+          env: {
+            ...agentSessionEnv('aas_test123'),
+            AGENT_ANALYTICS_URL: server.baseUrl,
+          },
+        });
+
+        const plain = stripAnsi(stdout);
+        assert.notEqual(code, 0);
+        assert.equal(postCount, 1);
+        assert.ok(plain.includes('Account setup is still finishing.'));
+        assert.ok(plain.includes('Run the same create command again shortly:'));
+        assert.ok(plain.includes('npx @agent-analytics/cli create source-site --domain https://source.example --source-scan scan_source'));
+        assert.ok(!plain.includes('Project created'));
+        assert.ok(!plain.includes('Add this snippet'));
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('handles failed account setup when creating a project', async () => {
+      let postCount = 0;
+      const server = await startServer(async (req, res) => {
+        if (req.method === 'POST' && req.url === '/projects') {
+          postCount += 1;
+          await readRequestJson(req);
+          res.writeHead(409, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            code: 'ACCOUNT_SETUP_FAILED',
+            message: 'Account setup failed.',
           }));
           return;
         }
@@ -2765,713 +4551,1045 @@ describe('CLI', () => {
       });
 
       try {
-        const { code, stdout } = await run([
-          'scan',
-          '--resume', 'scan_anon',
-          '--resume-token', 'rst_preview',
-          '--full',
-          '--project', 'example-site',
-          '--json',
-          '--config-dir', config.configDir,
-        ], {
-          env: {
-            AGENT_ANALYTICS_URL: server.baseUrl,
-          },
-        });
-        const data = JSON.parse(stdout);
-
-        assert.equal(code, 0);
-        assert.equal(requestAuth, 'Bearer aas_scan_upgrade');
-        assert.deepEqual(requestBody, {
-          resume_token: 'rst_preview',
-          project: 'example-site',
-        });
-        assert.equal(data.mode, 'full');
+        const { code, stdout } = await run([
+          'init',
+          'source-site',
+          '--domain', 'https://source.example',
+        ], {
+          env: {
+            ...agentSessionEnv('aas_test123'),
+            AGENT_ANALYTICS_URL: server.baseUrl,
+          },
+        });
+
+        const plain = stripAnsi(stdout);
+        assert.notEqual(code, 0);
+        assert.equal(postCount, 1);
+        assert.ok(plain.includes('Account setup failed.'));
+        assert.ok(plain.includes('Contact support before creating projects.'));
+        assert.ok(!plain.includes('Project created'));
+        assert.ok(!plain.includes('Add this snippet'));
+      } finally {
+        await server.close();
+      }
+    });
+
+    it('deletes a project by resolving project name to id', async () => {
+      let deleteUrl;
+      const server = await startServer((req, res) => {
+        if (req.method === 'GET' && req.url === '/projects') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ projects: [stylioProject] }));
+          return;
+        }
+        if (req.method === 'DELETE' && req.url === '/projects/proj-stylio') {
+          deleteUrl = req.url;
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: true }));
+          return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not found' }));
+      });
+
+      try {
+        const { code, stdout } = await run(['delete', 'stylio'], {
+          env: {
+            ...agentSessionEnv('aas_test123'),
+            AGENT_ANALYTICS_URL: server.baseUrl,
+          },
+        });
+
+        assert.equal(code, 0);
+        assert.equal(deleteUrl, '/projects/proj-stylio');
+        assert.ok(stdout.includes('Project stylio deleted'));
+      } finally {
+        await server.close();
+      }
+    });
+  });
+
+  describe('scoped sessions', () => {
+    it('requests the chosen scopes on detached login', async () => {
+      let startPayload = null;
+      const server = await startServer(async (req, res) => {
+        startPayload = await readRequestJson(req);
+        res.writeHead(201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          auth_request_id: 'req-scoped',
+          authorize_url: 'https://approve.example/req-scoped',
+          poll_token: 'aap_scoped',
+        }));
+      });
+      const config = createExplicitConfigDir();
+
+      try {
+        const { code } = await run(['--config-dir', config.configDir, 'login', '--detached', '--scopes', 'read-only'], {
+          env: { AGENT_ANALYTICS_URL: server.baseUrl },
+        });
+
+        assert.equal(code, 0);
+        assert.deepEqual(startPayload.scopes, ['account:read', 'projects:read', 'analytics:read', 'live:read']);
+      } finally {
+        await server.close();
+        config.cleanup();
+      }
+    });
+
+    it('rejects unknown scopes before starting login', async () => {
+      const { code, stdout } = await run(['login', '--detached', '--scopes', 'everything'], {
+        env: { AGENT_ANALYTICS_URL: 'http://127.0.0.1:9' },
+      });
+
+      assert.notEqual(code, 0);
+      assert.match(stripAnsi(stdout), /Unknown scope "everything"/);
+    });
+
+    it('fails before the API call when the stored session lacks a required scope', async () => {
+      let calls = 0;
+      const server = await startServer((req, res) => {
+        calls += 1;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ project: 'site', period: {}, totals: {}, daily: [], events: [] }));
+      });
+      const config = createExplicitConfigDir({
+        agent_session: {
+          access_token: 'aas_read_only',
+          scopes: ['account:read', 'projects:read', 'analytics:read', 'live:read'],
+        },
+      });
+
+      try {
+        const env = { AGENT_ANALYTICS_URL: server.baseUrl };
+        const blocked = await run(['--config-dir', config.configDir, 'create', 'new-site', '--domain', 'https://new.example'], { env });
+        const plain = stripAnsi(blocked.stdout);
+
+        assert.notEqual(blocked.code, 0);
+        assert.equal(calls, 0);
+        assert.match(plain, /missing projects:write, which "create" needs/);
+        assert.match(plain, /login --scopes account:read,projects:read,analytics:read,live:read,projects:write/);
+
+        const allowed = await run(['--config-dir', config.configDir, 'stats', 'site'], { env });
+        assert.equal(allowed.code, 0);
+        assert.equal(calls, 1);
+      } finally {
+        await server.close();
+        config.cleanup();
+      }
+    });
+  });
+
+  describe('profiles', () => {
+    it('switches profiles and lists them with the active marker', async () => {
+      const config = createExplicitConfigDir({ email: 'me@example.com' });
+
+      try {
+        const use = await run(['--config-dir', config.configDir, 'profiles', 'use', 'client', '--base-url', 'https://client.example.com']);
+        assert.equal(use.code, 0);
+        assert.match(stripAnsi(use.stdout), /Active profile: client/);
+        assert.equal(readJson(config.configFile).current_profile, 'client');
+        assert.equal(readJson(config.configFile).profiles.client.base_url, 'https://client.example.com');
+        assert.equal(readJson(config.configFile).email, 'me@example.com');
+
+        const list = await run(['--config-dir', config.configDir, 'profiles', 'list', '--format', 'json']);
+        assert.equal(list.code, 0);
+        assert.deepEqual(JSON.parse(list.stdout).profiles.map((profile) => [profile.name, profile.active]), [
+          ['default', false],
+          ['client', true],
+        ]);
+
+        const status = await run(['--config-dir', config.configDir, 'auth', 'status']);
+        assert.match(stripAnsi(status.stdout), /Profile:\s+client \(profiles use\)/);
+      } finally {
+        config.cleanup();
+      }
+    });
+
+    it('uses the session stored for --profile and AGENT_ANALYTICS_PROFILE', async () => {
+      const seen = [];
+      const server = await startServer((req, res) => {
+        seen.push(req.headers.authorization);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ email: 'work@example.com', tier: 'pro' }));
+      });
+      const config = createExplicitConfigDir({
+        agent_session: { access_token: 'aas_default' },
+        profiles: {
+          work: { agent_session: { access_token: 'aas_work' } },
+        },
+      });
+
+      try {
+        const env = { AGENT_ANALYTICS_URL: server.baseUrl };
+        assert.equal((await run(['--config-dir', config.configDir, '--profile', 'work', 'whoami'], { env })).code, 0);
+        assert.equal((await run(['--config-dir', config.configDir, 'whoami'], {
+          env: { ...env, AGENT_ANALYTICS_PROFILE: 'work' },
+        })).code, 0);
+        assert.equal((await run(['--config-dir', config.configDir, 'whoami'], { env })).code, 0);
+        assert.deepEqual(seen, ['Bearer aas_work', 'Bearer aas_work', 'Bearer aas_default']);
+      } finally {
+        await server.close();
+        config.cleanup();
+      }
+    });
+
+    it('takes --config-dir and --profile as --flag=value', async () => {
+      const seen = [];
+      const server = await startServer((req, res) => {
+        seen.push(req.headers.authorization);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ email: 'work@example.com', tier: 'pro' }));
+      });
+      const config = createExplicitConfigDir({
+        agent_session: { access_token: 'aas_default' },
+        profiles: { work: { agent_session: { access_token: 'aas_work' } } },
+      });
+
+      try {
+        const env = { AGENT_ANALYTICS_URL: server.baseUrl };
+        const result = await run([`--config-dir=${config.configDir}`, '--profile=work', 'whoami'], { env });
+        assert.equal(result.code, 0, result.stdout);
+        assert.deepEqual(seen, ['Bearer aas_work']);
+
+        const invalid = await run(['--profile=../x', 'whoami'], { env });
+        assert.notEqual(invalid.code, 0);
+        assert.match(stripAnsi(invalid.stdout), /Invalid profile name "\.\.\/x"/);
       } finally {
         await server.close();
         config.cleanup();
       }
     });
 
-    it('runs a direct authenticated full scan with scan <url> --full --project', async () => {
-      let requestBody;
-      let requestAuth;
+    it('removes a profile without touching the default account', async () => {
       const config = createExplicitConfigDir({
-        agent_session: {
-          id: 'sess_scan_full',
-          access_token: 'aas_scan_full',
-          refresh_token: 'aar_scan_full',
-          access_expires_at: 1893456000000,
-          refresh_expires_at: 1924992000000,
-          scopes: ['account:read'],
+        email: 'me@example.com',
+        current_profile: 'old',
+        profiles: {
+          old: { email: 'old@example.com', agent_session: { access_token: 'aas_old' } },
         },
       });
+
+      try {
+        const { code, stdout } = await run(['--config-dir', config.configDir, 'profiles', 'remove', 'old']);
+        assert.equal(code, 0);
+        assert.match(stripAnsi(stdout), /Profile old removed/);
+        assert.deepEqual(readJson(config.configFile), { email: 'me@example.com' });
+
+        const missing = await run(['--config-dir', config.configDir, 'profiles', 'remove', 'old']);
+        assert.notEqual(missing.code, 0);
+        assert.match(stripAnsi(missing.stdout), /Profile "old" not found/);
+      } finally {
+        config.cleanup();
+      }
+    });
+
+    it('rejects invalid --profile names before reading config', async () => {
+      const { code, stdout } = await run(['--profile', '../x', 'whoami'], {
+        env: { AGENT_ANALYTICS_URL: 'http://127.0.0.1:9' },
+      });
+      assert.notEqual(code, 0);
+      assert.match(stripAnsi(stdout), /Invalid profile name/);
+
+      const fromEnv = await run(['whoami'], {
+        env: { AGENT_ANALYTICS_URL: 'http://127.0.0.1:9', AGENT_ANALYTICS_PROFILE: '../x' },
+      });
+      assert.notEqual(fromEnv.code, 0);
+      assert.match(stripAnsi(fromEnv.stdout), /Invalid profile name "\.\.\/x" in AGENT_ANALYTICS_PROFILE/);
+    });
+  });
+
+  describe('auth sessions', () => {
+    async function startSessionServer() {
+      const revoked = [];
       const server = await startServer(async (req, res) => {
-        if (req.method === 'POST' && req.url === '/cli/website-scans') {
-          requestAuth = req.headers.authorization;
-          requestBody = await readRequestJson(req);
+        if (req.method === 'GET' && req.url === '/account/agent-sessions') {
           res.writeHead(200, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({
-            ok: true,
-            analysis_id: 'scan_full_direct',
-            mode: 'full',
-            normalized_url: 'https://example.com/',
-            result: {
-              minimum_viable_instrumentation: [{ event: 'primary_cta_clicked', priority: 1 }],
-            },
+            agent_sessions: [
+              {
+                id: 'sess_laptop',
+                label: 'MacBook',
+                client_type: 'cli',
+                scopes: ['account:read', 'analytics:read'],
+                created_at: 1767225600000,
+                last_used_at: 1767312000000,
+                refresh_expires_at: 1924992000000,
+              },
+              { id: 'sess_paperclip', label: 'Paperclip', client_type: 'paperclip', scopes: ['analytics:read'] },
+              { id: 'sess_openclaw', label: 'OpenClaw', client_type: 'openclaw', scopes: [] },
+              { id: 'sess_old', label: 'Old', client_type: 'cli', revoked_at: 1767225600000 },
+            ],
           }));
           return;
         }
+        if (req.method === 'POST' && req.url === '/agent-sessions/revoke') {
+          const body = await readRequestJson(req);
+          revoked.push(body.session_id);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: true }));
+          return;
+        }
         res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'not found' }));
+        res.end(JSON.stringify({ message: 'not found' }));
+      });
+      return { ...server, revoked };
+    }
+
+    function sessionConfig() {
+      return createExplicitConfigDir({
+        agent_session: { id: 'sess_laptop', access_token: 'aas_laptop', refresh_token: 'aar_laptop' },
       });
+    }
+
+    it('lists sessions with label, client type, scopes, and the current session marked', async () => {
+      const server = await startSessionServer();
+      const config = sessionConfig();
 
       try {
-        const { code, stdout } = await run([
-          '--config-dir', config.configDir,
-          'scan',
-          'https://example.com/',
-          '--full',
-          '--project', 'example-site',
-          '--json',
-        ], {
-          env: {
-            AGENT_ANALYTICS_URL: server.baseUrl,
-            AGENT_ANALYTICS_API_KEY: '',
-          },
+        const { code, stdout } = await run(['--config-dir', config.configDir, 'auth', 'sessions', 'list'], {
+          env: { AGENT_ANALYTICS_URL: server.baseUrl },
         });
-        const data = JSON.parse(stdout);
+        const plain = stripAnsi(stdout);
 
         assert.equal(code, 0);
-        assert.equal(requestAuth, 'Bearer aas_scan_full');
-        assert.deepEqual(requestBody, {
-          url: 'https://example.com/',
-          mode: 'full',
-          project: 'example-site',
+        assert.match(plain, /MacBook\s+sess_laptop\s+\(this CLI\)/);
+        assert.match(plain, /client:\s+paperclip/);
+        assert.match(plain, /scopes:\s+account:read, analytics:read/);
+        assert.match(plain, /last used: 2026-01-02T00:00:00.000Z/);
+        assert.match(plain, /Old\s+sess_old\s+revoked/);
+
+        const csv = await run(['--config-dir', config.configDir, 'auth', 'sessions', '--format', 'csv'], {
+          env: { AGENT_ANALYTICS_URL: server.baseUrl },
         });
-        assert.equal(data.mode, 'full');
+        assert.equal(csv.stdout.split('\n')[0], 'id,current,label,client_type,scopes,created_at,last_used_at,expires_at,revoked_at');
+        assert.match(csv.stdout, /^sess_laptop,true,MacBook,cli,/m);
       } finally {
         await server.close();
         config.cleanup();
       }
     });
 
-    it('sends direct authenticated full scans without --project so hosted can allow complimentary accounts', async () => {
-      let requestBody;
-      let requestAuth;
-      const config = createExplicitConfigDir({
-        agent_session: {
-          id: 'sess_comp_scan_full',
-          access_token: 'aas_comp_scan_full',
-          refresh_token: 'aar_comp_scan_full',
-          access_expires_at: 1893456000000,
-          refresh_expires_at: 1924992000000,
-          scopes: ['account:read'],
-        },
-      });
-      const server = await startServer(async (req, res) => {
-        if (req.method === 'POST' && req.url === '/cli/website-scans') {
-          requestAuth = req.headers.authorization;
-          requestBody = await readRequestJson(req);
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
-            ok: true,
-            analysis_id: 'scan_comp_full_projectless',
-            mode: 'full',
-            normalized_url: 'https://example.com/',
-            result: {
-              minimum_viable_instrumentation: [{ event: 'primary_cta_clicked', priority: 1 }],
-            },
-          }));
-          return;
-        }
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'not found' }));
-      });
+    it('revokes a single session by id', async () => {
+      const server = await startSessionServer();
+      const config = sessionConfig();
 
       try {
-        const { code, stdout } = await run([
-          '--config-dir', config.configDir,
-          'scan',
-          'https://example.com/',
-          '--full',
-          '--json',
-        ], {
-          env: {
-            AGENT_ANALYTICS_URL: server.baseUrl,
-            AGENT_ANALYTICS_API_KEY: '',
-          },
+        const { code, stdout } = await run(['--config-dir', config.configDir, 'auth', 'sessions', 'revoke', 'sess_paperclip'], {
+          env: { AGENT_ANALYTICS_URL: server.baseUrl },
         });
-        const data = JSON.parse(stdout);
 
         assert.equal(code, 0);
-        assert.equal(requestAuth, 'Bearer aas_comp_scan_full');
-        assert.deepEqual(requestBody, {
-          url: 'https://example.com/',
-          mode: 'full',
-        });
-        assert.equal(data.analysis_id, 'scan_comp_full_projectless');
+        assert.match(stripAnsi(stdout), /Revoked sess_paperclip/);
+        assert.deepEqual(server.revoked, ['sess_paperclip']);
       } finally {
         await server.close();
         config.cleanup();
       }
     });
 
-    it('keeps JSON stdout parseable and warns on stderr when refresh fallback uses file storage', async () => {
-      const requestAuths = [];
-      const requestBodies = [];
-      let refreshCalls = 0;
-      const config = createExplicitConfigDir({
-        agent_session: {
-          id: 'sess_scan_expired',
-          access_token: 'aas_expired_scan',
-          refresh_token: 'aar_scan_refresh',
-          access_expires_at: 1,
-          refresh_expires_at: 1924992000000,
-          scopes: ['account:read'],
-        },
-      });
-      const server = await startServer(async (req, res) => {
-        if (req.method === 'POST' && req.url === '/cli/website-scans') {
-          requestAuths.push(req.headers.authorization);
-          requestBodies.push(await readRequestJson(req));
-          if (requestAuths.length === 1) {
-            res.writeHead(401, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'AUTH_REQUIRED', message: 'login required for full analysis' }));
-            return;
-          }
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
-            ok: true,
-            analysis_id: 'scan_full_after_refresh',
-            mode: 'full',
-            normalized_url: 'https://example.com/',
-            result: {
-              minimum_viable_instrumentation: [{ event: 'primary_cta_clicked', priority: 1 }],
-            },
-          }));
-          return;
-        }
-        if (req.method === 'POST' && req.url === '/agent-sessions/refresh') {
-          refreshCalls += 1;
-          const body = await readRequestJson(req);
-          assert.equal(body.refresh_token, 'aar_scan_refresh');
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
-            ok: true,
-            agent_session: {
-              id: 'sess_scan_expired',
-              access_token: 'aas_refreshed_scan',
-              refresh_token: 'aar_scan_refresh',
-              access_expires_at: 1893456000000,
-              refresh_expires_at: 1924992000000,
-              scopes: ['account:read'],
-            },
-          }));
-          return;
-        }
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'not found' }));
-      });
+    it('revokes every active session except the one this CLI uses', async () => {
+      const server = await startSessionServer();
+      const config = sessionConfig();
 
       try {
-        const result = await run([
-          '--config-dir', config.configDir,
-          'scan',
-          'https://example.com/',
-          '--full',
-          '--project', 'example-site',
-          '--json',
-        ], {
-          env: {
-            AGENT_ANALYTICS_URL: server.baseUrl,
-            AGENT_ANALYTICS_API_KEY: '',
-            AGENT_ANALYTICS_CREDENTIAL_PLATFORM: 'darwin',
-            AGENT_ANALYTICS_FAKE_KEYRING_FILE: config.configDir,
-          },
+        const { code, stdout } = await run(['--config-dir', config.configDir, 'auth', 'sessions', 'revoke', '--all-except-current'], {
+          env: { AGENT_ANALYTICS_URL: server.baseUrl },
         });
-        const plainStdout = stripAnsi(result.stdout);
-        const plainStderr = stripAnsi(result.stderr);
-        const data = JSON.parse(result.stdout);
 
-        assert.equal(result.code, 0);
-        assert.equal(refreshCalls, 1);
-        assert.ok(plainStderr.includes('Native credential storage was unavailable'));
-        assert.ok(plainStderr.includes('using file storage'));
-        assert.equal(plainStdout.includes('Native credential storage was unavailable'), false);
-        assert.equal(plainStdout.includes('using file storage'), false);
-        assert.equal(plainStdout.includes('aas_refreshed_scan'), false);
-        assert.equal(plainStdout.includes('aar_scan_refresh'), false);
-        assert.equal(plainStderr.includes('aas_refreshed_scan'), false);
-        assert.equal(plainStderr.includes('aar_scan_refresh'), false);
-        assert.deepEqual(requestAuths, ['Bearer aas_expired_scan', 'Bearer aas_refreshed_scan']);
-        assert.deepEqual(requestBodies, [
-          { url: 'https://example.com/', mode: 'full', project: 'example-site' },
-          { url: 'https://example.com/', mode: 'full', project: 'example-site' },
-        ]);
-        const storedSession = readJson(config.configFile).agent_session;
-        assert.equal(storedSession.storage, 'file');
-        assert.equal(storedSession.access_token, 'aas_refreshed_scan');
-        assert.equal(data.analysis_id, 'scan_full_after_refresh');
+        assert.equal(code, 0);
+        assert.deepEqual(server.revoked, ['sess_paperclip', 'sess_openclaw']);
+        assert.match(stripAnsi(stdout), /Revoked sess_openclaw/);
+        assert.equal(readJson(config.configFile).agent_session.access_token, 'aas_laptop');
       } finally {
         await server.close();
         config.cleanup();
       }
     });
 
-    it('uses authenticated requests for scan <url> when a project is supplied', async () => {
-      let requestAuth;
-      let requestBody;
-      const config = createExplicitConfigDir({
-        agent_session: {
-          id: 'sess_scan_preview',
-          access_token: 'aas_scan_preview',
-          refresh_token: 'aar_scan_preview',
-          access_expires_at: 1893456000000,
-          refresh_expires_at: 1924992000000,
-          scopes: ['account:read'],
-        },
-      });
+    it('refuses --all-except-current when the current session id is unknown', async () => {
+      const server = await startSessionServer();
+
+      try {
+        const { code, stdout } = await run(['auth', 'sessions', 'revoke', '--all-except-current'], {
+          env: { ...agentSessionEnv(), AGENT_ANALYTICS_URL: server.baseUrl },
+        });
+
+        assert.notEqual(code, 0);
+        assert.match(stripAnsi(stdout), /Cannot tell which session belongs to this CLI/);
+        assert.deepEqual(server.revoked, []);
+      } finally {
+        await server.close();
+      }
+    });
+  });
+
+  describe('environment credentials', () => {
+    it('uses a refresh token from the environment and keeps the rotated session in memory', async () => {
+      const config = createExplicitConfigDir();
+      const usedRefreshTokens = [];
+      const accountAuths = [];
       const server = await startServer(async (req, res) => {
-        if (req.method === 'POST' && req.url === '/cli/website-scans') {
-          requestAuth = req.headers.authorization;
-          requestBody = await readRequestJson(req);
+        if (req.method === 'POST' && req.url === '/agent-sessions/refresh') {
+          const body = await readRequestJson(req);
+          usedRefreshTokens.push(body.refresh_token);
           res.writeHead(200, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({
-            ok: true,
-            analysis_id: 'scan_auth_preview',
-            mode: 'authenticated_preview',
-            normalized_url: 'https://example.com/',
-            preview: {
-              minimum_viable_instrumentation: [{ event: 'primary_cta_clicked', priority: 1 }],
+            agent_session: {
+              id: 'sess_ci',
+              access_token: 'aas_ci_rotated',
+              refresh_token: 'aar_ci_rotated',
+              access_expires_at: 1893456000000,
+              refresh_expires_at: 1924992000000,
             },
           }));
           return;
         }
+        if (req.method === 'GET' && req.url === '/account') {
+          accountAuths.push(req.headers.authorization);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ email: 'ci@example.com', tier: 'pro', projects_count: 1 }));
+          return;
+        }
         res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'not found' }));
+        res.end(JSON.stringify({ message: 'not found' }));
       });
 
       try {
-        const { code, stdout } = await run([
-          '--config-dir', config.configDir,
-          'scan',
-          'https://example.com/',
-          '--project', 'example-site',
-          '--json',
-        ], {
+        const { code, stdout } = await run(['--config-dir', config.configDir, 'whoami'], {
           env: {
             AGENT_ANALYTICS_URL: server.baseUrl,
-            AGENT_ANALYTICS_API_KEY: '',
+            AGENT_ANALYTICS_REFRESH_TOKEN: 'aar_ci',
           },
         });
-        const data = JSON.parse(stdout);
 
         assert.equal(code, 0);
-        assert.equal(requestAuth, 'Bearer aas_scan_preview');
-        assert.deepEqual(requestBody, {
-          url: 'https://example.com/',
-          project: 'example-site',
-        });
-        assert.equal(data.mode, 'authenticated_preview');
+        assert.match(stripAnsi(stdout), /Auth:\s+environment \(AGENT_ANALYTICS_REFRESH_TOKEN\)/);
+        assert.deepEqual(usedRefreshTokens, ['aar_ci']);
+        assert.deepEqual(accountAuths, ['Bearer aas_ci_rotated']);
+        assert.equal(existsSync(config.configFile), false);
       } finally {
         await server.close();
         config.cleanup();
       }
     });
 
-    it('prints login guidance for scan --full without auth', async () => {
-      const tempHome = createTempConfigHome();
-      const { code, stdout } = await run([
-        'scan',
-        '--resume', 'scan_anon',
-        '--resume-token', 'rst_preview',
-        '--full',
-      ], {
-        env: {
-          AGENT_ANALYTICS_API_KEY: '',
-          XDG_CONFIG_HOME: tempHome.xdgConfigHome,
-        },
-      });
-
-      assert.notEqual(code, 0);
-      assert.ok(stripAnsi(stdout).includes('Not logged in'));
-      assert.ok(stripAnsi(stdout).includes('login'));
-      tempHome.cleanup();
-    });
-
-    it('prints retry timing for a busy authenticated analyzer response', async () => {
-      const config = createExplicitConfigDir({
+    it('prefers environment tokens over a saved session without touching config', async () => {
+      const saved = {
         agent_session: {
-          id: 'sess_scan_busy',
-          access_token: 'aas_scan_busy',
-          refresh_token: 'aar_scan_busy',
+          id: 'sess_saved',
+          access_token: 'aas_saved',
+          refresh_token: 'aar_saved',
           access_expires_at: 1893456000000,
-          refresh_expires_at: 1924992000000,
-          scopes: ['account:read'],
         },
-      });
-      const server = await startServer(async (req, res) => {
-        if (req.method === 'POST' && req.url === '/cli/website-scans') {
-          await readRequestJson(req);
-          res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '17' });
-          res.end(JSON.stringify({
-            error: 'SCAN_BUSY',
-            message: 'The free analyzer is busy.',
-            retry_after_seconds: 17,
-          }));
-          return;
-        }
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'not found' }));
+      };
+      const config = createExplicitConfigDir(saved);
+      const accountAuths = [];
+      const server = await startServer((req, res) => {
+        accountAuths.push(req.headers.authorization);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ email: 'ci@example.com', tier: 'pro', projects_count: 1 }));
       });
 
       try {
-        const { code, stdout } = await run([
-          '--config-dir', config.configDir,
-          'scan',
-          'https://busy.example',
-          '--project', 'busy-site',
-        ], {
+        const { code } = await run(['--config-dir', config.configDir, 'whoami'], {
           env: {
             AGENT_ANALYTICS_URL: server.baseUrl,
-            AGENT_ANALYTICS_API_KEY: '',
+            AGENT_ANALYTICS_ACCESS_TOKEN: 'aas_ci',
           },
         });
-        const output = stripAnsi(stdout);
 
-        assert.notEqual(code, 0);
-        assert.ok(output.includes('free analyzer is busy'));
-        assert.ok(output.includes('17 seconds'));
+        assert.equal(code, 0);
+        assert.deepEqual(accountAuths, ['Bearer aas_ci']);
+        assert.deepEqual(readJson(config.configFile), saved);
       } finally {
         await server.close();
         config.cleanup();
       }
     });
-  });
 
-  describe('projects', () => {
-    const stylioProject = {
-      id: 'proj-stylio',
-      name: 'stylio',
-      project_token: 'aat_stylio',
-      allowed_origins: 'https://stylio.app',
-      created_at: '2026-04-12T12:00:00.000Z',
-    };
+    it('reports a session file in auth status', async () => {
+      const config = createExplicitConfigDir();
+      const sessionFile = join(config.configDir, 'ci-session.json');
+      writeFileSync(sessionFile, JSON.stringify({
+        agent_session: {
+          id: 'sess_file',
+          access_token: 'aas_file',
+          access_expires_at: 1893456000000,
+          scopes: ['account:read', 'analytics:read'],
+        },
+      }));
 
-    it('prints project ids', async () => {
-      const server = await startServer((req, res) => {
-        if (req.method === 'GET' && req.url === '/projects') {
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ projects: [stylioProject] }));
-          return;
-        }
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'not found' }));
-      });
+      try {
+        const { code, stdout } = await run(['--config-dir', config.configDir, 'auth', 'status'], {
+          env: { AGENT_ANALYTICS_SESSION_FILE: sessionFile },
+        });
+        const plain = stripAnsi(stdout);
+
+        assert.equal(code, 0);
+        assert.match(plain, /Logged in:\s+yes/);
+        assert.match(plain, /Auth:\s+environment \(AGENT_ANALYTICS_SESSION_FILE\)/);
+        assert.match(plain, /Credential storage: environment \(not saved\)/);
+        assert.match(plain, /ID:\s+sess_file/);
+        assert.match(plain, /Scopes:\s+account:read, analytics:read/);
+        assert.equal(existsSync(config.configFile), false);
+      } finally {
+        config.cleanup();
+      }
+    });
+
+    it('checks scopes recorded in a session file', async () => {
+      const config = createExplicitConfigDir();
+      const sessionFile = join(config.configDir, 'ci-session.json');
+      writeFileSync(sessionFile, JSON.stringify({ access_token: 'aas_file', scopes: ['account:read'] }));
 
       try {
-        const { code, stdout } = await run(['projects'], {
+        const { code, stdout } = await run(['--config-dir', config.configDir, 'stats', 'my-site'], {
+          env: { AGENT_ANALYTICS_SESSION_FILE: sessionFile },
+        });
+
+        assert.equal(code, 1);
+        assert.match(stdout, /missing analytics:read/);
+      } finally {
+        config.cleanup();
+      }
+    });
+
+    it('fails clearly when the session file is unreadable', async () => {
+      const config = createExplicitConfigDir();
+
+      try {
+        const { code, stdout } = await run(['--config-dir', config.configDir, 'whoami'], {
+          env: { AGENT_ANALYTICS_SESSION_FILE: join(config.configDir, 'missing.json') },
+        });
+
+        assert.equal(code, 1);
+        assert.match(stdout, /Could not read AGENT_ANALYTICS_SESSION_FILE/);
+      } finally {
+        config.cleanup();
+      }
+    });
+
+    it('logs out the saved session but says the environment is still in use', async () => {
+      const config = createExplicitConfigDir({ agent_session: { access_token: 'aas_saved' } });
+
+      try {
+        const { code, stdout } = await run(['--config-dir', config.configDir, 'logout'], {
+          env: { AGENT_ANALYTICS_ACCESS_TOKEN: 'aas_ci', AGENT_ANALYTICS_URL: 'http://127.0.0.1:9' },
+        });
+
+        assert.equal(code, 0);
+        assert.ok(stdout.includes('Logged out locally'));
+        assert.ok(stripAnsi(stdout).includes('Credentials from AGENT_ANALYTICS_ACCESS_TOKEN are still active'));
+        assert.deepEqual(readJson(config.configFile), {});
+      } finally {
+        config.cleanup();
+      }
+    });
+  });
+
+  describe('events --follow', () => {
+    function follow(args, pages) {
+      const requests = [];
+      let child;
+      return startServer((req, res) => {
+        requests.push(new URL(req.url, 'http://localhost'));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ events: pages[requests.length - 1] || [] }));
+        if (requests.length > pages.length) child.kill('SIGTERM');
+      }).then((server) => new Promise((resolve) => {
+        child = execFile('node', [CLI, ...args], {
+          timeout: 10000,
           env: {
+            ...process.env,
             ...agentSessionEnv('aas_test123'),
             AGENT_ANALYTICS_URL: server.baseUrl,
+            AGENT_ANALYTICS_FOLLOW_POLL_INTERVAL_MS: '20',
           },
+        }, async (err, stdout, stderr) => {
+          await server.close();
+          resolve({ code: err ? err.code : 0, stdout, stderr, requests });
         });
+      }));
+    }
 
-        assert.equal(code, 0);
-        assert.ok(stripAnsi(stdout).includes('id: proj-stylio'));
+    it('streams new events as NDJSON with an advancing since cursor', async () => {
+      const { code, stdout, stderr, requests } = await follow(
+        ['--format', 'ndjson', 'events', 'my-site', '--follow', '--since', '1h', '--event', 'signup', '--limit', '2'],
+        [
+          [{ id: 'a', event: 'signup', timestamp: 1767600000000 }],
+          [{ id: 'b', event: 'signup', timestamp: 1767600005000 }, { id: 'a', event: 'signup', timestamp: 1767600000000 }],
+        ],
+      );
+
+      assert.equal(code, 0);
+      assert.deepEqual(stdout.trim().split('\n').map((line) => JSON.parse(line).id), ['a', 'b']);
+      assert.match(stderr, /More than 2 events arrived between polls/);
+      assert.deepEqual(requests.map((url) => url.searchParams.get('since')), [
+        '1h',
+        new Date(1767600000000).toISOString(),
+        new Date(1767600005000).toISOString(),
+      ]);
+      assert.ok(requests.every((url) => url.searchParams.get('event') === 'signup' && url.searchParams.get('limit') === '2'));
+    });
+
+    it('filters followed events by property in the human format', async () => {
+      const { code, stdout } = await follow(
+        ['events', 'my-site', '--follow', '--where', 'path=/pricing'],
+        [[
+          { id: 'a', event: 'page_view', timestamp: 1767600000000, properties: { path: '/' } },
+          { id: 'b', event: 'page_view', timestamp: 1767600001000, user_id: 'u9', properties: { path: '/pricing' } },
+        ]],
+      );
+
+      assert.equal(code, 0);
+      const output = stripAnsi(stdout);
+      assert.match(output, /Following events: my-site/);
+      assert.match(output, /page_view {2}u9/);
+      assert.ok(!output.includes('"path":"/"'));
+    });
+
+    it('warns that --where only searches the page fetched without --follow', async () => {
+      const server = await startServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ events: [
+          { id: 'a', event: 'page_view', timestamp: 1767600000000, properties: { path: '/' } },
+          { id: 'b', event: 'page_view', timestamp: 1767600001000, properties: { path: '/pricing' } },
+        ] }));
+      });
+
+      try {
+        const env = { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl };
+        const { code, stdout, stderr } = await run(['--format', 'json', 'events', 'my-site', '--where', 'path=/pricing', '--limit', '2'], { env });
+        assert.equal(code, 0, stderr);
+        assert.deepEqual(JSON.parse(stdout).events.map((event) => event.id), ['b']);
+        assert.match(stderr, /--where matched 1 of the latest 2 events; raise --limit/);
+
+        const legacy = await run(['events', 'my-site', '--filter', 'path=/pricing'], { env });
+        assert.equal(legacy.code, 1);
+        assert.match(legacy.stdout, /Unknown option --filter for events/);
       } finally {
         await server.close();
       }
     });
 
-    it('updates origins by resolving project name to id', async () => {
-      let patchBody;
-      let patchUrl;
-      const server = await startServer(async (req, res) => {
+    it('rejects table formats for --follow', async () => {
+      const { code, stdout } = await run(['--format', 'csv', 'events', 'my-site', '--follow'], { env: agentSessionEnv('aas_test123') });
+      assert.equal(code, 1);
+      assert.match(stdout, /--follow prints text or --format ndjson/);
+    });
+  });
+
+  describe('event ingestion', () => {
+    const savedSession = {
+      agent_session: {
+        access_token: 'aas_saved',
+        access_expires_at: 1893456000000,
+      },
+    };
+
+    function startIngestServer() {
+      const requests = [];
+      return startServer(async (req, res) => {
+        const body = await readRequestJson(req);
+        requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization, body });
         if (req.method === 'GET' && req.url === '/projects') {
           res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ projects: [stylioProject] }));
-          return;
-        }
-        if (req.method === 'PATCH' && req.url === '/projects/proj-stylio') {
-          patchUrl = req.url;
-          patchBody = await readRequestJson(req);
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
-            ...stylioProject,
-            allowed_origins: patchBody.allowed_origins,
-          }));
+          res.end(JSON.stringify({ projects: [{ id: 'proj_1', name: 'my-site', project_token: 'aat_site' }] }));
           return;
         }
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'not found' }));
-      });
+        res.writeHead(202, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true }));
+      }).then((server) => ({ ...server, requests }));
+    }
+
+    it('tracks one event with the project token from the projects list', async () => {
+      const config = createExplicitConfigDir(savedSession);
+      const server = await startIngestServer();
 
       try {
         const { code, stdout } = await run([
-          'update',
-          'stylio',
-          '--origins',
-          'https://stylio.app,http://lvh.me:3101',
-        ], {
-          env: {
-            ...agentSessionEnv('aas_test123'),
-            AGENT_ANALYTICS_URL: server.baseUrl,
-          },
+          '--config-dir', config.configDir,
+          'track', 'my-site', 'signup',
+          '--properties', '{"plan":"pro"}',
+          '--user-id', 'u1',
+        ], { env: { AGENT_ANALYTICS_URL: server.baseUrl } });
+
+        assert.equal(code, 0);
+        assert.ok(stripAnsi(stdout).includes('Tracked signup for my-site'));
+        const track = server.requests.find((request) => request.url === '/track');
+        assert.equal(track.authorization, undefined);
+        assert.deepEqual(track.body, {
+          project: 'my-site',
+          token: 'aat_site',
+          event: 'signup',
+          properties: { plan: 'pro' },
+          user_id: 'u1',
         });
+      } finally {
+        await server.close();
+        config.cleanup();
+      }
+    });
+
+    it('tracks with --project-token=<token> on a session without projects:read', async () => {
+      const config = createExplicitConfigDir({ agent_session: { access_token: 'aas_account_only', scopes: ['account:read'] } });
+      const server = await startIngestServer();
+
+      try {
+        const { code, stdout } = await run([
+          '--config-dir', config.configDir,
+          'track', 'my-site', 'signup', '--project-token=aat_given',
+        ], { env: { AGENT_ANALYTICS_URL: server.baseUrl } });
+
+        assert.equal(code, 0, stdout);
+        assert.deepEqual(server.requests.map((request) => request.url), ['/track']);
+        assert.equal(server.requests[0].body.token, 'aat_given');
+      } finally {
+        await server.close();
+        config.cleanup();
+      }
+    });
+
+    it('imports CSV in batches with dedupe keys and progress on stderr', async () => {
+      const config = createExplicitConfigDir(savedSession);
+      const file = join(config.configDir, 'events.csv');
+      writeFileSync(file, [
+        'event,user_id,timestamp,path',
+        'page_view,u1,2026-01-01T00:00:00Z,/',
+        'page_view,u1,2026-01-01T00:00:00Z,/',
+        'signup,u1,2026-01-01T00:01:00Z,/signup',
+        'page_view,u2,2026-01-01T00:02:00Z,/pricing',
+      ].join('\n'));
+      const server = await startIngestServer();
+
+      try {
+        const { code, stdout, stderr } = await run([
+          '--config-dir', config.configDir,
+          'import', 'my-site', '--file', file, '--batch-size', '2',
+        ], { env: { AGENT_ANALYTICS_URL: server.baseUrl } });
 
         assert.equal(code, 0);
-        assert.equal(patchUrl, '/projects/proj-stylio');
-        assert.deepEqual(patchBody, {
-          allowed_origins: 'https://stylio.app,http://lvh.me:3101',
-        });
-        assert.ok(stdout.includes('Project stylio updated'));
+        assert.ok(stripAnsi(stdout).includes('Imported 3 event(s) into my-site in 2 batch(es)'));
+        assert.ok(stripAnsi(stdout).includes('skipped 1 duplicate row(s)'));
+        assert.ok(stripAnsi(stderr).includes('sent 2/3 events (batch 1/2)'));
+        assert.ok(stripAnsi(stderr).includes('sent 3/3 events (batch 2/2)'));
+        const batches = server.requests.filter((request) => request.url === '/track/batch');
+        assert.deepEqual(batches.map((request) => request.body.events.length), [2, 1]);
+        const [first] = batches[0].body.events;
+        assert.equal(first.token, 'aat_site');
+        assert.deepEqual(first.properties, { path: '/' });
+        assert.equal(first.timestamp, Date.parse('2026-01-01T00:00:00Z'));
+        assert.match(first.event_id, /^[0-9a-f]{32}$/);
       } finally {
         await server.close();
+        config.cleanup();
       }
     });
 
-    it('updates origins by id without requiring name', async () => {
-      let patchBody;
-      const server = await startServer(async (req, res) => {
-        if (req.method === 'GET' && req.url === '/projects') {
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ projects: [stylioProject] }));
-          return;
-        }
-        if (req.method === 'PATCH' && req.url === '/projects/proj-stylio') {
-          patchBody = await readRequestJson(req);
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
-            ...stylioProject,
-            allowed_origins: patchBody.allowed_origins,
-          }));
-          return;
-        }
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'not found' }));
-      });
+    it('validates a dry run without logging in or sending anything', async () => {
+      const config = createExplicitConfigDir();
+      const file = join(config.configDir, 'events.ndjson');
+      writeFileSync(file, '{"event":"a"}\n{"properties":{}}\n{"event":"a"}\n');
 
       try {
-        const { code } = await run([
-          'update',
-          'proj-stylio',
-          '--origins',
-          'https://stylio.app,http://lvh.me:3101',
-        ], {
-          env: {
-            ...agentSessionEnv('aas_test123'),
-            AGENT_ANALYTICS_URL: server.baseUrl,
-          },
-        });
+        const { code, stdout } = await run([
+          '--config-dir', config.configDir,
+          '--format', 'json',
+          'import', 'my-site', '--file', file, '--dry-run',
+        ], { env: { AGENT_ANALYTICS_URL: 'http://127.0.0.1:9' } });
 
-        assert.equal(code, 0);
-        assert.deepEqual(patchBody, {
-          allowed_origins: 'https://stylio.app,http://lvh.me:3101',
+        assert.equal(code, 1);
+        assert.deepEqual(JSON.parse(stdout), {
+          project: 'my-site',
+          rows: 3,
+          valid: 1,
+          duplicates: 1,
+          invalid: 1,
+          dry_run: true,
+          errors: [{ line: 2, message: 'event is required' }],
         });
+      } finally {
+        config.cleanup();
+      }
+    });
+
+    it('refuses to send a file with invalid rows unless --skip-invalid', async () => {
+      const config = createExplicitConfigDir();
+      const file = join(config.configDir, 'events.ndjson');
+      writeFileSync(file, '{"event":"a"}\nnot json\n');
+      const server = await startIngestServer();
+
+      try {
+        const env = { AGENT_ANALYTICS_URL: server.baseUrl };
+        const refused = await run(['--config-dir', config.configDir, 'import', 'my-site', '--file', file, '--project-token', 'aat_x'], { env });
+        assert.equal(refused.code, 1);
+        assert.match(refused.stdout, /line 2: invalid JSON/);
+        assert.match(refused.stdout, /1 invalid row\(s\).*nothing was sent/);
+        assert.equal(server.requests.length, 0);
+
+        const skipped = await run(['--config-dir', config.configDir, 'import', 'my-site', '--file', file, '--project-token', 'aat_x', '--skip-invalid'], { env });
+        assert.equal(skipped.code, 0);
+        assert.deepEqual(server.requests.map((request) => [request.url, request.body.events[0].token]), [['/track/batch', 'aat_x']]);
       } finally {
         await server.close();
+        config.cleanup();
       }
     });
 
-    it('gets a project by resolving project name to id', async () => {
-      let detailUrl;
-      const server = await startServer((req, res) => {
-        if (req.method === 'GET' && req.url === '/projects') {
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ projects: [stylioProject] }));
-          return;
-        }
-        if (req.method === 'GET' && req.url === '/projects/proj-stylio') {
-          detailUrl = req.url;
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify(stylioProject));
-          return;
-        }
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'not found' }));
+    it('previews a GA4 export with field overrides without logging in or sending anything', async () => {
+      const config = createExplicitConfigDir();
+      const file = join(config.configDir, 'ga4.json');
+      const row = (name, page) => ({
+        event_name: name,
+        event_timestamp: '1767571200000000',
+        user_pseudo_id: 'cid.1',
+        event_params: [{ key: 'page_location', value: { string_value: `https://example.com${page}` } }],
+        user_properties: [{ key: 'crm_id', value: { string_value: 'crm_7' } }],
       });
+      writeFileSync(file, [row('page_view', '/'), row('page_view', '/pricing'), row('sign_up', '/signup')].map((r) => JSON.stringify(r)).join('\n'));
 
       try {
-        const { code, stdout } = await run(['project', 'stylio'], {
-          env: {
-            ...agentSessionEnv('aas_test123'),
-            AGENT_ANALYTICS_URL: server.baseUrl,
-          },
-        });
+        const env = { AGENT_ANALYTICS_URL: 'http://127.0.0.1:9' };
+        const text = await run(['--config-dir', config.configDir, 'import', 'my-site', '--file', file, '--from', 'ga4', '--preview', '--limit', '1'], { env });
+        assert.equal(text.code, 0);
+        const output = stripAnsi(text.stdout);
+        assert.match(output, /Import preview: my-site \(from ga4\)/);
+        assert.match(output, /page_view {2}2/);
+        assert.match(output, /"event":"page_view","properties":\{"path":"\/","url":"https:\/\/example.com\/"\}/);
+        assert.ok(!output.includes('/pricing'));
+        assert.match(output, /Nothing was sent/);
+
+        const json = await run([
+          '--config-dir', config.configDir, '--format', 'json',
+          'import', 'my-site', '--file', file, '--from', 'ga4', '--preview',
+          '--map', 'user_id=user_properties.crm_id,properties.url=',
+        ], { env });
+        assert.equal(json.code, 0);
+        const preview = JSON.parse(json.stdout);
+        assert.equal(preview.preview, true);
+        assert.deepEqual(preview.event_counts, [{ event: 'page_view', count: 2 }, { event: 'sign_up', count: 1 }]);
+        assert.equal(preview.sample[2].user_id, 'crm_7');
+        assert.deepEqual(preview.sample[2].properties, { path: '/signup' });
+      } finally {
+        config.cleanup();
+      }
+    });
+
+    it('imports a PostHog export with mapped events and uuids as event ids', async () => {
+      const config = createExplicitConfigDir(savedSession);
+      const file = join(config.configDir, 'posthog.json');
+      writeFileSync(file, JSON.stringify({
+        results: [
+          { uuid: 'ph_1', event: '$pageview', distinct_id: 'u1', timestamp: '2026-01-01T00:00:00Z', properties: { $pathname: '/docs', $session_id: 's1' } },
+          { uuid: 'ph_2', event: 'signed_up', distinct_id: 'u1', timestamp: '2026-01-01T00:01:00Z', properties: { plan: 'pro' } },
+        ],
+      }));
+      const server = await startIngestServer();
+
+      try {
+        const { code, stdout } = await run([
+          '--config-dir', config.configDir,
+          'import', 'my-site', '--file', file, '--from', 'posthog',
+        ], { env: { AGENT_ANALYTICS_URL: server.baseUrl } });
 
         assert.equal(code, 0);
-        assert.equal(detailUrl, '/projects/proj-stylio');
-        assert.ok(stdout.includes('Project: stylio'));
+        assert.ok(stripAnsi(stdout).includes('Imported 2 event(s) into my-site'));
+        const [batch] = server.requests.filter((request) => request.url === '/track/batch');
+        assert.deepEqual(batch.body.events.map(({ event, event_id, user_id, session_id, properties }) => ({ event, event_id, user_id, session_id, properties })), [
+          { event: 'page_view', event_id: 'ph_1', user_id: 'u1', session_id: 's1', properties: { path: '/docs' } },
+          { event: 'signed_up', event_id: 'ph_2', user_id: 'u1', session_id: undefined, properties: { plan: 'pro' } },
+        ]);
       } finally {
         await server.close();
+        config.cleanup();
       }
     });
 
-    it('passes --source-scan when creating a project', async () => {
-      let requestBody;
-      const server = await startServer(async (req, res) => {
-        if (req.method === 'POST' && req.url === '/projects') {
-          requestBody = await readRequestJson(req);
-          res.writeHead(201, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
-            id: 'proj-created',
-            name: 'source-site',
-            project_token: 'aat_created',
-            allowed_origins: 'https://source.example',
-            source_scan_id: 'scan_source',
-            snippet: '<script></script>',
-            api_example: 'curl /stats',
-          }));
+    it('rejects --map without --from and unknown sources', async () => {
+      const missing = await run(['import', 'my-site', '--file', 'x.csv', '--map', 'user_id=uid']);
+      assert.equal(missing.code, 1);
+      assert.match(missing.stdout, /--map needs --from \(ga4, plausible, posthog\)/);
+
+      const unknown = await run(['import', 'my-site', '--file', 'x.csv', '--from', 'mixpanel']);
+      assert.equal(unknown.code, 1);
+      assert.match(unknown.stdout, /Unknown import source "mixpanel"/);
+    });
+
+    it('is read-only in demo mode', async () => {
+      const { code, stdout } = await run(['--demo', 'track', 'agentanalytics-demo', 'signup']);
+      assert.equal(code, 1);
+      assert.match(stdout, /Demo mode is read-only/);
+    });
+  });
+
+  describe('export', () => {
+    function startExportServer(events, timeSeries) {
+      const requests = [];
+      return startServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push(url);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        if (url.pathname === '/stats') {
+          res.end(JSON.stringify({ totals: {}, timeSeries }));
           return;
         }
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'not found' }));
-      });
+        const from = Date.parse(`${url.searchParams.get('since')}T00:00:00Z`);
+        const to = Date.parse(url.searchParams.get('until'));
+        const page = events
+          .filter((event) => event.timestamp >= from && event.timestamp <= to)
+          .sort((a, b) => b.timestamp - a.timestamp)
+          .slice(0, Number(url.searchParams.get('limit')));
+        res.end(JSON.stringify({ events: page }));
+      }).then((server) => ({ ...server, requests }));
+    }
+
+    const events = [
+      { id: 'a', event: 'page_view', timestamp: Date.parse('2026-01-01T10:00:00Z') },
+      { id: 'b', event: 'signup', timestamp: Date.parse('2026-01-01T11:00:00Z') },
+      { id: 'c', event: 'page_view', timestamp: Date.parse('2026-01-02T10:00:00Z') },
+    ];
+
+    it('writes gzip NDJSON and reconciles row counts with stats', async () => {
+      const config = createExplicitConfigDir();
+      const out = join(config.configDir, 'events.ndjson.gz');
+      const server = await startExportServer(events, [{ bucket: '2026-01-01', total_events: 2 }, { bucket: '2026-01-02', total_events: 1 }]);
 
       try {
-        const { code, stdout } = await run([
-          'create',
-          'source-site',
-          '--domain', 'https://source.example',
-          '--source-scan', 'scan_source',
-        ], {
-          env: {
-            ...agentSessionEnv('aas_test123'),
-            AGENT_ANALYTICS_URL: server.baseUrl,
-          },
-        });
+        const { code, stdout, stderr } = await run([
+          'export', 'my-site', '--from', '2026-01-01', '--to', '2026-01-02', '--out', out, '--page-size', '2',
+        ], { env: { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl } });
 
         assert.equal(code, 0);
-        assert.deepEqual(requestBody, {
-          name: 'source-site',
-          allowed_origins: 'https://source.example',
-          source_scan_id: 'scan_source',
-        });
-        assert.ok(stdout.includes('Project created'));
+        assert.match(stripAnsi(stdout), /Exported 3 event\(s\) from my-site \(2026-01-01 to 2026-01-02\)/);
+        assert.match(stripAnsi(stdout), /Matches stats: 3 events/);
+        assert.match(stripAnsi(stderr), /2026-01-02: 1 events \(3 total\)/);
+        const lines = gunzipSync(readFileSync(out)).toString('utf8').trim().split('\n');
+        assert.deepEqual(lines.map((line) => JSON.parse(line).id), ['b', 'a', 'c']);
+        assert.equal(existsSync(`${out}.checkpoint.json`), false);
+        const eventsRequests = server.requests.filter((url) => url.pathname === '/events');
+        assert.equal(eventsRequests[0].searchParams.get('until'), '2026-01-01T23:59:59.999Z');
+        assert.equal(eventsRequests[1].searchParams.get('until'), '2026-01-01T10:00:00.000Z');
       } finally {
         await server.close();
+        config.cleanup();
       }
     });
 
-    it('handles pending account setup when creating a project without retrying', async () => {
-      let postCount = 0;
-      const server = await startServer(async (req, res) => {
-        if (req.method === 'POST' && req.url === '/projects') {
-          postCount += 1;
-          await readRequestJson(req);
-          res.writeHead(409, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
-            code: 'ACCOUNT_SETUP_PENDING',
-            message: 'Account setup is still pending.',
-          }));
-          return;
-        }
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'not found' }));
-      });
+    it('reports days that do not match stats in JSON output', async () => {
+      const config = createExplicitConfigDir();
+      const out = join(config.configDir, 'events.ndjson');
+      const server = await startExportServer(events, [{ bucket: '2026-01-01', total_events: 3 }]);
 
       try {
         const { code, stdout } = await run([
-          'create',
-          'source-site',
-          '--domain', 'https://source.example',
-          '--source-scan', 'scan_source',
-        ], {
-          env: {
-            ...agentSessionEnv('aas_test123'),
-            AGENT_ANALYTICS_URL: server.baseUrl,
-          },
-        });
+          '--format', 'json',
+          'export', 'my-site', '--from', '2026-01-01', '--to', '2026-01-01', '--out', out,
+        ], { env: { ...agentSessionEnv('aas_test123'), AGENT_ANALYTICS_URL: server.baseUrl } });
 
-        const plain = stripAnsi(stdout);
-        assert.notEqual(code, 0);
-        assert.equal(postCount, 1);
-        assert.ok(plain.includes('Account setup is still finishing.'));
-        assert.ok(plain.includes('Run the same create command again shortly:'));
-        assert.ok(plain.includes('npx @agent-analytics/cli create source-site --domain https://source.example --source-scan scan_source'));
-        assert.ok(!plain.includes('Project created'));
-        assert.ok(!plain.includes('Add this snippet'));
+        assert.equal(code, 0);
+        const result = JSON.parse(stdout);
+        assert.equal(result.rows, 2);
+        assert.equal(result.reconciled, false);
+        assert.deepEqual(result.days, [{ date: '2026-01-01', exported: 2, stats: 3, diff: -1 }]);
+        assert.equal(readFileSync(out, 'utf8').trim().split('\n').length, 2);
       } finally {
         await server.close();
+        config.cleanup();
       }
     });
 
-    it('handles failed account setup when creating a project', async () => {
-      let postCount = 0;
-      const server = await startServer(async (req, res) => {
-        if (req.method === 'POST' && req.url === '/projects') {
-          postCount += 1;
-          await readRequestJson(req);
-          res.writeHead(409, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
-            code: 'ACCOUNT_SETUP_FAILED',
-            message: 'Account setup failed.',
-          }));
-          return;
-        }
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'not found' }));
+    it('requires a start date and an output file', async () => {
+      const { code, stdout } = await run(['export', 'my-site', '--out', 'x.ndjson'], { env: agentSessionEnv('aas_test123') });
+      assert.equal(code, 1);
+      assert.match(stdout, /Usage: npx @agent-analytics\/cli export <project> --from YYYY-MM-DD/);
+    });
+  });
+
+  describe('mcp', () => {
+    function toolCall(id, name, args = {}) {
+      return { jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } };
+    }
+
+    it('serves tools over stdio with the stored agent session', async () => {
+      const config = createExplicitConfigDir({
+        agent_session: {
+          access_token: 'aas_saved',
+          access_expires_at: 1893456000000,
+          scopes: ['account:read', 'projects:read', 'analytics:read'],
+        },
+      });
+      const requests = [];
+      const server = await startServer((req, res) => {
+        requests.push(`${req.method} ${req.url} ${req.headers.authorization}`);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ project: 'my-site', totals: { events: 12 } }));
       });
 
       try {
-        const { code, stdout } = await run([
-          'init',
-          'source-site',
-          '--domain', 'https://source.example',
-        ], {
-          env: {
-            ...agentSessionEnv('aas_test123'),
-            AGENT_ANALYTICS_URL: server.baseUrl,
-          },
-        });
+        const { code, responses, stderr } = await runMcp([
+          { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1' } } },
+          { jsonrpc: '2.0', method: 'notifications/initialized' },
+          { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+          toolCall(3, 'stats', { project: 'my-site', days: 30 }),
+          toolCall(4, 'create_experiment', { project: 'my-site', name: 'cta', variants: ['a', 'b'], goal_event: 'signup' }),
+        ], { args: ['--config-dir', config.configDir], env: { AGENT_ANALYTICS_URL: server.baseUrl } });
 
-        const plain = stripAnsi(stdout);
-        assert.notEqual(code, 0);
-        assert.equal(postCount, 1);
-        assert.ok(plain.includes('Account setup failed.'));
-        assert.ok(plain.includes('Contact support before creating projects.'));
-        assert.ok(!plain.includes('Project created'));
-        assert.ok(!plain.includes('Add this snippet'));
+        assert.equal(code, 0);
+        assert.match(stderr, /MCP server/);
+        assert.deepEqual(responses.map((response) => response.id), [1, 2, 3, 4]);
+        assert.equal(responses[0].result.serverInfo.name, 'agent-analytics');
+        assert.ok(responses[1].result.tools.some((tool) => tool.name === 'funnel'));
+        assert.deepEqual(responses[2].result.structuredContent, { project: 'my-site', totals: { events: 12 } });
+        assert.equal(responses[3].result.isError, true);
+        assert.match(responses[3].result.content[0].text, /missing experiments:write, which create_experiment needs/);
+        assert.deepEqual(requests, ['GET /stats?project=my-site&since=30d Bearer aas_saved']);
       } finally {
         await server.close();
+        config.cleanup();
       }
     });
 
-    it('deletes a project by resolving project name to id', async () => {
-      let deleteUrl;
+    it('refuses mutating tools in demo mode', async () => {
+      let demoSessions = 0;
       const server = await startServer((req, res) => {
-        if (req.method === 'GET' && req.url === '/projects') {
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ projects: [stylioProject] }));
-          return;
-        }
-        if (req.method === 'DELETE' && req.url === '/projects/proj-stylio') {
-          deleteUrl = req.url;
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ ok: true }));
-          return;
-        }
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'not found' }));
+        if (req.url === '/demo/session') demoSessions += 1;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ agent_session: { access_token: 'aas_demo' }, projects: [] }));
       });
 
       try {
-        const { code, stdout } = await run(['delete', 'stylio'], {
-          env: {
-            ...agentSessionEnv('aas_test123'),
-            AGENT_ANALYTICS_URL: server.baseUrl,
-          },
-        });
+        const { code, responses } = await runMcp([
+          toolCall(1, 'delete_project', { project: 'agentanalytics-demo' }),
+          toolCall(2, 'set_portfolio_context', { context: {} }),
+          toolCall(3, 'list_projects'),
+        ], { args: ['--demo'], env: { AGENT_ANALYTICS_URL: server.baseUrl } });
 
         assert.equal(code, 0);
-        assert.equal(deleteUrl, '/projects/proj-stylio');
-        assert.ok(stdout.includes('Project stylio deleted'));
+        assert.match(responses[0].result.content[0].text, /Demo mode is read-only; delete_project/);
+        assert.match(responses[1].result.content[0].text, /Demo mode is read-only; set_portfolio_context/);
+        assert.equal(responses[2].result.isError, undefined);
+        assert.equal(demoSessions, 1);
       } finally {
         await server.close();
       }
     });
+
+    it('reports a missing login as a tool error instead of exiting', async () => {
+      const config = createExplicitConfigDir();
+
+      try {
+        const { code, responses } = await runMcp([
+          toolCall(1, 'whoami'),
+          { jsonrpc: '2.0', id: 2, method: 'ping' },
+        ], { args: ['--config-dir', config.configDir] });
+
+        assert.equal(code, 0);
+        assert.match(responses[0].result.content[0].text, /Not logged in/);
+        assert.deepEqual(responses[1].result, {});
+      } finally {
+        config.cleanup();
+      }
+    });
   });
 
   describe('logout', () => {
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { optionKey } from '../lib/args.mjs';
+import { COMMANDS, commandFlags } from '../lib/command-spec.mjs';
+
+const CLI_SOURCE = readFileSync(new URL('../bin/cli.mjs', import.meta.url), 'utf8');
+const DISPATCH = CLI_SOURCE.slice(CLI_SOURCE.indexOf('async function runCommand('));
+
+// [names, body] for each group of `case` labels in the dispatch switch.
+function dispatchCases() {
+  const groups = [];
+  for (const block of DISPATCH.split(/\n(?= {4}case ')/).slice(1)) {
+    const names = [...block.matchAll(/^ {4}case '([^']+)':/gm)].map((match) => match[1]);
+    if (groups.length > 0 && groups[groups.length - 1].body.trim() === '') groups[groups.length - 1].names.push(...names);
+    else groups.push({ names, body: '' });
+    groups[groups.length - 1].body = block.replace(/^ {4}case '[^']+':( \{)?\n?/gm, '');
+  }
+  return groups;
+}
+
+describe('command-spec', () => {
+  it('lists every command the CLI dispatches', () => {
+    const names = dispatchCases().flatMap((group) => group.names).filter((name) => !name.startsWith('-'));
+    assert.ok(names.length > 40);
+    assert.deepEqual(names.filter((name) => !COMMANDS[name]), []);
+  });
+
+  it('declares every option the dispatch reads for a command', () => {
+    const missing = [];
+    for (const { names, body } of dispatchCases()) {
+      const read = [...body.matchAll(/options\.([a-z_]+)/g)].map((match) => match[1]);
+      for (const name of names.filter((n) => COMMANDS[n])) {
+        const keys = Object.keys(commandFlags(name)).map(optionKey);
+        for (const key of read) if (!keys.includes(key)) missing.push(`${name} ${key}`);
+      }
+    }
+    assert.deepEqual(missing, []);
+  });
+
+  it('gives every option a help line and a value name', () => {
+    for (const [name, spec] of Object.entries(COMMANDS)) {
+      for (const [flag, option] of Object.entries(spec.flags || {})) {
+        assert.ok(option.help, `${name} ${flag} has no help`);
+        if (option.type !== 'switch') assert.ok(option.value, `${name} ${flag} has no value name`);
+      }
+    }
+  });
+});
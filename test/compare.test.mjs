@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildComparison, comparisonTableRows, formatComparisonValue } from '../lib/compare.mjs';
+
+const RESULTS = [
+  {
+    project: 'site-a',
+    stats: { totals: { total_events: 200, unique_users: 50 }, events: [{ event: 'page_view', count: 150 }, { event: 'signup', count: 50 }] },
+    insights: { metrics: { total_events: { current: 200, change_pct: 10 }, bounce_rate: { current: 0.4, change_pct: -5 } } },
+    funnel: { steps: [{ step: 1, event: 'page_view', strict_survivors: 50 }, { step: 2, event: 'signup', strict_survivors: 10 }], overall_conversion_rate: 0.2 },
+  },
+  {
+    project: 'site-b',
+    stats: { totals: { total_events: 300, unique_users: 100 }, events: [{ event: 'page_view', count: 300 }] },
+    insights: { metrics: { total_events: { current: 300, change_pct: 50 }, bounce_rate: { current: 0.5, change_pct: 0 } } },
+    funnel: { steps: [{ step: 1, event: 'page_view', strict_survivors: 100 }, { step: 2, event: 'signup', strict_survivors: 0 }], overall_conversion_rate: 0 },
+  },
+];
+
+const find = (comparison, section, metric) => comparison.rows.find((row) => row.section === section && row.metric === metric);
+
+describe('compare', () => {
+  it('lines up stats, insights, and funnel values with deltas against the first project', () => {
+    const comparison = buildComparison(RESULTS);
+
+    assert.deepEqual(comparison.projects, ['site-a', 'site-b']);
+    assert.equal(comparison.baseline, 'site-a');
+    assert.deepEqual(find(comparison, 'stats', 'events'), { section: 'stats', metric: 'events', kind: 'count', values: { 'site-a': 200, 'site-b': 300 }, delta_pct: { 'site-b': 50 } });
+    assert.deepEqual(find(comparison, 'stats', 'signup').values, { 'site-a': 50, 'site-b': 0 });
+    assert.equal(find(comparison, 'insights', 'bounce rate').kind, 'rate');
+    assert.equal(find(comparison, 'insights', 'bounce rate').delta_pct['site-b'], 25);
+    assert.equal(find(comparison, 'insights', 'total events change').delta_pct['site-b'], null);
+    assert.deepEqual(find(comparison, 'funnel', '2. signup').values, { 'site-a': 10, 'site-b': 0 });
+    assert.equal(find(comparison, 'funnel', 'overall conversion').delta_pct['site-b'], -100);
+  });
+
+  it('normalizes counts per unique user', () => {
+    const comparison = buildComparison(RESULTS);
+
+    assert.deepEqual(find(comparison, 'per_user', 'events per user').values, { 'site-a': 4, 'site-b': 3 });
+    assert.equal(find(comparison, 'per_user', 'events per user').delta_pct['site-b'], -25);
+    assert.deepEqual(find(comparison, 'per_user', 'signup per user').values, { 'site-a': 1, 'site-b': 0 });
+    assert.deepEqual(find(comparison, 'per_user', 'reached signup').values, { 'site-a': 0.2, 'site-b': 0 });
+  });
+
+  it('skips funnel rows without a funnel and leaves per-user values empty without users', () => {
+    const comparison = buildComparison([
+      { project: 'a', stats: { totals: { total_events: 5, unique_users: 0 } }, insights: {} },
+      { project: 'b', stats: { totals: { total_events: 0, unique_users: 0 } }, insights: {} },
+    ]);
+
+    assert.equal(comparison.rows.some((row) => row.section === 'funnel'), false);
+    assert.deepEqual(find(comparison, 'per_user', 'events per user').values, { a: null, b: null });
+    assert.equal(find(comparison, 'stats', 'events').delta_pct.b, -100);
+  });
+
+  it('flattens rows and formats values by kind', () => {
+    const [events] = comparisonTableRows(buildComparison(RESULTS));
+    assert.deepEqual(events, { section: 'stats', metric: 'events', 'site-a': 200, 'site-b': 300, 'site-b_vs_baseline_pct': 50 });
+
+    assert.equal(formatComparisonValue(1234, 'count'), '1,234');
+    assert.equal(formatComparisonValue(0.256, 'rate'), '25.6%');
+    assert.equal(formatComparisonValue(12, 'change'), '+12%');
+    assert.equal(formatComparisonValue(2.345, 'ratio'), '2.35');
+    assert.equal(formatComparisonValue(null, 'count'), '—');
+  });
+});
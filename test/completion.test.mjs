@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { completionScript, PROJECT_CACHE_MAX_AGE_MS, readProjectCache, writeProjectCache } from '../lib/completion.mjs';
+
+const HAS_BASH = spawnSync('bash', ['--version']).status === 0;
+
+// Runs the bash script's completion function for `words` (the last one is being
+// completed), with `agent-analytics __complete projects` stubbed out.
+function bashComplete(dir, words) {
+  const script = join(dir, 'completion.bash');
+  writeFileSync(script, completionScript('bash'));
+  const program = [
+    `source ${script}`,
+    `agent-analytics() { printf 'my-site\\ndocs\\n'; }`,
+    'COMP_WORDS=("$@"); COMP_CWORD=$((${#COMP_WORDS[@]} - 1))',
+    '_agent_analytics',
+    'printf "%s\\n" "${COMPREPLY[@]}"',
+  ].join('\n');
+  return execFileSync('bash', ['-c', program, 'bash', 'agent-analytics', ...words], { encoding: 'utf8' }).split('\n').filter(Boolean);
+}
+
+describe('completionScript', () => {
+  it('completes commands, subcommands, enum values, and projects in bash', { skip: !HAS_BASH }, () => {
+    const dir = mkdtempSync(join(tmpdir(), 'agent-analytics-completion-'));
+    try {
+      assert.deepEqual(bashComplete(dir, ['ex']), ['export-config', 'experiments', 'export']);
+      assert.deepEqual(bashComplete(dir, ['__']), []);
+      assert.deepEqual(bashComplete(dir, ['experiments', '']), ['list', 'create', 'get', 'pause', 'resume', 'complete', 'delete']);
+      assert.deepEqual(bashComplete(dir, ['context', 'g']), ['get']);
+      assert.deepEqual(bashComplete(dir, ['pages', 'my-site', '--type', '']), ['entry', 'exit', 'both']);
+      assert.deepEqual(bashComplete(dir, ['funnel', 'my-site', '--count-by', '']), ['user_id', 'session_id']);
+      assert.deepEqual(bashComplete(dir, ['all-sites', '--period', '3']), ['30d']);
+      assert.deepEqual(bashComplete(dir, ['stats', 'my-site', '--format', 'c']), ['csv']);
+      assert.deepEqual(bashComplete(dir, ['pages', '--t']), ['--type']);
+      assert.deepEqual(bashComplete(dir, ['stats', '--days', '7', '']), ['my-site', 'docs']);
+      assert.deepEqual(bashComplete(dir, ['experiments', 'list', 'd']), ['docs']);
+      assert.deepEqual(bashComplete(dir, ['portfolios', 'create', 'x', '--projects', 'my-site,d']), ['my-site,docs']);
+      assert.deepEqual(bashComplete(dir, ['experiments', 'get', '']), []);
+      assert.deepEqual(bashComplete(dir, ['stats', 'my-site', '']), []);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('writes the same table into zsh and fish scripts', () => {
+    const zsh = completionScript('zsh');
+    assert.match(zsh, /^#compdef agent-analytics\n/);
+    assert.match(zsh, /\('pages --type'\) candidates=\(entry exit both\) ;;/);
+    assert.match(zsh, /\(experiments\) flags="[^"]*"; takes="[^"]*"; subs="list create get pause resume complete delete"; project=2; after="list create" ;;/);
+
+    const fish = completionScript('fish');
+    assert.match(fish, /complete -c agent-analytics -n '__agent_analytics_using pages' -l type -x -a 'entry exit both'/);
+    assert.match(fish, /complete -c agent-analytics -n '__agent_analytics_argument experiments 2 list create' -a '\(__agent_analytics_projects\)'/);
+    assert.match(fish, /complete -c agent-analytics -n '__agent_analytics_using import' -l file -r -F/);
+
+    assert.throws(() => completionScript('tcsh'), /Unknown shell "tcsh". Use one of: bash, zsh, fish/);
+  });
+});
+
+describe('project cache', () => {
+  it('keeps names per profile and marks old entries stale', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'agent-analytics-completion-'));
+    const file = join(dir, 'completion_cache.json');
+    try {
+      assert.equal(readProjectCache(file, 'default'), null);
+      writeProjectCache(file, 'default', ['my-site'], 1000);
+      writeProjectCache(file, 'work', ['docs'], 1000);
+
+      assert.deepEqual(readProjectCache(file, 'default', 2000), { projects: ['my-site'], fresh: true });
+      assert.deepEqual(readProjectCache(file, 'work', 1000 + PROJECT_CACHE_MAX_AGE_MS), { projects: ['docs'], fresh: false });
+      writeFileSync(file, 'not json');
+      assert.equal(readProjectCache(file, 'default'), null);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
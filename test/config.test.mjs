@@ -1,11 +1,13 @@
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { mkdtempSync, rmSync } from 'node:fs';
+import { existsSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
 import { tmpdir } from 'node:os';
 import { join } from 'node:path';
 import {
   clearStoredAuth,
   clearConfigDirOverride,
+  clearProfileOverride,
+  getActiveProfile,
   getApiKey,
   getBaseUrl,
   getConfig,
@@ -13,10 +15,15 @@ import {
   saveConfig,
   getConfigFile,
   getConfigLocation,
+  getEnvironmentAuth,
   getStoredAuth,
   getAuthSource,
   setApiKey,
+  listProfiles,
+  removeProfile,
   setConfigDirOverride,
+  setProfileOverride,
+  useProfile,
 } from '../lib/config.mjs';
 import {
   clearCredentialStoreTestSeams,
@@ -27,6 +34,9 @@ const ORIGINAL_XDG_CONFIG_HOME = process.env.XDG_CONFIG_HOME;
 const ORIGINAL_CONFIG_DIR = process.env.AGENT_ANALYTICS_CONFIG_DIR;
 const ORIGINAL_API_KEY = process.env.AGENT_ANALYTICS_API_KEY;
 const ORIGINAL_API_URL = process.env.AGENT_ANALYTICS_URL;
+const ORIGINAL_PROFILE = process.env.AGENT_ANALYTICS_PROFILE;
+const ENV_AUTH_VARS = ['AGENT_ANALYTICS_ACCESS_TOKEN', 'AGENT_ANALYTICS_REFRESH_TOKEN', 'AGENT_ANALYTICS_SESSION_FILE'];
+const ORIGINAL_ENV_AUTH = Object.fromEntries(ENV_AUTH_VARS.map((name) => [name, process.env[name]]));
 
 let tempConfigHome;
 let extraTempDirs = [];
@@ -44,20 +54,26 @@ beforeEach(() => {
   tempConfigHome = mkdtempSync(join(tmpdir(), 'agent-analytics-config-'));
   extraTempDirs = [];
   clearConfigDirOverride();
+  clearProfileOverride();
   clearCredentialStoreTestSeams();
   process.env.XDG_CONFIG_HOME = tempConfigHome;
+  delete process.env.AGENT_ANALYTICS_PROFILE;
   delete process.env.AGENT_ANALYTICS_CONFIG_DIR;
   delete process.env.AGENT_ANALYTICS_API_KEY;
   delete process.env.AGENT_ANALYTICS_URL;
+  for (const name of ENV_AUTH_VARS) delete process.env[name];
 });
 
 afterEach(() => {
   clearConfigDirOverride();
+  clearProfileOverride();
   clearCredentialStoreTestSeams();
   restoreEnv('XDG_CONFIG_HOME', ORIGINAL_XDG_CONFIG_HOME);
+  restoreEnv('AGENT_ANALYTICS_PROFILE', ORIGINAL_PROFILE);
   restoreEnv('AGENT_ANALYTICS_CONFIG_DIR', ORIGINAL_CONFIG_DIR);
   restoreEnv('AGENT_ANALYTICS_API_KEY', ORIGINAL_API_KEY);
   restoreEnv('AGENT_ANALYTICS_URL', ORIGINAL_API_URL);
+  for (const name of ENV_AUTH_VARS) restoreEnv(name, ORIGINAL_ENV_AUTH[name]);
   rmSync(tempConfigHome, { recursive: true, force: true });
   for (const dir of extraTempDirs) {
     rmSync(dir, { recursive: true, force: true });
@@ -228,4 +244,125 @@ describe('config', () => {
       assert.deepEqual(getConfig(), {});
     });
   });
+
+  describe('profiles', () => {
+    it('keeps the default profile at the top level and named profiles under profiles', () => {
+      saveConfig({ email: 'me@example.com' });
+      setProfileOverride('client');
+      saveConfig({ email: 'client@example.com', base_url: 'https://client.example.com' });
+
+      assert.equal(getConfig().email, 'client@example.com');
+      assert.equal(getBaseUrl(), 'https://client.example.com');
+
+      clearProfileOverride();
+      assert.equal(getConfig().email, 'me@example.com');
+      assert.equal(getConfig().profiles.client.email, 'client@example.com');
+      assert.equal(getBaseUrl(), 'https://api.agentanalytics.sh');
+    });
+
+    it('resolves the active profile from flag, then env, then profiles use', () => {
+      assert.deepEqual(getActiveProfile(), { name: 'default', source: 'default', label: 'default' });
+
+      useProfile('staging', { baseUrl: 'https://staging.example.com' });
+      assert.equal(getActiveProfile().name, 'staging');
+      assert.equal(getActiveProfile().source, 'config');
+      assert.equal(getBaseUrl(), 'https://staging.example.com');
+
+      process.env.AGENT_ANALYTICS_PROFILE = 'ci';
+      assert.equal(getActiveProfile().source, 'env');
+      assert.equal(getActiveProfile().name, 'ci');
+
+      setProfileOverride('client');
+      assert.equal(getActiveProfile().source, 'flag');
+      assert.equal(getActiveProfile().name, 'client');
+    });
+
+    it('rejects an invalid AGENT_ANALYTICS_PROFILE like an invalid --profile', () => {
+      process.env.AGENT_ANALYTICS_PROFILE = '../x';
+      assert.throws(() => getActiveProfile(), /Invalid profile name "\.\.\/x" in AGENT_ANALYTICS_PROFILE/);
+
+      setProfileOverride('client');
+      assert.equal(getActiveProfile().name, 'client');
+    });
+
+    it('preserves profile bookkeeping when the default profile is saved', () => {
+      useProfile('client');
+      saveConfig({ email: 'me@example.com' }, 'default');
+
+      assert.equal(getActiveProfile().name, 'client');
+      assert.deepEqual(listProfiles().map((profile) => [profile.name, profile.active]), [
+        ['default', false],
+        ['client', true],
+      ]);
+    });
+
+    it('clears stored auth for the active profile only', async () => {
+      saveConfig({ email: 'me@example.com' });
+      setProfileOverride('client');
+      saveConfig({ email: 'client@example.com', base_url: 'https://client.example.com' });
+
+      assert.equal(await clearStoredAuth(), true);
+      assert.deepEqual(getConfig(), { base_url: 'https://client.example.com' });
+      assert.equal(getConfig('default').email, 'me@example.com');
+    });
+
+    it('removes named profiles and falls back to default when the active one is removed', async () => {
+      useProfile('client', { baseUrl: 'https://client.example.com' });
+
+      assert.equal(await removeProfile('client'), true);
+      assert.equal(await removeProfile('client'), false);
+      assert.equal(getActiveProfile().name, 'default');
+      assert.deepEqual(getConfig('default'), {});
+      await assert.rejects(() => removeProfile('default'), /cannot be removed/);
+    });
+
+    it('rejects invalid profile names', () => {
+      assert.throws(() => useProfile('../etc'), /Invalid profile name/);
+    });
+  });
+
+  describe('environment auth', () => {
+    it('prefers token variables over the stored session without writing config', async () => {
+      saveConfig({ agent_session: { access_token: 'stored_access', refresh_token: 'stored_refresh' } });
+      process.env.AGENT_ANALYTICS_ACCESS_TOKEN = 'env_access';
+      process.env.AGENT_ANALYTICS_REFRESH_TOKEN = 'env_refresh';
+
+      assert.deepEqual(await getStoredAuth(), { access_token: 'env_access', refresh_token: 'env_refresh' });
+      assert.equal(getAuthSource(), 'environment (AGENT_ANALYTICS_ACCESS_TOKEN)');
+      assert.equal((await getStoredAuth({ includeEnvironment: false })).access_token, 'stored_access');
+      assert.equal(getConfig().agent_session.access_token, 'stored_access');
+    });
+
+    it('marks a refresh-token-only session as expired so it refreshes first', () => {
+      process.env.AGENT_ANALYTICS_REFRESH_TOKEN = 'env_refresh';
+
+      assert.deepEqual(getEnvironmentAuth(), {
+        source: 'AGENT_ANALYTICS_REFRESH_TOKEN',
+        session: { access_expires_at: 0, refresh_token: 'env_refresh' },
+      });
+      assert.equal(existsSync(getConfigFile()), false);
+    });
+
+    it('reads a session file in login output or bare session shape', async () => {
+      const file = join(tempConfigHome, 'session.json');
+      writeFileSync(file, JSON.stringify({ agent_session: { id: 'sess_ci', access_token: 'file_access', scopes: ['analytics:read'] } }));
+      process.env.AGENT_ANALYTICS_SESSION_FILE = file;
+
+      assert.deepEqual(await getStoredAuth(), { id: 'sess_ci', access_token: 'file_access', scopes: ['analytics:read'] });
+      assert.equal(getAuthSource(), 'environment (AGENT_ANALYTICS_SESSION_FILE)');
+
+      writeFileSync(file, JSON.stringify({ refresh_token: 'file_refresh' }));
+      assert.equal((await getStoredAuth()).refresh_token, 'file_refresh');
+    });
+
+    it('rejects session files without tokens', () => {
+      const file = join(tempConfigHome, 'session.json');
+      writeFileSync(file, '{"id":"sess_ci"}');
+      process.env.AGENT_ANALYTICS_SESSION_FILE = file;
+      assert.throws(() => getEnvironmentAuth(), /has no access_token or refresh_token/);
+
+      process.env.AGENT_ANALYTICS_SESSION_FILE = join(tempConfigHome, 'missing.json');
+      assert.throws(() => getEnvironmentAuth(), /Could not read AGENT_ANALYTICS_SESSION_FILE/);
+    });
+  });
 });
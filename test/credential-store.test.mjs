@@ -1,24 +1,31 @@
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { mkdtempSync, rmSync, readFileSync } from 'node:fs';
+import { existsSync, mkdtempSync, rmSync, readdirSync, readFileSync, statSync, utimesSync, writeFileSync } from 'node:fs';
 import { tmpdir } from 'node:os';
 import { join } from 'node:path';
 import {
   clearCredentialStoreTestSeams,
+  agentSessionLockFile,
   clearAgentSession,
   credentialAccountForBaseUrl,
+  credentialKeyFile,
+  linuxSecretServiceAvailable,
   getCredentialStoreMode,
   readAgentSession,
   saveAgentSession,
+  selectedStorage,
   setCredentialStoreTestSeams,
+  withAgentSessionLock,
 } from '../lib/credential-store.mjs';
 import {
   clearConfigDirOverride,
+  clearProfileOverride,
   getConfig,
   getStoredAuth,
   saveConfig,
   setAgentSession,
   setConfigDirOverride,
+  setProfileOverride,
 } from '../lib/config.mjs';
 
 let tempDir;
@@ -43,6 +50,7 @@ beforeEach(() => {
 afterEach(() => {
   clearCredentialStoreTestSeams();
   clearConfigDirOverride();
+  clearProfileOverride();
   delete process.env.AGENT_ANALYTICS_CREDENTIAL_STORE;
   delete process.env.AGENT_ANALYTICS_URL;
   rmSync(tempDir, { recursive: true, force: true });
@@ -135,6 +143,38 @@ describe('credential-store', () => {
     assert.equal(fakeKeyring.size, 0);
   });
 
+  it('keys native credentials for named profiles separately from the default profile', async () => {
+    const fakeKeyring = new Map();
+    setCredentialStoreTestSeams({
+      platform: 'darwin',
+      nativeKeyring: {
+        async setPassword(service, account, value) {
+          fakeKeyring.set(account, value);
+        },
+        async getPassword(service, account) {
+          return fakeKeyring.get(account) || null;
+        },
+        async deletePassword(service, account) {
+          fakeKeyring.delete(account);
+        },
+      },
+    });
+
+    await setAgentSession(fullSession);
+    setProfileOverride('client');
+    await setAgentSession({ ...fullSession, id: 'sess_client' });
+
+    assert.deepEqual([...fakeKeyring.keys()].sort(), [
+      'https://api.agentanalytics.sh|client',
+      'https://api.agentanalytics.sh|default',
+    ]);
+    assert.equal((await getStoredAuth()).id, 'sess_client');
+    assert.equal(getConfig().agent_session.credential, 'https://api.agentanalytics.sh|client');
+
+    clearProfileOverride();
+    assert.equal((await getStoredAuth()).id, 'sess_native_test');
+  });
+
   it('falls back to file storage in auto desktop mode when native credential storage is unavailable', async () => {
     setCredentialStoreTestSeams({
       platform: 'win32',
@@ -400,4 +440,287 @@ describe('credential-store', () => {
     assert.equal(config.agent_session.storage, 'file');
     assert.deepEqual(await readAgentSession(), fullSession);
   });
+
+  describe('linux secret service', () => {
+    const ORIGINAL_DBUS = process.env.DBUS_SESSION_BUS_ADDRESS;
+    const ORIGINAL_PLATFORM = process.env.AGENT_ANALYTICS_CREDENTIAL_PLATFORM;
+
+    afterEach(() => {
+      for (const [name, value] of [['DBUS_SESSION_BUS_ADDRESS', ORIGINAL_DBUS], ['AGENT_ANALYTICS_CREDENTIAL_PLATFORM', ORIGINAL_PLATFORM]]) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+    });
+
+    it('uses the native keyring in linux auto mode when a secret service is available', async () => {
+      const fakeKeyring = new Map();
+      setCredentialStoreTestSeams({
+        platform: 'linux',
+        secretService: true,
+        nativeKeyring: {
+          async setPassword(service, account, value) { fakeKeyring.set(account, value); },
+          async getPassword(service, account) { return fakeKeyring.get(account) || null; },
+          async deletePassword(service, account) { fakeKeyring.delete(account); },
+        },
+      });
+
+      const saved = await setAgentSession(fullSession);
+
+      assert.equal(saved.storage, 'native');
+      assert.equal(getConfig().agent_session.access_token, undefined);
+      assert.deepEqual(await getStoredAuth(), fullSession);
+    });
+
+    it('falls back to file storage when the secret service rejects the write', async () => {
+      setCredentialStoreTestSeams({
+        platform: 'linux',
+        secretService: true,
+        nativeKeyring: {
+          async setPassword() { throw new Error('Cannot autolaunch D-Bus without X11 $DISPLAY'); },
+          async getPassword() { return null; },
+          async deletePassword() {},
+        },
+      });
+
+      const saved = await setAgentSession(fullSession);
+
+      assert.equal(saved.storage, 'file');
+      assert.equal(saved.fallback.from, 'native');
+      assert.match(saved.fallback.message, /D-Bus/);
+    });
+
+    it('detects the session bus from the environment only on the real host', () => {
+      delete process.env.AGENT_ANALYTICS_CREDENTIAL_PLATFORM;
+      process.env.DBUS_SESSION_BUS_ADDRESS = 'unix:path=/run/user/1000/bus';
+      assert.equal(linuxSecretServiceAvailable(), true);
+      assert.equal(selectedStorage('auto', 'linux'), 'native');
+
+      delete process.env.DBUS_SESSION_BUS_ADDRESS;
+      assert.equal(linuxSecretServiceAvailable(), false);
+      assert.equal(selectedStorage('auto', 'linux'), 'file');
+
+      process.env.DBUS_SESSION_BUS_ADDRESS = 'unix:path=/run/user/1000/bus';
+      process.env.AGENT_ANALYTICS_CREDENTIAL_PLATFORM = 'linux';
+      assert.equal(linuxSecretServiceAvailable(), false);
+    });
+  });
+
+  describe('encrypted-file storage', () => {
+    let keyDir;
+
+    // A key file outside the config directory, as a mounted secret would be.
+    function useKeyFile() {
+      process.env.AGENT_ANALYTICS_CREDENTIAL_KEY_FILE = join(keyDir, 'session.key');
+      return process.env.AGENT_ANALYTICS_CREDENTIAL_KEY_FILE;
+    }
+
+    beforeEach(() => {
+      process.env.AGENT_ANALYTICS_CREDENTIAL_STORE = 'encrypted-file';
+      setCredentialStoreTestSeams({ platform: 'linux' });
+      keyDir = mkdtempSync(join(tmpdir(), 'agent-analytics-key-'));
+    });
+
+    afterEach(() => {
+      delete process.env.AGENT_ANALYTICS_CREDENTIAL_KEY_FILE;
+      rmSync(keyDir, { recursive: true, force: true });
+    });
+
+    it('stores only ciphertext and metadata in config and a private key file elsewhere', async () => {
+      const keyFile = useKeyFile();
+      const saved = await setAgentSession(fullSession);
+      const raw = readFileSync(join(tempDir, 'config.json'), 'utf8');
+      const session = getConfig().agent_session;
+
+      assert.deepEqual(saved, { storage: 'encrypted-file', keySource: 'key file', keyFile });
+      assert.equal(raw.includes('aas_native_secret'), false);
+      assert.equal(raw.includes('aar_native_secret'), false);
+      assert.equal(session.storage, 'encrypted-file');
+      assert.equal(session.id, 'sess_native_test');
+      assert.deepEqual(session.scopes, fullSession.scopes);
+      assert.equal(session.encrypted.alg, 'aes-256-gcm');
+      assert.equal(statSync(credentialKeyFile()).mode & 0o777, 0o600);
+      assert.deepEqual(await getStoredAuth(), fullSession);
+    });
+
+    it('remembers the key file it was saved with', async () => {
+      const keyFile = useKeyFile();
+      await setAgentSession(fullSession);
+      delete process.env.AGENT_ANALYTICS_CREDENTIAL_KEY_FILE;
+
+      assert.equal(getConfig().agent_session.encrypted.key_file, keyFile);
+      assert.deepEqual(await getStoredAuth(), fullSession);
+      assert.deepEqual(readdirSync(tempDir).filter((name) => name.endsWith('.key')), []);
+    });
+
+    it('refuses to save without a passphrase or a key file kept apart from the config', async () => {
+      await assert.rejects(() => setAgentSession(fullSession), /encrypted-file storage needs a key kept apart from the config/);
+      assert.equal(getConfig().agent_session, undefined);
+
+      process.env.AGENT_ANALYTICS_CREDENTIAL_KEY_FILE = join(tempDir, 'credential.key');
+      await assert.rejects(() => setAgentSession(fullSession), /is in the config directory, next to the session it protects/);
+      assert.equal(existsSync(join(tempDir, 'credential.key')), false);
+    });
+
+    it('fails clearly when the key file no longer matches', async () => {
+      useKeyFile();
+      await setAgentSession(fullSession);
+      writeFileSync(credentialKeyFile(), `${Buffer.alloc(32, 7).toString('base64')}\n`);
+
+      await assert.rejects(() => getStoredAuth(), /Could not decrypt the stored agent session.*run login again/s);
+    });
+
+    it('does not decrypt a session copied into another profile', async () => {
+      useKeyFile();
+      await setAgentSession(fullSession);
+      const copied = getConfig().agent_session;
+      saveConfig({ agent_session: copied }, 'client');
+
+      await assert.rejects(() => readAgentSession(getConfig('client'), undefined, 'client'), /Could not decrypt/);
+    });
+
+    it('migrates an existing plaintext session to encrypted storage on read', async () => {
+      useKeyFile();
+      saveConfig({ agent_session: { ...fullSession, storage: 'file' } });
+
+      assert.deepEqual(await getStoredAuth(), fullSession);
+      const session = getConfig().agent_session;
+      assert.equal(session.storage, 'encrypted-file');
+      assert.equal(session.access_token, undefined);
+      assert.deepEqual(await getStoredAuth(), fullSession);
+    });
+
+    describe('passphrase keys', () => {
+      afterEach(() => {
+        delete process.env.AGENT_ANALYTICS_CREDENTIAL_PASSPHRASE;
+      });
+
+      it('derives the key from AGENT_ANALYTICS_CREDENTIAL_PASSPHRASE without writing a key file', async () => {
+        process.env.AGENT_ANALYTICS_CREDENTIAL_PASSPHRASE = 'correct horse';
+
+        const saved = await setAgentSession(fullSession);
+        const encrypted = getConfig().agent_session.encrypted;
+
+        assert.deepEqual(saved, { storage: 'encrypted-file', keySource: 'passphrase' });
+        assert.equal(encrypted.kdf.name, 'scrypt');
+        assert.equal(typeof encrypted.kdf.salt, 'string');
+        assert.equal(credentialKeyFile(), null);
+        assert.equal(encrypted.key_file, undefined);
+
+        clearCredentialStoreTestSeams();
+        assert.deepEqual(await getStoredAuth(), fullSession);
+      });
+
+      it('explains how to supply the passphrase when it is missing or wrong', async () => {
+        process.env.AGENT_ANALYTICS_CREDENTIAL_PASSPHRASE = 'correct horse';
+        await setAgentSession(fullSession);
+        clearCredentialStoreTestSeams();
+
+        delete process.env.AGENT_ANALYTICS_CREDENTIAL_PASSPHRASE;
+        await assert.rejects(() => getStoredAuth(), /encrypted with a passphrase\. Set AGENT_ANALYTICS_CREDENTIAL_PASSPHRASE/);
+
+        process.env.AGENT_ANALYTICS_CREDENTIAL_PASSPHRASE = 'battery staple';
+        await assert.rejects(() => getStoredAuth(), /The passphrase does not match/);
+      });
+
+      it('prompts once per process and reuses the passphrase when a refreshed session is saved', async () => {
+        const prompts = [];
+        const seams = {
+          platform: 'linux',
+          promptPassphrase: async ({ confirm }) => { prompts.push(confirm); return 'typed secret'; },
+        };
+        setCredentialStoreTestSeams(seams);
+
+        await setAgentSession(fullSession);
+        assert.deepEqual(prompts, [true]);
+        await setAgentSession({ ...fullSession, access_token: 'aas_rotated' });
+        assert.deepEqual(prompts, [true]);
+        assert.equal(getConfig().agent_session.encrypted.kdf.name, 'scrypt');
+
+        clearCredentialStoreTestSeams();
+        setCredentialStoreTestSeams(seams);
+        assert.equal((await getStoredAuth()).access_token, 'aas_rotated');
+        assert.deepEqual(prompts, [true, false]);
+      });
+
+      it('keeps using an existing key file when no passphrase is given', async () => {
+        let prompted = false;
+        useKeyFile();
+        await setAgentSession(fullSession);
+        setCredentialStoreTestSeams({ platform: 'linux', promptPassphrase: async () => { prompted = true; return 'nope'; } });
+
+        const saved = await setAgentSession(fullSession);
+        assert.equal(saved.keySource, 'key file');
+        assert.equal(prompted, false);
+      });
+    });
+
+    it('keeps reading encrypted sessions after switching back to file mode', async () => {
+      useKeyFile();
+      await setAgentSession(fullSession);
+      process.env.AGENT_ANALYTICS_CREDENTIAL_STORE = 'file';
+
+      assert.deepEqual(await getStoredAuth(), fullSession);
+    });
+  });
+
+  describe('agent session lock', () => {
+    it('runs holders one at a time and removes the lock file afterwards', async () => {
+      const events = [];
+      const hold = (name) => withAgentSessionLock(async () => {
+        events.push(`${name}:start`);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        events.push(`${name}:end`);
+      }, { pollMs: 5 });
+
+      await Promise.all([hold('a'), hold('b')]);
+      assert.deepEqual(events, ['a:start', 'a:end', 'b:start', 'b:end']);
+      assert.equal(existsSync(agentSessionLockFile()), false);
+    });
+
+    it('keeps a lock per profile', () => {
+      assert.equal(agentSessionLockFile(), join(tempDir, 'agent-session.default.lock'));
+      assert.equal(agentSessionLockFile('client'), join(tempDir, 'agent-session.client.lock'));
+    });
+
+    it('takes over a stale lock left by a crashed process', async () => {
+      const file = agentSessionLockFile();
+      writeFileSync(file, '999999\n');
+      const past = new Date(Date.now() - 60_000);
+      utimesSync(file, past, past);
+
+      assert.equal(await withAgentSessionLock(async () => 'ran', { timeoutMs: 100 }), 'ran');
+    });
+
+    it('leaves a lock it no longer owns in place', async () => {
+      const file = agentSessionLockFile();
+      let token;
+      await withAgentSessionLock(async () => {
+        token = readFileSync(file, 'utf8');
+        // Another process judged this lock stale and took it over.
+        writeFileSync(file, 'other-owner');
+      });
+
+      assert.match(token, new RegExp(`^${process.pid}-[0-9a-f]{16}$`));
+      assert.equal(readFileSync(file, 'utf8'), 'other-owner');
+    });
+
+    it('clears a broken stale lock without leaving files behind', async () => {
+      const file = agentSessionLockFile();
+      writeFileSync(file, '999999\n');
+      const past = new Date(Date.now() - 120_000);
+      utimesSync(file, past, past);
+
+      await withAgentSessionLock(async () => {});
+      assert.deepEqual(readdirSync(tempDir).filter((name) => name.includes('.lock')), []);
+    });
+
+    it('gives up with a clear error when another process holds the lock too long', async () => {
+      writeFileSync(agentSessionLockFile(), `${process.pid}\n`);
+
+      await assert.rejects(
+        () => withAgentSessionLock(async () => 'never', { timeoutMs: 30, pollMs: 5 }),
+        /Timed out waiting for another agent-analytics process to refresh the session/,
+      );
+    });
+  });
 });
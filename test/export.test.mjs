@@ -0,0 +1,147 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { gunzipSync } from 'node:zlib';
+import { checkpointFileFor, exportDays, parseExportDate, reconcileWithStats, runExport } from '../lib/export.mjs';
+
+const T = (iso) => Date.parse(iso);
+
+// Fake /events: newest first, inclusive since (a day) and until (ISO).
+function eventsApi(events) {
+  const calls = [];
+  return {
+    calls,
+    fetchPage: async ({ since, until, limit }) => {
+      calls.push({ since, until, limit });
+      const from = T(`${since}T00:00:00Z`);
+      const to = T(until);
+      const matching = events
+        .filter((event) => event.timestamp >= from && event.timestamp <= to)
+        .sort((a, b) => b.timestamp - a.timestamp);
+      return { events: matching.slice(0, limit) };
+    },
+  };
+}
+
+function withTempDir(fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'agent-analytics-export-'));
+  return Promise.resolve(fn(dir)).finally(() => rmSync(dir, { recursive: true, force: true }));
+}
+
+const EVENTS = [
+  { id: 'a', event: 'page_view', timestamp: T('2026-01-01T08:00:00Z') },
+  { id: 'b', event: 'page_view', timestamp: T('2026-01-01T09:00:00Z') },
+  { id: 'c', event: 'signup', timestamp: T('2026-01-01T09:00:00Z') },
+  { id: 'd', event: 'signup', timestamp: T('2026-01-01T10:00:00Z') },
+  { id: 'e', event: 'page_view', timestamp: T('2026-01-01T23:59:59.999Z') },
+  { id: 'f', event: 'purchase', timestamp: T('2026-01-03T12:00:00Z') },
+];
+
+function readIds(file) {
+  return gunzipSync(readFileSync(file)).toString('utf8').trim().split('\n').map((line) => JSON.parse(line).id);
+}
+
+describe('export', () => {
+  it('walks every day in pages and writes each event once as gzip NDJSON', () => withTempDir(async (dir) => {
+    const out = join(dir, 'events.ndjson.gz');
+    const api = eventsApi(EVENTS);
+
+    const result = await runExport({ fetchPage: api.fetchPage, project: 'shop', from: '2026-01-01', to: '2026-01-03', out, pageSize: 3 });
+
+    assert.deepEqual(readIds(out).sort(), ['a', 'b', 'c', 'd', 'e', 'f']);
+    assert.deepEqual(result, { rows: 6, bytes: readFileSync(out).length, days: { '2026-01-01': 5, '2026-01-03': 1 }, resumed: false });
+    assert.equal(api.calls[0].until, '2026-01-01T23:59:59.999Z');
+    assert.equal(api.calls[1].until, '2026-01-01T09:00:00.000Z');
+    assert.equal(existsSync(checkpointFileFor(out)), false);
+  }));
+
+  it('resumes from the checkpoint after an interrupted run', () => withTempDir(async (dir) => {
+    const out = join(dir, 'events.ndjson.gz');
+    const api = eventsApi(EVENTS);
+    let calls = 0;
+    const flaky = async (args) => {
+      calls += 1;
+      if (calls === 2) throw new Error('network down');
+      return api.fetchPage(args);
+    };
+
+    await assert.rejects(runExport({ fetchPage: flaky, project: 'shop', from: '2026-01-01', to: '2026-01-03', out, pageSize: 3 }), /network down/);
+    const checkpoint = JSON.parse(readFileSync(checkpointFileFor(out), 'utf8'));
+    assert.equal(checkpoint.rows, 3);
+    assert.equal(checkpoint.day, '2026-01-01');
+
+    // A page that was half written when the process died is cut off on resume.
+    writeFileSync(out, Buffer.concat([readFileSync(out), Buffer.from('partial')]));
+    const result = await runExport({ fetchPage: api.fetchPage, project: 'shop', from: '2026-01-01', to: '2026-01-03', out, pageSize: 3 });
+
+    assert.equal(result.resumed, true);
+    assert.equal(result.rows, 6);
+    assert.deepEqual(readIds(out).sort(), ['a', 'b', 'c', 'd', 'e', 'f']);
+  }));
+
+  it('refuses to overwrite or mix exports without --restart', () => withTempDir(async (dir) => {
+    const out = join(dir, 'events.ndjson');
+    writeFileSync(out, 'old\n');
+    const api = eventsApi(EVENTS);
+
+    await assert.rejects(runExport({ fetchPage: api.fetchPage, project: 'shop', from: '2026-01-01', to: '2026-01-01', out }), /already exists\. Pass --restart/);
+
+    writeFileSync(checkpointFileFor(out), JSON.stringify({ version: 1, project: 'other', from: '2026-01-01', to: '2026-01-01', bytes: 0 }));
+    await assert.rejects(runExport({ fetchPage: api.fetchPage, project: 'shop', from: '2026-01-01', to: '2026-01-01', out }), /belongs to a different export/);
+
+    const result = await runExport({ fetchPage: api.fetchPage, project: 'shop', from: '2026-01-01', to: '2026-01-01', out, restart: true });
+    assert.equal(result.rows, 5);
+    assert.equal(readFileSync(out, 'utf8').trim().split('\n').length, 5);
+  }));
+
+  it('stops when a whole page shares one timestamp', () => withTempDir(async (dir) => {
+    const out = join(dir, 'events.ndjson');
+    const api = eventsApi(EVENTS);
+
+    await assert.rejects(
+      runExport({ fetchPage: api.fetchPage, project: 'shop', from: '2026-01-01', to: '2026-01-01', out, pageSize: 2 }),
+      /At least 2 events share the timestamp 2026-01-01T09:00:00.000Z/,
+    );
+  }));
+
+  it('stops instead of duplicating rows when /events ignores until', () => withTempDir(async (dir) => {
+    const out = join(dir, 'events.ndjson');
+    const dayOne = EVENTS.filter((event) => event.id !== 'f');
+    // Newest events since the day, whatever the until cursor says.
+    const ignoresUntil = async ({ since, limit }) => ({
+      events: dayOne.filter((event) => event.timestamp >= T(`${since}T00:00:00Z`)).sort((a, b) => b.timestamp - a.timestamp).slice(0, limit),
+    });
+
+    await assert.rejects(
+      runExport({ fetchPage: ignoresUntil, project: 'shop', from: '2026-01-01', to: '2026-01-01', out, pageSize: 3 }),
+      /returned an event from 2026-01-01T23:59:59\.999Z, after the requested until=2026-01-01T09:00:00\.000Z\. This API does not bound \/events by until/,
+    );
+    assert.equal(readFileSync(out, 'utf8').trim().split('\n').length, 3);
+    assert.equal(JSON.parse(readFileSync(checkpointFileFor(out), 'utf8')).rows, 3);
+  }));
+
+  it('reconciles per-day counts with stats daily totals', () => {
+    const stats = { timeSeries: [{ bucket: '2026-01-01', total_events: 5 }, { bucket: '2026-01-02', total_events: 1 }] };
+    const result = reconcileWithStats('2026-01-01', '2026-01-03', { '2026-01-01': 5 }, stats);
+
+    assert.deepEqual(result.days, [
+      { date: '2026-01-01', exported: 5, stats: 5, diff: 0 },
+      { date: '2026-01-02', exported: 0, stats: 1, diff: -1 },
+      { date: '2026-01-03', exported: 0, stats: 0, diff: 0 },
+    ]);
+    assert.equal(result.stats_total, 6);
+    assert.equal(result.reconciled, false);
+    assert.equal(reconcileWithStats('2026-01-01', '2026-01-01', { '2026-01-01': 5 }, stats).reconciled, true);
+
+    const unavailable = reconcileWithStats('2026-01-01', '2026-01-01', { '2026-01-01': 5 }, null);
+    assert.deepEqual(unavailable, { days: [{ date: '2026-01-01', exported: 5, stats: null, diff: null }], stats_total: null, reconciled: false });
+  });
+
+  it('validates dates and lists days across month ends', () => {
+    assert.equal(parseExportDate('2026-02-01', '--from'), '2026-02-01');
+    assert.throws(() => parseExportDate('30d', '--from'), /--from must be a date like 2026-01-31/);
+    assert.deepEqual(exportDays('2026-01-30', '2026-02-02'), ['2026-01-30', '2026-01-31', '2026-02-01', '2026-02-02']);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEventFollower, eventKey, matchesPropertyFilter, parsePropertyFilter } from '../lib/follow.mjs';
+
+function pages(...responses) {
+  const calls = [];
+  return {
+    calls,
+    fetchEvents: async (since) => {
+      calls.push(since);
+      return { events: responses.shift() || [] };
+    },
+  };
+}
+
+describe('events --follow', () => {
+  it('advances the since cursor and prints each event once, oldest first', async () => {
+    const source = pages(
+      [
+        { id: 'b', event: 'signup', timestamp: 2000 },
+        { id: 'a', event: 'page_view', timestamp: 1000 },
+      ],
+      [
+        { id: 'c', event: 'page_view', timestamp: 2000 },
+        { id: 'b', event: 'signup', timestamp: 2000 },
+      ],
+      [
+        { id: 'd', event: 'purchase', timestamp: 3000 },
+        { id: 'c', event: 'page_view', timestamp: 2000 },
+      ],
+    );
+    const follower = createEventFollower({ fetchEvents: source.fetchEvents, since: '1h', limit: 100 });
+
+    assert.deepEqual((await follower.poll()).events.map((event) => event.id), ['a', 'b']);
+    assert.deepEqual((await follower.poll()).events.map((event) => event.id), ['c']);
+    assert.deepEqual((await follower.poll()).events.map((event) => event.id), ['d']);
+    assert.deepEqual(source.calls, ['1h', new Date(2000).toISOString(), new Date(2000).toISOString()]);
+    assert.equal(follower.cursor, 3000);
+  });
+
+  it('dedupes events without ids by their content and accepts ISO timestamps', async () => {
+    const view = { event: 'page_view', timestamp: '2026-01-05T10:00:00.000Z', user_id: 'u1', properties: { path: '/' } };
+    const source = pages([view], [view, { ...view, properties: { path: '/pricing' } }]);
+    const follower = createEventFollower({ fetchEvents: source.fetchEvents, since: '7d' });
+
+    assert.equal((await follower.poll()).events.length, 1);
+    assert.deepEqual((await follower.poll()).events.map((event) => event.properties.path), ['/pricing']);
+    assert.notEqual(eventKey(view), eventKey({ ...view, user_id: 'u2' }));
+    assert.equal(eventKey({ id: 7, event: 'x' }), 'id:7');
+  });
+
+  it('applies property filters after advancing the cursor and flags full pages', async () => {
+    const source = pages(
+      [{ id: 'a', event: 'page_view', timestamp: 1000, properties: { path: '/' } }, { id: 'b', event: 'page_view', timestamp: 1500, properties: { path: '/pricing' } }],
+      [],
+    );
+    const follower = createEventFollower({ fetchEvents: source.fetchEvents, since: '1h', limit: 2, filter: { path: '/' } });
+
+    const first = await follower.poll();
+    assert.deepEqual(first.events.map((event) => event.id), ['a']);
+    assert.equal(first.truncated, true);
+    assert.equal(follower.cursor, 1500);
+    assert.equal((await follower.poll()).truncated, false);
+  });
+
+  it('parses key=value property filters', () => {
+    assert.deepEqual(parsePropertyFilter('path=/pricing, properties.country=US'), { path: '/pricing', country: 'US' });
+    assert.deepEqual(parsePropertyFilter(undefined), {});
+    assert.throws(() => parsePropertyFilter('path'), /Invalid --where entry "path"/);
+    assert.equal(matchesPropertyFilter({ properties: { step: 2 } }, { step: '2' }), true);
+    assert.equal(matchesPropertyFilter({}, { step: '2' }), false);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildHeatmapGrid, heatmapLevel, heatmapTableRows, timezoneOffsetMinutes } from '../lib/heatmap.mjs';
+
+const ROWS = [
+  { day: 1, day_name: 'Monday', hour: 9, events: 30, users: 10 },
+  { day: 1, day_name: 'Monday', hour: 14, events: 50, users: 12 },
+  { day: 0, day_name: 'Sunday', hour: 23, events: 5, users: 4 },
+  { day: 6, day_name: 'Saturday', hour: 0, events: 2, users: 2 },
+];
+
+describe('heatmap grid', () => {
+  it('builds a Monday-first 7x24 grid for the chosen metric', () => {
+    const grid = buildHeatmapGrid(ROWS);
+
+    assert.deepEqual(grid.days, ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']);
+    assert.equal(grid.values.length, 7);
+    assert.ok(grid.values.every((hours) => hours.length === 24));
+    assert.equal(grid.values[0][9], 30);
+    assert.equal(grid.values[6][23], 5);
+    assert.deepEqual(grid.peak, { day: 'Mon', hour: 14, value: 50 });
+    assert.equal(grid.busiest_day, 'Mon');
+    assert.equal(grid.busiest_hour, 14);
+    assert.equal(grid.total, 87);
+
+    assert.equal(buildHeatmapGrid(ROWS, { metric: 'users' }).values[0][14], 12);
+  });
+
+  it('shifts buckets across day boundaries for a timezone offset', () => {
+    const east = buildHeatmapGrid(ROWS, { offsetMinutes: 120 });
+    assert.equal(east.values[0][11], 30);
+    assert.equal(east.values[0][1], 5, 'Sunday 23:00 UTC is Monday 01:00 at UTC+2');
+    assert.equal(east.rounded, false);
+
+    const west = buildHeatmapGrid(ROWS, { offsetMinutes: -300 });
+    assert.equal(west.values[4][19], 2, 'Saturday 00:00 UTC is Friday 19:00 at UTC-5');
+
+    const india = buildHeatmapGrid(ROWS, { offsetMinutes: 330 });
+    assert.equal(india.values[0][15], 30);
+    assert.equal(india.rounded, true);
+  });
+
+  it('falls back to numeric days and skips malformed rows', () => {
+    const grid = buildHeatmapGrid([{ day: 3, hour: 4, events: 7 }, { day: 9, hour: 1, events: 1 }, { day: 2, hour: 24, events: 1 }]);
+    assert.equal(grid.values[2][4], 7);
+    assert.equal(grid.total, 7);
+    assert.equal(buildHeatmapGrid([]).peak, null);
+  });
+
+  it('produces table rows with one column per hour', () => {
+    const [monday] = heatmapTableRows(buildHeatmapGrid(ROWS));
+    assert.deepEqual(Object.keys(monday).slice(0, 3), ['day', 'h00', 'h01']);
+    assert.equal(monday.h14, 50);
+    assert.equal(monday.total, 80);
+  });
+
+  it('grades intensity in quarters of the busiest cell', () => {
+    assert.deepEqual([0, 1, 25, 26, 75, 100].map((value) => heatmapLevel(value, 100)), [0, 1, 1, 2, 3, 4]);
+    assert.equal(heatmapLevel(5, 0), 0);
+  });
+
+  it('reads timezone offsets including daylight saving time', () => {
+    assert.equal(timezoneOffsetMinutes('UTC'), 0);
+    assert.equal(timezoneOffsetMinutes('Europe/Berlin', new Date('2026-01-15T12:00:00Z')), 60);
+    assert.equal(timezoneOffsetMinutes('Europe/Berlin', new Date('2026-07-15T12:00:00Z')), 120);
+    assert.equal(timezoneOffsetMinutes('America/New_York', new Date('2026-01-15T12:00:00Z')), -300);
+    assert.equal(timezoneOffsetMinutes('Asia/Kolkata'), 330);
+    assert.throws(() => timezoneOffsetMinutes('Mars/Base'), RangeError);
+  });
+});
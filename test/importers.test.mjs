@@ -0,0 +1,146 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createImporter, IMPORT_SOURCES, parseFieldMap } from '../lib/importers.mjs';
+import { prepareImport } from '../lib/ingest.mjs';
+
+const GA4_ROW = {
+  event_date: '20260105',
+  event_timestamp: '1767571200123456',
+  event_name: 'page_view',
+  event_params: [
+    { key: 'page_location', value: { string_value: 'https://shop.example.com/pricing?ref=nav' } },
+    { key: 'page_title', value: { string_value: 'Pricing' } },
+    { key: 'ga_session_id', value: { int_value: '1767571100' } },
+    { key: 'plan', value: { string_value: 'pro' } },
+    { key: 'value', value: { double_value: 9.5 } },
+  ],
+  user_pseudo_id: '123.456',
+  user_properties: [{ key: 'tier', value: { string_value: 'gold' } }],
+  device: { category: 'mobile', operating_system: 'iOS', web_info: { browser: 'Safari' } },
+  geo: { country: 'Germany' },
+};
+
+const POSTHOG_ROW = {
+  uuid: '0190-aaaa',
+  event: '$pageview',
+  distinct_id: 'user_1',
+  timestamp: '2026-01-05T10:00:00.000Z',
+  properties: {
+    $current_url: 'https://app.example.com/settings/billing',
+    $session_id: 'sess_9',
+    $browser: 'Chrome',
+    $set: { email: 'x@example.com' },
+    utm_source: 'newsletter',
+    plan: 'team',
+  },
+};
+
+describe('importers', () => {
+  it('lists the supported sources', () => {
+    assert.deepEqual(IMPORT_SOURCES, ['ga4', 'plausible', 'posthog']);
+  });
+
+  it('maps GA4 BigQuery rows onto event, path, user_id, and session_id', () => {
+    const { rows, errors } = createImporter('ga4').parse(`${JSON.stringify(GA4_ROW)}\n`);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(rows[0].value, {
+      event: 'page_view',
+      timestamp: 1767571200123,
+      user_id: '123.456',
+      session_id: '123.456.1767571100',
+      properties: {
+        plan: 'pro',
+        value: 9.5,
+        path: '/pricing',
+        url: 'https://shop.example.com/pricing?ref=nav',
+        title: 'Pricing',
+        country: 'Germany',
+        device: 'mobile',
+        browser: 'Safari',
+        os: 'iOS',
+      },
+    });
+  });
+
+  it('reads GA4 exports written as a JSON array', () => {
+    const { rows } = createImporter('ga4').parse(JSON.stringify([GA4_ROW, { ...GA4_ROW, event_name: 'sign_up' }]));
+    assert.deepEqual(rows.map((row) => [row.line, row.value.event]), [[1, 'page_view'], [2, 'sign_up']]);
+  });
+
+  it('maps Plausible raw event CSV including custom props', () => {
+    const csv = [
+      'name,timestamp,pathname,hostname,referrer_source,utm_source,country_code,browser,user_id,session_id,meta.key,meta.value',
+      `pageview,2026-01-05 10:00:00,/docs,example.com,Google,,DE,Firefox,998877,112233,"['plan','author']","['pro','o\\'neil']"`,
+      'Signup,2026-01-05 10:05:00,/signup,example.com,,hn,US,Chrome,998877,112233,[],[]',
+    ].join('\n');
+
+    const { rows, errors } = createImporter('plausible').parse(csv);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(rows[0].value, {
+      event: 'page_view',
+      timestamp: '2026-01-05T10:00:00Z',
+      user_id: '998877',
+      session_id: '112233',
+      properties: {
+        plan: 'pro',
+        author: "o'neil",
+        path: '/docs',
+        hostname: 'example.com',
+        referrer_source: 'Google',
+        country: 'DE',
+        browser: 'Firefox',
+      },
+    });
+    assert.equal(rows[1].value.event, 'Signup');
+    assert.equal(rows[1].value.properties.utm_source, 'hn');
+  });
+
+  it('maps PostHog events, keeps custom props, and drops $ internals', () => {
+    const { rows } = createImporter('posthog').parse(JSON.stringify({ results: [POSTHOG_ROW, { ...POSTHOG_ROW, uuid: 'b', event: '$feature_flag_called' }] }));
+    assert.deepEqual(rows[0].value, {
+      event: 'page_view',
+      timestamp: '2026-01-05T10:00:00.000Z',
+      user_id: 'user_1',
+      session_id: 'sess_9',
+      event_id: '0190-aaaa',
+      properties: {
+        plan: 'team',
+        path: '/settings/billing',
+        url: 'https://app.example.com/settings/billing',
+        utm_source: 'newsletter',
+        browser: 'Chrome',
+      },
+    });
+    assert.equal(rows[1].value.event, 'feature_flag_called');
+  });
+
+  it('applies field map overrides, including source-specific lookups and drops', () => {
+    const map = parseFieldMap('user_id=user_properties.tier,properties.page=event_params.page_title,properties.url=,properties.day=event_date');
+    const { rows } = createImporter('ga4', map).parse(JSON.stringify(GA4_ROW));
+    assert.equal(rows[0].value.user_id, 'gold');
+    assert.equal(rows[0].value.properties.page, 'Pricing');
+    assert.equal(rows[0].value.properties.day, '20260105');
+    assert.equal('url' in rows[0].value.properties, false);
+
+    const renamed = createImporter('posthog', { event: 'properties.plan' }).parse(JSON.stringify(POSTHOG_ROW));
+    assert.equal(renamed.rows[0].value.event, 'team');
+  });
+
+  it('rejects unknown sources and bad map entries', () => {
+    assert.throws(() => createImporter('mixpanel'), /Unknown import source "mixpanel"/);
+    assert.throws(() => parseFieldMap('user_id'), /Invalid --map entry "user_id"/);
+    assert.throws(() => parseFieldMap('email=user.email'), /Cannot map onto "email"/);
+    assert.deepEqual(parseFieldMap({ user_id: 'distinct_id', 'properties.x': '' }), { user_id: 'distinct_id', 'properties.x': null });
+  });
+
+  it('feeds the import pipeline with PostHog uuids as dedupe keys', () => {
+    const text = [POSTHOG_ROW, POSTHOG_ROW, { ...POSTHOG_ROW, uuid: 'c', event: undefined }].map((row) => JSON.stringify(row)).join('\n');
+    const prepared = prepareImport(text, { source: createImporter('posthog') });
+
+    assert.equal(prepared.events.length, 1);
+    assert.equal(prepared.events[0].event_id, '0190-aaaa');
+    assert.equal(prepared.events[0].timestamp, Date.parse('2026-01-05T10:00:00.000Z'));
+    assert.equal(prepared.duplicates, 1);
+    assert.deepEqual(prepared.errors, [{ line: 3, message: 'event is required' }]);
+  });
+});
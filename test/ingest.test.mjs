@@ -0,0 +1,129 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  chunk,
+  dedupeKey,
+  detectInputFormat,
+  normalizeEvent,
+  parseCsv,
+  parseNdjson,
+  prepareImport,
+  sendBatches,
+} from '../lib/ingest.mjs';
+
+describe('ingest', () => {
+  it('parses NDJSON and reports bad lines by number', () => {
+    const { rows, errors } = parseNdjson('{"event":"a"}\n\n{oops\r\n{"event":"b"}\n');
+    assert.deepEqual(rows, [
+      { line: 1, value: { event: 'a' } },
+      { line: 4, value: { event: 'b' } },
+    ]);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].line, 3);
+    assert.match(errors[0].message, /invalid JSON/);
+  });
+
+  it('parses quoted CSV fields with commas, quotes, and newlines', () => {
+    const { rows, errors } = parseCsv('event,note,user_id\r\nsignup,"a, ""b""",u1\nclick,"two\nlines",u2\nbad,row\n');
+    assert.deepEqual(rows, [
+      { line: 2, value: { event: 'signup', note: 'a, "b"', user_id: 'u1' } },
+      { line: 3, value: { event: 'click', note: 'two\nlines', user_id: 'u2' } },
+    ]);
+    assert.deepEqual(errors, [{ line: 5, message: 'expected 3 columns, got 2' }]);
+  });
+
+  it('detects the input format from the file name', () => {
+    assert.equal(detectInputFormat('events.CSV'), 'csv');
+    assert.equal(detectInputFormat('events.ndjson'), 'ndjson');
+    assert.equal(detectInputFormat('-'), 'ndjson');
+  });
+
+  it('normalizes events, timestamps, and CSV property columns', () => {
+    assert.deepEqual(normalizeEvent({ event: ' signup ', user_id: 42, timestamp: '2026-01-02T03:04:05Z', properties: { plan: 'pro' } }), {
+      event: { event: 'signup', properties: { plan: 'pro' }, user_id: '42', timestamp: Date.parse('2026-01-02T03:04:05Z') },
+    });
+    assert.equal(normalizeEvent({ event: 'a', timestamp: 1767225600 }).event.timestamp, 1767225600000);
+    assert.deepEqual(normalizeEvent({ event: 'view', path: '/pricing', 'properties.plan': 'pro', user_id: '' }, { format: 'csv' }), {
+      event: { event: 'view', properties: { path: '/pricing', plan: 'pro' } },
+    });
+  });
+
+  it('rejects rows without an event or with bad fields', () => {
+    assert.equal(normalizeEvent({ properties: {} }).error, 'event is required');
+    assert.equal(normalizeEvent(['x']).error, 'row must be a JSON object');
+    assert.equal(normalizeEvent({ event: 'a', properties: [] }).error, 'properties must be an object');
+    assert.match(normalizeEvent({ event: 'a', timestamp: 'yesterday' }).error, /invalid timestamp/);
+    assert.match(normalizeEvent({ event: 'a', properties: '{nope' }, { format: 'csv' }).error, /not valid JSON/);
+  });
+
+  it('reports a CSV properties cell that is JSON but not an object as a row error', () => {
+    for (const cell of ['null', '[1]', '"text"', '42']) {
+      assert.equal(normalizeEvent({ event: 'a', properties: cell }, { format: 'csv' }).error, 'properties column must be a JSON object');
+    }
+
+    const prepared = prepareImport('event,properties,extra\nsignup,null,x\nview,{},y\n', { format: 'csv' });
+    assert.equal(prepared.events.length, 1);
+    assert.deepEqual(prepared.errors.map((err) => err.message), ['properties column must be a JSON object']);
+  });
+
+  it('derives stable dedupe keys from content, a field, or event_id', () => {
+    const a = dedupeKey({ event: 'x', properties: { b: 1, a: 2 } });
+    const b = dedupeKey({ properties: { a: 2, b: 1 }, event: 'x' });
+    assert.equal(a, b);
+    assert.match(a, /^[0-9a-f]{32}$/);
+    assert.equal(dedupeKey({ event: 'x', properties: { order_id: 'o1' } }, 'order_id'), 'o1');
+    assert.equal(dedupeKey({ event: 'x', event_id: 'given' }, 'order_id'), 'given');
+  });
+
+  it('prepares an import with duplicates dropped and errors sorted by line', () => {
+    const text = [
+      '{"event":"a","user_id":"u1"}',
+      '{"user_id":"u1"}',
+      '{"event":"a","user_id":"u1"}',
+      'nope',
+      '{"event":"b","properties":{"order_id":"o1"}}',
+      '{"event":"c","properties":{"order_id":"o1"}}',
+    ].join('\n');
+
+    const all = prepareImport(text);
+    assert.equal(all.rows, 6);
+    assert.equal(all.events.length, 3);
+    assert.equal(all.duplicates, 1);
+    assert.deepEqual(all.errors.map((err) => err.line), [2, 4]);
+
+    const byOrder = prepareImport(text, { dedupeField: 'order_id' });
+    assert.equal(byOrder.events.length, 2);
+    assert.equal(byOrder.duplicates, 2);
+  });
+
+  it('sends batches with the project and token and stops at the first failure', async () => {
+    const sent = [];
+    const progress = [];
+    const api = {
+      async trackBatch(events) {
+        if (sent.length === 2) throw new Error('rate limited');
+        sent.push(events);
+        return { ok: true };
+      },
+    };
+    const events = Array.from({ length: 5 }, (_, i) => ({ event: 'e', event_id: String(i) }));
+
+    const result = await sendBatches(api, events, {
+      project: 'my-site',
+      token: 'aat_1',
+      batchSize: 2,
+      onProgress: (update) => progress.push(update),
+    });
+
+    assert.deepEqual(sent[0], [
+      { project: 'my-site', token: 'aat_1', event: 'e', event_id: '0' },
+      { project: 'my-site', token: 'aat_1', event: 'e', event_id: '1' },
+    ]);
+    assert.equal(result.sent, 4);
+    assert.equal(result.completed, 2);
+    assert.equal(result.batches, 3);
+    assert.equal(result.error.message, 'rate limited');
+    assert.deepEqual(progress.map((update) => update.sent), [2, 4]);
+    assert.deepEqual(chunk([1, 2, 3], 2), [[1, 2], [3]]);
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import { AgentAnalyticsAPI } from '../lib/api.mjs';
+import { MCP_TOOLS, createMcpServer, serveStdio, validateToolArguments } from '../lib/mcp-server.mjs';
+
+function fakeApi(overrides = {}) {
+  const calls = [];
+  const api = new Proxy({}, {
+    get(_target, method) {
+      if (method === 'then') return undefined;
+      if (overrides[method]) return overrides[method];
+      return async (...args) => {
+        calls.push([method, ...args]);
+        return { ok: true, method };
+      };
+    },
+  });
+  return { api, calls };
+}
+
+function call(server, name, args, id = 1) {
+  return server.handle({ jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } });
+}
+
+describe('MCP server', () => {
+  it('only names AgentAnalyticsAPI methods in the tool catalogue', async () => {
+    const names = new Set();
+    const methods = [];
+    const recorder = new Proxy({}, {
+      get: (_target, method) => async () => {
+        methods.push(method);
+        return { projects: [{ id: 'p1', name: 'p1' }] };
+      },
+    });
+
+    for (const tool of MCP_TOOLS) {
+      assert.ok(!names.has(tool.name), `duplicate tool ${tool.name}`);
+      names.add(tool.name);
+      assert.equal(tool.inputSchema.type, 'object');
+      assert.ok(Array.isArray(tool.command) && tool.command.length > 0);
+      for (const key of tool.inputSchema.required) assert.ok(tool.inputSchema.properties[key], `${tool.name}.${key}`);
+      const args = Object.fromEntries(tool.inputSchema.required.map((key) => [key, 'p1']));
+      await tool.call(recorder, { ...args, name: 'p1' });
+    }
+
+    for (const method of methods) {
+      assert.equal(typeof AgentAnalyticsAPI.prototype[method], 'function', method);
+    }
+  });
+
+  it('negotiates the protocol version and advertises tools', async () => {
+    const server = createMcpServer({ getClient: async () => fakeApi().api, serverInfo: { name: 'agent-analytics', version: '1.0.0' } });
+
+    const init = await server.handle({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2024-11-05' } });
+    assert.equal(init.result.protocolVersion, '2024-11-05');
+    assert.deepEqual(init.result.serverInfo, { name: 'agent-analytics', version: '1.0.0' });
+    assert.ok(init.result.capabilities.tools);
+
+    const future = await server.handle({ jsonrpc: '2.0', id: 2, method: 'initialize', params: { protocolVersion: '2099-01-01' } });
+    assert.equal(future.result.protocolVersion, '2025-06-18');
+
+    const list = await server.handle({ jsonrpc: '2.0', id: 3, method: 'tools/list' });
+    const stats = list.result.tools.find((tool) => tool.name === 'stats');
+    assert.deepEqual(stats.inputSchema.required, ['project']);
+    assert.equal(stats.call, undefined);
+    assert.equal(stats.command, undefined);
+  });
+
+  it('calls the API method and returns text and structured content', async () => {
+    const { api, calls } = fakeApi();
+    const server = createMcpServer({ getClient: async () => api });
+
+    const response = await call(server, 'funnel', { project: 'shop', steps: [{ event: 'view' }, { event: 'buy' }], since: '30d' });
+
+    assert.deepEqual(calls, [['getFunnel', 'shop', { steps: [{ event: 'view' }, { event: 'buy' }], since: '30d' }]]);
+    assert.deepEqual(response.result.structuredContent, { ok: true, method: 'getFunnel' });
+    assert.deepEqual(JSON.parse(response.result.content[0].text), { ok: true, method: 'getFunnel' });
+  });
+
+  it('resolves project names to ids for project tools', async () => {
+    const { api, calls } = fakeApi({
+      listProjects: async () => ({ projects: [{ id: 'proj_1', name: 'my-site' }] }),
+    });
+    const server = createMcpServer({ getClient: async () => api });
+
+    await call(server, 'delete_project', { project: 'my-site' });
+    assert.deepEqual(calls, [['deleteProject', 'proj_1']]);
+
+    const missing = await call(server, 'get_project', { project: 'nope' });
+    assert.equal(missing.result.isError, true);
+    assert.match(missing.result.content[0].text, /Project "nope" not found/);
+  });
+
+  it('reuses one client across calls', async () => {
+    let created = 0;
+    const server = createMcpServer({
+      getClient: async () => {
+        created += 1;
+        return fakeApi().api;
+      },
+    });
+
+    await call(server, 'stats', { project: 'a' }, 1);
+    await call(server, 'stats', { project: 'b' }, 2);
+    assert.equal(created, 1);
+  });
+
+  it('refuses calls when checkTool objects, without creating a client', async () => {
+    let created = false;
+    const server = createMcpServer({
+      getClient: async () => {
+        created = true;
+        return fakeApi().api;
+      },
+      checkTool: (tool) => (tool.command[0] === 'delete' ? 'read-only' : null),
+    });
+
+    const response = await call(server, 'delete_project', { project: 'my-site' });
+    assert.deepEqual(response.result, { content: [{ type: 'text', text: 'read-only' }], isError: true });
+    assert.equal(created, false);
+  });
+
+  it('reports API and validation failures as tool errors', async () => {
+    const server = createMcpServer({
+      getClient: async () => fakeApi({ getStats: async () => { throw Object.assign(new Error('boom'), { code: 'X' }); } }).api,
+      formatError: (err) => `API: ${err.message}`,
+    });
+
+    assert.match((await call(server, 'stats', { project: 'a' })).result.content[0].text, /API: boom/);
+    assert.match((await call(server, 'stats', {})).result.content[0].text, /project is required/);
+    assert.match((await call(server, 'stats', { project: 'a', days: '7' })).result.content[0].text, /days must be an integer/);
+  });
+
+  it('returns JSON-RPC errors for unknown tools and methods and ignores notifications', async () => {
+    const server = createMcpServer({ getClient: async () => fakeApi().api });
+
+    assert.equal((await call(server, 'nope', {})).error.code, -32602);
+    assert.equal((await server.handle({ jsonrpc: '2.0', id: 5, method: 'resources/list' })).error.code, -32601);
+    assert.equal((await server.handle({ id: 6, method: 'ping' })).error.code, -32600);
+    assert.deepEqual(await server.handle({ jsonrpc: '2.0', id: 7, method: 'ping' }), { jsonrpc: '2.0', id: 7, result: {} });
+    assert.equal(await server.handle({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+  });
+
+  it('validates enums, array items, and unknown arguments', () => {
+    const pages = MCP_TOOLS.find((tool) => tool.name === 'pages').inputSchema;
+    assert.equal(validateToolArguments(pages, { project: 'a', type: 'both' }), null);
+    assert.match(validateToolArguments(pages, { project: 'a', type: 'middle' }), /type must be one of entry, exit, both/);
+    assert.match(validateToolArguments(pages, { project: 'a', colour: 'red' }), /unknown argument colour/);
+
+    const query = MCP_TOOLS.find((tool) => tool.name === 'query').inputSchema;
+    assert.match(validateToolArguments(query, { project: 'a', metrics: ['event_count', 3] }), /metrics must only contain string values/);
+    assert.match(validateToolArguments(query, []), /arguments must be an object/);
+  });
+
+  it('serves newline-delimited JSON over streams', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let written = '';
+    output.on('data', (chunk) => { written += chunk; });
+    const server = createMcpServer({ getClient: async () => fakeApi().api });
+
+    const done = serveStdio(server, { input, output });
+    input.write('{"jsonrpc":"2.0","id":1,"method":"ping"}\n');
+    input.write('not json\n');
+    input.write('{"jsonrpc":"2.0","method":"notifications/initialized"}\n\n');
+    input.end('{"jsonrpc":"2.0","id":2,"method":"tools/call","params":{"name":"whoami"}}\n');
+    await done;
+
+    const messages = written.trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(messages.map((message) => message.id), [1, null, 2]);
+    assert.equal(messages[1].error.code, -32700);
+    assert.deepEqual(messages[2].result.structuredContent, { ok: true, method: 'getAccount' });
+  });
+});
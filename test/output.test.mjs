@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  flattenRow,
+  formatDelimited,
+  formatMarkdown,
+  normalizeOutputFormat,
+  renderOutput,
+} from '../lib/output.mjs';
+
+describe('output formats', () => {
+  it('normalizes format names and aliases', () => {
+    assert.equal(normalizeOutputFormat('JSON'), 'json');
+    assert.equal(normalizeOutputFormat('md'), 'markdown');
+    assert.equal(normalizeOutputFormat('jsonl'), 'ndjson');
+    assert.equal(normalizeOutputFormat('human'), 'text');
+    assert.equal(normalizeOutputFormat('xml'), null);
+    assert.equal(normalizeOutputFormat(''), null);
+  });
+
+  it('flattens nested objects into dotted columns and keeps arrays as cells', () => {
+    assert.deepEqual(flattenRow({
+      event: 'signup',
+      properties: { path: '/pricing', utm: { source: 'hn' } },
+      tags: ['a', 'b'],
+    }), {
+      event: 'signup',
+      'properties.path': '/pricing',
+      'properties.utm.source': 'hn',
+      tags: ['a', 'b'],
+    });
+  });
+
+  it('writes CSV with a union of columns and quotes special characters', () => {
+    const csv = formatDelimited([
+      { event: 'page_view', count: 3 },
+      { event: 'signup, paid', count: 1, note: 'say "hi"' },
+    ]);
+    assert.equal(csv, [
+      'event,count,note',
+      'page_view,3,',
+      '"signup, paid",1,"say ""hi"""',
+      '',
+    ].join('\n'));
+  });
+
+  it('writes TSV without embedded tabs or newlines', () => {
+    const tsv = renderOutput({}, 'tsv', { rows: [{ a: 'x\ty', b: 'line\nbreak' }] });
+    assert.equal(tsv, 'a\tb\nx y\tline break\n');
+  });
+
+  it('writes markdown tables with escaped pipes', () => {
+    assert.equal(formatMarkdown([{ page: '/a|b', sessions: 2 }]), [
+      '| page | sessions |',
+      '| --- | --- |',
+      '| /a\\|b | 2 |',
+      '',
+    ].join('\n'));
+  });
+
+  it('keeps the full response for json and one row per line for ndjson', () => {
+    const data = { rows: [{ event: 'a', n: 1 }, { event: 'b', n: 2 }], count: 2 };
+    assert.deepEqual(JSON.parse(renderOutput(data, 'json', { rows: data.rows })), data);
+    assert.equal(renderOutput(data, 'ndjson', { rows: data.rows }), '{"event":"a","n":1}\n{"event":"b","n":2}\n');
+  });
+
+  it('treats the whole response as one row when a command has no natural table', () => {
+    assert.equal(renderOutput({ id: 'p1', name: 'site' }, 'csv'), 'id,name\np1,site\n');
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { comparePeriods, comparisonWindow, diffRows, parseCompareSpec, resolveWindow } from '../lib/period-compare.mjs';
+
+const NOW = new Date('2026-03-10T15:00:00Z');
+
+describe('period comparison', () => {
+  it('parses previous, yoy, and explicit ranges', () => {
+    assert.deepEqual(parseCompareSpec('previous'), { mode: 'previous' });
+    assert.deepEqual(parseCompareSpec('yoy'), { mode: 'yoy' });
+    assert.deepEqual(parseCompareSpec('2026-01-01..2026-01-07'), { mode: 'range', from: '2026-01-01', to: '2026-01-07' });
+    assert.throws(() => parseCompareSpec('last-week'), /Invalid --compare "last-week"/);
+    assert.throws(() => parseCompareSpec('2026-02-30..2026-03-01'), /Invalid --compare/);
+    assert.throws(() => parseCompareSpec('2026-01-07..2026-01-01'), /starts after it ends/);
+  });
+
+  it('pins lookbacks to whole UTC days', () => {
+    assert.deepEqual(resolveWindow({ now: NOW }), { from: '2026-03-03', to: '2026-03-09' });
+    assert.deepEqual(resolveWindow({ since: '30d', now: NOW }), { from: '2026-02-08', to: '2026-03-09' });
+    assert.deepEqual(resolveWindow({ since: '2026-03-01', to: '2026-03-05', now: NOW }), { from: '2026-03-01', to: '2026-03-05' });
+    assert.deepEqual(resolveWindow({ since: '2026-03-08T10:00:00Z', now: NOW }), { from: '2026-03-08', to: '2026-03-09' });
+    assert.throws(() => resolveWindow({ since: '24h', now: NOW }), /day-based window; got "24h"/);
+  });
+
+  it('derives the previous window and the same dates a year earlier', () => {
+    const current = { from: '2026-03-01', to: '2026-03-07' };
+    assert.deepEqual(comparisonWindow(current, { mode: 'previous' }), { from: '2026-02-22', to: '2026-02-28' });
+    assert.deepEqual(comparisonWindow(current, { mode: 'yoy' }), { from: '2025-03-01', to: '2025-03-07' });
+    assert.deepEqual(comparisonWindow(current, { mode: 'range', from: '2026-01-01', to: '2026-01-31' }), { from: '2026-01-01', to: '2026-01-31' });
+  });
+
+  it('diffs rows by key, keeping rows from only one window', () => {
+    const rows = diffRows(
+      [{ value: '/pricing', count: 120 }, { value: '/new', count: 5 }],
+      [{ value: '/gone', count: 8 }, { value: '/pricing', count: 100 }],
+      { keys: ['value'], metrics: ['count'] },
+    );
+
+    assert.deepEqual(rows, [
+      { value: '/pricing', present_in: 'both', count: 120, count_previous: 100, count_change: 20, count_change_pct: 20 },
+      { value: '/new', present_in: 'current', count: 5, count_previous: 0, count_change: 5, count_change_pct: null },
+      { value: '/gone', present_in: 'previous', count: 0, count_previous: 8, count_change: -8, count_change_pct: -100 },
+    ]);
+  });
+
+  it('marks rows missing from a window cut at the limit as outside it, not absent', () => {
+    const rows = diffRows(
+      [{ value: '/a', count: 9 }, { value: '/b', count: 7 }],
+      [{ value: '/a', count: 8 }, { value: '/c', count: 6 }],
+      { keys: ['value'], metrics: ['count'], limit: 2 },
+    );
+
+    assert.deepEqual(rows.map((row) => [row.value, row.present_in, row.count, row.count_previous, row.count_change]), [
+      ['/a', 'both', 9, 8, 1],
+      ['/b', 'outside_limit', 7, null, null],
+      ['/c', 'outside_limit', null, 6, null],
+    ]);
+    const complete = diffRows([{ value: '/a', count: 9 }], [{ value: '/c', count: 6 }], { keys: ['value'], metrics: ['count'], limit: 2 });
+    assert.deepEqual(complete.map((row) => row.present_in), ['current', 'previous']);
+  });
+
+  it('fetches both windows and lets metrics come from the rows', async () => {
+    const windows = [];
+    const result = await comparePeriods({
+      spec: { mode: 'previous' },
+      current: { from: '2026-03-08', to: '2026-03-10' },
+      fetchWindow: async (window) => {
+        windows.push(window);
+        return { rows: [{ country: 'US', event_count: window.from === '2026-03-08' ? 30 : 20 }] };
+      },
+      rowsOf: (data) => data.rows,
+      keys: ['country'],
+      metrics: (rows) => [...new Set(rows.flatMap((row) => Object.keys(row).filter((key) => typeof row[key] === 'number')))],
+    });
+
+    assert.deepEqual(windows, [{ from: '2026-03-08', to: '2026-03-10' }, { from: '2026-03-05', to: '2026-03-07' }]);
+    assert.equal(result.compare, 'previous');
+    assert.deepEqual(result.metrics, ['event_count']);
+    assert.equal(result.rows[0].event_count_change_pct, 50);
+  });
+});
@@ -1,7 +1,7 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import { completeManagedRuntimeAuth, startOpenClawAuth, startPaperclipAuth } from '../lib/platforms.mjs';
-import { DEFAULT_AGENT_SESSION_SCOPES } from '../lib/scopes.mjs';
+import { DEFAULT_AGENT_SESSION_SCOPES, SCOPE_PRESETS } from '../lib/scopes.mjs';
 
 describe('managed runtime adapters', () => {
   it('starts a Paperclip detached auth request with platform metadata', async () => {
@@ -41,6 +41,23 @@ describe('managed runtime adapters', () => {
     assert.equal(payload.client_type, 'openclaw');
   });
 
+  it('requests reduced scopes for managed runtimes when asked', async () => {
+    const payloads = [];
+    const api = {
+      async startAgentSession(body) {
+        payloads.push(body);
+        return { auth_request_id: 'req-scoped' };
+      },
+    };
+
+    await startPaperclipAuth(api, { workspaceId: 'workspace-1', scopes: SCOPE_PRESETS['read-only'] });
+    await startOpenClawAuth(api, { runtimeId: 'runtime-99', scopes: SCOPE_PRESETS['read-only'] });
+    assert.deepEqual(payloads.map((payload) => payload.scopes), [
+      SCOPE_PRESETS['read-only'],
+      SCOPE_PRESETS['read-only'],
+    ]);
+  });
+
   it('completes a managed runtime exchange through the generic contract', async () => {
     let received = null;
     const api = {
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_AGENT_SESSION_SCOPES,
+  missingScopes,
+  requiredScopesForCommand,
+  resolveScopes,
+} from '../lib/scopes.mjs';
+
+describe('scopes', () => {
+  it('resolves presets to canonical scope lists', () => {
+    assert.deepEqual(resolveScopes('full'), [...DEFAULT_AGENT_SESSION_SCOPES]);
+    assert.deepEqual(resolveScopes('read-only'), ['account:read', 'projects:read', 'analytics:read', 'live:read']);
+    assert.deepEqual(resolveScopes('Analyst'), [
+      'account:read',
+      'projects:read',
+      'analytics:read',
+      'experiments:write',
+      'feedback:write',
+      'live:read',
+    ]);
+    assert.equal(resolveScopes('read-only').includes('projects:write'), false);
+  });
+
+  it('mixes presets with individual scopes and always keeps account:read', () => {
+    assert.deepEqual(resolveScopes('analytics:read'), ['account:read', 'analytics:read']);
+    assert.deepEqual(resolveScopes('read-only, feedback:write'), [
+      'account:read',
+      'projects:read',
+      'analytics:read',
+      'feedback:write',
+      'live:read',
+    ]);
+  });
+
+  it('rejects unknown scopes and empty specs', () => {
+    assert.throws(() => resolveScopes('analytics:write'), /Unknown scope "analytics:write"/);
+    assert.throws(() => resolveScopes(' , '), /No scopes given/);
+  });
+
+  it('maps commands to the scopes they need', () => {
+    assert.deepEqual(requiredScopesForCommand(['stats', 'my-site']), ['analytics:read']);
+    assert.deepEqual(requiredScopesForCommand(['create', 'my-site']), ['projects:write']);
+    assert.deepEqual(requiredScopesForCommand(['experiments', 'list', 'my-site']), []);
+    assert.deepEqual(requiredScopesForCommand(['experiments', 'create', 'my-site']), ['experiments:write']);
+    assert.deepEqual(requiredScopesForCommand(['scan', 'https://example.com']), []);
+    assert.deepEqual(requiredScopesForCommand(['compare', 'site-a', 'site-b']), ['analytics:read']);
+    assert.deepEqual(requiredScopesForCommand(['anomalies', 'my-site']), ['analytics:read']);
+    assert.deepEqual(requiredScopesForCommand(['apply', 'agent-analytics.yml']), ['projects:read', 'projects:write', 'experiments:write']);
+    assert.deepEqual(requiredScopesForCommand(['context', 'set', 'my-site', '--json', '{}']), ['projects:write']);
+    assert.deepEqual(requiredScopesForCommand(['context', 'get', 'my-site']), []);
+    assert.deepEqual(requiredScopesForCommand(['portfolio-context', 'set', '--json', '{}']), ['projects:write']);
+    assert.deepEqual(requiredScopesForCommand(['portfolios', 'create', 'acme', '--projects', 'a,b']), ['projects:write']);
+    assert.deepEqual(requiredScopesForCommand(['portfolios', 'update', 'acme', '--name', 'Acme']), ['projects:write']);
+    assert.deepEqual(requiredScopesForCommand(['portfolios', 'delete', 'acme']), ['projects:write']);
+    assert.deepEqual(requiredScopesForCommand(['portfolios', 'list']), []);
+    assert.deepEqual(requiredScopesForCommand(['export-config', '--redact']), ['projects:read']);
+    assert.deepEqual(requiredScopesForCommand(['completion', 'bash']), []);
+    assert.deepEqual(requiredScopesForCommand(['export', 'my-site', '--from', '2026-01-01', '--out', 'e.ndjson.gz']), ['analytics:read']);
+    assert.deepEqual(requiredScopesForCommand(['track', 'my-site', 'signup']), ['projects:read']);
+    assert.deepEqual(requiredScopesForCommand(['track', 'my-site', 'signup', '--project-token=aat_x']), []);
+    assert.deepEqual(requiredScopesForCommand(['track', 'my-site', '--', '--project-token']), ['projects:read']);
+    assert.deepEqual(requiredScopesForCommand(['import', 'my-site', '--file', 'e.csv', '--project-token', 'aat_x']), []);
+    assert.deepEqual(requiredScopesForCommand(['import', 'my-site', '--file', 'e.csv', '--dry-run']), []);
+    assert.deepEqual(requiredScopesForCommand(['import', 'my-site', '--file', 'ga4.json', '--from', 'ga4', '--preview']), []);
+  });
+
+  it('only reports missing scopes for sessions that recorded their scopes', () => {
+    assert.deepEqual(missingScopes(['account:read'], ['projects:write']), ['projects:write']);
+    assert.deepEqual(missingScopes(['projects:write'], ['projects:write']), []);
+    assert.deepEqual(missingScopes(undefined, ['projects:write']), []);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { completeLine, splitCommandLine, tokenize, withStickyProject } from '../lib/shell.mjs';
+
+const lookup = async (kind, project) => {
+  if (kind === 'project') return ['my-site', 'docs'];
+  if (kind === 'event') return project === 'my-site' ? ['page_view', 'signup', 'purchase'] : ['doc_view'];
+  return ['path', 'referrer'];
+};
+
+describe('splitCommandLine', () => {
+  it('splits words and honors quotes and escapes', () => {
+    assert.deepEqual(splitCommandLine(`context set my-site --json '{"goals": ["a b"]}'`), ['context', 'set', 'my-site', '--json', '{"goals": ["a b"]}']);
+    assert.deepEqual(splitCommandLine('feedback --message "say \\"hi\\"" plain\\ word ""'), ['feedback', '--message', 'say "hi"', 'plain word', '']);
+    assert.deepEqual(splitCommandLine('   '), []);
+    assert.throws(() => splitCommandLine('stats "my-site'), /Unterminated quote/);
+    assert.equal(tokenize("funnel 'a").open, true);
+  });
+});
+
+describe('withStickyProject', () => {
+  it('fills in the project where the command expects one', () => {
+    assert.deepEqual(withStickyProject(['stats'], 'my-site'), ['stats', 'my-site']);
+    assert.deepEqual(withStickyProject(['funnel', '--steps', 'a,b'], 'my-site'), ['funnel', 'my-site', '--steps', 'a,b']);
+    assert.deepEqual(withStickyProject(['context', 'get'], 'my-site'), ['context', 'get', 'my-site']);
+    assert.deepEqual(withStickyProject(['experiments', 'list'], 'my-site'), ['experiments', 'list', 'my-site']);
+  });
+
+  it('leaves explicit projects, other positionals, and destructive commands alone', () => {
+    assert.deepEqual(withStickyProject(['stats', 'docs'], 'my-site'), ['stats', 'docs']);
+    assert.deepEqual(withStickyProject(['query', '--project', 'docs'], 'my-site'), ['query', '--project', 'docs']);
+    assert.deepEqual(withStickyProject(['experiments', 'get', 'exp_1'], 'my-site'), ['experiments', 'get', 'exp_1']);
+    assert.deepEqual(withStickyProject(['context'], 'my-site'), ['context']);
+    assert.deepEqual(withStickyProject(['delete'], 'my-site'), ['delete']);
+    assert.deepEqual(withStickyProject(['projects'], 'my-site'), ['projects']);
+    assert.deepEqual(withStickyProject(['stats'], null), ['stats']);
+  });
+});
+
+describe('completeLine', () => {
+  it('completes commands, subcommands, and flags', async () => {
+    assert.deepEqual(await completeLine('st', { lookup }), [['stats '], 'st']);
+    assert.deepEqual((await completeLine('u', { lookup }))[0], ['update', 'upgrade-link', 'use']);
+    assert.deepEqual(await completeLine('experiments c', { lookup }), [['complete', 'create'], 'c']);
+    assert.deepEqual(await completeLine('pages my-site --t', { lookup }), [['--type '], '--t']);
+    assert.deepEqual(await completeLine('pages my-site --type ', { lookup }), [['both', 'entry', 'exit'], '']);
+    assert.ok(!(await completeLine('stats my-site --days 7 --', { lookup }))[0].includes('--days'));
+  });
+
+  it('completes project names and events for the named or sticky project', async () => {
+    assert.deepEqual(await completeLine('stats ', { lookup }), [['docs', 'my-site'], '']);
+    assert.deepEqual(await completeLine('use m', { lookup }), [['my-site '], 'm']);
+    assert.deepEqual(await completeLine('experiments list d', { lookup }), [['docs '], 'd']);
+    assert.deepEqual(await completeLine('events my-site --event s', { lookup }), [['signup '], 's']);
+    assert.deepEqual(await completeLine('events docs --event ', { lookup }), [['doc_view '], '']);
+    assert.deepEqual(await completeLine('funnel --steps page_view,p', { project: 'my-site', lookup }), [['page_view,page_view', 'page_view,purchase'], 'page_view,p']);
+    assert.deepEqual(await completeLine('funnel --steps page_view,pu', { project: 'my-site', lookup }), [['page_view,purchase'], 'page_view,pu']);
+    assert.deepEqual(await completeLine('breakdown my-site --property r', { lookup }), [['referrer '], 'r']);
+    assert.deepEqual(await completeLine('events --event s', { lookup }), [[], 's']);
+  });
+});
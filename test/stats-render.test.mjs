@@ -62,6 +62,33 @@ describe('stats command rendering', () => {
     }
   });
 
+  it('scales daily bars to the busiest day and draws a line chart', async () => {
+    const { server, url } = await startMockServer({
+      totals: { total_events: 1500, unique_users: 10 },
+      events: [],
+      timeSeries: [
+        { bucket: '2026-02-25', total_events: 1000 },
+        { bucket: '2026-02-26', total_events: 500 },
+      ],
+    });
+
+    try {
+      const { stdout } = await runCli(['stats', 'test-project'], {
+        ...agentSessionEnv('aas_test'),
+        AGENT_ANALYTICS_URL: url,
+        COLUMNS: '100',
+      });
+      const plain = stripAnsi(stdout);
+
+      assert.match(plain, /1k ┤/, 'should label the y-axis');
+      assert.match(plain, /2026-02-25 +2026-02-26\n/, 'should label the first and last dates');
+      const bars = plain.split('\n').filter((line) => / events$/.test(line)).map((line) => (line.match(/█+/) || [''])[0].length);
+      assert.deepEqual(bars, [40, 20], 'bars should scale to the largest day instead of saturating');
+    } finally {
+      server.close();
+    }
+  });
+
   it('does not crash when timeSeries is absent', async () => {
     const { server, url } = await startMockServer({
       totals: { total_events: 5, unique_users: 1 },
@@ -0,0 +1,226 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyWorkspacePlan,
+  buildWorkspaceDocument,
+  normalizeWorkspace,
+  parseWorkspace,
+  planWorkspace,
+  readAccount,
+  readWorkspaceState,
+} from '../lib/workspace.mjs';
+import { stringifyYaml } from '../lib/yaml.mjs';
+
+const WORKSPACE_YAML = `
+projects:
+  - name: my-site
+    domain: https://mysite.com
+    context:
+      goals: [signups]
+  - name: docs
+    origins: [https://docs.mysite.com, https://mysite.com]
+    experiments:
+      - name: hero_copy
+        variants: [control, bold]
+        goal: signup
+      - name: pricing_page
+        variants: [a, b]
+        goal: checkout
+        status: paused
+portfolio_context:
+  goals: Grow signups
+portfolios:
+  - slug: launches
+    projects: [my-site, docs]
+`;
+
+function emptyState(overrides = {}) {
+  return {
+    projects: new Map(),
+    contexts: new Map(),
+    experiments: new Map(),
+    portfolioContext: null,
+    portfolios: new Map(),
+    ...overrides,
+  };
+}
+
+describe('normalizeWorkspace', () => {
+  it('reads YAML and JSON workspace files into the same shape', () => {
+    const workspace = parseWorkspace(WORKSPACE_YAML, 'agent-analytics.yml');
+    assert.deepEqual(workspace.projects[0], { name: 'my-site', domain: 'https://mysite.com', context: { goals: ['signups'] } });
+    assert.deepEqual(workspace.projects[1].experiments[1], { name: 'pricing_page', variants: ['a', 'b'], goal: 'checkout', status: 'paused' });
+    assert.deepEqual(workspace.portfolios, [{ slug: 'launches', projects: ['my-site', 'docs'] }]);
+
+    const json = parseWorkspace(JSON.stringify({ projects: [{ name: 'my-site', origins: 'https://a.com, https://b.com' }] }), 'workspace.json');
+    assert.deepEqual(json.projects, [{ name: 'my-site', origins: ['https://a.com', 'https://b.com'] }]);
+  });
+
+  it('names the path of invalid entries', () => {
+    assert.throws(() => normalizeWorkspace({ project: [] }), /workspace: unknown key "project"/);
+    assert.throws(() => normalizeWorkspace({ projects: [{ domain: 'https://a.com' }] }), /projects\[0\]\.name: is required/);
+    assert.throws(
+      () => normalizeWorkspace({ projects: [{ name: 'a', experiments: [{ name: 'x', variants: ['only'], goal: 'signup' }] }] }),
+      /projects\[0\]\.experiments\[0\]\.variants: needs at least 2 variants/,
+    );
+    assert.throws(
+      () => normalizeWorkspace({ projects: [{ name: 'a', experiments: [{ name: 'x', variants: ['a', 'b'], goal: 'signup', status: 'running' }] }] }),
+      /status: must be one of active, paused, completed/,
+    );
+    assert.throws(() => normalizeWorkspace({ projects: [{ name: 'a' }, { name: 'a' }] }), /projects: "a" is declared twice/);
+    assert.throws(() => parseWorkspace('projects:\n  - name: a\n   bad', 'ws.yml'), /Could not parse ws\.yml: YAML line 3/);
+  });
+});
+
+describe('planWorkspace', () => {
+  it('creates everything missing from an empty account, in dependency order', () => {
+    const plan = planWorkspace(parseWorkspace(WORKSPACE_YAML), emptyState({ portfolioContext: {} }));
+
+    assert.deepEqual(plan.changes.map((change) => `${change.action} ${change.type} ${change.target}`), [
+      'create project my-site',
+      'create project docs',
+      'create project_context my-site',
+      'create experiment docs/hero_copy',
+      'create experiment docs/pricing_page',
+      'update portfolio_context account',
+      'create portfolio launches',
+    ]);
+    assert.deepEqual(plan.changes[1].calls, [{ method: 'createProject', args: ['docs', 'https://docs.mysite.com,https://mysite.com'] }]);
+    assert.deepEqual(plan.changes[4].calls[1], { method: 'updateExperiment', use_created_id: true, args: [{ status: 'paused', winner: undefined }] });
+    assert.deepEqual(plan.summary, { create: 6, update: 1 });
+  });
+
+  it('updates only what differs and warns about what the API cannot change', () => {
+    const workspace = parseWorkspace(WORKSPACE_YAML);
+    const plan = planWorkspace(workspace, emptyState({
+      projects: new Map([
+        ['my-site', { id: 'p1', name: 'my-site', allowed_origins: 'https://mysite.com' }],
+        ['docs', { id: 'p2', name: 'docs', allowed_origins: 'https://docs.mysite.com' }],
+        ['legacy', { id: 'p3', name: 'legacy', allowed_origins: '*' }],
+      ]),
+      contexts: new Map([['my-site', { goals: ['signups'], activation_events: ['signup'] }]]),
+      experiments: new Map([['docs', [
+        { id: 'exp_1', name: 'hero_copy', variants: [{ key: 'control' }, { key: 'loud' }], goal_event: 'signup', status: 'active' },
+        { id: 'exp_2', name: 'pricing_page', variants: [{ key: 'a' }, { key: 'b' }], goal_event: 'checkout', status: 'active' },
+      ]]]),
+      portfolioContext: { goals: 'Grow signups' },
+      portfolios: new Map([['launches', { name: 'launches', projects: ['docs', 'my-site'] }]]),
+    }));
+
+    assert.deepEqual(plan.changes.map((change) => `${change.action} ${change.type} ${change.target}`), [
+      'update project docs',
+      'update experiment docs/pricing_page',
+    ]);
+    assert.deepEqual(plan.changes[0].changes, [{ field: 'origins', from: ['https://docs.mysite.com'], to: ['https://docs.mysite.com', 'https://mysite.com'] }]);
+    assert.deepEqual(plan.changes[0].calls, [{ method: 'updateProject', args: ['p2', { allowed_origins: 'https://docs.mysite.com,https://mysite.com' }] }]);
+    assert.deepEqual(plan.changes[1].calls, [{ method: 'updateExperiment', args: ['exp_2', { status: 'paused', winner: undefined }] }]);
+    assert.equal(plan.unchanged, 5);
+    assert.deepEqual(plan.unmanaged_projects, ['legacy']);
+    assert.equal(plan.warnings.length, 1);
+    assert.match(plan.warnings[0], /docs\/hero_copy: variants and goal cannot be changed/);
+  });
+
+  it('refuses to create a project without origins', () => {
+    assert.throws(() => planWorkspace({ projects: [{ name: 'new-site' }] }, emptyState()), /"new-site" does not exist yet; give it a domain or origins/);
+  });
+});
+
+describe('applyWorkspacePlan', () => {
+  it('runs calls in order and feeds created ids to follow-up calls', async () => {
+    const calls = [];
+    const api = {
+      createProject: async (...args) => { calls.push(['createProject', ...args]); return { id: 'p1' }; },
+      createExperiment: async (...args) => { calls.push(['createExperiment', ...args]); return { id: 'exp_9' }; },
+      updateExperiment: async (...args) => { calls.push(['updateExperiment', ...args]); return { ok: true }; },
+    };
+    const workspace = normalizeWorkspace({
+      projects: [{ name: 'docs', domain: 'https://docs.mysite.com', experiments: [{ name: 'x', variants: ['a', 'b'], goal: 'signup', status: 'paused' }] }],
+    });
+    const plan = planWorkspace(workspace, emptyState());
+    const applied = [];
+
+    await applyWorkspacePlan(api, plan, { onChange: (change) => applied.push(change.target) });
+
+    assert.deepEqual(calls, [
+      ['createProject', 'docs', 'https://docs.mysite.com'],
+      ['createExperiment', 'docs', { name: 'x', variants: ['a', 'b'], goal_event: 'signup', weights: undefined }],
+      ['updateExperiment', 'exp_9', { status: 'paused', winner: undefined }],
+    ]);
+    assert.deepEqual(applied, ['docs', 'docs/x']);
+  });
+
+  it('reads only the account state the workspace declares', async () => {
+    const requested = [];
+    const api = {
+      listProjects: async () => { requested.push('listProjects'); return { projects: [{ id: 'p1', name: 'my-site' }] }; },
+      getProjectContext: async (name) => { requested.push(`getProjectContext ${name}`); return { project_context: { goals: ['x'] } }; },
+      listExperiments: async (name) => { requested.push(`listExperiments ${name}`); return { experiments: [] }; },
+    };
+    const state = await readWorkspaceState(api, normalizeWorkspace({
+      projects: [{ name: 'my-site', context: { goals: ['signups'] } }, { name: 'docs', domain: 'https://docs.mysite.com', experiments: [] }],
+    }));
+
+    assert.deepEqual(requested, ['listProjects', 'getProjectContext my-site']);
+    assert.deepEqual(state.contexts.get('my-site'), { goals: ['x'] });
+    assert.equal(state.portfolioContext, null);
+  });
+});
+
+describe('export', () => {
+  function fakeAccountApi() {
+    const projects = [
+      { id: 'p2', name: 'my-site', project_token: 'aat_p2', allowed_origins: 'https://www.mysite.com, https://mysite.com' },
+      { id: 'p1', name: 'docs', project_token: 'aat_p1', allowed_origins: '*' },
+    ];
+    return {
+      listProjects: async () => ({ projects }),
+      getProject: async (id) => projects.find((project) => project.id === id),
+      getProjectContext: async (name) => ({ project_context: name === 'my-site' ? { goals: ['signups'], activation_events: ['signup'] } : {} }),
+      listExperiments: async (name) => ({
+        experiments: name === 'my-site'
+          ? [
+            { id: 'exp_2', name: 'pricing', variants: [{ key: 'a', weight: 70 }, { key: 'b', weight: 30 }], goal_event: 'checkout', status: 'completed', winner: 'b' },
+            { id: 'exp_1', name: 'hero', variants: [{ key: 'control', weight: 50 }, { key: 'bold', weight: 50 }], goal_event: 'signup', status: 'active' },
+          ]
+          : [],
+      }),
+      getPortfolioContext: async () => ({ portfolio_context: { goals: 'Grow signups' } }),
+      listPortfolios: async () => ({ portfolios: [{ slug: 'launches', name: 'Launches' }] }),
+      getPortfolio: async () => ({ portfolio: { name: 'Launches', members: [{ project: 'my-site' }, { project: 'docs' }] } }),
+    };
+  }
+
+  it('writes the account as a sorted workspace document', async () => {
+    const doc = buildWorkspaceDocument(await readAccount(fakeAccountApi()));
+
+    assert.deepEqual(doc, {
+      projects: [
+        { name: 'docs', id: 'p1', project_token: 'aat_p1', origins: ['*'] },
+        {
+          name: 'my-site',
+          id: 'p2',
+          project_token: 'aat_p2',
+          origins: ['https://mysite.com', 'https://www.mysite.com'],
+          context: { activation_events: ['signup'], goals: ['signups'] },
+          experiments: [
+            { name: 'hero', variants: ['control', 'bold'], goal: 'signup', status: 'active' },
+            { name: 'pricing', variants: ['a', 'b'], goal: 'checkout', weights: [70, 30], status: 'completed', winner: 'b' },
+          ],
+        },
+      ],
+      portfolio_context: { goals: 'Grow signups' },
+      portfolios: [{ slug: 'launches', name: 'Launches', projects: ['docs', 'my-site'] }],
+    });
+    const redacted = buildWorkspaceDocument(await readAccount(fakeAccountApi()), { redact: true });
+    assert.deepEqual(redacted.projects.map((project) => project.project_token), ['[redacted]', '[redacted]']);
+  });
+
+  it('round-trips through plan with no changes', async () => {
+    const api = fakeAccountApi();
+    const workspace = parseWorkspace(stringifyYaml(buildWorkspaceDocument(await readAccount(api), { redact: true })));
+    const plan = planWorkspace(workspace, await readWorkspaceState(api, workspace));
+
+    assert.deepEqual(plan.changes, []);
+    assert.deepEqual(plan.warnings, []);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseYaml, stringifyYaml } from '../lib/yaml.mjs';
+
+describe('yaml', () => {
+  it('reads nested mappings and lists, including lists of mappings', () => {
+    const doc = parseYaml(`
+# workspace
+projects:
+  - name: my-site   # primary
+    origins:
+      - https://mysite.com
+      - "http://localhost:3000"
+    experiments:
+    - name: hero_test
+      weights: [50, 50]
+  - name: 'docs'
+empty:
+`);
+
+    assert.deepEqual(doc, {
+      projects: [
+        { name: 'my-site', origins: ['https://mysite.com', 'http://localhost:3000'], experiments: [{ name: 'hero_test', weights: [50, 50] }] },
+        { name: 'docs' },
+      ],
+      empty: null,
+    });
+  });
+
+  it('parses scalars, flow collections, and quoted strings', () => {
+    assert.deepEqual(parseYaml(`
+n: -1.5
+count: 3
+yes: true
+off: false
+nothing: ~
+time: 12:30
+url: https://example.com/a#b
+hash: "#not a comment"
+single: 'it''s'
+escaped: "line\\nbreak"
+flow: {a: 1, b: [x, "y, z"], "c d": null}
+`), {
+      n: -1.5,
+      count: 3,
+      yes: true,
+      off: false,
+      nothing: null,
+      time: '12:30',
+      url: 'https://example.com/a#b',
+      hash: '#not a comment',
+      single: "it's",
+      escaped: 'line\nbreak',
+      flow: { a: 1, b: ['x', 'y, z'], 'c d': null },
+    });
+  });
+
+  it('reads literal and folded block scalars', () => {
+    const doc = parseYaml(`
+note: |
+  line one # kept
+  line two
+summary: >-
+  folded
+  text
+
+  new paragraph
+after: 1
+`);
+    assert.equal(doc.note, 'line one # kept\nline two\n');
+    assert.equal(doc.summary, 'folded text\nnew paragraph');
+    assert.equal(doc.after, 1);
+  });
+
+  it('reports the line of unsupported or malformed input', () => {
+    assert.throws(() => parseYaml('a: 1\n  b: 2'), /YAML line 2: unexpected indentation/);
+    assert.throws(() => parseYaml('a: 1\na: 2'), /YAML line 2: duplicate key "a"/);
+    assert.throws(() => parseYaml('base: &base 1'), /YAML line 1: anchors, aliases, and tags/);
+    assert.throws(() => parseYaml('a: "open'), /YAML line 1: unterminated/);
+    assert.throws(() => parseYaml('a:\n\tb: 1'), /YAML line 2: tabs/);
+    assert.throws(() => parseYaml('a: 1\n---\nb: 2'), /multiple documents/);
+    assert.equal(parseYaml('# only a comment\n'), null);
+  });
+
+  it('writes block YAML that reads back unchanged', () => {
+    const value = {
+      projects: [
+        { name: 'my-site', origins: ['https://mysite.com', '*'], context: { goals: ['Grow: fast', 'a, b'], glossary: [] } },
+        { name: 'docs', experiments: [{ name: 'x', weights: [70, 30], status: 'active' }] },
+      ],
+      portfolio_context: { notes: 'line one\nline two', empty: {}, flags: [true, null, 3] },
+      quoted: ['123', 'true', 'null', '- dash', '#tag', ' padded', ''],
+    };
+    const text = stringifyYaml(value);
+
+    assert.deepEqual(parseYaml(text), value);
+    assert.match(text, /^projects:\n {2}- name: my-site\n {4}origins: \[https:\/\/mysite\.com, "\*"\]\n/);
+    assert.match(text, /goals: \["Grow: fast", "a, b"\]/);
+    assert.match(text, /quoted: \["123", "true", "null", "- dash", "#tag", " padded", ""\]/);
+  });
+});